@@ -0,0 +1,7 @@
+DROP TABLE pass_lock;
+DROP TABLE pass_booking;
+DROP TABLE pass_schedule;
+DROP TABLE pass;
+DROP TABLE account;
+DROP TABLE person;
+DROP TABLE privilege;
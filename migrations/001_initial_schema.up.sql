@@ -0,0 +1,56 @@
+-- The schema queried by LaundryDAO.
+
+CREATE TABLE privilege (
+    id          INTEGER PRIMARY KEY,
+    name        VARCHAR(50) NOT NULL UNIQUE
+);
+
+CREATE TABLE person (
+    id              SERIAL PRIMARY KEY,
+    firstname       VARCHAR(100) NOT NULL,
+    lastname        VARCHAR(100) NOT NULL,
+    personal_number VARCHAR(13) NOT NULL UNIQUE,
+    email           VARCHAR(320) NOT NULL UNIQUE,
+    privilege_id    INTEGER NOT NULL REFERENCES privilege (id)
+);
+
+CREATE TABLE account (
+    id          SERIAL PRIMARY KEY,
+    username    VARCHAR(100) NOT NULL UNIQUE,
+    password    VARCHAR(100) NOT NULL,
+    person_id   INTEGER NOT NULL UNIQUE REFERENCES person (id)
+);
+
+CREATE TABLE pass (
+    id          SERIAL PRIMARY KEY,
+    range       VARCHAR(20) NOT NULL UNIQUE
+);
+
+CREATE TABLE pass_schedule (
+    id          SERIAL PRIMARY KEY,
+    room        INTEGER NOT NULL,
+    pass_id     INTEGER NOT NULL REFERENCES pass (id),
+    UNIQUE (room, pass_id)
+);
+
+CREATE TABLE pass_booking (
+    id                  SERIAL PRIMARY KEY,
+    date                DATE NOT NULL,
+    account_id          INTEGER NOT NULL REFERENCES account (id),
+    pass_schedule_id    INTEGER NOT NULL REFERENCES pass_schedule (id)
+);
+
+CREATE TABLE pass_lock (
+    id                  SERIAL PRIMARY KEY,
+    lock_start          TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    pass_date           DATE NOT NULL,
+    account_id          INTEGER NOT NULL REFERENCES account (id),
+    pass_schedule_id    INTEGER NOT NULL REFERENCES pass_schedule (id)
+);
+
+CREATE INDEX pass_booking_account_id_idx ON pass_booking (account_id);
+CREATE INDEX pass_booking_date_idx ON pass_booking (date);
+CREATE INDEX pass_lock_account_id_idx ON pass_lock (account_id);
+
+-- The ids must match privilegeEnum.js
+INSERT INTO privilege (id, name) VALUES (1, 'Administrator'), (2, 'Standard');
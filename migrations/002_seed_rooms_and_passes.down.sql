@@ -0,0 +1,4 @@
+DELETE FROM pass_lock;
+DELETE FROM pass_booking;
+DELETE FROM pass_schedule;
+DELETE FROM pass;
@@ -0,0 +1,9 @@
+-- Two laundry rooms that share the same three passes per day.
+
+INSERT INTO pass (range) VALUES ('07-12'), ('12-17'), ('17-22');
+
+INSERT INTO pass_schedule (room, pass_id)
+SELECT      room.number, pass.id
+FROM        (VALUES (1), (2)) AS room (number)
+CROSS JOIN  pass
+ORDER BY    room.number, pass.range;
@@ -0,0 +1,5 @@
+CREATE INDEX pass_lock_account_id_idx ON pass_lock (account_id);
+
+ALTER TABLE pass_lock DROP CONSTRAINT pass_lock_account_id_key;
+ALTER TABLE pass_lock DROP CONSTRAINT pass_lock_pass_date_pass_schedule_id_key;
+ALTER TABLE pass_booking DROP CONSTRAINT pass_booking_date_pass_schedule_id_key;
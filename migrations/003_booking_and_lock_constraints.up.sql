@@ -0,0 +1,22 @@
+-- A laundry pass can only be booked once, and only be locked by one account at a time.
+
+DELETE FROM pass_booking
+WHERE       pass_booking.id NOT IN (
+                SELECT      MIN(pass_booking.id)
+                FROM        pass_booking
+                GROUP BY    pass_booking.date, pass_booking.pass_schedule_id
+            );
+
+-- Locks are only temporary, clearing them only cancels the bookings that are in progress.
+DELETE FROM pass_lock;
+
+ALTER TABLE pass_booking
+    ADD CONSTRAINT pass_booking_date_pass_schedule_id_key UNIQUE (date, pass_schedule_id);
+
+ALTER TABLE pass_lock
+    ADD CONSTRAINT pass_lock_pass_date_pass_schedule_id_key UNIQUE (pass_date, pass_schedule_id);
+
+ALTER TABLE pass_lock
+    ADD CONSTRAINT pass_lock_account_id_key UNIQUE (account_id);
+
+DROP INDEX pass_lock_account_id_idx;
@@ -0,0 +1,12 @@
+-- The booking rules that are applied by LaundryDAO, the table always holds exactly one row.
+
+CREATE TABLE booking_rule (
+    id                          INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    active_passes_allowed       INTEGER NOT NULL CHECK (active_passes_allowed > 0),
+    total_month_passes_allowed  INTEGER NOT NULL,
+    lock_duration               INTEGER NOT NULL CHECK (lock_duration > 0),
+    CHECK (total_month_passes_allowed >= active_passes_allowed)
+);
+
+-- The values that used to be hard-coded, the lock duration is in minutes.
+INSERT INTO booking_rule (active_passes_allowed, total_month_passes_allowed, lock_duration) VALUES (1, 6, 5);
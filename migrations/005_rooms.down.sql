@@ -0,0 +1,3 @@
+ALTER TABLE pass_schedule DROP COLUMN active;
+ALTER TABLE pass_schedule DROP CONSTRAINT pass_schedule_room_fkey;
+DROP TABLE room;
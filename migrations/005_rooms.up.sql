@@ -0,0 +1,18 @@
+-- Laundry rooms and their pass slots can be managed by administrators.
+-- Rooms are retired and slots deactivated instead of deleted to keep the booking history intact.
+
+CREATE TABLE room (
+    number      INTEGER PRIMARY KEY CHECK (number > 0),
+    name        VARCHAR(50) NOT NULL,
+    retired     BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+INSERT INTO room (number, name)
+SELECT DISTINCT pass_schedule.room, 'Room ' || pass_schedule.room
+FROM            pass_schedule;
+
+ALTER TABLE pass_schedule
+    ADD CONSTRAINT pass_schedule_room_fkey FOREIGN KEY (room) REFERENCES room (number);
+
+ALTER TABLE pass_schedule
+    ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE;
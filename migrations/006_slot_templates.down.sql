@@ -0,0 +1,2 @@
+DROP TABLE slot_template_pass;
+DROP TABLE slot_template;
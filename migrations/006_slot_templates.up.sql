@@ -0,0 +1,20 @@
+-- Slot templates select which of the room slots are offered on a date.
+-- A template can be limited to some weekdays (ISO numbering, 1 is Monday) and to a date range,
+-- the most specific template wins: date range and weekdays, date range, weekdays, every day.
+-- Dates without a matching template are offered all the active slots of the room.
+
+CREATE TABLE slot_template (
+    id          SERIAL PRIMARY KEY,
+    room        INTEGER NOT NULL REFERENCES room (number),
+    weekdays    SMALLINT[] NOT NULL DEFAULT '{}' CHECK (weekdays <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[]),
+    start_date  DATE,
+    end_date    DATE,
+    CHECK ((start_date IS NULL) = (end_date IS NULL)),
+    CHECK (start_date <= end_date)
+);
+
+CREATE TABLE slot_template_pass (
+    slot_template_id    INTEGER NOT NULL REFERENCES slot_template (id) ON DELETE CASCADE,
+    pass_schedule_id    INTEGER NOT NULL REFERENCES pass_schedule (id),
+    PRIMARY KEY (slot_template_id, pass_schedule_id)
+);
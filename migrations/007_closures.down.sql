@@ -0,0 +1,2 @@
+DROP TABLE booking_cancellation;
+DROP TABLE closure;
@@ -0,0 +1,24 @@
+-- Closures make a room or a single slot of a room unavailable during a date range.
+-- A closure without a pass schedule id closes every slot of the room.
+
+CREATE TABLE closure (
+    id                  SERIAL PRIMARY KEY,
+    room                INTEGER NOT NULL REFERENCES room (number),
+    pass_schedule_id    INTEGER REFERENCES pass_schedule (id),
+    start_date          DATE NOT NULL,
+    end_date            DATE NOT NULL,
+    reason              VARCHAR(200) NOT NULL,
+    CHECK (start_date <= end_date)
+);
+
+-- Bookings that were cancelled by a closure, kept until the resident has been told about the cancellation.
+CREATE TABLE booking_cancellation (
+    id              SERIAL PRIMARY KEY,
+    account_id      INTEGER NOT NULL REFERENCES account (id),
+    date            DATE NOT NULL,
+    room            INTEGER NOT NULL,
+    pass_range      VARCHAR(20) NOT NULL,
+    reason          VARCHAR(200) NOT NULL,
+    cancelled_at    TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    seen            BOOLEAN NOT NULL DEFAULT FALSE
+);
@@ -0,0 +1,9 @@
+-- Only the ranges with whole hours can be converted back, the other ranges are kept as they are.
+
+UPDATE pass
+SET    range = SUBSTRING(range, 1, 2) || '-' || SUBSTRING(range, 7, 2)
+WHERE  range ~ '^[0-9]{2}:00-[0-9]{2}:00$';
+
+UPDATE booking_cancellation
+SET    pass_range = SUBSTRING(pass_range, 1, 2) || '-' || SUBSTRING(pass_range, 7, 2)
+WHERE  pass_range ~ '^[0-9]{2}:00-[0-9]{2}:00$';
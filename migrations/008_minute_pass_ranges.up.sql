@@ -0,0 +1,9 @@
+-- Pass ranges are stored as HH:MM-HH:MM instead of whole hours XX-XX.
+
+UPDATE pass
+SET    range = SUBSTRING(range, 1, 2) || ':00-' || SUBSTRING(range, 4, 2) || ':00'
+WHERE  range ~ '^[0-9]{2}-[0-9]{2}$';
+
+UPDATE booking_cancellation
+SET    pass_range = SUBSTRING(pass_range, 1, 2) || ':00-' || SUBSTRING(pass_range, 4, 2) || ':00'
+WHERE  pass_range ~ '^[0-9]{2}-[0-9]{2}$';
@@ -0,0 +1,4 @@
+ALTER TABLE booking_rule
+    DROP COLUMN release_time,
+    DROP COLUMN horizon_length,
+    DROP COLUMN horizon_unit;
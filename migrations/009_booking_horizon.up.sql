@@ -0,0 +1,8 @@
+-- How far ahead passes can be booked. A date opens for booking the given number of days before it,
+-- or the given number of calendar weeks before the Monday of its week, at the release time.
+-- Without a release time the date opens at midnight.
+
+ALTER TABLE booking_rule
+    ADD COLUMN horizon_unit    VARCHAR(4) NOT NULL DEFAULT 'week' CHECK (horizon_unit IN ('day', 'week')),
+    ADD COLUMN horizon_length  INTEGER NOT NULL DEFAULT 1 CHECK (horizon_length >= 0),
+    ADD COLUMN release_time    VARCHAR(5) CHECK (release_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$');
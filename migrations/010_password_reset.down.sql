@@ -0,0 +1,3 @@
+ALTER TABLE account
+    DROP COLUMN sessions_valid_after;
+DROP TABLE password_reset;
@@ -0,0 +1,14 @@
+-- Single-use tokens that let a user set a new password without knowing the current one.
+-- Only the SHA-256 hash of a token is stored, the token itself is only sent to the user.
+
+CREATE TABLE password_reset (
+    id              SERIAL PRIMARY KEY,
+    account_id      INTEGER NOT NULL REFERENCES account (id),
+    token_hash      CHAR(64) NOT NULL UNIQUE,
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+);
+
+-- Authentication cookies issued before this time are no longer accepted.
+ALTER TABLE account
+    ADD COLUMN sessions_valid_after TIMESTAMPTZ;
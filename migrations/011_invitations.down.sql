@@ -0,0 +1,3 @@
+DELETE FROM person
+WHERE id IN (SELECT person_id FROM invitation);
+DROP TABLE invitation;
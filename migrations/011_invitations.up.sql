@@ -0,0 +1,11 @@
+-- Residents invited by an administrator. The person is created when the invitation is sent,
+-- the account is created when the resident accepts the invitation and chooses a username and password.
+-- Only the SHA-256 hash of the invitation token is stored, the token itself is only sent to the resident.
+
+CREATE TABLE invitation (
+    id              SERIAL PRIMARY KEY,
+    person_id       INTEGER NOT NULL UNIQUE REFERENCES person (id),
+    token_hash      CHAR(64) NOT NULL UNIQUE,
+    expires_at      TIMESTAMPTZ NOT NULL,
+    invited_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
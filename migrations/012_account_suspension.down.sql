@@ -0,0 +1,4 @@
+ALTER TABLE account
+    DROP COLUMN suspended_until,
+    DROP COLUMN suspension_reason,
+    DROP COLUMN status;
@@ -0,0 +1,7 @@
+-- Suspended accounts cannot login or book passes until they are reactivated,
+-- or until the day after the end date of the suspension when it has one.
+
+ALTER TABLE account
+    ADD COLUMN status               VARCHAR(9) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')),
+    ADD COLUMN suspension_reason    VARCHAR(200),
+    ADD COLUMN suspended_until      DATE;
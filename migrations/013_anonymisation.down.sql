@@ -0,0 +1,21 @@
+DELETE FROM pass_booking
+WHERE account_id IN (SELECT id FROM account WHERE anonymised_at IS NOT NULL);
+DELETE FROM pass_lock
+WHERE account_id IN (SELECT id FROM account WHERE anonymised_at IS NOT NULL);
+DELETE FROM booking_cancellation
+WHERE account_id IN (SELECT id FROM account WHERE anonymised_at IS NOT NULL);
+DELETE FROM password_reset
+WHERE account_id IN (SELECT id FROM account WHERE anonymised_at IS NOT NULL);
+DELETE FROM account
+WHERE anonymised_at IS NOT NULL;
+DELETE FROM person
+WHERE personal_number IS NULL;
+
+ALTER TABLE person
+    ALTER COLUMN email SET NOT NULL,
+    ALTER COLUMN personal_number SET NOT NULL,
+    ALTER COLUMN lastname SET NOT NULL,
+    ALTER COLUMN firstname SET NOT NULL;
+
+ALTER TABLE account
+    DROP COLUMN anonymised_at;
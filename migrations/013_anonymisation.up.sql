@@ -0,0 +1,11 @@
+-- Residents that move out can be anonymised instead of deleted, their personal data is removed
+-- while their booking history is kept for the usage statistics until the retention period has passed.
+
+ALTER TABLE account
+    ADD COLUMN anonymised_at        TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE person
+    ALTER COLUMN firstname DROP NOT NULL,
+    ALTER COLUMN lastname DROP NOT NULL,
+    ALTER COLUMN personal_number DROP NOT NULL,
+    ALTER COLUMN email DROP NOT NULL;
@@ -0,0 +1,4 @@
+ALTER TABLE account
+    ADD COLUMN sessions_valid_after TIMESTAMPTZ;
+
+DROP TABLE session;
@@ -0,0 +1,16 @@
+-- Every login starts a session and the authentication cookie only carries the id of the session,
+-- a session is no longer accepted once it has expired or has been revoked.
+
+CREATE TABLE session (
+    id              UUID PRIMARY KEY,
+    account_id      INTEGER NOT NULL REFERENCES account (id),
+    created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at      TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX session_account_id_idx ON session (account_id);
+
+-- Revoking the sessions replaces the time after which the authentication cookies of an account were accepted.
+ALTER TABLE account
+    DROP COLUMN sessions_valid_after;
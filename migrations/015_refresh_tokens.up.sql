@@ -0,0 +1,15 @@
+-- The access token in the authentication cookie is short-lived and a refresh token is used to get a new one.
+-- Every refresh token can only be used once and is replaced by a new one, so the refresh tokens of a session
+-- form a family. When a used refresh token is presented again after a short grace period, which covers concurrent
+-- refreshes with the same token, the whole session is revoked.
+-- Only the SHA-256 hash of a refresh token is stored, the token itself is only sent to the user.
+
+CREATE TABLE refresh_token (
+    id              SERIAL PRIMARY KEY,
+    session_id      UUID NOT NULL REFERENCES session (id) ON DELETE CASCADE,
+    token_hash      CHAR(64) NOT NULL UNIQUE,
+    created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    used_at         TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX refresh_token_session_id_idx ON refresh_token (session_id);
@@ -0,0 +1,17 @@
+-- Named API keys let integrations and kiosk devices, such as a lobby display or a home-automation script,
+-- act on behalf of a resident account without knowing its password. The scope limits what a key can do,
+-- schedule keys can only read the schedule while booking keys can also book on behalf of the resident.
+-- Only the SHA-256 hash of a key is stored, the key itself is only shown when it is created.
+
+CREATE TABLE api_key (
+    id              SERIAL PRIMARY KEY,
+    account_id      INTEGER NOT NULL REFERENCES account (id),
+    name            VARCHAR(50) NOT NULL,
+    scope           VARCHAR(8) NOT NULL CHECK (scope IN ('schedule', 'booking')),
+    key_hash        CHAR(64) NOT NULL UNIQUE,
+    created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_used_at    TIMESTAMP WITH TIME ZONE,
+    revoked_at      TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX api_key_account_id_idx ON api_key (account_id);
@@ -0,0 +1,20 @@
+-- Users can protect their account with time-based one-time passwords (TOTP) from an authenticator app,
+-- which then have to be given at login together with the password. The secret is only enabled once a code
+-- generated from it has been confirmed, and it is stored as is since it is needed to verify the codes.
+-- The last used time step keeps a code from being used twice.
+
+ALTER TABLE account
+    ADD COLUMN totp_secret       VARCHAR(32),
+    ADD COLUMN totp_enabled_at   TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN totp_last_step    BIGINT;
+
+-- Recovery codes let the user login once each when the authenticator app is lost.
+-- Only the SHA-256 hash of a recovery code is stored, the codes themselves are only shown when they are created.
+CREATE TABLE recovery_code (
+    id              SERIAL PRIMARY KEY,
+    account_id      INTEGER NOT NULL REFERENCES account (id),
+    code_hash       CHAR(64) NOT NULL,
+    used_at         TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX recovery_code_account_id_idx ON recovery_code (account_id);
@@ -0,0 +1,4 @@
+ALTER TABLE account
+    DROP COLUMN failed_logins,
+    DROP COLUMN last_failed_login_at,
+    DROP COLUMN locked_until;
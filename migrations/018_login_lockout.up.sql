@@ -0,0 +1,8 @@
+-- Failed logins are counted per account, so that guessing the password of one account is slowed down
+-- even when the attempts come from many addresses. After a few failures every further attempt has to wait
+-- a delay that doubles each time, until the account is locked out for a while. A successful login resets the count.
+
+ALTER TABLE account
+    ADD COLUMN failed_logins          INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN last_failed_login_at   TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN locked_until           TIMESTAMP WITH TIME ZONE;
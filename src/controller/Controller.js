@@ -1,6 +1,21 @@
 'use strict';
 const LaundryDAO = require('../integration/LaundryDAO');
+const Mailer = require('../integration/mail/Mailer');
 const RegisterDTO = require('../model/RegisterDTO');
+const UserDetailsDTO = require('../model/UserDetailsDTO');
+const BookingRulesDTO = require('../model/BookingRulesDTO');
+const BookingHorizonDTO = require('../model/BookingHorizonDTO');
+const SlotTemplateDTO = require('../model/SlotTemplateDTO');
+const ClosureDTO = require('../model/ClosureDTO');
+const InvitationDTO = require('../model/InvitationDTO');
+const Validators = require('../util/Validators');
+const ruleStatusCodes = require('../util/ruleStatusCodes');
+const userStatusCodes = require('../util/userStatusCodes');
+const invitationStatusCodes = require('../util/invitationStatusCodes');
+const templateStatusCodes = require('../util/templateStatusCodes');
+const closureStatusCodes = require('../util/closureStatusCodes');
+const emptyParamEnum = require('../util/emptyParamEnum');
+const PassRange = require('../util/PassRange');
 
 /**
  * The application's controller.
@@ -9,10 +24,11 @@ const RegisterDTO = require('../model/RegisterDTO');
 class Controller {
     /**
      * Constructs an instance of {Controller}.
-     * Also creates an instance of the {LaundryDAO}.
+     * Also creates an instance of the {LaundryDAO} and the {Mailer}.
      */
     constructor() {
         this.laundryDAO = new LaundryDAO();
+        this.mailer = new Mailer();
     }
 
     /**
@@ -36,11 +52,16 @@ class Controller {
      *
      * @param {string} username The username of the user which is logging in.
      * @param {string} password The password of the user which is logging in.
+     * @param {string | null} twoFactorCode The code from the authenticator app or a recovery code,
+     *                                      which is required once the user has enabled two-factor authentication.
      * @return {UserDTO | null} The logged in user's UserDTO or null in case an error
      *                          while contacting the database.
      */
-    async loginUser(username, password) {
-        const userDTO = await this.laundryDAO.loginUser(username, password);
+    async loginUser(username, password, twoFactorCode = null) {
+        if (twoFactorCode !== null) {
+            Validators.isTwoFactorCode(twoFactorCode, 'Two-Factor Code');
+        }
+        const userDTO = await this.laundryDAO.loginUser(username, password, twoFactorCode);
         return userDTO;
     }
 
@@ -68,6 +89,100 @@ class Controller {
         return userDTO;
     }
 
+    /**
+    * Invites a resident, who chooses their own username and password when accepting the invitation.
+    * This method issues a call to the createInvitation method in the {LaundryDAO},
+    * and hands the invitation token to the {Mailer}.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {String} firstName The first name of the invited resident.
+    * @param {String} lastName The last name of the invited resident.
+    * @param {String} personalNumber The personal number of the invited resident.
+    *                                It should follow the following format YYYYMMDD-XXXX.
+    * @param {String} email The email address the invitation is sent to.
+    * @return {InvitationDTO | null} An {InvitationDTO} containing the sent invitation without its token,
+    *                                or null in case of an error while contacting the database.
+    */
+    async inviteResident(issuerUsername, firstName, lastName, personalNumber, email) {
+        const newInvitationDTO = new InvitationDTO(emptyParamEnum.InvitationID, firstName, lastName, personalNumber, email,
+            null, null, invitationStatusCodes.OK);
+        const invitationDTO = await this.laundryDAO.createInvitation(issuerUsername, newInvitationDTO);
+        return await this._sendInvitation(invitationDTO);
+    }
+
+    /**
+    * Lists all the invitations that have not been accepted.
+    * This method issues a call to the listInvitations method in the {LaundryDAO},
+    * which either returns an {InvitationInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {InvitationInfoDTO | null} An {InvitationInfoDTO} containing the pending invitations,
+    *                                    or null in case of an error while contacting the database.
+    */
+    async listInvitations(issuerUsername) {
+        const invitationInfoDTO = await this.laundryDAO.listInvitations(issuerUsername);
+        return invitationInfoDTO;
+    }
+
+    /**
+    * Sends a pending invitation again with a new token, the earlier token stops working.
+    * This method issues a call to the renewInvitation method in the {LaundryDAO},
+    * and hands the new invitation token to the {Mailer}.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} invitationID The id of the invitation.
+    * @return {InvitationDTO | null} An {InvitationDTO} containing the sent invitation without its token,
+    *                                or null in case of an error while contacting the database.
+    */
+    async resendInvitation(issuerUsername, invitationID) {
+        Validators.isPositiveWholeNumber(invitationID, 'Invitation ID');
+        const invitationDTO = await this.laundryDAO.renewInvitation(issuerUsername, parseInt(invitationID));
+        return await this._sendInvitation(invitationDTO);
+    }
+
+    /**
+    * Revokes a pending invitation and removes the invited resident.
+    * This method issues a call to the revokeInvitation method in the {LaundryDAO},
+    * which either returns an {InvitationDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} invitationID The id of the invitation.
+    * @return {InvitationDTO | null} An {InvitationDTO} containing the revoked invitation,
+    *                                or null in case of an error while contacting the database.
+    */
+    async revokeInvitation(issuerUsername, invitationID) {
+        Validators.isPositiveWholeNumber(invitationID, 'Invitation ID');
+        const invitationDTO = await this.laundryDAO.revokeInvitation(issuerUsername, parseInt(invitationID));
+        return invitationDTO;
+    }
+
+    /**
+    * Creates the account of an invited resident.
+    * This method issues a call to the acceptInvitation method in the {LaundryDAO},
+    * which either returns a {UserDTO} with the result of the registration or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} token The invitation token that was sent to the resident.
+    * @param {String} username The username that the resident chose.
+    * @param {String} password The password that the resident chose, it must have a minimum length of eight
+    *                          and a maximum length of thirty two characters.
+    * @return {UserDTO | null} The registered user's UserDTO or null in case of an error
+    *                          while contacting the database.
+    */
+    async acceptInvitation(token, username, password) {
+        Validators.isToken(token, 'Token');
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isPassword(password, 'Password');
+        const userDTO = await this.laundryDAO.acceptInvitation(token, username, password);
+        return userDTO;
+    }
+
     /**
     * Lists all registered resident users.
     * This method issues a call to the listUsers method in the {LaundryDAO},
@@ -85,22 +200,484 @@ class Controller {
     }
 
     /**
-    * Deletes all information about the specified user and removes the user from the system.
-    * This method issues a call to the deleteUser method in the {LaundryDAO},
+    * Deletes all information about the specified user and removes the user from the system,
+    * or only anonymises the personal data of the user so that the booking history is kept.
+    * This method issues a call to either the deleteUser or the anonymiseUser method in the {LaundryDAO},
     * which either returns true in case of success or false in case of an error
     * while processing the operation, or null if an error occurs while contacting the database.
     *
     * @param {String} issuerUsername The username of the user that issued the request.
     *                                The user that issued the request must be an administrator.
     * @param {String} userToBeRemoved The username of the user that is to be removed from the system.
+    * @param {boolean | undefined} anonymise Whether the user is anonymised instead of deleted.
     * @return {boolean | null} The deletion operation result, true in case of success, false in case of failure
     *                          or null in case of an error while contacting the database.
     */
-    async deleteUser(issuerUsername, userToBeRemoved) {
+    async deleteUser(issuerUsername, userToBeRemoved, anonymise) {
+        if (anonymise === true) {
+            const result = await this.laundryDAO.anonymiseUser(issuerUsername, userToBeRemoved);
+            return result;
+        }
         const result = await this.laundryDAO.deleteUser(issuerUsername, userToBeRemoved);
         return result;
     }
 
+    /**
+    * Removes the anonymised users whose retention period has passed, together with their booking history.
+    * This method issues a call to the purgeAnonymisedUsers method in the {LaundryDAO},
+    * which either returns the number of purged users or null in case of an error
+    * while contacting the database.
+    *
+    * @return {int | null} The number of purged users or null in case of an error while contacting the database.
+    */
+    async purgeAnonymisedUsers() {
+        const purgedCount = await this.laundryDAO.purgeAnonymisedUsers();
+        return purgedCount;
+    }
+
+    /**
+    * Updates the person and account details of a user, including the privilege of the user.
+    * The details are validated the same way as when registering a resident.
+    * This method issues a call to the updateUser method in the {LaundryDAO},
+    * which either returns a {UserDetailsDTO} with the updated details or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {String} username The username of the user that will be updated.
+    * @param {String | undefined} firstName The new first name, left unchanged if undefined.
+    * @param {String | undefined} lastName The new last name, left unchanged if undefined.
+    * @param {String | undefined} personalNumber The new personal number, left unchanged if undefined.
+    *                                            It should follow the following format YYYYMMDD-XXXX.
+    * @param {String | undefined} email The new email address, left unchanged if undefined.
+    * @param {String | undefined} newUsername The new username, left unchanged if undefined.
+    * @param {int | undefined} privilegeID The new privilege, either administrator or standard,
+    *                                      left unchanged if undefined.
+    * @return {UserDetailsDTO | null} The user's updated UserDetailsDTO or null in case of an error
+    *                                 while contacting the database.
+    */
+    async updateUser(issuerUsername, username, firstName, lastName, personalNumber, email, newUsername, privilegeID) {
+        Validators.isAlphanumericString(username, 'Username');
+        const newPrivilegeID = Controller._optional(privilegeID);
+        if (newPrivilegeID !== null) {
+            Validators.isIntegerBetween(newPrivilegeID, 1, 2, 'Privilege ID');
+        }
+        const userDetailsDTO = new UserDetailsDTO(Controller._optional(newUsername), Controller._optional(firstName),
+            Controller._optional(lastName), Controller._optional(personalNumber), Controller._optional(email),
+            newPrivilegeID === null ? null : parseInt(newPrivilegeID), userStatusCodes.OK);
+        const updatedUserDetailsDTO = await this.laundryDAO.updateUser(issuerUsername, username, userDetailsDTO);
+        return updatedUserDetailsDTO;
+    }
+
+    /**
+    * Suspends the account of a user, the user keeps the account but can neither login nor book passes.
+    * This method issues a call to the suspendUser method in the {LaundryDAO},
+    * which either returns an {AccountStatusDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {String} username The username of the user that will be suspended.
+    * @param {String | undefined} reason The reason of the suspension, it is optional.
+    * @param {String | undefined} suspendedUntil The last date of the suspension, undefined suspends the account
+    *                                            until it is reactivated.
+    * @param {boolean | undefined} cancelBookings Whether the upcoming bookings of the user are cancelled.
+    * @return {AccountStatusDTO | null} The {AccountStatusDTO} of the suspended account together with the cancelled bookings,
+    *                                   or null in case of an error while contacting the database.
+    */
+    async suspendUser(issuerUsername, username, reason, suspendedUntil, cancelBookings) {
+        Validators.isAlphanumericString(username, 'Username');
+        const suspensionReason = Controller._optional(reason);
+        if (suspensionReason !== null) {
+            Validators.isReason(suspensionReason, 'Reason');
+        }
+        const lastDate = Controller._optional(suspendedUntil);
+        if (lastDate !== null) {
+            Validators.isDateFormat(lastDate, 'Suspended Until');
+        }
+        const accountStatusDTO = await this.laundryDAO.suspendUser(issuerUsername, username,
+            suspensionReason === null ? null : suspensionReason.trim(), lastDate, cancelBookings === true);
+        return accountStatusDTO;
+    }
+
+    /**
+    * Reactivates the suspended account of a user.
+    * This method issues a call to the reactivateUser method in the {LaundryDAO},
+    * which either returns an {AccountStatusDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {String} username The username of the user that will be reactivated.
+    * @return {AccountStatusDTO | null} The {AccountStatusDTO} of the reactivated account,
+    *                                   or null in case of an error while contacting the database.
+    */
+    async reactivateUser(issuerUsername, username) {
+        Validators.isAlphanumericString(username, 'Username');
+        const accountStatusDTO = await this.laundryDAO.reactivateUser(issuerUsername, username);
+        return accountStatusDTO;
+    }
+
+    /**
+    * Changes the password of the user that issued the request, the other sessions of the user are revoked.
+    * This method issues a call to the changePassword method in the {LaundryDAO},
+    * which either returns a {UserDTO} with the result of the change or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @param {String} currentPassword The password that the user currently uses to login.
+    * @param {String} newPassword The new password of the user, it must have a minimum length of eight
+    *                             and a maximum length of thirty two characters.
+    * @param {String | undefined} sessionID The id of the session that the request was issued in, which is kept.
+    * @return {UserDTO | null} The user's UserDTO or null in case of an error
+    *                          while contacting the database.
+    */
+    async changePassword(issuerUsername, currentPassword, newPassword, sessionID) {
+        Validators.isPassword(currentPassword, 'Current Password');
+        Validators.isPassword(newPassword, 'New Password');
+        const keptSessionID = Controller._optional(sessionID);
+        if (keptSessionID !== null) {
+            Validators.isSessionID(keptSessionID, 'Session ID');
+        }
+        const userDTO = await this.laundryDAO.changePassword(issuerUsername, currentPassword, newPassword, keptSessionID);
+        return userDTO;
+    }
+
+    /**
+    * Fetches the profile of the user that issued the request.
+    * This method issues a call to the getProfile method in the {LaundryDAO},
+    * which either returns a {ProfileDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @return {ProfileDTO | null} The user's ProfileDTO or null in case of an error
+    *                             while contacting the database.
+    */
+    async getProfile(issuerUsername) {
+        const profileDTO = await this.laundryDAO.getProfile(issuerUsername);
+        return profileDTO;
+    }
+
+    /**
+    * Updates the email address of the user that issued the request.
+    * This method issues a call to the updateProfile method in the {LaundryDAO},
+    * which either returns a {ProfileDTO} with the updated profile or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @param {String} email The new email address of the user, it must not be used by any other user.
+    * @return {ProfileDTO | null} The user's updated ProfileDTO or null in case of an error
+    *                             while contacting the database.
+    */
+    async updateProfile(issuerUsername, email) {
+        Validators.isEmailFormat(email, 'Email');
+        const profileDTO = await this.laundryDAO.updateProfile(issuerUsername, email);
+        return profileDTO;
+    }
+
+    /**
+    * Exports all the personal data that is held about a user.
+    * This method issues a call to the exportUserData method in the {LaundryDAO},
+    * which either returns a {DataExportDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @param {String | undefined} username The username of the user whose data is exported,
+    *                                      the user that issued the request must be an administrator to export
+    *                                      the data of another user. The data of the issuer is exported if undefined.
+    * @return {DataExportDTO | null} The {DataExportDTO} containing the personal data of the user,
+    *                                or null in case of an error while contacting the database.
+    */
+    async exportUserData(issuerUsername, username) {
+        const exportedUsername = Controller._optional(username);
+        if (exportedUsername !== null) {
+            Validators.isAlphanumericString(exportedUsername, 'Username');
+        }
+        const dataExportDTO = await this.laundryDAO.exportUserData(issuerUsername,
+            exportedUsername === null ? issuerUsername : exportedUsername);
+        return dataExportDTO;
+    }
+
+    /**
+    * Sends a password reset token to the email address of the user.
+    * This method issues a call to the createPasswordReset method in the {LaundryDAO},
+    * and hands the issued token to the {Mailer}.
+    *
+    * @param {String} identifier The username or the email address of the user.
+    * @return {boolean | null} true if the token was sent, false if there is no user with the given username
+    *                          or email address, or null in case of an error while contacting the database.
+    */
+    async requestPasswordReset(identifier) {
+        if (identifier.toString().includes('@')) {
+            Validators.isEmailFormat(identifier, 'Email');
+        } else {
+            Validators.isAlphanumericString(identifier, 'Username');
+        }
+        const passwordResetDTO = await this.laundryDAO.createPasswordReset(identifier);
+        if (passwordResetDTO === null) {
+            return null;
+        }
+        if (passwordResetDTO.statusCode !== userStatusCodes.OK) {
+            return false;
+        }
+        await this.mailer.sendPasswordReset(passwordResetDTO);
+        return true;
+    }
+
+    /**
+    * Sets a new password using a password reset token.
+    * This method issues a call to the resetPassword method in the {LaundryDAO},
+    * which either returns a {UserDTO} with the result of the reset or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} token The password reset token that was sent to the user.
+    * @param {String} newPassword The new password of the user, it must have a minimum length of eight
+    *                             and a maximum length of thirty two characters.
+    * @return {UserDTO | null} The user's UserDTO or null in case of an error
+    *                          while contacting the database.
+    */
+    async resetPassword(token, newPassword) {
+        Validators.isToken(token, 'Token');
+        Validators.isPassword(newPassword, 'New Password');
+        const userDTO = await this.laundryDAO.resetPassword(token, newPassword);
+        return userDTO;
+    }
+
+    /**
+    * Starts a session for a user that has logged in.
+    * This method issues a call to the createSession method in the {LaundryDAO},
+    * which either returns a {SessionDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} username The username of the user that logged in.
+    * @return {SessionDTO | null} The {SessionDTO} of the new session or null in case of an error
+    *                             while contacting the database.
+    */
+    async createSession(username) {
+        const sessionDTO = await this.laundryDAO.createSession(username);
+        return sessionDTO;
+    }
+
+    /**
+    * Looks up the session that an authentication cookie belongs to.
+    * This method issues a call to the getSession method in the {LaundryDAO},
+    * which either returns a {SessionDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} sessionID The id of the session carried by the authentication cookie.
+    * @return {SessionDTO | null} The {SessionDTO} containing the current username and privilege of the user,
+    *                             or null in case of an error while contacting the database.
+    */
+    async getSession(sessionID) {
+        Validators.isSessionID(sessionID, 'Session ID');
+        const sessionDTO = await this.laundryDAO.getSession(sessionID);
+        return sessionDTO;
+    }
+
+    /**
+    * Rotates the refresh token of a session and detects the reuse of a refresh token that was already used.
+    * This method issues a call to the refreshSession method in the {LaundryDAO},
+    * which either returns a {SessionDTO} with the new refresh token or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} refreshToken The refresh token carried by the refresh cookie.
+    * @return {SessionDTO | null} An object with the session and its new refresh token, the status code tells whether
+    *                              the session was refreshed, or null in case of an error while contacting the database.
+    */
+    async refreshSession(refreshToken) {
+        Validators.isToken(refreshToken, 'Refresh Token');
+        const sessionDTO = await this.laundryDAO.refreshSession(refreshToken);
+        return sessionDTO;
+    }
+
+    /**
+    * Revokes the session that the request was issued in, which logs the user out.
+    * This method issues a call to the revokeSession method in the {LaundryDAO}.
+    *
+    * @param {String} sessionID The id of the session to revoke.
+    * @return {boolean | null} true if the session was revoked, false if it was already revoked
+    *                          or null in case of an error while contacting the database.
+    */
+    async revokeSession(sessionID) {
+        Validators.isSessionID(sessionID, 'Session ID');
+        const result = await this.laundryDAO.revokeSession(sessionID);
+        return result;
+    }
+
+    /**
+    * Revokes all the sessions of a user, which logs the user out everywhere.
+    * This method issues a call to the revokeSessions method in the {LaundryDAO},
+    * which either returns true in case of success or false in case of an error
+    * while processing the operation, or null if an error occurs while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @param {String} username The username of the user whose sessions are revoked,
+    *                          the user that issued the request must be an administrator to revoke
+    *                          the sessions of another user.
+    * @return {boolean | null} The revocation result, true in case of success, false in case of failure
+    *                          or null in case of an error while contacting the database.
+    */
+    async revokeSessions(issuerUsername, username) {
+        Validators.isAlphanumericString(username, 'Username');
+        const result = await this.laundryDAO.revokeSessions(issuerUsername, username);
+        return result;
+    }
+
+    /**
+    * Lists the failed logins of the accounts, including the accounts that are locked out.
+    * This method issues a call to the listLockouts method in the {LaundryDAO},
+    * which either returns a {LockoutInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @return {LockoutInfoDTO | null} The {LockoutInfoDTO} containing the failed logins of each account,
+    *                                 or null in case of an error while contacting the database.
+    */
+    async listLockouts(issuerUsername) {
+        const lockoutInfoDTO = await this.laundryDAO.listLockouts(issuerUsername);
+        return lockoutInfoDTO;
+    }
+
+    /**
+    * Clears the failed logins of an account, which lifts its lockout.
+    * This method issues a call to the clearLockout method in the {LaundryDAO},
+    * which either returns a {LockoutDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    * @param {String} username The username of the account whose failed logins are cleared.
+    * @return {LockoutDTO | null} The {LockoutDTO} containing the cleared failed logins,
+    *                             or null in case of an error while contacting the database.
+    */
+    async clearLockout(issuerUsername, username) {
+        Validators.isAlphanumericString(username, 'Username');
+        const lockoutDTO = await this.laundryDAO.clearLockout(issuerUsername, username);
+        return lockoutDTO;
+    }
+
+    /**
+    * Creates a named API key that acts on behalf of a resident, such as a lobby display or a home-automation script.
+    * This method issues a call to the createApiKey method in the {LaundryDAO},
+    * which either returns an {ApiKeyDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {String} username The username of the resident that the API key acts on behalf of.
+    * @param {String} name The name that tells what the API key is used for.
+    * @param {String} scope What the API key can do, either schedule or booking.
+    * @return {ApiKeyDTO | null} An {ApiKeyDTO} containing the created API key together with the key itself,
+    *                            or null in case of an error while contacting the database.
+    */
+    async createApiKey(issuerUsername, username, name, scope) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isApiKeyName(name, 'Name');
+        Validators.isApiKeyScope(scope, 'Scope');
+        const apiKeyDTO = await this.laundryDAO.createApiKey(issuerUsername, username, name, scope);
+        return apiKeyDTO;
+    }
+
+    /**
+    * Lists all the API keys, including the revoked ones.
+    * This method issues a call to the listApiKeys method in the {LaundryDAO},
+    * which either returns an {ApiKeyInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {ApiKeyInfoDTO | null} An {ApiKeyInfoDTO} containing the API keys without the keys themselves,
+    *                                or null in case of an error while contacting the database.
+    */
+    async listApiKeys(issuerUsername) {
+        const apiKeyInfoDTO = await this.laundryDAO.listApiKeys(issuerUsername);
+        return apiKeyInfoDTO;
+    }
+
+    /**
+    * Revokes an API key.
+    * This method issues a call to the revokeApiKey method in the {LaundryDAO},
+    * which either returns an {ApiKeyDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} apiKeyID The id of the API key.
+    * @return {ApiKeyDTO | null} An {ApiKeyDTO} containing the revoked API key,
+    *                            or null in case of an error while contacting the database.
+    */
+    async revokeApiKey(issuerUsername, apiKeyID) {
+        Validators.isPositiveWholeNumber(apiKeyID, 'API Key ID');
+        const apiKeyDTO = await this.laundryDAO.revokeApiKey(issuerUsername, parseInt(apiKeyID));
+        return apiKeyDTO;
+    }
+
+    /**
+    * Looks up the API key that a request was sent with.
+    * This method issues a call to the useApiKey method in the {LaundryDAO},
+    * which either returns an {ApiKeyDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} key The API key that the request was sent with.
+    * @return {ApiKeyDTO | null} The {ApiKeyDTO} containing the scope of the API key and the resident it acts on behalf of,
+    *                            or null in case of an error while contacting the database.
+    */
+    async useApiKey(key) {
+        Validators.isToken(key, 'API Key');
+        const apiKeyDTO = await this.laundryDAO.useApiKey(key);
+        return apiKeyDTO;
+    }
+
+    /**
+    * Starts the enrolment of a user in two-factor authentication.
+    * This method issues a call to the enrolTwoFactor method in the {LaundryDAO},
+    * which either returns a {TwoFactorDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} username The username of the user that enrols.
+    * @return {TwoFactorDTO | null} The {TwoFactorDTO} containing the secret and the otpauth URI,
+    *                               or null in case of an error while contacting the database.
+    */
+    async enrolTwoFactor(username) {
+        Validators.isAlphanumericString(username, 'Username');
+        const twoFactorDTO = await this.laundryDAO.enrolTwoFactor(username);
+        return twoFactorDTO;
+    }
+
+    /**
+    * Enables two-factor authentication once a code from the authenticator app is confirmed.
+    * This method issues a call to the confirmTwoFactor method in the {LaundryDAO},
+    * which either returns a {TwoFactorDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} username The username of the user that enrols.
+    * @param {String} code The code shown by the authenticator app.
+    * @return {TwoFactorDTO | null} The {TwoFactorDTO} containing the recovery codes,
+    *                               or null in case of an error while contacting the database.
+    */
+    async confirmTwoFactor(username, code) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isTotpCode(code, 'Code');
+        const twoFactorDTO = await this.laundryDAO.confirmTwoFactor(username, code);
+        return twoFactorDTO;
+    }
+
+    /**
+    * Disables the two-factor authentication of a user.
+    * This method issues a call to the disableTwoFactor method in the {LaundryDAO},
+    * which either returns a {TwoFactorDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} username The username of the user that disables two-factor authentication.
+    * @param {String} password The password of the user.
+    * @return {TwoFactorDTO | null} The {TwoFactorDTO} containing the result of the operation,
+    *                               or null in case of an error while contacting the database.
+    */
+    async disableTwoFactor(username, password) {
+        Validators.isAlphanumericString(username, 'Username');
+        const twoFactorDTO = await this.laundryDAO.disableTwoFactor(username, password);
+        return twoFactorDTO;
+    }
+
 
     /**
     * Temporarily locks a specific laundry pass slot for an amount of time
@@ -113,12 +690,12 @@ class Controller {
     *                                The user that issued the request must be a 'Standard' user.
     * @param {int} roomNumber The number related to the chosen room.
     * @param {string} date The date of the laundry pass.
-    * @param {string} passRange The time frame that the pass has.
+    * @param {string} passRange The time frame that the pass has, formatted as HH:MM-HH:MM or the legacy XX-XX.
     * @return {boolean | null} true or false to give a confirmation of the locking attempt,
     *                           or null in case of an error while contacting the database.
     */
     async lockPass(issuerUsername, roomNumber, date, passRange) {
-        const result = await this.laundryDAO.lockPass(issuerUsername, roomNumber, date, passRange);
+        const result = await this.laundryDAO.lockPass(issuerUsername, roomNumber, date, PassRange.normalize(passRange));
         return result;
     }
 
@@ -149,12 +726,12 @@ class Controller {
     *                                The user that issued the request must be a 'Standard' user.
     * @param {int} roomNumber The number related to the chosen room.
     * @param {string} date The date of the laundry pass.
-    * @param {string} passRange The time frame that the pass has.
+    * @param {string} passRange The time frame that the pass has, formatted as HH:MM-HH:MM or the legacy XX-XX.
     * @return {BookingDTO | null} The booking attempt result {BookingDTO},
     *                              or null in case of an error while contacting the database.
     */
     async bookPass(issuerUsername, roomNumber, date, passRange) {
-        const bookingDTO = await this.laundryDAO.bookPass(issuerUsername, roomNumber, date, passRange);
+        const bookingDTO = await this.laundryDAO.bookPass(issuerUsername, roomNumber, date, PassRange.normalize(passRange));
         return bookingDTO;
     }
 
@@ -174,6 +751,21 @@ class Controller {
         return bookingDTO;
     }
 
+    /**
+    * Fetches the bookings of the user that were cancelled due to closures, together with the reason of each cancellation.
+    * Each cancellation is only returned once.
+    * This method issues a call to the getCancellations method in the {LaundryDAO},
+    * which either returns a {CancellationInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} username The username of the user that issued the request.
+    * @return {CancellationInfoDTO | null} A {CancellationInfoDTO} containing the cancelled bookings,
+    *                                      or null in case of an error while contacting the database.
+    */
+    async getCancellations(username) {
+        const cancellationInfoDTO = await this.laundryDAO.getCancellations(username);
+        return cancellationInfoDTO;
+    }
 
     /**
     * Cancels an active laundry pass.
@@ -185,56 +777,435 @@ class Controller {
     *                                The user that issued the request must be an authenticated user.
     * @param {int} roomNumber The laundry room number.
     * @param {string} date The date that the active laundry pass is booked on.
-    * @param {string} passRange The time frame that the pass has.
+    * @param {string} passRange The time frame that the pass has, formatted as HH:MM-HH:MM or the legacy XX-XX.
     * @return {boolean | null} true or false to indicate whether the pass was cancelled or not,
     *                           or null in case of an error while contacting the database.
     */
     async cancelBookedPass(issuerUsername, roomNumber, date, passRange) {
-        const cancellationResult = await this.laundryDAO.cancelBookedPass(issuerUsername, roomNumber, date, passRange);
+        const cancellationResult = await this.laundryDAO.cancelBookedPass(issuerUsername, roomNumber, date, PassRange.normalize(passRange));
         return cancellationResult;
     }
 
     /**
-    * Fetches the laundry passes' schedule for the specified week.
-    * Residents are allowed to see the bookings of one week before and after the current one.
+    * Fetches the laundry passes' schedule for the specified ISO week.
+    * Residents are allowed to see the bookings of one week before the current one,
+    * and of the following weeks up to the last week that is open for booking, at least the next week.
+    * The week is selected by a date within it, otherwise by its ISO year and week number,
+    * otherwise relative to the current week.
     * This method issues a call to the getResidentPasses method in the {LaundryDAO},
     * Returns a {PassScheduleDTO} that contains information about the bookings for the specified week,
     * or null in case of an error while contacting the database.
     *
     * @param {String} issuerUsername The username of the user that issued the request.
     *                                The user that issued the request must be an authenticated user.
-    * @param {int} week The requested week to get the laundry passes' schedule for.
-    *                   Accepted values are -1, 0 and 1 for previous, current and next week respectively.
+    * @param {int} week The requested week relative to the current week, e.g. -1 is the previous week.
+    * @param {int} isoYear The ISO year of the requested week, given together with isoWeek.
+    * @param {int} isoWeek The number of the requested week within the ISO year.
+    * @param {String} startDate A date within the requested week.
     * @return {PassScheduleDTO | null} A {PassScheduleDTO} containing the bookings for the specified week,
     *                                   or null in case of an error while contacting the database.
     */
-    async getResidentPasses(issuerUsername, week) {
-        const currentWeekNumber = await this.laundryDAO.getWeekNumber();
-        const requestedWeekNumber = currentWeekNumber + parseInt(week);
-        const passScheduleDTO = await this.laundryDAO.getResidentPasses(issuerUsername, requestedWeekNumber);
+    async getResidentPasses(issuerUsername, week, isoYear, isoWeek, startDate) {
+        const weekStartDate = await this._getWeekStartDate(week, isoYear, isoWeek, startDate);
+        const passScheduleDTO = await this.laundryDAO.getResidentPasses(issuerUsername, weekStartDate);
         return passScheduleDTO;
     }
 
 
     /**
-    * Fetches the passes' schedule for the specified week including the usernames related to the bookings.
+    * Fetches the passes' schedule for the specified ISO week including the usernames related to the bookings.
+    * The week is selected by a date within it, otherwise by its ISO year and week number,
+    * otherwise relative to the current week.
     * This method issues a call to the getPasses method in the {LaundryDAO},
     * Returns a {PassScheduleDTO} that contains information about the bookings for the specified week,
     * or null in case of an error while contacting the database.
     *
     * @param {String} issuerUsername The username of the user that issued the request.
     *                                The user that issued the request must be an administrator.
-    * @param {int} week The requested week to get the laundry passes' schedule for.
-    *                   This parameter is relative to the current week, e.g. -2 is two weeks before the current week.
+    * @param {int} week The requested week relative to the current week, e.g. -2 is two weeks before the current week.
+    * @param {int} isoYear The ISO year of the requested week, given together with isoWeek.
+    * @param {int} isoWeek The number of the requested week within the ISO year.
+    * @param {String} startDate A date within the requested week.
     * @return {PassScheduleDTO | null} A {PassScheduleDTO} containing the bookings for the specified week,
     *                                   or null in case of an error while contacting the database.
     */
-    async getPasses(issuerUsername, week) {
-        const currentWeekNumber = await this.laundryDAO.getWeekNumber();
-        const requestedWeekNumber = currentWeekNumber + parseInt(week);
-        const passScheduleDTO = await this.laundryDAO.getPasses(issuerUsername, requestedWeekNumber);
+    async getPasses(issuerUsername, week, isoYear, isoWeek, startDate) {
+        const weekStartDate = await this._getWeekStartDate(week, isoYear, isoWeek, startDate);
+        const passScheduleDTO = await this.laundryDAO.getPasses(issuerUsername, weekStartDate);
         return passScheduleDTO;
     }
+
+    /**
+    * Fetches the laundry passes' schedule for the days from and to the given dates.
+    * Administrators may fetch any period of at most 31 days, residents only days within the weeks
+    * that they are allowed to see in the week schedule.
+    * This method issues a call to the getSchedule method in the {LaundryDAO},
+    * Returns a {PeriodScheduleDTO} that contains information about the bookings for the period,
+    * or null in case of an error while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an authenticated user.
+    * @param {String} fromDate The first date of the period.
+    * @param {String} toDate The last date of the period.
+    * @param {[int] | null} roomNumbers The rooms to include in the schedule, null includes every room.
+    * @return {PeriodScheduleDTO | null} A {PeriodScheduleDTO} containing the bookings for the period,
+    *                                     or null in case of an error while contacting the database.
+    */
+    async getSchedule(issuerUsername, fromDate, toDate, roomNumbers) {
+        Validators.isDateFormat(fromDate, 'From Date');
+        Validators.isDateFormat(toDate, 'To Date');
+        Validators.isDateNotBefore(toDate, fromDate, 'From Date', 'To Date');
+        let scheduleRooms = null;
+        if (roomNumbers !== undefined && roomNumbers !== null) {
+            roomNumbers.forEach((roomNumber) => Validators.isPositiveWholeNumber(roomNumber, 'Room Number'));
+            scheduleRooms = roomNumbers.map((roomNumber) => parseInt(roomNumber));
+        }
+        const periodScheduleDTO = await this.laundryDAO.getSchedule(issuerUsername, fromDate, toDate, scheduleRooms);
+        return periodScheduleDTO;
+    }
+
+    /**
+    * Fetches the booking rules that are applied when locking and booking laundry passes.
+    * This method issues a call to the getBookingRules method in the {LaundryDAO},
+    * Returns a {BookingRulesDTO} that contains the current booking rules,
+    * or null in case of an error while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {BookingRulesDTO | null} A {BookingRulesDTO} containing the booking rules,
+    *                                   or null in case of an error while contacting the database.
+    */
+    async getBookingRules(issuerUsername) {
+        const bookingRulesDTO = await this.laundryDAO.getBookingRules(issuerUsername);
+        return bookingRulesDTO;
+    }
+
+    /**
+    * Replaces the booking rules, the new rules take effect immediately.
+    * This method issues a call to the updateBookingRules method in the {LaundryDAO},
+    * Returns a {BookingRulesDTO} that contains the updated booking rules,
+    * or null in case of an error while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} activePassesAllowed The number of upcoming passes that a user is allowed to have at the same time.
+    * @param {int} totalMonthPassesAllowed The number of passes that a user is allowed to book in a month,
+    *                                      must not be smaller than activePassesAllowed.
+    * @param {int} lockDuration The time in minutes that a pass stays locked while the user confirms the booking.
+    * @return {BookingRulesDTO | null} A {BookingRulesDTO} containing the updated booking rules,
+    *                                   or null in case of an error while contacting the database.
+    */
+    async updateBookingRules(issuerUsername, activePassesAllowed, totalMonthPassesAllowed, lockDuration) {
+        Validators.isPositiveWholeNumber(activePassesAllowed, 'Active Passes Allowed');
+        Validators.isPositiveWholeNumber(totalMonthPassesAllowed, 'Total Month Passes Allowed');
+        Validators.isPositiveWholeNumber(lockDuration, 'Lock Duration');
+        Validators.isNotSmallerThan(totalMonthPassesAllowed, activePassesAllowed, 'Active Passes Allowed', 'Total Month Passes Allowed');
+        const newBookingRulesDTO = new BookingRulesDTO(parseInt(activePassesAllowed), parseInt(totalMonthPassesAllowed),
+            parseInt(lockDuration), ruleStatusCodes.OK);
+        const bookingRulesDTO = await this.laundryDAO.updateBookingRules(issuerUsername, newBookingRulesDTO);
+        return bookingRulesDTO;
+    }
+
+    /**
+    * Fetches the booking horizon that decides how far ahead passes can be locked and booked.
+    * This method issues a call to the getBookingHorizon method in the {LaundryDAO},
+    * Returns a {BookingHorizonDTO} that contains the current booking horizon,
+    * or null in case of an error while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {BookingHorizonDTO | null} A {BookingHorizonDTO} containing the booking horizon,
+    *                                     or null in case of an error while contacting the database.
+    */
+    async getBookingHorizon(issuerUsername) {
+        const bookingHorizonDTO = await this.laundryDAO.getBookingHorizon(issuerUsername);
+        return bookingHorizonDTO;
+    }
+
+    /**
+    * Replaces the booking horizon, the new horizon takes effect immediately.
+    * This method issues a call to the updateBookingHorizon method in the {LaundryDAO},
+    * Returns a {BookingHorizonDTO} that contains the updated booking horizon,
+    * or null in case of an error while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {String} unit Either day, a date opens the given number of days before it,
+    *                      or week, a date opens the given number of calendar weeks before the Monday of its week.
+    * @param {int} length The number of days or weeks.
+    * @param {String | null} releaseTime The time formatted as HH:MM when a date opens, null means midnight.
+    * @return {BookingHorizonDTO | null} A {BookingHorizonDTO} containing the updated booking horizon,
+    *                                     or null in case of an error while contacting the database.
+    */
+    async updateBookingHorizon(issuerUsername, unit, length, releaseTime) {
+        Validators.isHorizonUnit(unit, 'Unit');
+        Validators.isIntegerBetween(length, 0, 365, 'Length');
+        const newReleaseTime = releaseTime === undefined || releaseTime === null ? null : releaseTime;
+        if (newReleaseTime !== null) {
+            Validators.isReleaseTime(newReleaseTime, 'Release Time');
+        }
+        const newBookingHorizonDTO = new BookingHorizonDTO(unit, parseInt(length), newReleaseTime, ruleStatusCodes.OK);
+        const bookingHorizonDTO = await this.laundryDAO.updateBookingHorizon(issuerUsername, newBookingHorizonDTO);
+        return bookingHorizonDTO;
+    }
+
+    /**
+    * Lists all the laundry rooms with their pass slots, including the retired rooms.
+    * This method issues a call to the listRooms method in the {LaundryDAO},
+    * which either returns a {RoomInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {RoomInfoDTO | null} A {RoomInfoDTO} containing all the rooms or null in case of an error
+    *                              while contacting the database.
+    */
+    async listRooms(issuerUsername) {
+        const roomInfoDTO = await this.laundryDAO.listRooms(issuerUsername);
+        return roomInfoDTO;
+    }
+
+    /**
+    * Adds a new laundry room without any pass slots.
+    * This method issues a call to the addRoom method in the {LaundryDAO},
+    * which either returns a {RoomDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} roomNumber The number of the new room.
+    * @param {String} name The display name of the new room.
+    * @return {RoomDTO | null} A {RoomDTO} containing the new room or null in case of an error
+    *                          while contacting the database.
+    */
+    async addRoom(issuerUsername, roomNumber, name) {
+        Validators.isPositiveWholeNumber(roomNumber, 'Room Number');
+        Validators.isRoomName(name, 'Room Name');
+        const roomDTO = await this.laundryDAO.addRoom(issuerUsername, parseInt(roomNumber), name);
+        return roomDTO;
+    }
+
+    /**
+    * Changes the display name of a laundry room.
+    * This method issues a call to the renameRoom method in the {LaundryDAO},
+    * which either returns a {RoomDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} roomNumber The number of the room.
+    * @param {String} name The new display name of the room.
+    * @return {RoomDTO | null} A {RoomDTO} containing the renamed room or null in case of an error
+    *                          while contacting the database.
+    */
+    async renameRoom(issuerUsername, roomNumber, name) {
+        Validators.isPositiveWholeNumber(roomNumber, 'Room Number');
+        Validators.isRoomName(name, 'Room Name');
+        const roomDTO = await this.laundryDAO.renameRoom(issuerUsername, parseInt(roomNumber), name);
+        return roomDTO;
+    }
+
+    /**
+    * Takes a laundry room out of service, rooms with upcoming bookings can not be retired.
+    * This method issues a call to the retireRoom method in the {LaundryDAO},
+    * which either returns a {RoomDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} roomNumber The number of the room.
+    * @return {RoomDTO | null} A {RoomDTO} containing the retired room or the upcoming bookings that prevent
+    *                          the room from being retired, or null in case of an error while contacting the database.
+    */
+    async retireRoom(issuerUsername, roomNumber) {
+        Validators.isPositiveWholeNumber(roomNumber, 'Room Number');
+        const roomDTO = await this.laundryDAO.retireRoom(issuerUsername, parseInt(roomNumber));
+        return roomDTO;
+    }
+
+    /**
+    * Defines the pass slots of a laundry room, slots with upcoming bookings can not be removed.
+    * This method issues a call to the setRoomSlots method in the {LaundryDAO},
+    * which either returns a {RoomDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} roomNumber The number of the room.
+    * @param {[string]} passRanges The time frames of all the slots that the room should have.
+    * @return {RoomDTO | null} A {RoomDTO} containing the updated room or the upcoming bookings that prevent
+    *                          the slots from being removed, or null in case of an error while contacting the database.
+    */
+    async setRoomSlots(issuerUsername, roomNumber, passRanges) {
+        Validators.isPositiveWholeNumber(roomNumber, 'Room Number');
+        passRanges.forEach((passRange) => Validators.isPassRange(passRange, 'Pass Range'));
+        const normalizedRanges = passRanges.map((passRange) => PassRange.normalize(passRange));
+        const roomDTO = await this.laundryDAO.setRoomSlots(issuerUsername, parseInt(roomNumber), [...new Set(normalizedRanges)]);
+        return roomDTO;
+    }
+
+    /**
+    * Lists the slot templates of all the laundry rooms.
+    * This method issues a call to the listSlotTemplates method in the {LaundryDAO},
+    * which either returns a {SlotTemplateInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {SlotTemplateInfoDTO | null} A {SlotTemplateInfoDTO} containing all the slot templates or null
+    *                                      in case of an error while contacting the database.
+    */
+    async listSlotTemplates(issuerUsername) {
+        const slotTemplateInfoDTO = await this.laundryDAO.listSlotTemplates(issuerUsername);
+        return slotTemplateInfoDTO;
+    }
+
+    /**
+    * Adds a slot template that selects which of the room slots are offered on the matching dates.
+    * This method issues a call to the addSlotTemplate method in the {LaundryDAO},
+    * which either returns a {SlotTemplateDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} roomNumber The number of the room that the template applies to.
+    * @param {[int]} weekdays The weekdays that the template applies to, 1 is Monday and 7 is Sunday.
+    *                         An empty list means every day of the week.
+    * @param {String | null} startDate The first date that the template applies to, null means no date limit.
+    * @param {String | null} endDate The last date that the template applies to, null means no date limit.
+    * @param {[string]} passRanges The time frames of the room slots that are offered on the matching dates.
+    * @return {SlotTemplateDTO | null} A {SlotTemplateDTO} containing the new template or the upcoming bookings that prevent
+    *                                  the template from being added, or null in case of an error while contacting the database.
+    */
+    async addSlotTemplate(issuerUsername, roomNumber, weekdays, startDate, endDate, passRanges) {
+        Validators.isPositiveWholeNumber(roomNumber, 'Room Number');
+        Validators.isWeekdayList(weekdays, 'Weekdays');
+        const hasDateRange = (startDate !== undefined && startDate !== null) || (endDate !== undefined && endDate !== null);
+        if (hasDateRange) {
+            Validators.isDateFormat(startDate, 'Start Date');
+            Validators.isDateFormat(endDate, 'End Date');
+            Validators.isDateNotBefore(endDate, startDate, 'Start Date', 'End Date');
+        }
+        passRanges.forEach((passRange) => Validators.isPassRange(passRange, 'Pass Range'));
+        const sortedWeekdays = weekdays.map((weekday) => parseInt(weekday)).sort((first, second) => first - second);
+        const newSlotTemplateDTO = new SlotTemplateDTO(emptyParamEnum.TemplateID, parseInt(roomNumber), sortedWeekdays,
+            hasDateRange ? startDate : null, hasDateRange ? endDate : null, [...new Set(passRanges.map((passRange) => PassRange.normalize(passRange)))],
+            emptyParamEnum.Bookings, templateStatusCodes.OK);
+        const slotTemplateDTO = await this.laundryDAO.addSlotTemplate(issuerUsername, newSlotTemplateDTO);
+        return slotTemplateDTO;
+    }
+
+    /**
+    * Removes a slot template, the matching dates are offered the slots of the next most specific template instead.
+    * This method issues a call to the removeSlotTemplate method in the {LaundryDAO},
+    * which either returns a {SlotTemplateDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} templateID The id of the slot template.
+    * @return {SlotTemplateDTO | null} A {SlotTemplateDTO} containing the removed template or the upcoming bookings that prevent
+    *                                  the template from being removed, or null in case of an error while contacting the database.
+    */
+    async removeSlotTemplate(issuerUsername, templateID) {
+        Validators.isPositiveWholeNumber(templateID, 'Template ID');
+        const slotTemplateDTO = await this.laundryDAO.removeSlotTemplate(issuerUsername, parseInt(templateID));
+        return slotTemplateDTO;
+    }
+
+    /**
+    * Lists the closures of all the laundry rooms.
+    * This method issues a call to the listClosures method in the {LaundryDAO},
+    * which either returns a {ClosureInfoDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @return {ClosureInfoDTO | null} A {ClosureInfoDTO} containing all the closures or null
+    *                                 in case of an error while contacting the database.
+    */
+    async listClosures(issuerUsername) {
+        const closureInfoDTO = await this.laundryDAO.listClosures(issuerUsername);
+        return closureInfoDTO;
+    }
+
+    /**
+    * Closes a laundry room or one of its slots during a date range,
+    * upcoming bookings in the closed slots are cancelled.
+    * This method issues a call to the addClosure method in the {LaundryDAO},
+    * which either returns a {ClosureDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} roomNumber The number of the room to close.
+    * @param {String | null} passRange The time frame of the slot to close, null closes all the slots of the room.
+    * @param {String} startDate The first date of the closure.
+    * @param {String} endDate The last date of the closure.
+    * @param {String} reason The reason of the closure that is given to the residents.
+    * @return {ClosureDTO | null} A {ClosureDTO} containing the new closure and the cancelled bookings,
+    *                             or null in case of an error while contacting the database.
+    */
+    async addClosure(issuerUsername, roomNumber, passRange, startDate, endDate, reason) {
+        Validators.isPositiveWholeNumber(roomNumber, 'Room Number');
+        const closedPassRange = passRange === undefined || passRange === null ? null : PassRange.normalize(passRange);
+        if (closedPassRange !== null) {
+            Validators.isPassRange(closedPassRange, 'Pass Range');
+        }
+        Validators.isDateFormat(startDate, 'Start Date');
+        Validators.isDateFormat(endDate, 'End Date');
+        Validators.isDateNotBefore(endDate, startDate, 'Start Date', 'End Date');
+        Validators.isReason(reason, 'Reason');
+        const newClosureDTO = new ClosureDTO(emptyParamEnum.ClosureID, parseInt(roomNumber), closedPassRange,
+            startDate, endDate, reason.trim(), emptyParamEnum.Bookings, closureStatusCodes.OK);
+        const closureDTO = await this.laundryDAO.addClosure(issuerUsername, newClosureDTO);
+        return closureDTO;
+    }
+
+    /**
+    * Removes a closure, the closed slots become available again.
+    * This method issues a call to the removeClosure method in the {LaundryDAO},
+    * which either returns a {ClosureDTO} or null in case of an error
+    * while contacting the database.
+    *
+    * @param {String} issuerUsername The username of the user that issued the request.
+    *                                The user that issued the request must be an administrator.
+    * @param {int} closureID The id of the closure.
+    * @return {ClosureDTO | null} A {ClosureDTO} containing the removed closure,
+    *                             or null in case of an error while contacting the database.
+    */
+    async removeClosure(issuerUsername, closureID) {
+        Validators.isPositiveWholeNumber(closureID, 'Closure ID');
+        const closureDTO = await this.laundryDAO.removeClosure(issuerUsername, parseInt(closureID));
+        return closureDTO;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getWeekStartDate(week, isoYear, isoWeek, startDate) {
+        if (startDate !== undefined && startDate !== null) {
+            Validators.isDateFormat(startDate, 'Start Date');
+        } else if (isoYear !== undefined && isoYear !== null || isoWeek !== undefined && isoWeek !== null) {
+            Validators.isIsoWeek(isoYear, isoWeek, 'ISO Week');
+        }
+
+        return await this.laundryDAO.getWeekStartDate(week, isoYear, isoWeek, startDate);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _optional(value) {
+        return value === undefined ? null : value;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _sendInvitation(invitationDTO) {
+        if (invitationDTO === null || invitationDTO.statusCode !== invitationStatusCodes.OK) {
+            return invitationDTO;
+        }
+        await this.mailer.sendInvitation(invitationDTO);
+        // The token is only sent to the resident, the administrator must not be able to accept the invitation.
+        return new InvitationDTO(invitationDTO.invitationID, invitationDTO.firstName, invitationDTO.lastName,
+            invitationDTO.personalNumber, invitationDTO.email, invitationDTO.expiresAt, null, invitationDTO.statusCode);
+    }
 }
 
 module.exports = Controller;
@@ -0,0 +1,200 @@
+'use strict';
+
+const {Pool} = require('pg');
+const BuildingClock = require('../util/BuildingClock');
+
+let sharedPool = null;
+
+/**
+ * Manages a pool of database connections.
+ * Broken connections are discarded by the pool and replaced on demand, which allows the application
+ * to recover on its own after the database has been restarted.
+ * Every transaction is executed on its own dedicated connection that is checked out from the pool.
+ * The connections use the timezone of the building, CURRENT_DATE therefore agrees with the {BuildingClock}.
+ * The database handlers of a process share a single pool, see {@link ConnectionPool.shared}.
+ */
+class ConnectionPool {
+    /**
+     * Create an instance of the connection pool using the database credentials and the pool settings
+     * specified in the environment variables.
+     * @param {Logger} logger The logger used to log connection errors.
+     */
+    constructor(logger) {
+        this.logger = logger;
+        this.connectionRetries = ConnectionPool._readIntegerSetting(process.env.DB_CONNECTION_RETRIES, 5);
+        this.retryDelay = ConnectionPool._readIntegerSetting(process.env.DB_RETRY_DELAY, 1000); // Milliseconds
+        this.serializationRetries = 5;
+
+        this.pool = new Pool({
+            user: process.env.DB_USER,
+            host: process.env.DB_HOST,
+            database: process.env.DB_NAME,
+            password: process.env.DB_PASS,
+            port: process.env.DB_PORT,
+            max: ConnectionPool._readIntegerSetting(process.env.DB_POOL_MAX, 10),
+            idleTimeoutMillis: ConnectionPool._readIntegerSetting(process.env.DB_POOL_IDLE_TIMEOUT, 30000),
+            connectionTimeoutMillis: 5000,
+            statement_timeout: 4000,
+            query_timeout: 4000,
+            options: `-c timezone=${BuildingClock.TIMEZONE}`,
+            ssl: {rejectUnauthorized: false},
+        });
+
+        this.pool.on('error', (err) => {
+            // Idle connections that fail are removed from the pool automatically,
+            // a new connection is created the next time one is needed.
+            this.logger.logException(err);
+        });
+    }
+
+    /**
+     * Gets the connection pool shared by every database handler of the process, which is created the first time
+     * it is needed. Sharing it keeps the number of connections to the database within the configured pool size.
+     * @param {Logger} logger The logger used to log connection errors when the pool is created.
+     * @return {ConnectionPool} The shared connection pool.
+     */
+    static shared(logger) {
+        if (sharedPool === null) {
+            sharedPool = new ConnectionPool(logger);
+        }
+        return sharedPool;
+    }
+
+    /**
+     * The isolation level used by transactions unless another level is requested.
+     */
+    static get READ_COMMITTED() {
+        return 'READ COMMITTED';
+    }
+
+    /**
+     * The isolation level for transactions that check data before modifying it,
+     * concurrent transactions that conflict with each other are retried.
+     */
+    static get SERIALIZABLE() {
+        return 'SERIALIZABLE';
+    }
+
+    /**
+     * Verifies that the database is reachable by checking out a connection from the pool.
+     * Failed attempts are retried according to the configured retry count and delay.
+     */
+    async connect() {
+        const connection = await this._acquireConnection();
+        connection.release();
+    }
+
+    /**
+     * Executes a single query on any available connection from the pool.
+     * @param {string | {text, values}} query The query to be executed.
+     * @return {Result} The result of the query.
+     */
+    async query(query) {
+        const connection = await this._acquireConnection();
+        try {
+            const results = await connection.query(query);
+            connection.release();
+            return results;
+        } catch (err) {
+            connection.release(ConnectionPool._isConnectionError(err) ? err : undefined);
+            throw err;
+        }
+    }
+
+    /**
+     * Executes the callback inside a transaction on a dedicated connection.
+     * The transaction is committed if the callback finishes successfully, otherwise it is rolled back.
+     * Transactions that fail due to a serialization failure or a deadlock are executed again,
+     * the callback must therefore not have side effects outside of the database.
+     * @param {function(PoolClient): Promise<any>} callback The function that executes the queries of the transaction
+     *                                                      using the connection that it receives.
+     * @param {string} isolationLevel The isolation level of the transaction, READ_COMMITTED or SERIALIZABLE.
+     * @return {any} The value returned by the callback.
+     */
+    async transaction(callback, isolationLevel = ConnectionPool.READ_COMMITTED) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._executeTransaction(callback, isolationLevel);
+            } catch (err) {
+                if (attempt >= this.serializationRetries || !ConnectionPool._isSerializationError(err)) {
+                    throw err;
+                }
+            }
+        }
+    }
+
+    /**
+     * Closes all the connections in the pool. Closing the shared pool lets the next handler create a new one.
+     */
+    async end() {
+        if (sharedPool === this) {
+            sharedPool = null;
+        }
+        await this.pool.end();
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _executeTransaction(callback, isolationLevel) {
+        const connection = await this._acquireConnection();
+        let releaseError;
+
+        try {
+            await connection.query(`BEGIN ISOLATION LEVEL ${isolationLevel}`);
+            const retValue = await callback(connection);
+            await connection.query('COMMIT');
+
+            return retValue;
+        } catch (mainErr) {
+            try {
+                await connection.query('ROLLBACK');
+            } catch (err) {
+                // The connection is unusable, it must not be returned to the pool.
+                releaseError = err;
+                this.logger.logException(err);
+            }
+
+            throw mainErr;
+        } finally {
+            connection.release(releaseError);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _acquireConnection() {
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.connectionRetries; attempt++) {
+            try {
+                return await this.pool.connect();
+            } catch (err) {
+                lastError = err;
+                this.logger.logException(err);
+
+                if (attempt < this.connectionRetries) {
+                    await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+                }
+            }
+        }
+
+        throw new Error('The connection to the database is down.', {cause: lastError});
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _isConnectionError(err) {
+        return err.code === undefined || err.code.startsWith('08') || err.code.startsWith('57P');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _isSerializationError(err) {
+        // serialization_failure and deadlock_detected
+        return err.code === '40001' || err.code === '40P01';
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _readIntegerSetting(value, defaultValue) {
+        const parsedValue = parseInt(value, 10);
+        return isNaN(parsedValue) ? defaultValue : parsedValue;
+    }
+}
+
+module.exports = ConnectionPool;
@@ -1,23 +1,59 @@
 'use strict';
 
-const {Client, types} = require('pg');
+const {types} = require('pg');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const dayjs = require('dayjs');
-const weekOfYear = require('dayjs/plugin/weekOfYear');
 const Logger = require('../util/Logger');
+const Totp = require('../util/Totp');
 const UserDTO = require('../model/UserDTO');
 const UserInfoDTO = require('../model/UserInfoDTO');
+const ProfileDTO = require('../model/ProfileDTO');
+const UserDetailsDTO = require('../model/UserDetailsDTO');
+const DataExportDTO = require('../model/DataExportDTO');
+const SessionDTO = require('../model/SessionDTO');
+const AccountStatusDTO = require('../model/AccountStatusDTO');
+const PasswordResetDTO = require('../model/PasswordResetDTO');
+const InvitationDTO = require('../model/InvitationDTO');
+const InvitationInfoDTO = require('../model/InvitationInfoDTO');
+const ApiKeyDTO = require('../model/ApiKeyDTO');
+const ApiKeyInfoDTO = require('../model/ApiKeyInfoDTO');
+const TwoFactorDTO = require('../model/TwoFactorDTO');
+const LockoutDTO = require('../model/LockoutDTO');
+const LockoutInfoDTO = require('../model/LockoutInfoDTO');
 const BookingDTO = require('../model/BookingDTO');
 const PassDTO = require('../model/PassDTO');
 const PassScheduleDTO = require('../model/PassScheduleDTO');
+const PeriodScheduleDTO = require('../model/PeriodScheduleDTO');
+const BookingRulesDTO = require('../model/BookingRulesDTO');
+const BookingHorizonDTO = require('../model/BookingHorizonDTO');
+const RoomDTO = require('../model/RoomDTO');
+const RoomInfoDTO = require('../model/RoomInfoDTO');
+const SlotTemplateDTO = require('../model/SlotTemplateDTO');
+const SlotTemplateInfoDTO = require('../model/SlotTemplateInfoDTO');
+const ClosureDTO = require('../model/ClosureDTO');
+const ClosureInfoDTO = require('../model/ClosureInfoDTO');
+const CancellationInfoDTO = require('../model/CancellationInfoDTO');
 const privilegeEnum = require('../util/privilegeEnum');
 const userStatusCodes = require('../util/userStatusCodes');
 const userInfoStatusCodes = require('../util/userInfoStatusCodes');
+const invitationStatusCodes = require('../util/invitationStatusCodes');
+const apiKeyStatusCodes = require('../util/apiKeyStatusCodes');
+const twoFactorStatusCodes = require('../util/twoFactorStatusCodes');
 const bookingStatusCodes = require('../util/bookingStatusCodes');
 const scheduleStatusCodes = require('../util/scheduleStatusCodes');
+const ruleStatusCodes = require('../util/ruleStatusCodes');
+const roomStatusCodes = require('../util/roomStatusCodes');
+const templateStatusCodes = require('../util/templateStatusCodes');
+const closureStatusCodes = require('../util/closureStatusCodes');
 const slotStatusEnum = require('../util/slotStatusEnum');
+const horizonUnitEnum = require('../util/horizonUnitEnum');
+const accountStatusEnum = require('../util/accountStatusEnum');
 const emptyParamEnum = require('../util/emptyParamEnum');
+const PassRange = require('../util/PassRange');
+const BuildingClock = require('../util/BuildingClock');
 const PersonInfo = require('./PersonInfo');
+const ConnectionPool = require('./ConnectionPool');
 
 /**
  * Responsible for all the operation that has anything with the database management.
@@ -27,46 +63,35 @@ class LaundryDAO {
     /**
      * Create an instance of the database handler class that has the required credentials for database connectivity.
      * It includes other components to disable node-postgres date auto parsing process.
+     * @param {BuildingClock} clock The clock used for all the date and time computations.
      */
-    constructor() {
+    constructor(clock = new BuildingClock()) {
         const dateObjectId = 1082;
         const defaultRawParser = (value) => value;
         types.setTypeParser(dateObjectId, defaultRawParser);
 
-        this.client = new Client({
-            user: process.env.DB_USER,
-            host: process.env.DB_HOST,
-            database: process.env.DB_NAME,
-            password: process.env.DB_PASS,
-            port: process.env.DB_PORT,
-            connectionTimeoutMillis: 5000,
-            statement_timeout: 4000,
-            query_timeout: 4000,
-            ssl: {rejectUnauthorized: false},
-        });
-
         this.logger = new Logger('LaundryDatabaseHandler');
-        dayjs.extend(weekOfYear);
-
-        this.activePassesAllowed = 1;
-        this.totalMonthPassesAllowed = 6;
-        this.lockDuration = 5; // Minutes
+        this.connectionPool = ConnectionPool.shared(this.logger);
+        this.clock = clock;
+        this.passwordResetExpiry = parseInt(process.env.PASSWORD_RESET_EXPIRY, 10) || 60; // Minutes
+        this.invitationExpiry = parseInt(process.env.INVITATION_EXPIRY, 10) || 7; // Days
+        this.anonymisedRetention = parseInt(process.env.ANONYMISED_RETENTION, 10) || 365; // Days
+        this.adminTwoFactorRequired = process.env.ADMIN_TWO_FACTOR_REQUIRED === 'true';
+        this.sessionExpiry = 7; // Days
+        this.refreshTokenGracePeriod = 30; // Seconds
+        this.recoveryCodeCount = 10;
+        this.freeLoginAttempts = 3;
+        this.lockoutThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+        this.lockoutDuration = parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 15; // Minutes
     }
 
     /**
-     * Get a connection to the database using the set credentials.
-     * It includes an event to catch any unexpected errors.
+     * Verify that the database can be reached using the set credentials.
+     * Connections are handed out by the connection pool, which replaces broken connections on its own.
      */
     async establishConnection() {
         try {
-            this.client.on('error', (err) => {
-                this.client._connecting = true;
-                this.client._connected = false;
-                this.client._connectionError = true;
-                this.logger.logException(err);
-            });
-
-            await this.client.connect();
+            await this.connectionPool.connect();
         } catch (err) {
             this.logger.logException(err);
         }
@@ -74,39 +99,58 @@ class LaundryDAO {
 
     /**
      * Try to login the user to their account if they exist or have the right info.
+     * Users that have enabled two-factor authentication also have to give a code from their authenticator app
+     * or one of their recovery codes, which can only be used once.
+     * Failed logins are counted per account, after a few of them further attempts are refused for a delay that doubles
+     * with every failure, until the account is locked out. Attempts are refused without checking the password meanwhile,
+     * and fail like a wrong password so that they tell neither whether the username exists nor whether the password is right.
+     * The count starts over with the first failure after a lockout has expired.
      * @param {string} username The username that is used by user to login into their account.
      * @param {string} password The password that is used by user to login into their account.
+     * @param {string | null} twoFactorCode The two-factor authentication code, null if none was given.
      * @return {UserDTO | null} An object that has the info about the login results.
      *                           null indicates that something went wrong and it gets logged.
      */
-    async loginUser(username, password) {
+    async loginUser(username, password, twoFactorCode) {
         const checkLoginQuery = {
-            text: `SELECT    account.username, account.password, person.privilege_id
+            text: `SELECT    account.id, account.username, account.password, person.privilege_id,
+            account.status, account.suspended_until, account.totp_secret, account.totp_enabled_at, account.locked_until
             FROM        account
             INNER JOIN person ON (person.id = account.person_id)
-            WHERE    account.username = $1`,
+            WHERE    account.username = $1 AND
+                     account.anonymised_at IS NULL`,
             values: [username],
         };
 
         try {
-            await this._executeQuery('BEGIN');
-
             const results = await this._executeQuery(checkLoginQuery);
 
             let retValue;
-            if (results.rowCount <= 0) {
+            if (results.rowCount <= 0 || this._isLockedOut(results.rows[0])) {
                 retValue = new UserDTO(username, privilegeEnum.Invalid, userStatusCodes.LoginFailure);
             } else {
                 const passwordVerification = await this._verifyPasswordHash(password, results.rows[0].password);
 
                 if (!passwordVerification) {
                     retValue = new UserDTO(username, privilegeEnum.Invalid, userStatusCodes.LoginFailure);
+                } else if (this._isSuspended(results.rows[0])) {
+                    retValue = new UserDTO(results.rows[0].username, results.rows[0].privilege_id, userStatusCodes.SuspendedUser);
+                } else if (results.rows[0].totp_enabled_at !== null && twoFactorCode === null) {
+                    retValue = new UserDTO(results.rows[0].username, results.rows[0].privilege_id, userStatusCodes.TwoFactorRequired);
+                } else if (results.rows[0].totp_enabled_at !== null &&
+                    !(await this._useTwoFactorCode(results.rows[0].id, results.rows[0].totp_secret, twoFactorCode))) {
+                    retValue = new UserDTO(results.rows[0].username, results.rows[0].privilege_id, userStatusCodes.InvalidTwoFactorCode);
                 } else {
                     retValue = new UserDTO(results.rows[0].username, results.rows[0].privilege_id, userStatusCodes.OK);
                 }
-            }
 
-            await this._executeQuery('COMMIT');
+                if (retValue.statusCode === userStatusCodes.LoginFailure ||
+                    retValue.statusCode === userStatusCodes.InvalidTwoFactorCode) {
+                    await this._recordFailedLogin(results.rows[0].id);
+                } else if (retValue.statusCode === userStatusCodes.OK) {
+                    await this._clearFailedLogins(results.rows[0].id);
+                }
+            }
 
             return retValue;
         } catch (err) {
@@ -155,13 +199,6 @@ class LaundryDAO {
     async _registerNewUser(registerDTO, privilege) {
         const passwordHash = await this._generatePasswordHash(registerDTO.password);
 
-        const checkEmailQuery = {
-            text: `SELECT    person.id
-            FROM        person
-            WHERE    person.email = $1`,
-            values: [registerDTO.email],
-        };
-
         const checkUsernameQuery = {
             text: `SELECT    account.id
             FROM        account
@@ -170,18 +207,18 @@ class LaundryDAO {
         };
 
         try {
-            await this._executeQuery('BEGIN');
+            return await this._transaction(async (connection) => {
+                const emailTaken = await this._isEmailTaken(registerDTO.email, null, connection);
+                const usernameCheck = await this._executeQuery(checkUsernameQuery, connection);
 
-            const emailCheck = await this._executeQuery(checkEmailQuery);
-            const usernameCheck = await this._executeQuery(checkUsernameQuery);
+                if (emailTaken) {
+                    return new UserDTO(registerDTO.username, privilegeEnum.Invalid, userStatusCodes.ExistentEmail);
+                }
 
-            let retValue;
+                if (usernameCheck.rowCount > 0) {
+                    return new UserDTO(registerDTO.username, privilegeEnum.Invalid, userStatusCodes.ExistentUsername);
+                }
 
-            if (emailCheck.rowCount > 0) {
-                retValue = new UserDTO(registerDTO.username, privilegeEnum.Invalid, userStatusCodes.ExistentEmail);
-            } else if (usernameCheck.rowCount > 0) {
-                retValue = new UserDTO(registerDTO.username, privilegeEnum.Invalid, userStatusCodes.ExistentUsername);
-            } else {
                 const enterNewUser = {
                     text: `WITH new_user AS (
                         INSERT INTO person(firstname, lastname, personal_number, email, privilege_id)
@@ -196,64 +233,532 @@ class LaundryDAO {
                         registerDTO.email, privilege, registerDTO.username, passwordHash],
                 };
 
+                await this._executeQuery(enterNewUser, connection);
+                return new UserDTO(registerDTO.username, privilege, userStatusCodes.OK);
+            });
+        } catch (err) {
+            throw err;
+        }
+    }
 
-                await this._executeQuery(enterNewUser);
-                retValue = new UserDTO(registerDTO.username, privilege, userStatusCodes.OK);
-            }
+    // eslint-disable-next-line require-jsdoc
+    async _isEmailTaken(email, personID, connection) {
+        const checkEmailQuery = {
+            text: `SELECT    person.id
+            FROM        person
+            WHERE    person.email = $1`,
+            values: [email],
+        };
 
-            await this._executeQuery('COMMIT');
+        const results = await this._executeQuery(checkEmailQuery, connection);
+        return results.rows.some((row) => row.id !== personID);
+    }
 
-            return retValue;
+    /**
+     * Changes the password of the user, the current password has to be given to confirm the change.
+     * The other sessions of the user are revoked, the session that the change was made in is kept.
+     * @param {string} username The username of the user that changes their password.
+     * @param {string} currentPassword The password that the user currently uses to login.
+     * @param {string} newPassword The password that the user will use to login from now on.
+     * @param {string | null} sessionID The id of the session that the change was made in.
+     * @return {UserDTO | null} An object that has the info about the result of the change.
+     *                           null indicates that something went wrong and it gets logged.
+     */
+    async changePassword(username, currentPassword, newPassword, sessionID) {
+        const getPasswordQuery = {
+            text: `SELECT    account.id, account.password, person.privilege_id
+            FROM        account
+            INNER JOIN person ON (person.id = account.person_id)
+            WHERE    account.username = $1
+            FOR UPDATE OF account`,
+            values: [username],
+        };
+
+        try {
+            const passwordHash = await this._generatePasswordHash(newPassword);
+
+            return await this._transaction(async (connection) => {
+                const results = await this._executeQuery(getPasswordQuery, connection);
+
+                if (results.rowCount <= 0) {
+                    return new UserDTO(username, privilegeEnum.Invalid, userStatusCodes.InvalidUser);
+                }
+
+                const passwordVerification = await this._verifyPasswordHash(currentPassword, results.rows[0].password);
+                if (!passwordVerification) {
+                    return new UserDTO(username, results.rows[0].privilege_id, userStatusCodes.WrongPassword);
+                }
+
+                const updatePasswordQuery = {
+                    text: `UPDATE account
+                    SET password = $1
+                    WHERE id = $2`,
+                    values: [passwordHash, results.rows[0].id],
+                };
+
+                await this._executeQuery(updatePasswordQuery, connection);
+                await this._revokeSessions(results.rows[0].id, connection, sessionID);
+                return new UserDTO(username, results.rows[0].privilege_id, userStatusCodes.OK);
+            });
         } catch (err) {
-            throw err;
+            this.logger.logException(err);
+            return null;
         }
     }
 
     /**
-     * Get the list of users with their information. Note that only high privilege user can do list users.
-     * @param {string} username The username of the related user that initiated the request.
-     * @return {UserInfoDTO | null} An array of objects that hold all the information about the results.
+     * Get the personal information of the user.
+     * @param {string} username The username of the user that views their profile.
+     * @return {ProfileDTO | null} An object with the profile of the user.
      *                              null indicates that something went wrong and it gets logged.
      */
-    async listUsers(username) {
+    async getProfile(username) {
         try {
-            const personInfo = await this._getPersonInfo(username);
+            return await this._getProfile(username);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
 
-            if (personInfo === null) {
-                return new UserInfoDTO(emptyParamEnum.PersonInfo, userInfoStatusCodes.InvalidUser);
+    /**
+     * Updates the email address of the user, which has to be unused by any other person.
+     * @param {string} username The username of the user that updates their profile.
+     * @param {string} email The new email address of the user.
+     * @return {ProfileDTO | null} An object with the updated profile of the user.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async updateProfile(username, email) {
+        try {
+            return await this._transaction(async (connection) => {
+                const personInfo = await this._getPersonInfo(username, connection);
+
+                if (personInfo === null) {
+                    return new ProfileDTO(username, null, null, null, privilegeEnum.Invalid, userStatusCodes.InvalidUser);
+                }
+
+                if (await this._isEmailTaken(email, personInfo.personID, connection)) {
+                    return new ProfileDTO(username, null, null, null, personInfo.privilegeID, userStatusCodes.ExistentEmail);
+                }
+
+                const updateEmailQuery = {
+                    text: `UPDATE person
+                    SET email = $1
+                    WHERE id = $2`,
+                    values: [email, personInfo.personID],
+                };
+
+                await this._executeQuery(updateEmailQuery, connection);
+                return await this._getProfile(username, connection);
+            });
+        } catch (err) {
+            if (LaundryDAO._isUniqueViolation(err, 'person_email_key')) {
+                return new ProfileDTO(username, null, null, null, privilegeEnum.Invalid, userStatusCodes.ExistentEmail);
             }
 
-            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
-                return new UserInfoDTO(emptyParamEnum.PersonInfo, userInfoStatusCodes.InvalidPrivilege);
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Gathers all the personal data that is held about a user, meaning the person and account data,
+     * every past and upcoming booking, the passes that are being booked, the cancelled bookings
+     * and the requested password resets. The password and the tokens are never exported.
+     * Note that users can export their own data, while only high privilege user can export the data of other users.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} userToBeExported The username of the user whose data is exported.
+     * @return {DataExportDTO | null} An object with all the personal data of the user.
+     *                                 null indicates that something went wrong and it gets logged.
+     */
+    async exportUserData(username, userToBeExported) {
+        try {
+            const issuerInfo = await this._getPersonInfo(username);
+
+            if (issuerInfo === null) {
+                return LaundryDAO._emptyDataExportDTO(userStatusCodes.InvalidUser);
             }
 
-            const getUsersQuery = {
-                text: `SELECT  person.firstname, person.lastname,
-                person.personal_number, account.username
-                FROM        account
+            if (username !== userToBeExported && issuerInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyDataExportDTO(userStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const userInfo = await this._getPersonInfo(userToBeExported, connection);
+
+                if (userInfo === null) {
+                    return LaundryDAO._emptyDataExportDTO(userStatusCodes.NonExistentUser);
+                }
+
+                const getPersonQuery = {
+                    text: `SELECT    account.username, account.status, account.suspension_reason, account.suspended_until,
+                    account.totp_enabled_at, account.failed_logins, account.last_failed_login_at, account.locked_until,
+                    person.firstname, person.lastname, person.personal_number, person.email, person.privilege_id
+                    FROM        account
+                    INNER JOIN person ON (person.id = account.person_id)
+                    WHERE    account.id = $1`,
+                    values: [userInfo.accountID],
+                };
+
+                const getBookingsQuery = {
+                    text: `SELECT    pass_booking.date, pass_schedule.room, pass.range
+                    FROM    pass_booking
+                            INNER JOIN pass_schedule ON (pass_schedule.id = pass_booking.pass_schedule_id)
+                            INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+                    WHERE    pass_booking.account_id = $1
+                    ORDER BY pass_booking.date, pass.range`,
+                    values: [userInfo.accountID],
+                };
+
+                const getLocksQuery = {
+                    text: `SELECT    pass_lock.pass_date, pass_lock.lock_start, pass_schedule.room, pass.range
+                    FROM    pass_lock
+                            INNER JOIN pass_schedule ON (pass_schedule.id = pass_lock.pass_schedule_id)
+                            INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+                    WHERE    pass_lock.account_id = $1
+                    ORDER BY pass_lock.lock_start`,
+                    values: [userInfo.accountID],
+                };
+
+                const getCancellationsQuery = {
+                    text: `SELECT    date, room, pass_range, reason, cancelled_at, seen
+                    FROM    booking_cancellation
+                    WHERE    account_id = $1
+                    ORDER BY cancelled_at, date`,
+                    values: [userInfo.accountID],
+                };
+
+                const getSessionsQuery = {
+                    text: `SELECT    created_at, expires_at, revoked_at
+                    FROM    session
+                    WHERE    account_id = $1
+                    ORDER BY created_at`,
+                    values: [userInfo.accountID],
+                };
+
+                const getApiKeysQuery = {
+                    text: `SELECT    name, scope, created_at, last_used_at, revoked_at
+                    FROM    api_key
+                    WHERE    account_id = $1
+                    ORDER BY created_at`,
+                    values: [userInfo.accountID],
+                };
+
+                const getPasswordResetsQuery = {
+                    text: `SELECT    expires_at, used_at
+                    FROM    password_reset
+                    WHERE    account_id = $1
+                    ORDER BY expires_at`,
+                    values: [userInfo.accountID],
+                };
+
+                const personRow = (await this._executeQuery(getPersonQuery, connection)).rows[0];
+                const bookingResults = await this._executeQuery(getBookingsQuery, connection);
+                const lockResults = await this._executeQuery(getLocksQuery, connection);
+                const cancellationResults = await this._executeQuery(getCancellationsQuery, connection);
+                const sessionResults = await this._executeQuery(getSessionsQuery, connection);
+                const apiKeyResults = await this._executeQuery(getApiKeysQuery, connection);
+                const passwordResetResults = await this._executeQuery(getPasswordResetsQuery, connection);
+
+                const person = {
+                    firstName: personRow.firstname, lastName: personRow.lastname, personalNumber: personRow.personal_number,
+                    email: personRow.email, privilegeID: personRow.privilege_id,
+                };
+                const account = {
+                    username: personRow.username, status: personRow.status, suspensionReason: personRow.suspension_reason,
+                    suspendedUntil: personRow.suspended_until, twoFactorEnabledAt: LaundryDAO._toISOString(personRow.totp_enabled_at),
+                    failedLogins: personRow.failed_logins, lastFailedLoginAt: LaundryDAO._toISOString(personRow.last_failed_login_at),
+                    lockedUntil: LaundryDAO._toISOString(personRow.locked_until),
+                };
+                const bookings = bookingResults.rows
+                    .map((row) => ({date: row.date, roomNumber: row.room, passRange: row.range}));
+                const locks = lockResults.rows
+                    .map((row) => ({date: row.pass_date, roomNumber: row.room, passRange: row.range, lockedAt: row.lock_start.toISOString()}));
+                const cancellations = cancellationResults.rows
+                    .map((row) => ({
+                        date: row.date, roomNumber: row.room, passRange: row.pass_range, reason: row.reason,
+                        cancelledAt: row.cancelled_at.toISOString(), seen: row.seen,
+                    }));
+                const sessions = sessionResults.rows
+                    .map((row) => ({
+                        createdAt: row.created_at.toISOString(), expiresAt: row.expires_at.toISOString(),
+                        revokedAt: LaundryDAO._toISOString(row.revoked_at),
+                    }));
+                const apiKeys = apiKeyResults.rows
+                    .map((row) => ({
+                        name: row.name, scope: row.scope, createdAt: row.created_at.toISOString(),
+                        lastUsedAt: LaundryDAO._toISOString(row.last_used_at), revokedAt: LaundryDAO._toISOString(row.revoked_at),
+                    }));
+                const passwordResets = passwordResetResults.rows
+                    .map((row) => ({expiresAt: row.expires_at.toISOString(), usedAt: LaundryDAO._toISOString(row.used_at)}));
+
+                return new DataExportDTO(personRow.username, this.clock.now().toISOString(), person, account,
+                    bookings, locks, cancellations, sessions, apiKeys, passwordResets, userStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Issues a single-use token that lets the user set a new password without knowing the current one.
+     * The earlier unused tokens of the user stop working.
+     * @param {string} identifier The username or the email address of the user.
+     * @return {PasswordResetDTO | null} An object with the issued token.
+     *                                    null indicates that something went wrong and it gets logged.
+     */
+    async createPasswordReset(identifier) {
+        const getAccountQuery = {
+            text: `SELECT    account.id, account.username, person.email
+            FROM        account
+            INNER JOIN person ON (person.id = account.person_id)
+            WHERE    (account.username = $1 OR LOWER(person.email) = LOWER($1)) AND
+                     account.anonymised_at IS NULL
+            ORDER BY person.email = $1 DESC
+            LIMIT 1`,
+            values: [identifier],
+        };
+
+        try {
+            return await this._transaction(async (connection) => {
+                const results = await this._executeQuery(getAccountQuery, connection);
+
+                if (results.rowCount <= 0) {
+                    return new PasswordResetDTO(emptyParamEnum.Username, null, null, null, userStatusCodes.InvalidUser);
+                }
+
+                const token = crypto.randomBytes(32).toString('hex');
+                const expiresAt = this.clock.now().add(this.passwordResetExpiry, 'minute');
+
+                const discardTokensQuery = {
+                    text: `DELETE FROM password_reset
+                    WHERE account_id = $1 AND used_at IS NULL`,
+                    values: [results.rows[0].id],
+                };
+
+                const insertTokenQuery = {
+                    text: `INSERT INTO password_reset(account_id, token_hash, expires_at)
+                    VALUES ($1, $2, $3)`,
+                    values: [results.rows[0].id, LaundryDAO._hashToken(token), expiresAt.toDate()],
+                };
+
+                await this._executeQuery(discardTokensQuery, connection);
+                await this._executeQuery(insertTokenQuery, connection);
+                return new PasswordResetDTO(results.rows[0].username, results.rows[0].email, token,
+                    expiresAt.toISOString(), userStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Sets a new password using a password reset token, the token can only be used once.
+     * The authentication cookies that were issued to the user before the reset are no longer accepted.
+     * @param {string} token The password reset token that was sent to the user.
+     * @param {string} newPassword The password that the user will use to login from now on.
+     * @return {UserDTO | null} An object that has the info about the result of the reset.
+     *                           null indicates that something went wrong and it gets logged.
+     */
+    async resetPassword(token, newPassword) {
+        try {
+            const passwordHash = await this._generatePasswordHash(newPassword);
+            const now = this.clock.now().toDate();
+
+            const getTokenQuery = {
+                text: `SELECT    password_reset.account_id, account.username, person.privilege_id
+                FROM        password_reset
+                INNER JOIN account ON (account.id = password_reset.account_id)
                 INNER JOIN person ON (person.id = account.person_id)
-                WHERE    person.privilege_id = $1`,
-                values: [privilegeEnum.Standard],
+                WHERE    password_reset.token_hash = $1 AND password_reset.used_at IS NULL
+                AND password_reset.expires_at > $2
+                FOR UPDATE OF password_reset`,
+                values: [LaundryDAO._hashToken(token), now],
             };
 
-            await this._executeQuery('BEGIN');
+            return await this._transaction(async (connection) => {
+                const results = await this._executeQuery(getTokenQuery, connection);
 
+                if (results.rowCount <= 0) {
+                    return new UserDTO(emptyParamEnum.Username, privilegeEnum.Invalid, userStatusCodes.InvalidToken);
+                }
 
-            const userInfoList = [];
-            const results = await this._executeQuery(getUsersQuery);
+                // The reset token proves that the user owns the account, so the account is no longer locked out.
+                const updatePasswordQuery = {
+                    text: `UPDATE account
+                    SET password = $1, failed_logins = 0, locked_until = NULL
+                    WHERE id = $2`,
+                    values: [passwordHash, results.rows[0].account_id],
+                };
 
-            for (let i = 0; i < results.rowCount; i++) {
-                userInfoList[i] = {
-                    firstName: results.rows[i].firstname, lastName: results.rows[i].lastname,
-                    personalNumber: results.rows[i].personal_number, username: results.rows[i].username,
+                const useTokensQuery = {
+                    text: `UPDATE password_reset
+                    SET used_at = $1
+                    WHERE account_id = $2 AND used_at IS NULL`,
+                    values: [now, results.rows[0].account_id],
+                };
+
+                await this._executeQuery(updatePasswordQuery, connection);
+                await this._executeQuery(useTokensQuery, connection);
+                await this._revokeSessions(results.rows[0].account_id, connection);
+                return new UserDTO(results.rows[0].username, results.rows[0].privilege_id, userStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Starts a session for the user that has just logged in, the expired and revoked sessions of the user are removed.
+     * @param {string} username The username of the user that logged in.
+     * @return {SessionDTO | null} An object with the id of the new session and the time when it expires.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async createSession(username) {
+        try {
+            return await this._transaction(async (connection) => {
+                const personInfo = await this._getPersonInfo(username, connection);
+
+                if (personInfo === null) {
+                    return new SessionDTO(null, username, privilegeEnum.Invalid, null, null, false, userStatusCodes.InvalidUser);
+                }
+
+                const sessionID = crypto.randomUUID();
+                const now = this.clock.now();
+                const expiresAt = now.add(this.sessionExpiry, 'day');
+
+                const deleteEndedSessionsQuery = {
+                    text: `DELETE FROM session
+                    WHERE account_id = $1 AND (expires_at <= $2 OR revoked_at IS NOT NULL)`,
+                    values: [personInfo.accountID, now.toDate()],
+                };
+
+                const insertSessionQuery = {
+                    text: `INSERT INTO session(id, account_id, expires_at)
+                    VALUES ($1, $2, $3)`,
+                    values: [sessionID, personInfo.accountID, expiresAt.toDate()],
                 };
+
+                await this._executeQuery(deleteEndedSessionsQuery, connection);
+                await this._executeQuery(insertSessionQuery, connection);
+                const refreshToken = await this._issueRefreshToken(sessionID, connection);
+                return new SessionDTO(sessionID, username, personInfo.privilegeID, expiresAt.toISOString(), refreshToken,
+                    this._isTwoFactorEnrolmentRequired(personInfo.privilegeID, personInfo.twoFactorEnabled), userStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Looks up the session that an authentication cookie belongs to, together with the current username and privilege
+     * of the user. Sessions that have expired or were revoked are not accepted, and neither are the sessions of
+     * suspended or anonymised users.
+     * @param {string} sessionID The id of the session carried by the authentication cookie.
+     * @return {SessionDTO | null} An object with the session, the status code tells whether the session is accepted.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async getSession(sessionID) {
+        const getSessionQuery = {
+            text: `SELECT    session.id, session.expires_at, account.username, account.status, account.suspended_until,
+            account.totp_enabled_at, person.privilege_id
+            FROM        session
+            INNER JOIN account ON (account.id = session.account_id)
+            INNER JOIN person ON (person.id = account.person_id)
+            WHERE    session.id = $1 AND
+                     session.revoked_at IS NULL AND
+                     session.expires_at > $2 AND
+                     account.anonymised_at IS NULL`,
+            values: [sessionID, this.clock.now().toDate()],
+        };
+
+        try {
+            const results = await this._executeQuery(getSessionQuery);
+
+            if (results.rowCount <= 0 || this._isSuspended(results.rows[0])) {
+                return LaundryDAO._emptySessionDTO(userStatusCodes.InvalidSession);
             }
 
-            const retValue = new UserInfoDTO([...userInfoList], userInfoStatusCodes.OK);
+            const row = results.rows[0];
+            return new SessionDTO(row.id, row.username, row.privilege_id, row.expires_at.toISOString(), null,
+                this._isTwoFactorEnrolmentRequired(row.privilege_id, row.totp_enabled_at !== null), userStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Rotates the refresh token of a session, the presented refresh token is used up and replaced by a new one.
+     * A refresh token that was used within the grace period is accepted again, since two tabs or a retry after
+     * a lost response refresh with the same token, and it is replaced by another new one.
+     * A refresh token that was used before that is presented again only if it has leaked,
+     * in which case the whole session it belongs to is revoked.
+     * @param {string} refreshToken The refresh token carried by the refresh cookie.
+     * @return {SessionDTO | null} An object with the session and its new refresh token,
+     *                              the status code tells whether the session was refreshed.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async refreshSession(refreshToken) {
+        try {
+            return await this._transaction(async (connection) => {
+                const now = this.clock.now().toDate();
+                const getRefreshTokenQuery = {
+                    text: `SELECT    refresh_token.id, refresh_token.used_at, session.id AS session_id, session.expires_at,
+                    account.username, account.status, account.suspended_until, account.totp_enabled_at, person.privilege_id
+                    FROM        refresh_token
+                    INNER JOIN session ON (session.id = refresh_token.session_id)
+                    INNER JOIN account ON (account.id = session.account_id)
+                    INNER JOIN person ON (person.id = account.person_id)
+                    WHERE    refresh_token.token_hash = $1 AND
+                             session.revoked_at IS NULL AND
+                             session.expires_at > $2 AND
+                             account.anonymised_at IS NULL
+                    FOR UPDATE OF refresh_token`,
+                    values: [LaundryDAO._hashToken(refreshToken), now],
+                };
 
-            await this._executeQuery('COMMIT');
+                const results = await this._executeQuery(getRefreshTokenQuery, connection);
 
-            return retValue;
+                if (results.rowCount <= 0 || this._isSuspended(results.rows[0])) {
+                    return LaundryDAO._emptySessionDTO(userStatusCodes.InvalidSession);
+                }
+
+                // Concurrent refreshes with the same token wait for each other on the row lock,
+                // so the later ones see when the token was used.
+                const row = results.rows[0];
+                const graceStart = this.clock.now().subtract(this.refreshTokenGracePeriod, 'second').toDate();
+
+                if (row.used_at === null) {
+                    const useRefreshTokenQuery = {
+                        text: `UPDATE refresh_token
+                        SET used_at = $1
+                        WHERE id = $2`,
+                        values: [now, row.id],
+                    };
+
+                    await this._executeQuery(useRefreshTokenQuery, connection);
+                } else if (row.used_at < graceStart) {
+                    const revokeSessionQuery = {
+                        text: `UPDATE session
+                        SET revoked_at = $1
+                        WHERE id = $2`,
+                        values: [now, row.session_id],
+                    };
+
+                    await this._executeQuery(revokeSessionQuery, connection);
+                    return LaundryDAO._emptySessionDTO(userStatusCodes.ReusedToken);
+                }
+
+                const newRefreshToken = await this._issueRefreshToken(row.session_id, connection);
+                return new SessionDTO(row.session_id, row.username, row.privilege_id, row.expires_at.toISOString(),
+                    newRefreshToken, this._isTwoFactorEnrolmentRequired(row.privilege_id, row.totp_enabled_at !== null),
+                    userStatusCodes.OK);
+            });
         } catch (err) {
             this.logger.logException(err);
             return null;
@@ -261,38 +766,194 @@ class LaundryDAO {
     }
 
     /**
-     * Deletes all information about the specified user and removes the user from the system.
-     * @param {string} username The username of the related user initiated the deleting process.
-     * @param {string} userToBeRemoved The username of the user that it will be removed.
-     * @return {boolean | null} true or false to give a confirmation of the deletion.
+     * Revokes a single session, which is what happens when the user logs out.
+     * @param {string} sessionID The id of the session to revoke.
+     * @return {boolean | null} true if the session was revoked, false if it was not found or already revoked.
      *                           null indicates that something went wrong and it gets logged.
      */
-    async deleteUser(username, userToBeRemoved) {
+    async revokeSession(sessionID) {
+        const revokeSessionQuery = {
+            text: `UPDATE session
+            SET revoked_at = $1
+            WHERE id = $2 AND revoked_at IS NULL`,
+            values: [this.clock.now().toDate(), sessionID],
+        };
+
         try {
-            const adminInfo = await this._getPersonInfo(username);
-            const userInfo = await this._getPersonInfo(userToBeRemoved);
+            const results = await this._executeQuery(revokeSessionQuery);
+            return results.rowCount > 0;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
 
-            if (adminInfo === null) {
+    /**
+     * Revokes all the sessions of a user, which logs the user out everywhere.
+     * Note that users can revoke their own sessions, while only high privilege user can revoke the sessions of other users.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} userToBeRevoked The username of the user whose sessions are revoked.
+     * @return {boolean | null} true or false to give a confirmation of the revocation.
+     *                           null indicates that something went wrong and it gets logged.
+     */
+    async revokeSessions(username, userToBeRevoked) {
+        try {
+            const issuerInfo = await this._getPersonInfo(username);
+
+            if (issuerInfo === null) {
                 return false;
             }
 
-            if (adminInfo.privilegeID !== privilegeEnum.Administrator) {
+            if (username !== userToBeRevoked && issuerInfo.privilegeID !== privilegeEnum.Administrator) {
                 return false;
             }
 
+            const userInfo = await this._getPersonInfo(userToBeRevoked);
+
             if (userInfo === null) {
                 return false;
             }
 
-            const deleteLockQuery = {
-                text: `DELETE FROM public.pass_lock
-                WHERE account_id = $1`,
-                values: [userInfo.accountID],
-            };
+            await this._revokeSessions(userInfo.accountID);
+            return true;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
 
-            const deleteBookingQuery = {
-                text: `DELETE FROM public.pass_booking
-                WHERE account_id = $1`,
+    // eslint-disable-next-line require-jsdoc
+    async _getProfile(username, connection) {
+        const getProfileQuery = {
+            text: `SELECT    account.username, person.firstname, person.lastname,
+            person.email, person.privilege_id
+            FROM        account
+            INNER JOIN person ON (person.id = account.person_id)
+            WHERE    account.username = $1`,
+            values: [username],
+        };
+
+        const results = await this._executeQuery(getProfileQuery, connection);
+
+        if (results.rowCount <= 0) {
+            return new ProfileDTO(username, null, null, null, privilegeEnum.Invalid, userStatusCodes.InvalidUser);
+        }
+
+        const row = results.rows[0];
+        return new ProfileDTO(row.username, row.firstname, row.lastname, row.email, row.privilege_id, userStatusCodes.OK);
+    }
+
+    /**
+     * Get the list of users with their information. Note that only high privilege user can do list users.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {UserInfoDTO | null} An array of objects that hold all the information about the results.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async listUsers(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new UserInfoDTO(emptyParamEnum.PersonInfo, userInfoStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new UserInfoDTO(emptyParamEnum.PersonInfo, userInfoStatusCodes.InvalidPrivilege);
+            }
+
+            const getUsersQuery = {
+                text: `SELECT  person.firstname, person.lastname,
+                person.personal_number, account.username
+                FROM        account
+                INNER JOIN person ON (person.id = account.person_id)
+                WHERE    person.privilege_id = $1 AND
+                         account.anonymised_at IS NULL`,
+                values: [privilegeEnum.Standard],
+            };
+
+
+            const userInfoList = [];
+            const results = await this._executeQuery(getUsersQuery);
+
+            for (let i = 0; i < results.rowCount; i++) {
+                userInfoList[i] = {
+                    firstName: results.rows[i].firstname, lastName: results.rows[i].lastname,
+                    personalNumber: results.rows[i].personal_number, username: results.rows[i].username,
+                };
+            }
+
+            const retValue = new UserInfoDTO([...userInfoList], userInfoStatusCodes.OK);
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Deletes all information about the specified user and removes the user from the system.
+     * @param {string} username The username of the related user initiated the deleting process.
+     * @param {string} userToBeRemoved The username of the user that it will be removed.
+     * @return {boolean | null} true or false to give a confirmation of the deletion.
+     *                           null indicates that something went wrong and it gets logged.
+     */
+    async deleteUser(username, userToBeRemoved) {
+        try {
+            const adminInfo = await this._getPersonInfo(username);
+            const userInfo = await this._getPersonInfo(userToBeRemoved);
+
+            if (adminInfo === null) {
+                return false;
+            }
+
+            if (adminInfo.privilegeID !== privilegeEnum.Administrator) {
+                return false;
+            }
+
+            if (userInfo === null) {
+                return false;
+            }
+
+            const deleteLockQuery = {
+                text: `DELETE FROM public.pass_lock
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteBookingQuery = {
+                text: `DELETE FROM public.pass_booking
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteCancellationQuery = {
+                text: `DELETE FROM public.booking_cancellation
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deletePasswordResetQuery = {
+                text: `DELETE FROM public.password_reset
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteSessionQuery = {
+                text: `DELETE FROM public.session
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteApiKeyQuery = {
+                text: `DELETE FROM public.api_key
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteRecoveryCodeQuery = {
+                text: `DELETE FROM public.recovery_code
+                WHERE account_id = $1`,
                 values: [userInfo.accountID],
             };
 
@@ -308,29 +969,2498 @@ class LaundryDAO {
                 values: [userInfo.personID],
             };
 
-            await this._executeQuery('BEGIN');
+            await this._transaction(async (connection) => {
+                await this._executeQuery(deleteLockQuery, connection);
+                await this._executeQuery(deleteBookingQuery, connection);
+                await this._executeQuery(deleteCancellationQuery, connection);
+                await this._executeQuery(deletePasswordResetQuery, connection);
+                await this._executeQuery(deleteSessionQuery, connection);
+                await this._executeQuery(deleteApiKeyQuery, connection);
+                await this._executeQuery(deleteRecoveryCodeQuery, connection);
+                await this._executeQuery(deleteAccountQuery, connection);
+                await this._executeQuery(deletePersonQuery, connection);
+            });
+
+            return true;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Removes the personal data of the specified user, meaning the name, personal number, email and username,
+     * while the past bookings of the user are kept for the usage statistics.
+     * The account is renamed to an anonymous placeholder that is not a valid username, so that it can neither be
+     * used to login nor collide with a registered username, and loses the privileges of the user.
+     * The upcoming bookings of the user are cancelled.
+     * The anonymised data is removed for good by purgeAnonymisedUsers once the retention period has passed.
+     * @param {string} username The username of the related user initiated the anonymisation process.
+     * @param {string} userToBeAnonymised The username of the user that it will be anonymised.
+     * @return {boolean | null} true or false to give a confirmation of the anonymisation.
+     *                           null indicates that something went wrong and it gets logged.
+     */
+    async anonymiseUser(username, userToBeAnonymised) {
+        try {
+            const adminInfo = await this._getPersonInfo(username);
+            const userInfo = await this._getPersonInfo(userToBeAnonymised);
+
+            if (adminInfo === null) {
+                return false;
+            }
+
+            if (adminInfo.privilegeID !== privilegeEnum.Administrator) {
+                return false;
+            }
+
+            if (userInfo === null) {
+                return false;
+            }
+
+            const deleteLockQuery = {
+                text: `DELETE FROM public.pass_lock
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteUpcomingBookingQuery = {
+                text: `DELETE FROM public.pass_booking
+                WHERE account_id = $1 AND date >= $2`,
+                values: [userInfo.accountID, this.clock.todayDate()],
+            };
+
+            const deleteCancellationQuery = {
+                text: `DELETE FROM public.booking_cancellation
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deletePasswordResetQuery = {
+                text: `DELETE FROM public.password_reset
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteSessionQuery = {
+                text: `DELETE FROM public.session
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteApiKeyQuery = {
+                text: `DELETE FROM public.api_key
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const deleteRecoveryCodeQuery = {
+                text: `DELETE FROM public.recovery_code
+                WHERE account_id = $1`,
+                values: [userInfo.accountID],
+            };
+
+            const anonymiseAccountQuery = {
+                text: `UPDATE public.account
+                SET username = $1, password = '', status = $2, suspension_reason = NULL, suspended_until = NULL,
+                    totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, failed_logins = 0,
+                    last_failed_login_at = NULL, locked_until = NULL, anonymised_at = $3
+                WHERE id = $4`,
+                values: [`anonymised-${userInfo.accountID}`, accountStatusEnum.Active, this.clock.now().toDate(), userInfo.accountID],
+            };
+
+            const anonymisePersonQuery = {
+                text: `UPDATE public.person
+                SET firstname = NULL, lastname = NULL, personal_number = NULL, email = NULL, privilege_id = $1
+                WHERE id = $2`,
+                values: [privilegeEnum.Standard, userInfo.personID],
+            };
+
+            await this._transaction(async (connection) => {
+                await this._executeQuery(deleteLockQuery, connection);
+                await this._executeQuery(deleteUpcomingBookingQuery, connection);
+                await this._executeQuery(deleteCancellationQuery, connection);
+                await this._executeQuery(deletePasswordResetQuery, connection);
+                await this._executeQuery(deleteSessionQuery, connection);
+                await this._executeQuery(deleteApiKeyQuery, connection);
+                await this._executeQuery(deleteRecoveryCodeQuery, connection);
+                await this._executeQuery(anonymiseAccountQuery, connection);
+                await this._executeQuery(anonymisePersonQuery, connection);
+            });
+
+            return true;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Removes the accounts that were anonymised longer ago than the retention period, together with their bookings.
+     * The retention period is set by the ANONYMISED_RETENTION environment variable in days.
+     * @return {int | null} The number of purged accounts.
+     *                      null indicates that something went wrong and it gets logged.
+     */
+    async purgeAnonymisedUsers() {
+        const retentionStart = this.clock.now().subtract(this.anonymisedRetention, 'day').toDate();
+
+        const deleteBookingQuery = {
+            text: `DELETE FROM public.pass_booking
+            USING   account
+            WHERE   account.id = pass_booking.account_id AND
+                    account.anonymised_at < $1`,
+            values: [retentionStart],
+        };
+
+        const deleteSessionQuery = {
+            text: `DELETE FROM public.session
+            USING   account
+            WHERE   account.id = session.account_id AND
+                    account.anonymised_at < $1`,
+            values: [retentionStart],
+        };
+
+        const deleteAccountQuery = {
+            text: `DELETE FROM public.account
+            WHERE anonymised_at < $1
+            RETURNING person_id`,
+            values: [retentionStart],
+        };
+
+        try {
+            return await this._transaction(async (connection) => {
+                await this._executeQuery(deleteBookingQuery, connection);
+                await this._executeQuery(deleteSessionQuery, connection);
+                const accountResults = await this._executeQuery(deleteAccountQuery, connection);
+
+                const deletePersonQuery = {
+                    text: `DELETE FROM public.person
+                    WHERE id = ANY($1)`,
+                    values: [accountResults.rows.map((row) => row.person_id)],
+                };
+
+                await this._executeQuery(deletePersonQuery, connection);
+                return accountResults.rowCount;
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Updates the person and account details of a user, including promoting the user to administrator or demoting the user.
+     * The authentication cookies issued to the user before a change of privilege are no longer accepted.
+     * Note that only high privilege user can update users, and that the last administrator cannot be demoted.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} userToBeUpdated The username of the user that will be updated.
+     * @param {UserDetailsDTO} userDetailsDTO Holds the new details, the details that are null are left unchanged.
+     * @return {UserDetailsDTO | null} An object with the updated details of the user.
+     *                                  null indicates that something went wrong and it gets logged.
+     */
+    async updateUser(username, userToBeUpdated, userDetailsDTO) {
+        try {
+            const adminInfo = await this._getPersonInfo(username);
+
+            if (adminInfo === null) {
+                return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.InvalidUser);
+            }
+
+            if (adminInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const userInfo = await this._getPersonInfo(userToBeUpdated, connection);
+
+                if (userInfo === null) {
+                    return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.NonExistentUser);
+                }
+
+                if (userDetailsDTO.email !== null && await this._isEmailTaken(userDetailsDTO.email, userInfo.personID, connection)) {
+                    return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.ExistentEmail);
+                }
+
+                if (userDetailsDTO.personalNumber !== null) {
+                    const checkPersonalNumberQuery = {
+                        text: `SELECT    person.id
+                        FROM        person
+                        WHERE    person.personal_number = $1 AND person.id <> $2`,
+                        values: [userDetailsDTO.personalNumber, userInfo.personID],
+                    };
+
+                    const personalNumberCheck = await this._executeQuery(checkPersonalNumberQuery, connection);
+                    if (personalNumberCheck.rowCount > 0) {
+                        return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.ExistentPersonalNumber);
+                    }
+                }
+
+                if (userDetailsDTO.username !== null && userDetailsDTO.username !== userToBeUpdated) {
+                    const checkUsernameQuery = {
+                        text: `SELECT    account.id
+                        FROM        account
+                        WHERE    account.username = $1`,
+                        values: [userDetailsDTO.username],
+                    };
+
+                    const usernameCheck = await this._executeQuery(checkUsernameQuery, connection);
+                    if (usernameCheck.rowCount > 0) {
+                        return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.ExistentUsername);
+                    }
+                }
+
+                const privilegeChanged = userDetailsDTO.privilegeID !== null && userDetailsDTO.privilegeID !== userInfo.privilegeID;
+
+                if (privilegeChanged && userInfo.privilegeID === privilegeEnum.Administrator) {
+                    const countAdministratorsQuery = {
+                        text: `SELECT    COUNT(*)::INTEGER AS administrator_count
+                        FROM        account
+                        INNER JOIN person ON (person.id = account.person_id)
+                        WHERE    person.privilege_id = $1 AND
+                                 account.anonymised_at IS NULL`,
+                        values: [privilegeEnum.Administrator],
+                    };
+
+                    const countResults = await this._executeQuery(countAdministratorsQuery, connection);
+                    if (countResults.rows[0].administrator_count <= 1) {
+                        return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.LastAdministrator);
+                    }
+                }
+
+                const updatePersonQuery = {
+                    text: `UPDATE person
+                    SET firstname = COALESCE($1, firstname), lastname = COALESCE($2, lastname),
+                    personal_number = COALESCE($3, personal_number), email = COALESCE($4, email),
+                    privilege_id = COALESCE($5, privilege_id)
+                    WHERE id = $6`,
+                    values: [userDetailsDTO.firstName, userDetailsDTO.lastName, userDetailsDTO.personalNumber,
+                        userDetailsDTO.email, userDetailsDTO.privilegeID, userInfo.personID],
+                };
+
+                const updateAccountQuery = {
+                    text: `UPDATE account
+                    SET username = COALESCE($1, username)
+                    WHERE id = $2`,
+                    values: [userDetailsDTO.username, userInfo.accountID],
+                };
+
+                await this._executeQuery(updatePersonQuery, connection);
+                await this._executeQuery(updateAccountQuery, connection);
+                if (privilegeChanged) {
+                    await this._revokeSessions(userInfo.accountID, connection);
+                }
+                return await this._getUserDetails(userDetailsDTO.username === null ? userToBeUpdated : userDetailsDTO.username, connection);
+            }, ConnectionPool.SERIALIZABLE);
+        } catch (err) {
+            if (LaundryDAO._isUniqueViolation(err, 'person_email_key')) {
+                return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.ExistentEmail);
+            }
+
+            if (LaundryDAO._isUniqueViolation(err, 'person_personal_number_key')) {
+                return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.ExistentPersonalNumber);
+            }
+
+            if (LaundryDAO._isUniqueViolation(err, 'account_username_key')) {
+                return LaundryDAO._emptyUserDetailsDTO(userStatusCodes.ExistentUsername);
+            }
+
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getUserDetails(username, connection) {
+        const getUserDetailsQuery = {
+            text: `SELECT    account.username, person.firstname, person.lastname,
+            person.personal_number, person.email, person.privilege_id
+            FROM        account
+            INNER JOIN person ON (person.id = account.person_id)
+            WHERE    account.username = $1`,
+            values: [username],
+        };
+
+        const results = await this._executeQuery(getUserDetailsQuery, connection);
+        const row = results.rows[0];
+        return new UserDetailsDTO(row.username, row.firstname, row.lastname, row.personal_number, row.email,
+            row.privilege_id, userStatusCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyUserDetailsDTO(statusCode) {
+        return new UserDetailsDTO(emptyParamEnum.Username, null, null, null, null, privilegeEnum.Invalid, statusCode);
+    }
+
+    /**
+     * Suspends an account, the user cannot login or book passes while the account is suspended.
+     * The authentication cookies issued to the user before the suspension are no longer accepted.
+     * Note that only high privilege user can suspend accounts, and that users cannot suspend their own account.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} userToBeSuspended The username of the account that will be suspended.
+     * @param {string | null} reason The reason of the suspension, it is also given when the upcoming bookings are cancelled.
+     * @param {string | null} suspendedUntil The last date of the suspension, null suspends the account until it is reactivated.
+     * @param {boolean} cancelBookings Whether the upcoming bookings of the user are cancelled.
+     * @return {AccountStatusDTO | null} An object with the status of the suspended account and the cancelled bookings.
+     *                                    null indicates that something went wrong and it gets logged.
+     */
+    async suspendUser(username, userToBeSuspended, reason, suspendedUntil, cancelBookings) {
+        try {
+            const adminInfo = await this._getPersonInfo(username);
+
+            if (adminInfo === null) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.InvalidUser);
+            }
+
+            if (adminInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.InvalidPrivilege);
+            }
+
+            if (username === userToBeSuspended) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.OwnAccount);
+            }
+
+            const today = this.clock.todayDate();
+
+            if (suspendedUntil !== null && suspendedUntil < today) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.InvalidDate);
+            }
+
+            return await this._transaction(async (connection) => {
+                const userInfo = await this._getPersonInfo(userToBeSuspended, connection);
+
+                if (userInfo === null) {
+                    return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.NonExistentUser);
+                }
+
+                const suspendAccountQuery = {
+                    text: `UPDATE account
+                    SET status = $1, suspension_reason = $2, suspended_until = $3
+                    WHERE id = $4`,
+                    values: [accountStatusEnum.Suspended, reason, suspendedUntil, userInfo.accountID],
+                };
+
+                const deleteLocksQuery = {
+                    text: `DELETE FROM public.pass_lock
+                    WHERE account_id = $1`,
+                    values: [userInfo.accountID],
+                };
+
+                await this._executeQuery(suspendAccountQuery, connection);
+                await this._executeQuery(deleteLocksQuery, connection);
+                await this._revokeSessions(userInfo.accountID, connection);
+
+                let cancelledBookings = [];
+                if (cancelBookings) {
+                    cancelledBookings = await this._cancelUpcomingBookings(userInfo.accountID, today,
+                        reason === null ? 'The account was suspended.' : reason, connection);
+                }
+
+                return new AccountStatusDTO(userToBeSuspended, accountStatusEnum.Suspended, reason, suspendedUntil,
+                    cancelledBookings, userStatusCodes.OK);
+            }, ConnectionPool.SERIALIZABLE);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Reactivates a suspended account, the user can login and book passes again.
+     * Note that only high privilege user can reactivate accounts.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} userToBeReactivated The username of the account that will be reactivated.
+     * @return {AccountStatusDTO | null} An object with the status of the reactivated account.
+     *                                    null indicates that something went wrong and it gets logged.
+     */
+    async reactivateUser(username, userToBeReactivated) {
+        try {
+            const adminInfo = await this._getPersonInfo(username);
+
+            if (adminInfo === null) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.InvalidUser);
+            }
+
+            if (adminInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.InvalidPrivilege);
+            }
+
+            const reactivateAccountQuery = {
+                text: `UPDATE account
+                SET status = $1, suspension_reason = NULL, suspended_until = NULL
+                WHERE username = $2 AND
+                      anonymised_at IS NULL`,
+                values: [accountStatusEnum.Active, userToBeReactivated],
+            };
+
+            const results = await this._executeQuery(reactivateAccountQuery);
+
+            if (results.rowCount <= 0) {
+                return LaundryDAO._emptyAccountStatusDTO(userStatusCodes.NonExistentUser);
+            }
+
+            return new AccountStatusDTO(userToBeReactivated, accountStatusEnum.Active, null, null,
+                emptyParamEnum.Bookings, userStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _cancelUpcomingBookings(accountID, today, reason, connection) {
+        const cancelBookingsQuery = {
+            text: `DELETE FROM public.pass_booking
+            USING   pass_schedule, pass
+            WHERE   pass_schedule.id = pass_booking.pass_schedule_id AND
+                    pass.id = pass_schedule.pass_id AND
+                    pass_booking.account_id = $1 AND
+                    pass_booking.date >= $2
+            RETURNING   pass_booking.date, pass_schedule.room, pass.range`,
+            values: [accountID, today],
+        };
+
+        const bookingResults = await this._executeQuery(cancelBookingsQuery, connection);
+
+        for (const booking of bookingResults.rows) {
+            const addCancellationQuery = {
+                text: `INSERT INTO public.booking_cancellation(account_id, date, room, pass_range, reason)
+                VALUES ($1, $2, $3, $4, $5)`,
+                values: [accountID, booking.date, booking.room, booking.range, reason],
+            };
+
+            await this._executeQuery(addCancellationQuery, connection);
+        }
+
+        return bookingResults.rows
+            .map((row) => ({date: row.date, roomNumber: row.room, passRange: row.range}))
+            .sort((first, second) => first.date.localeCompare(second.date));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _revokeSessions(accountID, connection, exceptSessionID = null) {
+        const revokeSessionsQuery = {
+            text: `UPDATE session
+            SET revoked_at = $1
+            WHERE account_id = $2 AND revoked_at IS NULL AND ($3::UUID IS NULL OR id <> $3)`,
+            values: [this.clock.now().toDate(), accountID, exceptSessionID],
+        };
+
+        await this._executeQuery(revokeSessionsQuery, connection);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _issueRefreshToken(sessionID, connection) {
+        const refreshToken = crypto.randomBytes(32).toString('hex');
+        const insertRefreshTokenQuery = {
+            text: `INSERT INTO refresh_token(session_id, token_hash)
+            VALUES ($1, $2)`,
+            values: [sessionID, LaundryDAO._hashToken(refreshToken)],
+        };
+
+        await this._executeQuery(insertRefreshTokenQuery, connection);
+        return refreshToken;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _isSuspended(accountRow) {
+        return accountRow.status === accountStatusEnum.Suspended &&
+            (accountRow.suspended_until === null || accountRow.suspended_until >= this.clock.todayDate());
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _isTwoFactorEnrolmentRequired(privilegeID, twoFactorEnabled) {
+        return this.adminTwoFactorRequired && privilegeID === privilegeEnum.Administrator && !twoFactorEnabled;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptySessionDTO(statusCode) {
+        return new SessionDTO(null, emptyParamEnum.Username, privilegeEnum.Invalid, null, null, false, statusCode);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyDataExportDTO(statusCode) {
+        return new DataExportDTO(emptyParamEnum.Username, null, null, null, emptyParamEnum.Bookings,
+            emptyParamEnum.Locks, emptyParamEnum.Cancellations, emptyParamEnum.Sessions, emptyParamEnum.ApiKeys,
+            emptyParamEnum.PasswordResets, statusCode);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _toISOString(timestamp) {
+        return timestamp === null ? null : timestamp.toISOString();
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyAccountStatusDTO(statusCode) {
+        return new AccountStatusDTO(emptyParamEnum.Username, accountStatusEnum.Active, null, null,
+            emptyParamEnum.Bookings, statusCode);
+    }
+
+    /**
+     * Creates a pending resident together with an invitation token that lets the resident choose a username and password.
+     * Note that only high privilege user can invite residents.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {InvitationDTO} invitationDTO Holds the name, personal number and email address of the invited resident.
+     * @return {InvitationDTO | null} An object with the created invitation and its token.
+     *                                 null indicates that something went wrong and it gets logged.
+     */
+    async createInvitation(username, invitationDTO) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.InvalidPrivilege);
+            }
+
+            const checkPersonalNumberQuery = {
+                text: `SELECT    person.id
+                FROM        person
+                WHERE    person.personal_number = $1`,
+                values: [invitationDTO.personalNumber],
+            };
+
+            return await this._transaction(async (connection) => {
+                if (await this._isEmailTaken(invitationDTO.email, null, connection)) {
+                    return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.ExistentEmail);
+                }
+
+                const personalNumberCheck = await this._executeQuery(checkPersonalNumberQuery, connection);
+                if (personalNumberCheck.rowCount > 0) {
+                    return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.ExistentPersonalNumber);
+                }
+
+                const token = crypto.randomBytes(32).toString('hex');
+                const expiresAt = this.clock.now().add(this.invitationExpiry, 'day');
+
+                const insertInvitationQuery = {
+                    text: `WITH new_person AS (
+                        INSERT INTO person(firstname, lastname, personal_number, email, privilege_id)
+                        VALUES ($1, $2, $3, $4, $5) RETURNING person.id
+                    )
+                    INSERT INTO invitation(person_id, token_hash, expires_at)
+                    VALUES (
+                        (SELECT new_person.id
+                        FROM new_person), $6, $7
+                    ) RETURNING invitation.id`,
+                    values: [invitationDTO.firstName, invitationDTO.lastName, invitationDTO.personalNumber,
+                        invitationDTO.email, privilegeEnum.Standard, LaundryDAO._hashToken(token), expiresAt.toDate()],
+                };
+
+                const results = await this._executeQuery(insertInvitationQuery, connection);
+                return new InvitationDTO(results.rows[0].id, invitationDTO.firstName, invitationDTO.lastName,
+                    invitationDTO.personalNumber, invitationDTO.email, expiresAt.toISOString(), token, invitationStatusCodes.OK);
+            });
+        } catch (err) {
+            if (LaundryDAO._isUniqueViolation(err, 'person_email_key')) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.ExistentEmail);
+            }
+
+            if (LaundryDAO._isUniqueViolation(err, 'person_personal_number_key')) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.ExistentPersonalNumber);
+            }
+
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Get all the invitations that have not been accepted, including the expired ones, ordered by when they were sent.
+     * Note that only high privilege user can list the invitations.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {InvitationInfoDTO | null} An object with the information about all the pending invitations.
+     *                                     null indicates that something went wrong and it gets logged.
+     */
+    async listInvitations(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new InvitationInfoDTO(emptyParamEnum.Invitations, invitationStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new InvitationInfoDTO(emptyParamEnum.Invitations, invitationStatusCodes.InvalidPrivilege);
+            }
+
+            const results = await this._executeQuery(LaundryDAO._getInvitationsQuery(null));
+            const invitations = results.rows.map((row) => LaundryDAO._toInvitationDTO(row, null));
+
+            return new InvitationInfoDTO(invitations, invitationStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Replaces the token of a pending invitation, the earlier token stops working and the expiry time starts over.
+     * Note that only high privilege user can resend invitations.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} invitationID The id of the invitation.
+     * @return {InvitationDTO | null} An object with the invitation and its new token.
+     *                                 null indicates that something went wrong and it gets logged.
+     */
+    async renewInvitation(username, invitationID) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.InvalidPrivilege);
+            }
+
+            const token = crypto.randomBytes(32).toString('hex');
+            const expiresAt = this.clock.now().add(this.invitationExpiry, 'day');
+
+            const renewInvitationQuery = {
+                text: `UPDATE invitation
+                SET token_hash = $1, expires_at = $2, invited_at = NOW()
+                WHERE id = $3`,
+                values: [LaundryDAO._hashToken(token), expiresAt.toDate(), invitationID],
+            };
+
+            const renewResults = await this._executeQuery(renewInvitationQuery);
+
+            if (renewResults.rowCount <= 0) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.NonExistentInvitation);
+            }
+
+            const results = await this._executeQuery(LaundryDAO._getInvitationsQuery(invitationID));
+            return LaundryDAO._toInvitationDTO(results.rows[0], token);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Revokes a pending invitation, the token stops working and the invited resident is removed.
+     * Note that only high privilege user can revoke invitations.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} invitationID The id of the invitation.
+     * @return {InvitationDTO | null} An object with the revoked invitation.
+     *                                 null indicates that something went wrong and it gets logged.
+     */
+    async revokeInvitation(username, invitationID) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const results = await this._executeQuery(LaundryDAO._getInvitationsQuery(invitationID, true), connection);
+
+                if (results.rowCount <= 0) {
+                    return LaundryDAO._emptyInvitationDTO(invitationStatusCodes.NonExistentInvitation);
+                }
+
+                const deleteInvitationQuery = {
+                    text: `DELETE FROM public.invitation
+                    WHERE id = $1`,
+                    values: [invitationID],
+                };
+
+                const deletePersonQuery = {
+                    text: `DELETE FROM public.person
+                    WHERE id = $1`,
+                    values: [results.rows[0].person_id],
+                };
+
+                await this._executeQuery(deleteInvitationQuery, connection);
+                await this._executeQuery(deletePersonQuery, connection);
+                return LaundryDAO._toInvitationDTO(results.rows[0], null);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Creates the account of an invited resident with the username and password the resident chose.
+     * The invitation token can only be used once.
+     * @param {string} token The invitation token that was sent to the resident.
+     * @param {string} username The username that the resident chose for login.
+     * @param {string} password The password that the resident chose for login.
+     * @return {UserDTO | null} An object that has the info about the created account.
+     *                           null indicates that something went wrong and it gets logged.
+     */
+    async acceptInvitation(token, username, password) {
+        try {
+            const passwordHash = await this._generatePasswordHash(password);
+
+            const getInvitationQuery = {
+                text: `SELECT    invitation.id, invitation.person_id, person.privilege_id
+                FROM        invitation
+                INNER JOIN person ON (person.id = invitation.person_id)
+                WHERE    invitation.token_hash = $1 AND invitation.expires_at > $2
+                FOR UPDATE OF invitation`,
+                values: [LaundryDAO._hashToken(token), this.clock.now().toDate()],
+            };
+
+            const checkUsernameQuery = {
+                text: `SELECT    account.id
+                FROM        account
+                WHERE    account.username = $1`,
+                values: [username],
+            };
+
+            return await this._transaction(async (connection) => {
+                const results = await this._executeQuery(getInvitationQuery, connection);
+
+                if (results.rowCount <= 0) {
+                    return new UserDTO(username, privilegeEnum.Invalid, userStatusCodes.InvalidToken);
+                }
+
+                const usernameCheck = await this._executeQuery(checkUsernameQuery, connection);
+                if (usernameCheck.rowCount > 0) {
+                    return new UserDTO(username, privilegeEnum.Invalid, userStatusCodes.ExistentUsername);
+                }
+
+                const insertAccountQuery = {
+                    text: `INSERT INTO account(username, password, person_id)
+                    VALUES ($1, $2, $3)`,
+                    values: [username, passwordHash, results.rows[0].person_id],
+                };
+
+                const deleteInvitationQuery = {
+                    text: `DELETE FROM public.invitation
+                    WHERE id = $1`,
+                    values: [results.rows[0].id],
+                };
+
+                await this._executeQuery(insertAccountQuery, connection);
+                await this._executeQuery(deleteInvitationQuery, connection);
+                return new UserDTO(username, results.rows[0].privilege_id, userStatusCodes.OK);
+            });
+        } catch (err) {
+            if (LaundryDAO._isUniqueViolation(err, 'account_username_key')) {
+                return new UserDTO(username, privilegeEnum.Invalid, userStatusCodes.ExistentUsername);
+            }
+
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _getInvitationsQuery(invitationID, lockInvitation = false) {
+        return {
+            text: `SELECT    invitation.id, invitation.person_id, invitation.expires_at,
+            person.firstname, person.lastname, person.personal_number, person.email
+            FROM        invitation
+            INNER JOIN person ON (person.id = invitation.person_id)
+            WHERE    $1::INTEGER IS NULL OR invitation.id = $1
+            ORDER BY invitation.invited_at, invitation.id
+            ${lockInvitation ? 'FOR UPDATE OF invitation' : ''}`,
+            values: [invitationID],
+        };
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _toInvitationDTO(row, token) {
+        return new InvitationDTO(row.id, row.firstname, row.lastname, row.personal_number, row.email,
+            row.expires_at.toISOString(), token, invitationStatusCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyInvitationDTO(statusCode) {
+        return new InvitationDTO(emptyParamEnum.InvitationID, null, null, null, null, null, null, statusCode);
+    }
+
+    /**
+     * Creates a named API key that acts on behalf of a resident, within the given scope.
+     * Note that only high privilege user can create API keys, and only for residents.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} resident The username of the resident that the API key acts on behalf of.
+     * @param {string} name The name that tells what the API key is used for.
+     * @param {string} scope What the API key can do, which can be found in the apiKeyScopeEnum.js.
+     * @return {ApiKeyDTO | null} An object with the created API key, including the key itself.
+     *                             null indicates that something went wrong and it gets logged.
+     */
+    async createApiKey(username, resident, name, scope) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.InvalidPrivilege);
+            }
+
+            const residentInfo = await this._getPersonInfo(resident);
+
+            if (residentInfo === null) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.NonExistentUser);
+            }
+
+            if (residentInfo.privilegeID !== privilegeEnum.Standard) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.NotResident);
+            }
+
+            const key = crypto.randomBytes(32).toString('hex');
+
+            const createApiKeyQuery = {
+                text: `INSERT INTO api_key(account_id, name, scope, key_hash)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id`,
+                values: [residentInfo.accountID, name, scope, LaundryDAO._hashToken(key)],
+            };
+
+            const results = await this._executeQuery(createApiKeyQuery);
+            const apiKeyResults = await this._executeQuery(LaundryDAO._getApiKeysQuery(results.rows[0].id));
+            return LaundryDAO._toApiKeyDTO(apiKeyResults.rows[0], key);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Get the list of all the API keys, including the revoked ones. The keys themselves are never listed.
+     * Note that only high privilege user can list API keys.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {ApiKeyInfoDTO | null} An object with the API keys.
+     *                                 null indicates that something went wrong and it gets logged.
+     */
+    async listApiKeys(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new ApiKeyInfoDTO(emptyParamEnum.ApiKeys, apiKeyStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new ApiKeyInfoDTO(emptyParamEnum.ApiKeys, apiKeyStatusCodes.InvalidPrivilege);
+            }
+
+            const results = await this._executeQuery(LaundryDAO._getApiKeysQuery(null));
+            const apiKeys = results.rows.map((row) => LaundryDAO._toApiKeyDTO(row, null));
+
+            return new ApiKeyInfoDTO(apiKeys, apiKeyStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Revokes an API key, which can no longer be used afterwards.
+     * Note that only high privilege user can revoke API keys.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} apiKeyID The id of the API key.
+     * @return {ApiKeyDTO | null} An object with the revoked API key.
+     *                             null indicates that something went wrong and it gets logged.
+     */
+    async revokeApiKey(username, apiKeyID) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.InvalidPrivilege);
+            }
+
+            const revokeApiKeyQuery = {
+                text: `UPDATE api_key
+                SET revoked_at = $1
+                WHERE id = $2 AND revoked_at IS NULL`,
+                values: [this.clock.now().toDate(), apiKeyID],
+            };
+
+            const results = await this._executeQuery(revokeApiKeyQuery);
+
+            if (results.rowCount <= 0) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.NonExistentApiKey);
+            }
+
+            const apiKeyResults = await this._executeQuery(LaundryDAO._getApiKeysQuery(apiKeyID));
+            return LaundryDAO._toApiKeyDTO(apiKeyResults.rows[0], null);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Looks up the API key that a request was sent with and records that it was used.
+     * Revoked API keys are not accepted, and neither are the API keys of residents that are suspended, anonymised
+     * or no longer residents.
+     * @param {string} key The API key that the request was sent with.
+     * @return {ApiKeyDTO | null} An object with the API key, the status code tells whether the API key is accepted.
+     *                             null indicates that something went wrong and it gets logged.
+     */
+    async useApiKey(key) {
+        const getApiKeyQuery = {
+            text: `SELECT    api_key.id, account.status, account.suspended_until
+            FROM        api_key
+            INNER JOIN account ON (account.id = api_key.account_id)
+            INNER JOIN person ON (person.id = account.person_id)
+            WHERE    api_key.key_hash = $1 AND
+                     api_key.revoked_at IS NULL AND
+                     account.anonymised_at IS NULL AND
+                     person.privilege_id = $2`,
+            values: [LaundryDAO._hashToken(key), privilegeEnum.Standard],
+        };
+
+        try {
+            const results = await this._executeQuery(getApiKeyQuery);
+
+            if (results.rowCount <= 0 || this._isSuspended(results.rows[0])) {
+                return LaundryDAO._emptyApiKeyDTO(apiKeyStatusCodes.InvalidApiKey);
+            }
+
+            const useApiKeyQuery = {
+                text: `UPDATE api_key
+                SET last_used_at = $1
+                WHERE id = $2`,
+                values: [this.clock.now().toDate(), results.rows[0].id],
+            };
+
+            await this._executeQuery(useApiKeyQuery);
+            const apiKeyResults = await this._executeQuery(LaundryDAO._getApiKeysQuery(results.rows[0].id));
+            return LaundryDAO._toApiKeyDTO(apiKeyResults.rows[0], null);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _getApiKeysQuery(apiKeyID) {
+        return {
+            text: `SELECT    api_key.id, api_key.name, api_key.scope, api_key.created_at, api_key.last_used_at,
+            api_key.revoked_at, account.username
+            FROM        api_key
+            INNER JOIN account ON (account.id = api_key.account_id)
+            WHERE    $1::INTEGER IS NULL OR api_key.id = $1
+            ORDER BY api_key.created_at, api_key.id`,
+            values: [apiKeyID],
+        };
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _toApiKeyDTO(row, key) {
+        return new ApiKeyDTO(row.id, row.name, row.scope, row.username, row.created_at.toISOString(),
+            LaundryDAO._toISOString(row.last_used_at), LaundryDAO._toISOString(row.revoked_at), key, apiKeyStatusCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyApiKeyDTO(statusCode) {
+        return new ApiKeyDTO(emptyParamEnum.ApiKeyID, emptyParamEnum.ApiKeyName, null, emptyParamEnum.Username,
+            null, null, null, null, statusCode);
+    }
+
+    /**
+     * Starts the enrolment of the user in two-factor authentication by generating a new secret,
+     * which only gets enabled once a code from the authenticator app is confirmed.
+     * Starting over replaces the secret of an enrolment that was never confirmed.
+     * @param {string} username The username of the user that enrols.
+     * @return {TwoFactorDTO | null} An object with the secret and the otpauth URI to show as a QR code.
+     *                                null indicates that something went wrong and it gets logged.
+     */
+    async enrolTwoFactor(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.twoFactorEnabled) {
+                return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.AlreadyEnabled);
+            }
+
+            const secret = Totp.generateSecret();
+
+            const storeSecretQuery = {
+                text: `UPDATE account
+                SET totp_secret = $1, totp_last_step = NULL
+                WHERE id = $2`,
+                values: [secret, personInfo.accountID],
+            };
+
+            await this._executeQuery(storeSecretQuery);
+            return new TwoFactorDTO(username, secret, Totp.keyUri(secret, username), null, null, twoFactorStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Enables two-factor authentication once the user has shown that the authenticator app generates
+     * the right codes, and creates the recovery codes of the user.
+     * @param {string} username The username of the user that enrols.
+     * @param {string} code The code shown by the authenticator app.
+     * @return {TwoFactorDTO | null} An object with the recovery codes, which are only shown this once.
+     *                                null indicates that something went wrong and it gets logged.
+     */
+    async confirmTwoFactor(username, code) {
+        try {
+            return await this._transaction(async (connection) => {
+                const getSecretQuery = {
+                    text: `SELECT    id, totp_secret, totp_enabled_at
+                    FROM    account
+                    WHERE    username = $1 AND
+                             anonymised_at IS NULL
+                    FOR UPDATE`,
+                    values: [username],
+                };
+
+                const results = await this._executeQuery(getSecretQuery, connection);
+
+                if (results.rowCount <= 0) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.InvalidUser);
+                }
+
+                const row = results.rows[0];
+                if (row.totp_enabled_at !== null) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.AlreadyEnabled);
+                }
+
+                if (row.totp_secret === null) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.NotEnrolled);
+                }
+
+                const now = this.clock.now().toDate();
+                const timeStep = Totp.verifyCode(row.totp_secret, code, now);
+                if (timeStep === null) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.InvalidCode);
+                }
+
+                const enableQuery = {
+                    text: `UPDATE account
+                    SET totp_enabled_at = $1, totp_last_step = $2
+                    WHERE id = $3`,
+                    values: [now, timeStep, row.id],
+                };
+
+                await this._executeQuery(enableQuery, connection);
+                const recoveryCodes = await this._createRecoveryCodes(row.id, connection);
+                return new TwoFactorDTO(username, null, null, recoveryCodes, now.toISOString(), twoFactorStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Disables two-factor authentication, or cancels an enrolment that was never confirmed,
+     * after the user has given their password. The secret and the recovery codes are removed.
+     * Note that administrators cannot disable it while two-factor authentication is required for them.
+     * @param {string} username The username of the user that disables two-factor authentication.
+     * @param {string} password The password of the user.
+     * @return {TwoFactorDTO | null} An object with the result of the operation.
+     *                                null indicates that something went wrong and it gets logged.
+     */
+    async disableTwoFactor(username, password) {
+        try {
+            return await this._transaction(async (connection) => {
+                const getAccountQuery = {
+                    text: `SELECT    account.id, account.password, account.totp_secret, person.privilege_id
+                    FROM        account
+                    INNER JOIN person ON (person.id = account.person_id)
+                    WHERE    account.username = $1 AND
+                             account.anonymised_at IS NULL
+                    FOR UPDATE OF account`,
+                    values: [username],
+                };
+
+                const results = await this._executeQuery(getAccountQuery, connection);
+
+                if (results.rowCount <= 0) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.InvalidUser);
+                }
+
+                const row = results.rows[0];
+                if (!(await this._verifyPasswordHash(password, row.password))) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.WrongPassword);
+                }
+
+                if (row.totp_secret === null) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.NotEnabled);
+                }
+
+                if (this.adminTwoFactorRequired && row.privilege_id === privilegeEnum.Administrator) {
+                    return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.Required);
+                }
+
+                const disableQuery = {
+                    text: `UPDATE account
+                    SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+                    WHERE id = $1`,
+                    values: [row.id],
+                };
+
+                const deleteRecoveryCodesQuery = {
+                    text: `DELETE FROM recovery_code
+                    WHERE account_id = $1`,
+                    values: [row.id],
+                };
+
+                await this._executeQuery(disableQuery, connection);
+                await this._executeQuery(deleteRecoveryCodesQuery, connection);
+                return LaundryDAO._emptyTwoFactorDTO(username, twoFactorStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _useTwoFactorCode(accountID, secret, twoFactorCode) {
+        const now = this.clock.now().toDate();
+        if (Totp.isCodeFormat(twoFactorCode)) {
+            const timeStep = Totp.verifyCode(secret, twoFactorCode, now);
+            if (timeStep === null) {
+                return false;
+            }
+
+            // A code is refused once it or a later code was used, so an overheard code cannot be replayed.
+            const useTimeStepQuery = {
+                text: `UPDATE account
+                SET totp_last_step = $1
+                WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+                values: [timeStep, accountID],
+            };
+
+            const results = await this._executeQuery(useTimeStepQuery);
+            return results.rowCount > 0;
+        }
+
+        const useRecoveryCodeQuery = {
+            text: `UPDATE recovery_code
+            SET used_at = $1
+            WHERE account_id = $2 AND code_hash = $3 AND used_at IS NULL`,
+            values: [now, accountID, LaundryDAO._hashToken(twoFactorCode)],
+        };
+
+        const results = await this._executeQuery(useRecoveryCodeQuery);
+        return results.rowCount > 0;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _createRecoveryCodes(accountID, connection) {
+        const deleteRecoveryCodesQuery = {
+            text: `DELETE FROM recovery_code
+            WHERE account_id = $1`,
+            values: [accountID],
+        };
+
+        await this._executeQuery(deleteRecoveryCodesQuery, connection);
+
+        const recoveryCodes = [];
+        for (let i = 0; i < this.recoveryCodeCount; i++) {
+            const recoveryCode = crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-');
+            const insertRecoveryCodeQuery = {
+                text: `INSERT INTO recovery_code(account_id, code_hash)
+                VALUES ($1, $2)`,
+                values: [accountID, LaundryDAO._hashToken(recoveryCode)],
+            };
+
+            await this._executeQuery(insertRecoveryCodeQuery, connection);
+            recoveryCodes.push(recoveryCode);
+        }
+
+        return recoveryCodes;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyTwoFactorDTO(username, statusCode) {
+        return new TwoFactorDTO(username, null, null, null, null, statusCode);
+    }
+
+    /**
+     * Get the failed logins of every account that has failed to login since its last successful login,
+     * the most recent failures first, including the accounts that are currently locked out.
+     * Note that only high privilege user can list the lockouts.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {LockoutInfoDTO | null} An object with the failed logins of each account.
+     *                                  null indicates that something went wrong and it gets logged.
+     */
+    async listLockouts(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new LockoutInfoDTO(emptyParamEnum.Lockouts, userStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new LockoutInfoDTO(emptyParamEnum.Lockouts, userStatusCodes.InvalidPrivilege);
+            }
+
+            const getLockoutsQuery = {
+                text: `SELECT    username, failed_logins, last_failed_login_at, locked_until
+                FROM    account
+                WHERE    failed_logins > 0 AND
+                         anonymised_at IS NULL
+                ORDER BY last_failed_login_at DESC`,
+            };
+
+            const results = await this._executeQuery(getLockoutsQuery);
+            const lockouts = results.rows.map((row) => LaundryDAO._toLockoutDTO(row));
+
+            return new LockoutInfoDTO(lockouts, userStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Clears the failed logins of an account, which lifts its lockout so that the user can login right away.
+     * Note that only high privilege user can clear lockouts.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {string} userToBeCleared The username of the account whose failed logins are cleared.
+     * @return {LockoutDTO | null} An object with the cleared failed logins of the account.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async clearLockout(username, userToBeCleared) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyLockoutDTO(userToBeCleared, userStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyLockoutDTO(userToBeCleared, userStatusCodes.InvalidPrivilege);
+            }
+
+            const userInfo = await this._getPersonInfo(userToBeCleared);
+
+            if (userInfo === null) {
+                return LaundryDAO._emptyLockoutDTO(userToBeCleared, userStatusCodes.NonExistentUser);
+            }
+
+            const clearLockoutQuery = {
+                text: `UPDATE account
+                SET failed_logins = 0, locked_until = NULL
+                WHERE id = $1
+                RETURNING username, failed_logins, last_failed_login_at, locked_until`,
+                values: [userInfo.accountID],
+            };
+
+            const results = await this._executeQuery(clearLockoutQuery);
+            return LaundryDAO._toLockoutDTO(results.rows[0]);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _isLockedOut(accountRow) {
+        return accountRow.locked_until !== null && accountRow.locked_until > this.clock.now().toDate();
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _recordFailedLogin(accountID) {
+        // The count is incremented in the same statement that computes the delay, so concurrent failures all count.
+        // Once a lockout has expired the count starts over, otherwise a single guess would lock the account out again.
+        const failedLogins = `CASE
+                    WHEN failed_logins >= $3 AND locked_until <= $1 THEN 1
+                    ELSE failed_logins + 1
+                END`;
+        const recordFailedLoginQuery = {
+            text: `UPDATE account
+            SET failed_logins = ${failedLogins}, last_failed_login_at = $1,
+                locked_until = CASE
+                    WHEN ${failedLogins} >= $3 THEN $1::TIMESTAMPTZ + make_interval(mins => $4)
+                    WHEN ${failedLogins} >= $5 THEN $1::TIMESTAMPTZ + make_interval(secs => power(2, ${failedLogins} - $5))
+                    ELSE NULL
+                END
+            WHERE id = $2`,
+            values: [this.clock.now().toDate(), accountID, this.lockoutThreshold, this.lockoutDuration, this.freeLoginAttempts],
+        };
+
+        await this._executeQuery(recordFailedLoginQuery);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _clearFailedLogins(accountID) {
+        const clearFailedLoginsQuery = {
+            text: `UPDATE account
+            SET failed_logins = 0, locked_until = NULL
+            WHERE id = $1 AND failed_logins > 0`,
+            values: [accountID],
+        };
+
+        await this._executeQuery(clearFailedLoginsQuery);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _toLockoutDTO(row) {
+        return new LockoutDTO(row.username, row.failed_logins, LaundryDAO._toISOString(row.last_failed_login_at),
+            LaundryDAO._toISOString(row.locked_until), userStatusCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyLockoutDTO(username, statusCode) {
+        return new LockoutDTO(username, 0, null, null, statusCode);
+    }
+
+    /**
+     * Get the booking rules that are currently applied when locking and booking passes.
+     * Note that only high privilege user can get the booking rules.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {BookingRulesDTO | null} An object with the current booking rules.
+     *                                   null indicates that something went wrong and it gets logged.
+     */
+    async getBookingRules(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new BookingRulesDTO(emptyParamEnum.PassLimit, emptyParamEnum.PassLimit,
+                    emptyParamEnum.LockDuration, ruleStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new BookingRulesDTO(emptyParamEnum.PassLimit, emptyParamEnum.PassLimit,
+                    emptyParamEnum.LockDuration, ruleStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._getBookingRules();
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the booking rules, the new rules are applied to all the following lock and booking attempts.
+     * Note that only high privilege user can update the booking rules.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {BookingRulesDTO} bookingRulesDTO Holds the new booking rules.
+     * @return {BookingRulesDTO | null} An object with the updated booking rules.
+     *                                   null indicates that something went wrong and it gets logged.
+     */
+    async updateBookingRules(username, bookingRulesDTO) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new BookingRulesDTO(emptyParamEnum.PassLimit, emptyParamEnum.PassLimit,
+                    emptyParamEnum.LockDuration, ruleStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new BookingRulesDTO(emptyParamEnum.PassLimit, emptyParamEnum.PassLimit,
+                    emptyParamEnum.LockDuration, ruleStatusCodes.InvalidPrivilege);
+            }
+
+            const updateRulesQuery = {
+                text: `UPDATE public.booking_rule
+                SET     active_passes_allowed = $1,
+                        total_month_passes_allowed = $2,
+                        lock_duration = $3
+                RETURNING booking_rule.active_passes_allowed, booking_rule.total_month_passes_allowed,
+                        booking_rule.lock_duration`,
+                values: [bookingRulesDTO.activePassesAllowed, bookingRulesDTO.totalMonthPassesAllowed, bookingRulesDTO.lockDuration],
+            };
+
+            const results = await this._executeQuery(updateRulesQuery);
+
+            return new BookingRulesDTO(results.rows[0].active_passes_allowed, results.rows[0].total_month_passes_allowed,
+                results.rows[0].lock_duration, ruleStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getBookingRules(connection) {
+        const getRulesQuery = {
+            text: `SELECT    booking_rule.active_passes_allowed, booking_rule.total_month_passes_allowed,
+            booking_rule.lock_duration
+            FROM        booking_rule`,
+            values: [],
+        };
+
+        try {
+            const results = await this._executeQuery(getRulesQuery, connection);
+
+            if (results.rowCount <= 0) {
+                throw new Error('The booking rules are missing from the database.');
+            }
+
+            return new BookingRulesDTO(results.rows[0].active_passes_allowed, results.rows[0].total_month_passes_allowed,
+                results.rows[0].lock_duration, ruleStatusCodes.OK);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * Get the booking horizon that decides how far ahead passes can be locked and booked.
+     * Note that only high privilege user can get the booking horizon through this method,
+     * the schedules show it to every user.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {BookingHorizonDTO | null} An object with the current booking horizon.
+     *                                     null indicates that something went wrong and it gets logged.
+     */
+    async getBookingHorizon(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyBookingHorizonDTO(ruleStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyBookingHorizonDTO(ruleStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._getBookingHorizon();
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the booking horizon, it is applied to all the following lock and booking attempts.
+     * Passes that are already booked are kept even if their date is no longer open for booking.
+     * Note that only high privilege user can update the booking horizon.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {BookingHorizonDTO} bookingHorizonDTO Holds the new booking horizon.
+     * @return {BookingHorizonDTO | null} An object with the updated booking horizon.
+     *                                     null indicates that something went wrong and it gets logged.
+     */
+    async updateBookingHorizon(username, bookingHorizonDTO) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyBookingHorizonDTO(ruleStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyBookingHorizonDTO(ruleStatusCodes.InvalidPrivilege);
+            }
+
+            const updateHorizonQuery = {
+                text: `UPDATE public.booking_rule
+                SET     horizon_unit = $1,
+                        horizon_length = $2,
+                        release_time = $3
+                RETURNING booking_rule.horizon_unit, booking_rule.horizon_length, booking_rule.release_time`,
+                values: [bookingHorizonDTO.unit, bookingHorizonDTO.length, bookingHorizonDTO.releaseTime],
+            };
+
+            const results = await this._executeQuery(updateHorizonQuery);
+
+            return new BookingHorizonDTO(results.rows[0].horizon_unit, results.rows[0].horizon_length,
+                results.rows[0].release_time, ruleStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getBookingHorizon(connection) {
+        const getHorizonQuery = {
+            text: `SELECT    booking_rule.horizon_unit, booking_rule.horizon_length, booking_rule.release_time
+            FROM        booking_rule`,
+            values: [],
+        };
+
+        try {
+            const results = await this._executeQuery(getHorizonQuery, connection);
+
+            if (results.rowCount <= 0) {
+                throw new Error('The booking rules are missing from the database.');
+            }
+
+            return new BookingHorizonDTO(results.rows[0].horizon_unit, results.rows[0].horizon_length,
+                results.rows[0].release_time, ruleStatusCodes.OK);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getOpeningTime(date, bookingHorizon) {
+        const openingDate = bookingHorizon.unit === horizonUnitEnum.Day ?
+            this.clock.calendarDate(date).subtract(bookingHorizon.length, 'day') :
+            this.clock.weekStart(date).subtract(bookingHorizon.length, 'week');
+        const releaseTime = bookingHorizon.releaseTime === null ? '00:00' : bookingHorizon.releaseTime;
+
+        return this.clock.localTime(openingDate.format('YYYY-MM-DD'), releaseTime);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _isBookingOpen(date, bookingHorizon) {
+        return !this.clock.now().isBefore(this._getOpeningTime(date, bookingHorizon));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getLastOpenedDate(bookingHorizon) {
+        if (bookingHorizon.unit === horizonUnitEnum.Day) {
+            return this.clock.today().add(bookingHorizon.length, 'day').format('YYYY-MM-DD');
+        }
+
+        return this.clock.weekStart(this.clock.todayDate()).add(bookingHorizon.length, 'week').add(6, 'day').format('YYYY-MM-DD');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyBookingHorizonDTO(statusCode) {
+        return new BookingHorizonDTO(horizonUnitEnum.Week, emptyParamEnum.HorizonLength, null, statusCode);
+    }
+
+    /**
+     * Get all the laundry rooms with their pass slots, including the retired rooms.
+     * Note that only high privilege user can list the rooms.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {RoomInfoDTO | null} An object with the information about all the rooms.
+     *                              null indicates that something went wrong and it gets logged.
+     */
+    async listRooms(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new RoomInfoDTO(emptyParamEnum.Rooms, roomStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new RoomInfoDTO(emptyParamEnum.Rooms, roomStatusCodes.InvalidPrivilege);
+            }
+
+            const getRoomsQuery = {
+                text: `SELECT    room.number, room.name, room.retired,
+                ARRAY_REMOVE(ARRAY_AGG(pass.range ORDER BY pass.range), NULL) AS slots
+                FROM        room
+                            LEFT JOIN pass_schedule ON (pass_schedule.room = room.number AND pass_schedule.active = TRUE)
+                            LEFT JOIN pass ON (pass.id = pass_schedule.pass_id)
+                GROUP BY    room.number
+                ORDER BY    room.number ASC`,
+                values: [],
+            };
+
+            const results = await this._executeQuery(getRoomsQuery);
+            const rooms = results.rows.map((row) => new RoomDTO(row.number, row.name, row.retired, row.slots,
+                emptyParamEnum.Bookings, roomStatusCodes.OK));
+
+            return new RoomInfoDTO(rooms, roomStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Add a new laundry room without any pass slots.
+     * Note that only high privilege user can add rooms.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} roomNumber The number of the new room.
+     * @param {string} name The display name of the new room.
+     * @return {RoomDTO | null} An object with the information about the new room.
+     *                          null indicates that something went wrong and it gets logged.
+     */
+    async addRoom(username, roomNumber, name) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidPrivilege);
+            }
+
+            const addRoomQuery = {
+                text: `INSERT INTO public.room(number, name)
+                VALUES ($1, $2)
+                ON CONFLICT DO NOTHING`,
+                values: [roomNumber, name],
+            };
+
+            const results = await this._executeQuery(addRoomQuery);
+
+            if (results.rowCount <= 0) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.ExistentRoom);
+            }
+
+            return new RoomDTO(roomNumber, name, false, emptyParamEnum.PassRanges, emptyParamEnum.Bookings, roomStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Change the display name of a laundry room.
+     * Note that only high privilege user can rename rooms.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} roomNumber The number of the room.
+     * @param {string} name The new display name of the room.
+     * @return {RoomDTO | null} An object with the information about the renamed room.
+     *                          null indicates that something went wrong and it gets logged.
+     */
+    async renameRoom(username, roomNumber, name) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidPrivilege);
+            }
+
+            const renameRoomQuery = {
+                text: `UPDATE public.room
+                SET     name = $2
+                WHERE   room.number = $1`,
+                values: [roomNumber, name],
+            };
+
+            const results = await this._executeQuery(renameRoomQuery);
+
+            if (results.rowCount <= 0) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.NonExistentRoom);
+            }
+
+            return await this._getRoomInfo(roomNumber);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Take a laundry room out of service permanently, the room and its slots are removed from the schedule.
+     * A room that has upcoming bookings can not be retired, the bookings are returned instead.
+     * Note that only high privilege user can retire rooms.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} roomNumber The number of the room.
+     * @return {RoomDTO | null} An object with the information about the retired room,
+     *                          or the upcoming bookings that prevent the room from being retired.
+     *                          null indicates that something went wrong and it gets logged.
+     */
+    async retireRoom(username, roomNumber) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const roomDTO = await this._getRoomInfo(roomNumber, connection, true);
+
+                if (roomDTO.statusCode !== roomStatusCodes.OK) {
+                    return roomDTO;
+                }
+
+                const upcomingBookings = await this._getUpcomingRoomBookings(roomNumber, roomDTO.passRanges, connection);
+
+                if (upcomingBookings.length > 0) {
+                    return new RoomDTO(roomNumber, roomDTO.name, roomDTO.retired, roomDTO.passRanges,
+                        upcomingBookings, roomStatusCodes.UpcomingBookings);
+                }
+
+                const retireRoomQuery = {
+                    text: `UPDATE public.room
+                    SET     retired = TRUE
+                    WHERE   room.number = $1`,
+                    values: [roomNumber],
+                };
+
+                await this._executeQuery(retireRoomQuery, connection);
+                await this._deleteRoomLocks(roomNumber, roomDTO.passRanges, connection);
+
+                return new RoomDTO(roomNumber, roomDTO.name, true, roomDTO.passRanges, emptyParamEnum.Bookings, roomStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Define the pass slots of a laundry room, slots that are not part of the given ranges are removed from the room.
+     * Slots that have upcoming bookings can not be removed, the bookings are returned instead and no slot is changed.
+     * Note that only high privilege user can change the slots of the rooms.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} roomNumber The number of the room.
+     * @param {[string]} passRanges The time frames of all the slots that the room should have.
+     * @return {RoomDTO | null} An object with the information about the room,
+     *                          or the upcoming bookings that prevent the slots from being removed.
+     *                          null indicates that something went wrong and it gets logged.
+     */
+    async setRoomSlots(username, roomNumber, passRanges) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const roomDTO = await this._getRoomInfo(roomNumber, connection, true);
+
+                if (roomDTO.statusCode !== roomStatusCodes.OK) {
+                    return roomDTO;
+                }
+
+                if (roomDTO.retired) {
+                    return LaundryDAO._emptyRoomDTO(roomStatusCodes.RetiredRoom);
+                }
+
+                const removedRanges = roomDTO.passRanges.filter((passRange) => !passRanges.includes(passRange));
+                const upcomingBookings = await this._getUpcomingRoomBookings(roomNumber, removedRanges, connection);
+
+                if (upcomingBookings.length > 0) {
+                    return new RoomDTO(roomNumber, roomDTO.name, roomDTO.retired, roomDTO.passRanges,
+                        upcomingBookings, roomStatusCodes.UpcomingBookings);
+                }
+
+                const addPassQuery = {
+                    text: `INSERT INTO public.pass(range)
+                    SELECT UNNEST($1::VARCHAR[])
+                    ON CONFLICT DO NOTHING`,
+                    values: [passRanges],
+                };
+
+                const activateSlotsQuery = {
+                    text: `INSERT INTO public.pass_schedule(room, pass_id, active)
+                    SELECT  $1, pass.id, TRUE
+                    FROM    pass
+                    WHERE   pass.range = ANY($2::VARCHAR[])
+                    ON CONFLICT (room, pass_id) DO UPDATE SET active = TRUE`,
+                    values: [roomNumber, passRanges],
+                };
+
+                const deactivateSlotsQuery = {
+                    text: `UPDATE public.pass_schedule
+                    SET     active = FALSE
+                    FROM    pass
+                    WHERE   pass.id = pass_schedule.pass_id AND
+                            pass_schedule.room = $1 AND
+                            pass.range = ANY($2::VARCHAR[])`,
+                    values: [roomNumber, removedRanges],
+                };
+
+                await this._executeQuery(addPassQuery, connection);
+                await this._executeQuery(activateSlotsQuery, connection);
+                await this._executeQuery(deactivateSlotsQuery, connection);
+                await this._deleteRoomLocks(roomNumber, removedRanges, connection);
+
+                return await this._getRoomInfo(roomNumber, connection);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getRoomInfo(roomNumber, connection, lockRoom = false) {
+        const getRoomQuery = {
+            text: `SELECT    room.number, room.name, room.retired
+            FROM        room
+            WHERE    room.number = $1
+            ${lockRoom ? 'FOR UPDATE' : ''}`,
+            values: [roomNumber],
+        };
+
+        const getSlotsQuery = {
+            text: `SELECT    pass.range
+            FROM        pass_schedule
+                        INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE    pass_schedule.room = $1 AND
+                    pass_schedule.active = TRUE
+            ORDER BY    pass.range ASC`,
+            values: [roomNumber],
+        };
+
+        try {
+            const roomResults = await this._executeQuery(getRoomQuery, connection);
+
+            if (roomResults.rowCount <= 0) {
+                return LaundryDAO._emptyRoomDTO(roomStatusCodes.NonExistentRoom);
+            }
+
+            const slotResults = await this._executeQuery(getSlotsQuery, connection);
+            const passRanges = slotResults.rows.map((row) => row.range);
+
+            return new RoomDTO(roomResults.rows[0].number, roomResults.rows[0].name, roomResults.rows[0].retired,
+                passRanges, emptyParamEnum.Bookings, roomStatusCodes.OK);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getUpcomingRoomBookings(roomNumber, passRanges, connection) {
+        const getBookingsQuery = {
+            text: `SELECT    pass_booking.date, pass_schedule.room,
+            pass.range, account.username
+            FROM        pass_booking
+                        INNER JOIN account ON (account.id = pass_booking.account_id)
+                        INNER JOIN pass_schedule ON (pass_schedule.id = pass_booking.pass_schedule_id)
+                        INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE    pass_schedule.room = $1 AND
+                    pass.range = ANY($2::VARCHAR[]) AND
+                    pass_booking.date >= CURRENT_DATE
+            ORDER BY    pass_booking.date ASC, pass.range ASC`,
+            values: [roomNumber, passRanges],
+        };
+
+        try {
+            const results = await this._executeQuery(getBookingsQuery, connection);
+
+            return results.rows.map((row) => ({date: row.date, roomNumber: row.room, passRange: row.range, username: row.username}));
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _deleteRoomLocks(roomNumber, passRanges, connection) {
+        const deleteLocksQuery = {
+            text: `DELETE FROM public.pass_lock
+            USING   pass_schedule, pass
+            WHERE   pass_schedule.id = pass_lock.pass_schedule_id AND
+                    pass.id = pass_schedule.pass_id AND
+                    pass_schedule.room = $1 AND
+                    pass.range = ANY($2::VARCHAR[])`,
+            values: [roomNumber, passRanges],
+        };
+
+        try {
+            await this._executeQuery(deleteLocksQuery, connection);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptyRoomDTO(statusCode) {
+        return new RoomDTO(emptyParamEnum.RoomNumber, emptyParamEnum.RoomName, false, emptyParamEnum.PassRanges,
+            emptyParamEnum.Bookings, statusCode);
+    }
+
+    /**
+     * Get all the slot templates of the rooms.
+     * Note that only high privilege user can list the slot templates.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {SlotTemplateInfoDTO | null} An object with the information about all the slot templates.
+     *                                      null indicates that something went wrong and it gets logged.
+     */
+    async listSlotTemplates(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new SlotTemplateInfoDTO(emptyParamEnum.Templates, templateStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new SlotTemplateInfoDTO(emptyParamEnum.Templates, templateStatusCodes.InvalidPrivilege);
+            }
+
+            const templates = await this._getSlotTemplates(null);
+
+            return new SlotTemplateInfoDTO(templates, templateStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Add a slot template that selects which of the room slots are offered on the matching dates.
+     * The template can not overlap another template of the room that is equally specific,
+     * and it can not leave upcoming bookings outside of the offered slots, the bookings are returned instead.
+     * Note that only high privilege user can add slot templates.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {SlotTemplateDTO} slotTemplateDTO Holds the new slot template, the template id is ignored.
+     * @return {SlotTemplateDTO | null} An object with the information about the new slot template,
+     *                                  or the upcoming bookings that prevent the template from being added.
+     *                                  null indicates that something went wrong and it gets logged.
+     */
+    async addSlotTemplate(username, slotTemplateDTO) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const roomDTO = await this._getRoomInfo(slotTemplateDTO.roomNumber, connection, true);
+
+                if (roomDTO.statusCode !== roomStatusCodes.OK) {
+                    return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.NonExistentRoom);
+                }
+
+                if (roomDTO.retired) {
+                    return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.RetiredRoom);
+                }
+
+                if (!slotTemplateDTO.passRanges.every((passRange) => roomDTO.passRanges.includes(passRange))) {
+                    return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.NonExistentSlot);
+                }
+
+                const templates = await this._getSlotTemplates(slotTemplateDTO.roomNumber, connection);
+
+                if (templates.some((template) => LaundryDAO._isOverlappingTemplate(template, slotTemplateDTO))) {
+                    return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.OverlappingTemplate);
+                }
+
+                const displacedBookings = await this._getDisplacedBookings(roomDTO, [...templates, slotTemplateDTO], connection);
+
+                if (displacedBookings.length > 0) {
+                    return new SlotTemplateDTO(emptyParamEnum.TemplateID, slotTemplateDTO.roomNumber, slotTemplateDTO.weekdays,
+                        slotTemplateDTO.startDate, slotTemplateDTO.endDate, slotTemplateDTO.passRanges,
+                        displacedBookings, templateStatusCodes.UpcomingBookings);
+                }
+
+                const addTemplateQuery = {
+                    text: `INSERT INTO public.slot_template(room, weekdays, start_date, end_date)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING id`,
+                    values: [slotTemplateDTO.roomNumber, slotTemplateDTO.weekdays, slotTemplateDTO.startDate, slotTemplateDTO.endDate],
+                };
+
+                const results = await this._executeQuery(addTemplateQuery, connection);
+                const templateID = results.rows[0].id;
+
+                const addTemplatePassesQuery = {
+                    text: `INSERT INTO public.slot_template_pass(slot_template_id, pass_schedule_id)
+                    SELECT  $1, pass_schedule.id
+                    FROM    pass_schedule
+                            INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+                    WHERE   pass_schedule.room = $2 AND
+                            pass_schedule.active = TRUE AND
+                            pass.range = ANY($3::VARCHAR[])`,
+                    values: [templateID, slotTemplateDTO.roomNumber, slotTemplateDTO.passRanges],
+                };
+
+                await this._executeQuery(addTemplatePassesQuery, connection);
+
+                return new SlotTemplateDTO(templateID, slotTemplateDTO.roomNumber, slotTemplateDTO.weekdays,
+                    slotTemplateDTO.startDate, slotTemplateDTO.endDate, [...slotTemplateDTO.passRanges].sort(),
+                    emptyParamEnum.Bookings, templateStatusCodes.OK);
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a slot template, the matching dates are offered the slots of the next most specific template instead.
+     * A template can not be removed if that leaves upcoming bookings outside of the offered slots,
+     * the bookings are returned instead.
+     * Note that only high privilege user can remove slot templates.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} templateID The id of the slot template.
+     * @return {SlotTemplateDTO | null} An object with the information about the removed slot template,
+     *                                  or the upcoming bookings that prevent the template from being removed.
+     *                                  null indicates that something went wrong and it gets logged.
+     */
+    async removeSlotTemplate(username, templateID) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.InvalidPrivilege);
+            }
+
+            const getTemplateRoomQuery = {
+                text: `SELECT    slot_template.room
+                FROM        slot_template
+                WHERE    slot_template.id = $1`,
+                values: [templateID],
+            };
+
+            const roomResults = await this._executeQuery(getTemplateRoomQuery);
+
+            if (roomResults.rowCount <= 0) {
+                return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.NonExistentTemplate);
+            }
+
+            return await this._transaction(async (connection) => {
+                const roomDTO = await this._getRoomInfo(roomResults.rows[0].room, connection, true);
+                const templates = await this._getSlotTemplates(roomDTO.roomNumber, connection);
+                const removedTemplate = templates.find((template) => template.templateID === templateID);
+
+                if (removedTemplate === undefined) {
+                    return LaundryDAO._emptySlotTemplateDTO(templateStatusCodes.NonExistentTemplate);
+                }
+
+                const remainingTemplates = templates.filter((template) => template !== removedTemplate);
+                const displacedBookings = await this._getDisplacedBookings(roomDTO, remainingTemplates, connection);
+
+                if (displacedBookings.length > 0) {
+                    removedTemplate.upcomingBookings = displacedBookings;
+                    removedTemplate.statusCode = templateStatusCodes.UpcomingBookings;
+                    return removedTemplate;
+                }
+
+                const removeTemplateQuery = {
+                    text: `DELETE FROM public.slot_template
+                    WHERE   slot_template.id = $1`,
+                    values: [templateID],
+                };
+
+                await this._executeQuery(removeTemplateQuery, connection);
+
+                return removedTemplate;
+            });
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getSlotTemplates(roomNumber, connection) {
+        const getTemplatesQuery = {
+            text: `SELECT    slot_template.id, slot_template.room, slot_template.weekdays,
+            slot_template.start_date, slot_template.end_date,
+            ARRAY_REMOVE(ARRAY_AGG(pass.range ORDER BY pass.range), NULL) AS slots
+            FROM        slot_template
+                        LEFT JOIN slot_template_pass ON (slot_template_pass.slot_template_id = slot_template.id)
+                        LEFT JOIN pass_schedule ON (pass_schedule.id = slot_template_pass.pass_schedule_id AND
+                                                    pass_schedule.active = TRUE)
+                        LEFT JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE    $1::INTEGER IS NULL OR
+                    slot_template.room = $1
+            GROUP BY    slot_template.id
+            ORDER BY    slot_template.room ASC, slot_template.id ASC`,
+            values: [roomNumber],
+        };
+
+        try {
+            const results = await this._executeQuery(getTemplatesQuery, connection);
+
+            return results.rows.map((row) => new SlotTemplateDTO(row.id, row.room, row.weekdays, row.start_date,
+                row.end_date, row.slots, emptyParamEnum.Bookings, templateStatusCodes.OK));
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _isSlotOffered(roomNumber, date, passRange, connection) {
+        try {
+            const roomDTO = await this._getRoomInfo(roomNumber, connection);
+            const templates = await this._getSlotTemplates(roomNumber, connection);
+
+            return LaundryDAO._getDateSlots(roomDTO.passRanges, templates, date).includes(passRange);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getDisplacedBookings(roomDTO, templates, connection) {
+        try {
+            const upcomingBookings = await this._getUpcomingRoomBookings(roomDTO.roomNumber, roomDTO.passRanges, connection);
+
+            return upcomingBookings.filter((booking) =>
+                !LaundryDAO._getDateSlots(roomDTO.passRanges, templates, booking.date).includes(booking.passRange));
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _getDateSlots(roomSlots, templates, date) {
+        // The most specific template that matches the date decides the slots,
+        // templates that are equally specific never overlap.
+        let selectedTemplate = null;
+
+        templates.forEach((template) => {
+            if (LaundryDAO._isTemplateMatching(template, date) && (selectedTemplate === null ||
+                LaundryDAO._templateSpecificity(template) > LaundryDAO._templateSpecificity(selectedTemplate))) {
+                selectedTemplate = template;
+            }
+        });
+
+        return selectedTemplate === null ? roomSlots : selectedTemplate.passRanges;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _isTemplateMatching(template, date) {
+        const weekday = dayjs(date).day() === 0 ? 7 : dayjs(date).day();
+        const dateMatches = template.startDate === null || (template.startDate <= date && date <= template.endDate);
+        const weekdayMatches = template.weekdays.length === 0 || template.weekdays.includes(weekday);
+
+        return dateMatches && weekdayMatches;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _isOverlappingTemplate(template, otherTemplate) {
+        if (LaundryDAO._templateSpecificity(template) !== LaundryDAO._templateSpecificity(otherTemplate)) {
+            return false;
+        }
+
+        const datesOverlap = template.startDate === null ||
+            (template.startDate <= otherTemplate.endDate && otherTemplate.startDate <= template.endDate);
+        const weekdaysOverlap = template.weekdays.length === 0 ||
+            template.weekdays.some((weekday) => otherTemplate.weekdays.includes(weekday));
+
+        return datesOverlap && weekdaysOverlap;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _templateSpecificity(template) {
+        return (template.startDate !== null ? 2 : 0) + (template.weekdays.length > 0 ? 1 : 0);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _emptySlotTemplateDTO(statusCode) {
+        return new SlotTemplateDTO(emptyParamEnum.TemplateID, emptyParamEnum.RoomNumber, emptyParamEnum.Weekdays,
+            null, null, emptyParamEnum.PassRanges, emptyParamEnum.Bookings, statusCode);
+    }
+
+    /**
+     * Get all the closures of the rooms, ordered by their start date.
+     * Note that only high privilege user can list the closures.
+     * @param {string} username The username of the related user that initiated the request.
+     * @return {ClosureInfoDTO | null} An object with the information about all the closures.
+     *                                 null indicates that something went wrong and it gets logged.
+     */
+    async listClosures(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new ClosureInfoDTO(emptyParamEnum.Closures, closureStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new ClosureInfoDTO(emptyParamEnum.Closures, closureStatusCodes.InvalidPrivilege);
+            }
+
+            const getClosuresQuery = {
+                text: `SELECT    closure.id, closure.room, pass.range,
+                closure.start_date, closure.end_date, closure.reason
+                FROM        closure
+                            LEFT JOIN pass_schedule ON (pass_schedule.id = closure.pass_schedule_id)
+                            LEFT JOIN pass ON (pass.id = pass_schedule.pass_id)
+                ORDER BY    closure.start_date ASC, closure.id ASC`,
+                values: [],
+            };
+
+            const results = await this._executeQuery(getClosuresQuery);
+            const closures = results.rows.map((row) => new ClosureDTO(row.id, row.room, row.range, row.start_date,
+                row.end_date, row.reason, emptyParamEnum.Bookings, closureStatusCodes.OK));
+
+            return new ClosureInfoDTO(closures, closureStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Close a laundry room or one of its slots during a date range.
+     * Upcoming bookings in the closed slots are cancelled and the residents are told about the reason,
+     * locks in the closed slots are removed.
+     * Note that only high privilege user can add closures.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {ClosureDTO} closureDTO Holds the new closure, the closure id is ignored.
+     * @return {ClosureDTO | null} An object with the information about the new closure and the cancelled bookings.
+     *                             null indicates that something went wrong and it gets logged.
+     */
+    async addClosure(username, closureDTO) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyClosureDTO(closureStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyClosureDTO(closureStatusCodes.InvalidPrivilege);
+            }
+
+            return await this._transaction(async (connection) => {
+                const roomDTO = await this._getRoomInfo(closureDTO.roomNumber, connection, true);
+
+                if (roomDTO.statusCode !== roomStatusCodes.OK) {
+                    return LaundryDAO._emptyClosureDTO(closureStatusCodes.NonExistentRoom);
+                }
+
+                let passScheduleID = null;
+
+                if (closureDTO.passRange !== null) {
+                    passScheduleID = await this._getPassInfo(closureDTO.roomNumber, closureDTO.passRange, connection);
+
+                    if (passScheduleID === -1) {
+                        return LaundryDAO._emptyClosureDTO(closureStatusCodes.NonExistentSlot);
+                    }
+                }
+
+                const addClosureQuery = {
+                    text: `INSERT INTO public.closure(room, pass_schedule_id, start_date, end_date, reason)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING id`,
+                    values: [closureDTO.roomNumber, passScheduleID, closureDTO.startDate, closureDTO.endDate, closureDTO.reason],
+                };
+
+                const cancelBookingsQuery = {
+                    text: `DELETE FROM public.pass_booking
+                    USING   pass_schedule, pass, account
+                    WHERE   pass_schedule.id = pass_booking.pass_schedule_id AND
+                            pass.id = pass_schedule.pass_id AND
+                            account.id = pass_booking.account_id AND
+                            pass_schedule.room = $1 AND
+                            ($2::INTEGER IS NULL OR pass_schedule.id = $2) AND
+                            pass_booking.date >= GREATEST($3::DATE, CURRENT_DATE) AND
+                            pass_booking.date <= $4
+                    RETURNING   pass_booking.date, pass_booking.account_id, pass_schedule.room,
+                                pass.range, account.username`,
+                    values: [closureDTO.roomNumber, passScheduleID, closureDTO.startDate, closureDTO.endDate],
+                };
+
+                const deleteLocksQuery = {
+                    text: `DELETE FROM public.pass_lock
+                    USING   pass_schedule
+                    WHERE   pass_schedule.id = pass_lock.pass_schedule_id AND
+                            pass_schedule.room = $1 AND
+                            ($2::INTEGER IS NULL OR pass_schedule.id = $2) AND
+                            pass_lock.pass_date >= $3 AND
+                            pass_lock.pass_date <= $4`,
+                    values: [closureDTO.roomNumber, passScheduleID, closureDTO.startDate, closureDTO.endDate],
+                };
+
+                const closureResults = await this._executeQuery(addClosureQuery, connection);
+                const bookingResults = await this._executeQuery(cancelBookingsQuery, connection);
+                await this._executeQuery(deleteLocksQuery, connection);
+
+                for (const booking of bookingResults.rows) {
+                    const addCancellationQuery = {
+                        text: `INSERT INTO public.booking_cancellation(account_id, date, room, pass_range, reason)
+                        VALUES ($1, $2, $3, $4, $5)`,
+                        values: [booking.account_id, booking.date, booking.room, booking.range, closureDTO.reason],
+                    };
+
+                    await this._executeQuery(addCancellationQuery, connection);
+                }
+
+                const cancelledBookings = bookingResults.rows
+                    .map((row) => ({date: row.date, roomNumber: row.room, passRange: row.range, username: row.username}))
+                    .sort((first, second) => first.date.localeCompare(second.date));
+
+                return new ClosureDTO(closureResults.rows[0].id, closureDTO.roomNumber, closureDTO.passRange,
+                    closureDTO.startDate, closureDTO.endDate, closureDTO.reason, cancelledBookings, closureStatusCodes.OK);
+            }, ConnectionPool.SERIALIZABLE);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a closure, the slots become available again but cancelled bookings are not restored.
+     * Note that only high privilege user can remove closures.
+     * @param {string} username The username of the related user that initiated the request.
+     * @param {int} closureID The id of the closure.
+     * @return {ClosureDTO | null} An object with the information about the removed closure.
+     *                             null indicates that something went wrong and it gets logged.
+     */
+    async removeClosure(username, closureID) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return LaundryDAO._emptyClosureDTO(closureStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return LaundryDAO._emptyClosureDTO(closureStatusCodes.InvalidPrivilege);
+            }
+
+            const removeClosureQuery = {
+                text: `WITH removed_closure AS (
+                    DELETE FROM public.closure
+                    WHERE   closure.id = $1
+                    RETURNING   closure.room, closure.pass_schedule_id, closure.start_date, closure.end_date, closure.reason
+                )
+                SELECT    removed_closure.room, pass.range, removed_closure.start_date,
+                removed_closure.end_date, removed_closure.reason
+                FROM        removed_closure
+                            LEFT JOIN pass_schedule ON (pass_schedule.id = removed_closure.pass_schedule_id)
+                            LEFT JOIN pass ON (pass.id = pass_schedule.pass_id)`,
+                values: [closureID],
+            };
+
+            const results = await this._executeQuery(removeClosureQuery);
+
+            if (results.rowCount <= 0) {
+                return LaundryDAO._emptyClosureDTO(closureStatusCodes.NonExistentClosure);
+            }
+
+            return new ClosureDTO(closureID, results.rows[0].room, results.rows[0].range, results.rows[0].start_date,
+                results.rows[0].end_date, results.rows[0].reason, emptyParamEnum.Bookings, closureStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+     * Get the bookings of the user that were cancelled due to closures since the last time that the user asked.
+     * The returned cancellations are not returned again.
+     * @param {string} username The username related to the person.
+     * @return {CancellationInfoDTO | null} An object with the cancelled bookings and the reason of each cancellation.
+     *                                      null indicates that something went wrong and it gets logged.
+     */
+    async getCancellations(username) {
+        try {
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new CancellationInfoDTO(emptyParamEnum.Cancellations, bookingStatusCodes.InvalidUser);
+            }
+
+            const getCancellationsQuery = {
+                text: `UPDATE public.booking_cancellation
+                SET     seen = TRUE
+                WHERE   booking_cancellation.account_id = $1 AND
+                        booking_cancellation.seen = FALSE
+                RETURNING   booking_cancellation.date, booking_cancellation.room,
+                            booking_cancellation.pass_range, booking_cancellation.reason`,
+                values: [personInfo.accountID],
+            };
+
+            const results = await this._executeQuery(getCancellationsQuery);
+            const cancellations = results.rows
+                .map((row) => ({date: row.date, roomNumber: row.room, passRange: row.pass_range, reason: row.reason}))
+                .sort((first, second) => first.date.localeCompare(second.date));
+
+            return new CancellationInfoDTO(cancellations, bookingStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getClosedSlots(startDate, endDate, connection) {
+        const getClosedSlotsQuery = {
+            text: `SELECT    TO_CHAR(closed_date, 'YYYY-MM-DD') AS date, closure.room, pass.range
+            FROM        closure
+                        CROSS JOIN LATERAL GENERATE_SERIES(GREATEST(closure.start_date, $1::DATE),
+                                                           LEAST(closure.end_date, $2::DATE), INTERVAL '1 day') AS closed_date
+                        INNER JOIN pass_schedule ON (pass_schedule.room = closure.room AND
+                                                     (closure.pass_schedule_id IS NULL OR pass_schedule.id = closure.pass_schedule_id))
+                        INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE    closure.start_date <= $2 AND
+                    closure.end_date >= $1`,
+            values: [startDate, endDate],
+        };
+
+        try {
+            const results = await this._executeQuery(getClosedSlotsQuery, connection);
 
-            await this._executeQuery(deleteLockQuery);
-            await this._executeQuery(deleteBookingQuery);
-            await this._executeQuery(deleteAccountQuery);
-            await this._executeQuery(deletePersonQuery);
+            return results.rows.map((row) => ({date: row.date, room: row.room, range: row.range, username: emptyParamEnum.Username}));
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _isSlotClosed(date, passScheduleID, connection) {
+        const checkClosureQuery = {
+            text: `SELECT    closure.id
+            FROM        closure
+                        INNER JOIN pass_schedule ON (pass_schedule.room = closure.room)
+            WHERE    pass_schedule.id = $2 AND
+                    (closure.pass_schedule_id IS NULL OR closure.pass_schedule_id = $2) AND
+                    closure.start_date <= $1 AND
+                    closure.end_date >= $1`,
+            values: [date, passScheduleID],
+        };
 
-            await this._executeQuery('COMMIT');
+        try {
+            const results = await this._executeQuery(checkClosureQuery, connection);
 
-            return true;
+            return results.rowCount > 0;
         } catch (err) {
-            this.logger.logException(err);
-            return null;
+            throw err;
         }
     }
 
+    // eslint-disable-next-line require-jsdoc
+    static _emptyClosureDTO(statusCode) {
+        return new ClosureDTO(emptyParamEnum.ClosureID, emptyParamEnum.RoomNumber, null, emptyParamEnum.Date,
+            emptyParamEnum.Date, emptyParamEnum.Reason, emptyParamEnum.Bookings, statusCode);
+    }
+
     /**
-     * Get the number corresponding to the current date.
-     * @return {int} The number of the current week.
+     * Get the date of the Monday that starts the requested ISO week.
+     * The week is selected by a date within it, otherwise by its ISO year and week number,
+     * otherwise relative to the current week.
+     * @param {int} week The week relative to the current week, e.g. -1 is the previous week.
+     * @param {int} isoYear The ISO year of the week.
+     * @param {int} isoWeek The number of the week within the ISO year.
+     * @param {string} date A date within the week.
+     * @return {string} The first date of the week, formatted as YYYY-MM-DD.
      */
-    async getWeekNumber() {
+    async getWeekStartDate(week, isoYear, isoWeek, date) {
         try {
-            return dayjs().week() - 1;
+            if (date !== undefined && date !== null) {
+                return this.clock.weekStart(date).format('YYYY-MM-DD');
+            }
+
+            if (isoYear !== undefined && isoYear !== null && isoWeek !== undefined && isoWeek !== null) {
+                return this.clock.isoWeekStart(parseInt(isoYear), parseInt(isoWeek)).format('YYYY-MM-DD');
+            }
+
+            const weekOffset = week === undefined || week === null ? 0 : parseInt(week);
+            return this.clock.weekStart(this.clock.todayDate()).add(weekOffset, 'week').format('YYYY-MM-DD');
         } catch (err) {
             throw err;
         }
@@ -338,53 +3468,41 @@ class LaundryDAO {
 
     /**
      * Get the passes schedule for the week.
-     * Residents are allowed to see the bookings of one week before and after the current one.
+     * Residents are allowed to see the bookings of one week before the current one,
+     * and of the following weeks up to the last week that is open for booking, at least the next week.
      * @param {string} username The username related to the person.
-     * @param {int} week The specific week to get the passes related to the week dates.
+     * @param {string} weekStartDate The date of the Monday that starts the ISO week.
      * @return {PassScheduleDTO | null} An object with All the bookings for a specific week.
      *                                   null indicates that something went wrong and it gets logged.
      */
-    async getResidentPasses(username, week) {
+    async getResidentPasses(username, weekStartDate) {
         try {
-            const weekCorrection = week + 1;
-            const weekOffset = 1;
-            const checkWeek = await this._checkWeekSchedule(weekCorrection, weekOffset);
+            const bookingHorizon = await this._getBookingHorizon();
+            const checkWeek = await this._checkWeekSchedule(weekStartDate, bookingHorizon);
             const personInfo = await this._getPersonInfo(username);
 
             if (!checkWeek) {
-                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.RoomCount, emptyParamEnum.WeekDates,
-                    emptyParamEnum.RoomPasses, scheduleStatusCodes.InvalidWeek);
+                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.Year, emptyParamEnum.RoomCount,
+                    emptyParamEnum.WeekDates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidWeek);
             }
 
             if (personInfo === null) {
-                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.RoomCount, emptyParamEnum.WeekDates,
-                    emptyParamEnum.RoomPasses, scheduleStatusCodes.InvalidUser);
+                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.Year, emptyParamEnum.RoomCount,
+                    emptyParamEnum.WeekDates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidUser);
             }
 
             if (personInfo.privilegeID !== privilegeEnum.Standard && personInfo.privilegeID !== privilegeEnum.Administrator) {
-                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.RoomCount, emptyParamEnum.WeekDates,
-                    emptyParamEnum.RoomPasses, scheduleStatusCodes.InvalidPrivilege);
+                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.Year, emptyParamEnum.RoomCount,
+                    emptyParamEnum.WeekDates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidPrivilege);
             }
 
-            const passesSchedule = await this._getPassesSchedule(weekCorrection);
-            const userBooking = await this.getBookedPass(username);
+            const passesSchedule = await this._getPassesSchedule(weekStartDate);
 
             if (passesSchedule === null) {
                 return null;
             }
 
-            const bookingParam = [{date: userBooking.date, room: userBooking.roomNumber, range: userBooking.passRange}];
-            await this._fillPassSchedule(passesSchedule, bookingParam, slotStatusEnum.SelfBooking);
-
-            passesSchedule.roomPasses.forEach((room) => {
-                room.passes.forEach((pass) => {
-                    pass.slots.forEach((slot) => {
-                        delete slot.username;
-                    });
-                });
-            });
-
-            passesSchedule.weekNumber = week;
+            await this._hideBookingOwners(username, passesSchedule.roomPasses);
             return passesSchedule;
         } catch (err) {
             this.logger.logException(err);
@@ -396,32 +3514,30 @@ class LaundryDAO {
      * Get the passes schedule for the week with all the username related to the bookings.
      * Can be only used by an administrator.
      * @param {string} username The username related to the person.
-     * @param {int} week The specific week to get the passes related to the week dates.
+     * @param {string} weekStartDate The date of the Monday that starts the ISO week.
      * @return {PassScheduleDTO | null} An object with All the bookings for a specific week.
      *                                   null indicates that something went wrong and it gets logged.
      */
-    async getPasses(username, week) {
+    async getPasses(username, weekStartDate) {
         try {
             const personInfo = await this._getPersonInfo(username);
-            const weekCorrection = week + 1;
 
             if (personInfo === null) {
-                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.RoomCount, emptyParamEnum.WeekDates,
-                    emptyParamEnum.RoomPasses, scheduleStatusCodes.InvalidUser);
+                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.Year, emptyParamEnum.RoomCount,
+                    emptyParamEnum.WeekDates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidUser);
             }
 
             if (personInfo.privilegeID !== privilegeEnum.Administrator) {
-                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.RoomCount, emptyParamEnum.WeekDates,
-                    emptyParamEnum.RoomPasses, scheduleStatusCodes.InvalidPrivilege);
+                return new PassScheduleDTO(emptyParamEnum.Week, emptyParamEnum.Year, emptyParamEnum.RoomCount,
+                    emptyParamEnum.WeekDates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidPrivilege);
             }
 
-            const passesSchedule = await this._getPassesSchedule(weekCorrection);
+            const passesSchedule = await this._getPassesSchedule(weekStartDate);
 
             if (passesSchedule === null) {
                 return null;
             }
 
-            passesSchedule.weekNumber = week;
             return passesSchedule;
         } catch (err) {
             this.logger.logException(err);
@@ -429,11 +3545,89 @@ class LaundryDAO {
         }
     }
 
+    /**
+     * Get the passes schedule for the days from and to the given dates, optionally limited to some rooms.
+     * Administrators see the usernames related to the bookings and may request any period of at most 31 days.
+     * Residents are allowed to see the same weeks as in the week schedule.
+     * @param {string} username The username related to the person.
+     * @param {string} fromDate The first date of the period.
+     * @param {string} toDate The last date of the period.
+     * @param {[int] | null} roomNumbers The rooms to include in the schedule, null includes every room.
+     * @return {PeriodScheduleDTO | null} An object with all the bookings for the period.
+     *                                     null indicates that something went wrong and it gets logged.
+     */
+    async getSchedule(username, fromDate, toDate, roomNumbers) {
+        try {
+            const maxPeriodDays = 31;
+            const bookingHorizon = await this._getBookingHorizon();
+            const periodDays = this.clock.calendarDate(toDate).diff(this.clock.calendarDate(fromDate), 'day') + 1;
+            const personInfo = await this._getPersonInfo(username);
+
+            if (personInfo === null) {
+                return new PeriodScheduleDTO(emptyParamEnum.Date, emptyParamEnum.Date, emptyParamEnum.RoomCount,
+                    emptyParamEnum.Dates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidUser);
+            }
+
+            if (personInfo.privilegeID !== privilegeEnum.Standard && personInfo.privilegeID !== privilegeEnum.Administrator) {
+                return new PeriodScheduleDTO(emptyParamEnum.Date, emptyParamEnum.Date, emptyParamEnum.RoomCount,
+                    emptyParamEnum.Dates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidPrivilege);
+            }
+
+            const isAdministrator = personInfo.privilegeID === privilegeEnum.Administrator;
+
+            if (periodDays < 1 || periodDays > maxPeriodDays ||
+                (!isAdministrator && !(await this._checkWeekSchedule(fromDate, bookingHorizon) && await this._checkWeekSchedule(toDate, bookingHorizon)))) {
+                return new PeriodScheduleDTO(emptyParamEnum.Date, emptyParamEnum.Date, emptyParamEnum.RoomCount,
+                    emptyParamEnum.Dates, emptyParamEnum.RoomPasses, null, scheduleStatusCodes.InvalidPeriod);
+            }
+
+            const dates = [];
+            for (let day = 0; day < periodDays; day++) {
+                dates[day] = this.clock.calendarDate(fromDate).add(day, 'day').format('YYYY-MM-DD');
+            }
+
+            const roomPasses = await this._getRoomPasses(dates, roomNumbers, bookingHorizon);
+
+            if (roomPasses === null) {
+                return null;
+            }
+
+            if (!isAdministrator) {
+                await this._hideBookingOwners(username, roomPasses);
+            }
+
+            return new PeriodScheduleDTO(fromDate, toDate, roomPasses.length, dates, roomPasses,
+                bookingHorizon, scheduleStatusCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _hideBookingOwners(username, roomPasses) {
+        const personInfo = await this._getPersonInfo(username);
+
+        if (personInfo !== null) {
+            const userBookings = await this._getUpcomingBookings(personInfo.accountID);
+            await this._fillPassSchedule(roomPasses, userBookings, slotStatusEnum.SelfBooking);
+        }
+
+        roomPasses.forEach((room) => {
+            room.passes.forEach((pass) => {
+                pass.slots.forEach((slot) => {
+                    delete slot.username;
+                });
+            });
+        });
+    }
+
     // eslint-disable-next-line require-jsdoc
-    async _checkWeekSchedule(week, offset) {
-        const currentWeek = dayjs().week();
+    async _checkWeekSchedule(weekStartDate, bookingHorizon) {
+        const weekDifference = await this._weeksFromCurrentWeek(weekStartDate);
+        const lastWeek = Math.max(1, await this._weeksFromCurrentWeek(this._getLastOpenedDate(bookingHorizon)));
 
-        if ((currentWeek - offset) <= week && (currentWeek + offset) >= week) {
+        if (-1 <= weekDifference && lastWeek >= weekDifference) {
             return true;
         }
 
@@ -441,25 +3635,52 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getPassesSchedule(week) {
+    async _weeksFromCurrentWeek(date) {
+        const currentWeekStart = this.clock.weekStart(this.clock.todayDate());
+        return this.clock.weekStart(date).diff(currentWeekStart, 'week');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getPassesSchedule(weekStartDate) {
+        try {
+            const weekDate = await this._getWeekDates(weekStartDate);
+            const weekStart = this.clock.weekStart(weekStartDate);
+            const bookingHorizon = await this._getBookingHorizon();
+            const roomPasses = await this._getRoomPasses(weekDate, null, bookingHorizon);
+
+            if (roomPasses === null) {
+                return null;
+            }
+
+            return new PassScheduleDTO(weekStart.isoWeek(), weekStart.isoWeekYear(), roomPasses.length,
+                weekDate, roomPasses, bookingHorizon, bookingStatusCodes.OK);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getRoomPasses(dates, roomNumbers, bookingHorizon) {
         try {
-            const {startWeekDate, endWeekDate} = await this._weekStartAndEndDate(week);
-            const passSchedule = await this._buildPassesSchedule(week);
+            const startDate = dates[0];
+            const endDate = dates[dates.length - 1];
+            const roomPasses = await this._buildRoomPasses(dates, roomNumbers, bookingHorizon);
 
-            if (passSchedule === null) {
+            if (roomPasses === null) {
                 return null;
             }
 
+            // The past bookings of anonymised users are kept without showing their placeholder username.
             const getSpecificBookingsQuery = {
-                text: `SELECT    pass_booking.date, pass_schedule.room,
-                pass.range, account.username
+                text: `SELECT    pass_booking.date, pass_schedule.room, pass.range,
+                CASE WHEN account.anonymised_at IS NULL THEN account.username ELSE $3 END AS username
                 FROM    pass_booking
                 INNER JOIN account ON (account.id = pass_booking.account_id)
                 INNER JOIN pass_schedule ON (pass_schedule.id = pass_booking.pass_schedule_id)
                 INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
                 WHERE    pass_booking.date >= $1 AND
                 pass_booking.date <= $2`,
-                values: [startWeekDate, endWeekDate],
+                values: [startDate, endDate, emptyParamEnum.Username],
             };
 
             const getLockedBookingsQuery = {
@@ -469,33 +3690,35 @@ class LaundryDAO {
                 INNER JOIN account ON (account.id = pass_lock.account_id)
                 INNER JOIN pass_schedule ON (pass_schedule.id = pass_lock.pass_schedule_id)
                 INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+                CROSS JOIN booking_rule
                 WHERE    pass_lock.pass_date >= CURRENT_DATE AND
-                (NOW() - pass_lock.lock_start) <= ($1 * 60) * INTERVAL '1' second`,
-                values: [this.lockDuration],
+                (NOW() - pass_lock.lock_start) <= (booking_rule.lock_duration * 60) * INTERVAL '1' second`,
+                values: [],
             };
 
-            await this._executeQuery('BEGIN');
-
-            const getSpecificBookingsRes = await this._executeQuery(getSpecificBookingsQuery);
-            const getLockedBookingsRes = await this._executeQuery(getLockedBookingsQuery);
-
-            await this._fillPassSchedule(passSchedule, getSpecificBookingsRes.rows, slotStatusEnum.Taken);
-            await this._fillPassSchedule(passSchedule, getLockedBookingsRes.rows, slotStatusEnum.Taken);
+            const {getSpecificBookingsRes, getLockedBookingsRes, closedSlots} = await this._transaction(async (connection) => {
+                return {
+                    getSpecificBookingsRes: await this._executeQuery(getSpecificBookingsQuery, connection),
+                    getLockedBookingsRes: await this._executeQuery(getLockedBookingsQuery, connection),
+                    closedSlots: await this._getClosedSlots(startDate, endDate, connection),
+                };
+            });
 
-            await this._executeQuery('COMMIT');
+            await this._fillPassSchedule(roomPasses, getSpecificBookingsRes.rows, slotStatusEnum.Taken);
+            await this._fillPassSchedule(roomPasses, getLockedBookingsRes.rows, slotStatusEnum.Taken);
+            await this._fillPassSchedule(roomPasses, closedSlots, slotStatusEnum.Closed);
 
-            passSchedule.statusCode = bookingStatusCodes.OK;
-            return passSchedule;
+            return roomPasses;
         } catch (err) {
             throw err;
         }
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _fillPassSchedule(passSchedule, passes, status) {
+    async _fillPassSchedule(roomPasses, passes, status) {
         try {
             for (let i = 0; i < passes.length; i++) {
-                passSchedule.roomPasses.forEach((room) => {
+                roomPasses.forEach((room) => {
                     if (room.roomNum === passes[i].room) {
                         room.passes.forEach((pass) => {
                             if (pass.date === passes[i].date) {
@@ -516,44 +3739,43 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _weekStartAndEndDate(week) {
-        const startWeekDate = dayjs().week(week).day(1).$d.toISOString().substring(0, 10);
-        const endWeekDate = dayjs().week(week).day(7).$d.toISOString().substring(0, 10);
-        return {startWeekDate: startWeekDate, endWeekDate: endWeekDate};
-    }
-
-    // eslint-disable-next-line require-jsdoc
-    async _buildPassesSchedule(week) {
+    async _buildRoomPasses(dates, roomNumbers, bookingHorizon) {
         try {
-            const passSchedule = await this._getPassScheduleScheme();
-            const weekDate = await this._getWeekDates(week);
+            const passScheduleScheme = await this._getPassScheduleScheme();
 
-            if (passSchedule === null) {
+            if (passScheduleScheme === null) {
                 return null;
             }
 
+            const passSchedule = passScheduleScheme.filter((room) => roomNumbers === null || roomNumbers.includes(room.room));
+
+            const templates = await this._getSlotTemplates(null);
+            const opensAt = dates.map((date) => this._getOpeningTime(date, bookingHorizon).format());
+
             const roomPasses = [];
             for (let roomCounter = 0; roomCounter < passSchedule.length; roomCounter++) {
                 const roomPass = [];
+                const roomTemplates = templates.filter((template) => template.roomNumber === passSchedule[roomCounter].room);
 
-                for (let day = 0; day < weekDate.length; day++) {
+                for (let day = 0; day < dates.length; day++) {
                     const slots = [];
+                    const daySlots = LaundryDAO._getDateSlots(passSchedule[roomCounter].slots, roomTemplates, dates[day]);
 
-                    for (let slotCounter = 0; slotCounter < passSchedule[roomCounter].slots.length; slotCounter++) {
+                    for (let slotCounter = 0; slotCounter < daySlots.length; slotCounter++) {
                         slots[slotCounter] = {
-                            range: passSchedule[roomCounter].slots[slotCounter],
+                            range: daySlots[slotCounter],
                             status: slotStatusEnum.Available,
                             username: emptyParamEnum.Username,
                         };
                     }
 
-                    roomPass[day] = new PassDTO(weekDate[day], slots);
+                    roomPass[day] = new PassDTO(dates[day], opensAt[day], slots);
                 }
 
                 roomPasses[roomCounter] = {roomNum: passSchedule[roomCounter].room, passes: roomPass};
             }
 
-            return new PassScheduleDTO(week, passSchedule.length, weekDate, roomPasses, bookingStatusCodes.OK);
+            return roomPasses;
         } catch (err) {
             throw err;
         }
@@ -564,25 +3786,24 @@ class LaundryDAO {
         try {
             const passScheduleQuery = {
                 text: `SELECT        pass_schedule.room, 
-                ARRAY_AGG(pass.range) AS slots
+                ARRAY_AGG(pass.range ORDER BY pass.range) AS slots
                 FROM        pass_schedule
                             INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+                            INNER JOIN room ON (room.number = pass_schedule.room)
+                WHERE       pass_schedule.active = TRUE AND
+                            room.retired = FALSE
                 GROUP BY    pass_schedule.room
                 ORDER BY    pass_schedule.room ASC`,
                 values: [],
             };
 
             let retValue = null;
-            await this._executeQuery('BEGIN');
-
             const results = await this._executeQuery(passScheduleQuery);
 
             if (results.rowCount > 0) {
                 retValue = results.rows;
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             throw err;
@@ -590,13 +3811,13 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getWeekDates(week) {
+    async _getWeekDates(weekStartDate) {
         try {
-            const offset = 1;
+            const weekStart = this.clock.weekStart(weekStartDate);
             const weekDate = [];
 
             for (let day = 0; day < 7; day++) {
-                weekDate[day] = dayjs().week(week).day(day + offset).$d.toISOString().substring(0, 10);
+                weekDate[day] = weekStart.add(day, 'day').format('YYYY-MM-DD');
             }
 
             return weekDate;
@@ -616,97 +3837,139 @@ class LaundryDAO {
      */
     async lockPass(username, roomNumber, date, passRange) {
         try {
-            const personInfo = await this._getPersonInfo(username);
-            const passScheduleID = await this._getPassInfo(roomNumber, passRange);
+            const currentDate = this.clock.today();
+            const bookingHorizon = await this._getBookingHorizon();
 
-            if (personInfo === null) {
+            if (date < currentDate.format('YYYY-MM-DD')) {
                 return false;
             }
 
-            if (passScheduleID === -1) {
+            if (!this._isBookingOpen(date, bookingHorizon)) {
                 return false;
             }
 
-            const currentDate = dayjs();
-            const currentWeek = dayjs().week();
-            const dateWeek = dayjs(date).week();
-            const checkRange = await this._checkRangeHour(passRange);
-            const bookedPassID = await this._getBookedPassID(date, passScheduleID);
-            const lockOwnerID = await this._getLockOwner(date, passScheduleID);
-            const activePassesCount = await this._getActivePasses(personInfo.accountID);
+            const checkDate = await this._isCurrentDate(date);
+            const checkRange = await this._checkRangeTime(passRange);
 
-            if (currentWeek > dateWeek || dateWeek > (currentWeek + 1)) {
+            if (checkDate && checkRange > 0) {
                 return false;
             }
 
-            if (date < currentDate.$d.toISOString().substring(0, 10)) {
-                return false;
-            }
+            return await this._transaction(async (connection) => {
+                const personInfo = await this._getPersonInfo(username, connection);
+                const passScheduleID = await this._getPassInfo(roomNumber, passRange, connection);
 
-            if (checkRange > 0) {
-                return false;
-            }
+                if (personInfo === null || personInfo.suspended) {
+                    return false;
+                }
 
-            if (bookedPassID !== -1) {
-                return false;
-            }
+                if (passScheduleID === -1 || !(await this._isSlotOffered(roomNumber, date, passRange, connection))) {
+                    return false;
+                }
 
-            if (lockOwnerID !== personInfo.accountID && lockOwnerID !== -1) {
-                return false;
-            }
+                if (await this._isSlotClosed(date, passScheduleID, connection)) {
+                    return false;
+                }
 
-            if (lockOwnerID === personInfo.accountID) {
-                return false;
-            }
+                await this._lockBookingRows(personInfo.accountID, passScheduleID, connection);
 
-            if (activePassesCount >= this.activePassesAllowed) {
-                return false;
-            }
+                const bookedPassID = await this._getBookedPassID(date, passScheduleID, connection);
+                const lockOwnerID = await this._getLockOwner(date, passScheduleID, connection);
+                const activePassesCount = await this._getActivePasses(personInfo.accountID, connection);
+                const bookingRules = await this._getBookingRules(connection);
 
-            const addLockQuery = {
-                text: `INSERT INTO public.pass_lock(lock_start, pass_date, account_id, pass_schedule_id)
-                VALUES (NOW(), $1, $2, $3)`,
-                values: [date, personInfo.accountID, passScheduleID],
-            };
+                if (bookedPassID !== -1) {
+                    return false;
+                }
 
-            await this.unlockPass(username);
+                if (lockOwnerID !== personInfo.accountID && lockOwnerID !== -1) {
+                    return false;
+                }
 
-            await this._executeQuery('BEGIN');
+                if (lockOwnerID === personInfo.accountID) {
+                    return false;
+                }
 
-            await this._executeQuery(addLockQuery);
+                if (activePassesCount >= bookingRules.activePassesAllowed) {
+                    return false;
+                }
 
-            await this._executeQuery('COMMIT');
+                const deleteLockQuery = {
+                    text: `DELETE FROM public.pass_lock
+                    WHERE   pass_lock.account_id = $1 OR
+                            (pass_lock.pass_date = $2 AND
+                            pass_lock.pass_schedule_id = $3)`,
+                    values: [personInfo.accountID, date, passScheduleID],
+                };
 
-            return true;
+                const addLockQuery = {
+                    text: `INSERT INTO public.pass_lock(lock_start, pass_date, account_id, pass_schedule_id)
+                    VALUES (NOW(), $1, $2, $3)`,
+                    values: [date, personInfo.accountID, passScheduleID],
+                };
+
+                // The only lock that can be left on the pass at this point is an expired one.
+                await this._executeQuery(deleteLockQuery, connection);
+                await this._executeQuery(addLockQuery, connection);
+
+                return true;
+            }, ConnectionPool.SERIALIZABLE);
         } catch (err) {
+            if (LaundryDAO._isUniqueViolation(err)) {
+                return false;
+            }
+
             this.logger.logException(err);
             return null;
         }
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getPassInfo(roomNumber, passRange) {
+    async _lockBookingRows(accountID, passScheduleID, connection) {
+        // Locking the account and the pass rows serializes the bookings of the same user and of the same pass,
+        // the account is always locked first to avoid deadlocks.
+        const lockAccountQuery = {
+            text: `SELECT    account.id
+            FROM        account
+            WHERE    account.id = $1
+            FOR UPDATE`,
+            values: [accountID],
+        };
+
+        const lockPassScheduleQuery = {
+            text: `SELECT    pass_schedule.id
+            FROM        pass_schedule
+            WHERE    pass_schedule.id = $1
+            FOR UPDATE`,
+            values: [passScheduleID],
+        };
+
+        await this._executeQuery(lockAccountQuery, connection);
+        await this._executeQuery(lockPassScheduleQuery, connection);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getPassInfo(roomNumber, passRange, connection) {
         const getPassScheduleQuery = {
             text: `SELECT    pass_schedule.id AS pass_schedule_id
             FROM        pass_schedule
                         INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+                        INNER JOIN room ON (room.number = pass_schedule.room)
             WHERE    pass_schedule.room = $1 AND
-            pass.range = $2`,
+            pass.range = $2 AND
+            pass_schedule.active = TRUE AND
+            room.retired = FALSE`,
             values: [roomNumber, passRange],
         };
 
         try {
-            await this._executeQuery('BEGIN');
-
-            const results = await this._executeQuery(getPassScheduleQuery);
+            const results = await this._executeQuery(getPassScheduleQuery, connection);
 
             let retValue = -1;
             if (results.rowCount > 0) {
                 retValue = results.rows[0].pass_schedule_id;
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             throw err;
@@ -715,7 +3978,7 @@ class LaundryDAO {
 
 
     // eslint-disable-next-line require-jsdoc
-    async _getBookedPassID(date, passScheduleID) {
+    async _getBookedPassID(date, passScheduleID, connection) {
         const checkBookedPassQuery = {
             text: `SELECT       pass_booking.id AS pass_booking_id
             FROM    pass_booking
@@ -725,9 +3988,7 @@ class LaundryDAO {
         };
 
         try {
-            await this._executeQuery('BEGIN');
-
-            const result = await this._executeQuery(checkBookedPassQuery);
+            const result = await this._executeQuery(checkBookedPassQuery, connection);
 
             let retValue = -1;
 
@@ -735,8 +3996,6 @@ class LaundryDAO {
                 retValue = result.rows[0].pass_booking_id;
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             throw err;
@@ -744,7 +4003,7 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getActivePasses(accountID) {
+    async _getActivePasses(accountID, connection) {
         try {
             const checkActivePassesQuery = {
                 text: `SELECT    pass_booking.date, pass_schedule.room, pass.range
@@ -757,16 +4016,14 @@ class LaundryDAO {
             };
 
             let retValue = -1;
-            await this._executeQuery('BEGIN');
-
-            const results = await this._executeQuery(checkActivePassesQuery);
+            const results = await this._executeQuery(checkActivePassesQuery, connection);
 
             if (results.rowCount > 0) {
                 retValue = results.rowCount;
 
                 for (let booking = 0; booking < results.rowCount; booking++) {
                     const checkDate = await this._isCurrentDate(results.rows[booking].date);
-                    const checkRange = await this._checkRangeHour(results.rows[booking].range);
+                    const checkRange = await this._checkRangeTime(results.rows[booking].range);
 
                     if (checkDate && checkRange === 0) {
                         retValue -= 1;
@@ -774,8 +4031,6 @@ class LaundryDAO {
                 }
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             throw err;
@@ -783,28 +4038,25 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getLockOwner(date, passScheduleID) {
+    async _getLockOwner(date, passScheduleID, connection) {
         const checkLockedPassQuery = {
             text: `SELECT        pass_lock.account_id AS account_id
             FROM    pass_lock
+                    CROSS JOIN booking_rule
             WHERE   pass_lock.pass_date = $1 AND
                     pass_lock.pass_schedule_id = $2 AND
-                    (NOW() - pass_lock.lock_start) <= ($3 * 60) * INTERVAL '1' second`,
-            values: [date, passScheduleID, this.lockDuration],
+                    (NOW() - pass_lock.lock_start) <= (booking_rule.lock_duration * 60) * INTERVAL '1' second`,
+            values: [date, passScheduleID],
         };
 
         try {
-            await this._executeQuery('BEGIN');
-
-            const results = await this._executeQuery(checkLockedPassQuery);
+            const results = await this._executeQuery(checkLockedPassQuery, connection);
 
             let retValue = -1;
             if (results.rowCount > 0) {
                 retValue = results.rows[0].account_id;
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             throw err;
@@ -831,12 +4083,8 @@ class LaundryDAO {
                 values: [personInfo.accountID],
             };
 
-            await this._executeQuery('BEGIN');
-
             await this._executeQuery(deleteLockQuery);
 
-            await this._executeQuery('COMMIT');
-
             return true;
         } catch (err) {
             this.logger.logException(err);
@@ -855,82 +4103,103 @@ class LaundryDAO {
      */
     async bookPass(username, roomNumber, date, passRange) {
         try {
-            const currentDate = dayjs();
-            const currentWeek = dayjs().week();
-            const dateWeek = dayjs(date).week();
-            const dateMonth = dayjs(date).month();
-            const personInfo = await this._getPersonInfo(username);
-            const passScheduleID = await this._getPassInfo(roomNumber, passRange);
+            const currentDate = this.clock.today();
+            const bookingHorizon = await this._getBookingHorizon();
 
-            if (currentWeek > dateWeek || dateWeek > (currentWeek + 1)) {
+            if (date < currentDate.format('YYYY-MM-DD')) {
                 return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
                     emptyParamEnum.PassRange, bookingStatusCodes.InvalidDate);
             }
 
-            if (date < currentDate.$d.toISOString().substring(0, 10)) {
+            if (!this._isBookingOpen(date, bookingHorizon)) {
                 return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.InvalidDate);
+                    emptyParamEnum.PassRange, bookingStatusCodes.NotOpened);
             }
 
-            if (personInfo === null) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.InvalidUser);
-            }
+            const checkDate = await this._isCurrentDate(date);
+            const checkRange = await this._checkRangeTime(passRange);
+            const {startMonthDate, endMonthDate} = await this._monthStartAndEndDate(date);
 
-            if (passScheduleID === -1) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.InvalidPassInfo);
-            }
+            return await this._transaction(async (connection) => {
+                const personInfo = await this._getPersonInfo(username, connection);
+                const passScheduleID = await this._getPassInfo(roomNumber, passRange, connection);
 
-            const checkDate = await this._isCurrentDate(date);
-            const checkRange = await this._checkRangeHour(passRange);
-            const {startMonthDate, endMonthDate} = await this._monthStartAndEndDate(dateMonth);
-            const bookedPassID = await this._getBookedPassID(date, passScheduleID);
-            const lockOwnerID = await this._getLockOwner(date, passScheduleID);
-            const activePassesCount = await this._getActivePasses(personInfo.accountID);
-            const periodBookedPasses = await this._getPeriodBookedPasses(personInfo.accountID, startMonthDate, endMonthDate);
+                if (personInfo === null) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.InvalidUser);
+                }
 
-            if (checkDate && checkRange > 0) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.InvalidPassInfo);
-            }
+                if (personInfo.suspended) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.SuspendedUser);
+                }
 
-            if (bookedPassID !== -1) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.BookedPass);
-            }
+                if (passScheduleID === -1 || !(await this._isSlotOffered(roomNumber, date, passRange, connection))) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.InvalidPassInfo);
+                }
 
-            if (lockOwnerID !== personInfo.accountID && lockOwnerID !== -1) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.LockedPass);
-            }
+                if (checkDate && checkRange > 0) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.InvalidPassInfo);
+                }
 
-            if (activePassesCount >= this.activePassesAllowed) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.ExistentActivePass);
-            }
+                if (await this._isSlotClosed(date, passScheduleID, connection)) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.ClosedPass);
+                }
 
-            if (periodBookedPasses >= this.totalMonthPassesAllowed) {
-                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                    emptyParamEnum.PassRange, bookingStatusCodes.PassCountExceeded);
-            }
+                await this._lockBookingRows(personInfo.accountID, passScheduleID, connection);
 
-            await this._executeQuery('BEGIN');
+                const bookedPassID = await this._getBookedPassID(date, passScheduleID, connection);
+                const lockOwnerID = await this._getLockOwner(date, passScheduleID, connection);
+                const activePassesCount = await this._getActivePasses(personInfo.accountID, connection);
+                const periodBookedPasses = await this._getPeriodBookedPasses(personInfo.accountID, startMonthDate, endMonthDate, connection);
+                const bookingRules = await this._getBookingRules(connection);
 
-            const insertBookingQuery = {
-                text: `INSERT INTO public.pass_booking(date, account_id, pass_schedule_id)
-                    VALUES ($1, $2, $3)`,
-                values: [date, personInfo.accountID, passScheduleID],
-            };
+                if (bookedPassID !== -1) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.BookedPass);
+                }
 
-            await this._executeQuery(insertBookingQuery);
-            await this.unlockPass(username);
-            const retValue = new BookingDTO(date, roomNumber, passRange, bookingStatusCodes.OK);
+                if (lockOwnerID !== personInfo.accountID && lockOwnerID !== -1) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.LockedPass);
+                }
 
-            await this._executeQuery('COMMIT');
+                if (activePassesCount >= bookingRules.activePassesAllowed) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.ExistentActivePass);
+                }
 
-            return retValue;
+                if (periodBookedPasses >= bookingRules.totalMonthPassesAllowed) {
+                    return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                        emptyParamEnum.PassRange, bookingStatusCodes.PassCountExceeded);
+                }
+
+                const insertBookingQuery = {
+                    text: `INSERT INTO public.pass_booking(date, account_id, pass_schedule_id)
+                        VALUES ($1, $2, $3)`,
+                    values: [date, personInfo.accountID, passScheduleID],
+                };
+
+                const deleteLockQuery = {
+                    text: `DELETE FROM public.pass_lock
+                    WHERE pass_lock.account_id = $1`,
+                    values: [personInfo.accountID],
+                };
+
+                await this._executeQuery(insertBookingQuery, connection);
+                await this._executeQuery(deleteLockQuery, connection);
+
+                return new BookingDTO(date, roomNumber, passRange, bookingStatusCodes.OK);
+            }, ConnectionPool.SERIALIZABLE);
         } catch (err) {
+            if (LaundryDAO._isUniqueViolation(err, 'pass_booking_date_pass_schedule_id_key')) {
+                return new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
+                    emptyParamEnum.PassRange, bookingStatusCodes.BookedPass);
+            }
+
             this.logger.logException(err);
             return null;
         }
@@ -939,7 +4208,7 @@ class LaundryDAO {
     // eslint-disable-next-line require-jsdoc
     async _isCurrentDate(date) {
         try {
-            const currentDate = dayjs().$d.toISOString().substring(0, 10);
+            const currentDate = this.clock.todayDate();
 
             if (currentDate === date) {
                 return true;
@@ -952,17 +4221,16 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _checkRangeHour(range) {
+    async _checkRangeTime(range) {
         try {
-            const startHour = parseInt(range.substring(0, 3));
-            const endHour = parseInt(range.substring(3, 5));
-            const currentHour = dayjs().hour();
+            const currentTime = this.clock.now();
+            const currentMinutes = (currentTime.hour() * 60) + currentTime.minute();
 
-            if (currentHour < startHour) {
+            if (currentMinutes < PassRange.startMinutes(range)) {
                 return -1;
             }
 
-            if (currentHour > endHour) {
+            if (currentMinutes >= PassRange.endMinutes(range)) {
                 return 1;
             }
 
@@ -973,45 +4241,33 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _monthStartAndEndDate(month) {
-        const startMonthDate = dayjs().month(month).startOf('month').add(1, 'day');
-        const endMonthDate = dayjs().month(month).endOf('month');
+    async _monthStartAndEndDate(date) {
+        const startMonthDate = this.clock.calendarDate(date).startOf('month').format('YYYY-MM-DD');
+        const endMonthDate = this.clock.calendarDate(date).endOf('month').format('YYYY-MM-DD');
         return {startMonthDate: startMonthDate, endMonthDate: endMonthDate};
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getPeriodBookedPasses(accountID, startPeriod, endPeriod) {
+    async _getPeriodBookedPasses(accountID, startPeriod, endPeriod, connection) {
         try {
             const checkPeriodBookedPassesQuery = {
-                text: `SELECT        COUNT(pass_booking.id) AS specific_booking_count
+                text: `SELECT        COUNT(*)::INTEGER AS specific_booking_count
                 FROM        pass_booking
                 WHERE        pass_booking.account_id = $1 AND
                             pass_booking.date >= $2 AND
-                            pass_booking.date <= $3
-                GROUP BY    pass_booking.id`,
+                            pass_booking.date <= $3`,
                 values: [accountID, startPeriod, endPeriod],
             };
 
-            await this._executeQuery('BEGIN');
-
-            const results = await this._executeQuery(checkPeriodBookedPassesQuery);
-
-            let retValue = 0;
-
-            if (results.rowCount > 0) {
-                retValue = results.rows[0].specific_booking_count;
-            }
-
-            await this._executeQuery('COMMIT');
-
-            return retValue;
+            const results = await this._executeQuery(checkPeriodBookedPassesQuery, connection);
+            return results.rows[0].specific_booking_count;
         } catch (err) {
             throw err;
         }
     }
 
     /**
-     * Get the active booking of the person.
+     * Get the active booking of the person, the earliest one when the booking rules allow several.
      * @param {string} username The username related to the person.
      * @return {BookingDTO | null} An object with the booking information.
      *                              null indicates that something went wrong and it gets logged.
@@ -1025,39 +4281,17 @@ class LaundryDAO {
                     emptyParamEnum.PassRange, bookingStatusCodes.InvalidUser);
             }
 
-            const getBookingQuery = {
-                text: `SELECT    pass_booking.date, pass_schedule.room, pass.range
-                FROM    pass_booking
-                        INNER JOIN pass_schedule ON (pass_schedule.id = pass_booking.pass_schedule_id)
-                        INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
-                WHERE    pass_booking.account_id = $1 AND
-                        pass_booking.date >= CURRENT_DATE`,
-                values: [personInfo.accountID],
-            };
-
-            await this._executeQuery('BEGIN');
-
-            const results = await this._executeQuery(getBookingQuery);
+            const userBookings = await this._getUpcomingBookings(personInfo.accountID);
 
             let retValue;
 
-            if (results.rowCount > 0) {
-                const checkDate = await this._isCurrentDate(results.rows[0].date);
-                const checkRange = await this._checkRangeHour(results.rows[0].range);
-
-                if (checkDate && checkRange > 0) {
-                    retValue = new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
-                        emptyParamEnum.PassRange, bookingStatusCodes.NoBooking);
-                } else {
-                    retValue = new BookingDTO(results.rows[0].date, results.rows[0].room, results.rows[0].range, bookingStatusCodes.OK);
-                }
+            if (userBookings.length > 0) {
+                retValue = new BookingDTO(userBookings[0].date, userBookings[0].room, userBookings[0].range, bookingStatusCodes.OK);
             } else {
                 retValue = new BookingDTO(emptyParamEnum.Date, emptyParamEnum.RoomNumber,
                     emptyParamEnum.PassRange, bookingStatusCodes.NoBooking);
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             this.logger.logException(err);
@@ -1065,6 +4299,39 @@ class LaundryDAO {
         }
     }
 
+    // eslint-disable-next-line require-jsdoc
+    async _getUpcomingBookings(accountID) {
+        const getBookingsQuery = {
+            text: `SELECT    pass_booking.date, pass_schedule.room, pass.range
+            FROM    pass_booking
+                    INNER JOIN pass_schedule ON (pass_schedule.id = pass_booking.pass_schedule_id)
+                    INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE    pass_booking.account_id = $1 AND
+                    pass_booking.date >= CURRENT_DATE
+            ORDER BY pass_booking.date, pass.range`,
+            values: [accountID],
+        };
+
+        try {
+            const results = await this._executeQuery(getBookingsQuery);
+            const upcomingBookings = [];
+
+            // The passes of today that have already ended are not upcoming anymore.
+            for (const row of results.rows) {
+                const checkDate = await this._isCurrentDate(row.date);
+                const checkRange = await this._checkRangeTime(row.range);
+
+                if (!(checkDate && checkRange > 0)) {
+                    upcomingBookings.push(row);
+                }
+            }
+
+            return upcomingBookings;
+        } catch (err) {
+            throw err;
+        }
+    }
+
     /**
      * Cancel an active booking of the person.
      * @param {string} username The username related to the person.
@@ -1088,7 +4355,7 @@ class LaundryDAO {
             }
 
             const checkDate = await this._isCurrentDate(date);
-            const checkRange = await this._checkRangeHour(passRange);
+            const checkRange = await this._checkRangeTime(passRange);
 
             if (checkDate && checkRange > 0 && personInfo.privilegeID !== privilegeEnum.Administrator) {
                 return false;
@@ -1107,8 +4374,6 @@ class LaundryDAO {
                 values: [date, passScheduleID, personInfo.privilegeID, privilegeEnum.Administrator, personInfo.accountID],
             };
 
-            await this._executeQuery('BEGIN');
-
             const results = await this._executeQuery(cancelBookingQuery);
 
             let retValue = false;
@@ -1116,8 +4381,6 @@ class LaundryDAO {
             if (results.rowCount > 0) {
                 retValue = true;
             }
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             this.logger.logException(err);
@@ -1126,29 +4389,27 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getPersonInfo(username) {
+    async _getPersonInfo(username, connection) {
         const getInfoQuery = {
             text: `SELECT    account.id AS account_id, person.id AS person_id, 
-            person.email, person.privilege_id
+            person.email, person.privilege_id, account.status, account.suspended_until, account.totp_enabled_at
             FROM        account
             INNER JOIN person ON (person.id = account.person_id)
-            WHERE    account.username = $1`,
+            WHERE    account.username = $1 AND
+                     account.anonymised_at IS NULL`,
             values: [username],
         };
 
         try {
-            await this._executeQuery('BEGIN');
-
-            const results = await this._executeQuery(getInfoQuery);
+            const results = await this._executeQuery(getInfoQuery, connection);
 
             let retValue = null;
             if (results.rowCount > 0) {
                 retValue = new PersonInfo(results.rows[0].account_id, results.rows[0].person_id,
-                    results.rows[0].email, results.rows[0].privilege_id);
+                    results.rows[0].email, results.rows[0].privilege_id, this._isSuspended(results.rows[0]),
+                    results.rows[0].totp_enabled_at !== null);
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             throw err;
@@ -1156,25 +4417,27 @@ class LaundryDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _executeQuery(query) {
-        try {
-            if (!this.client._connected) {
-                throw new Error('The connection to the database is down.');
-            }
-
-            const results = await this.client.query(query);
-            return results;
-        } catch (mainErr) {
-            try {
-                if (this.client !== undefined && this.client._connected) {
-                    await this.this.client.query('ROLLBACK');
-                }
-            } catch (err) {
-                this.logger.logException(err);
-            }
+    async _transaction(callback, isolationLevel) {
+        return await this.connectionPool.transaction(callback, isolationLevel);
+    }
 
-            throw mainErr;
+    // eslint-disable-next-line require-jsdoc
+    async _executeQuery(query, connection) {
+        if (connection === undefined) {
+            return await this.connectionPool.query(query);
         }
+
+        return await connection.query(query);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _isUniqueViolation(err, constraint) {
+        return err.code === '23505' && (constraint === undefined || err.constraint === constraint);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
     }
 
     // eslint-disable-next-line require-jsdoc
@@ -1202,16 +4465,12 @@ class LaundryDAO {
         try {
             let retValue = false;
 
-            await this._executeQuery('BEGIN');
-
             const results = await this._executeQuery(getInfoQuery);
 
             if (results.rowCount > 0) {
                 retValue = true;
             }
 
-            await this._executeQuery('COMMIT');
-
             return retValue;
         } catch (err) {
             this.logger.logException(err);
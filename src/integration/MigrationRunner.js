@@ -0,0 +1,211 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Applies and reverts the versioned SQL migrations of the database schema.
+ * Every migration consists of an up file and a down file named <version>_<name>.up.sql and <version>_<name>.down.sql,
+ * the migrations are applied in the ascending order of their version numbers.
+ * The applied versions are tracked in the schema_migrations table.
+ */
+class MigrationRunner {
+    /**
+     * Create an instance of the migration runner.
+     * @param {ConnectionPool} connectionPool The connection pool used to execute the migrations.
+     * @param {string} migrationsDir The directory that contains the migration files.
+     */
+    constructor(connectionPool, migrationsDir = MigrationRunner.DEFAULT_MIGRATIONS_DIR) {
+        this.connectionPool = connectionPool;
+        this.migrationsDir = migrationsDir;
+    }
+
+    /**
+     * The directory in the project root that holds the migration files.
+     */
+    static get DEFAULT_MIGRATIONS_DIR() {
+        return path.join(__dirname, '..', '..', 'migrations');
+    }
+
+    /**
+     * The key of the advisory lock that prevents two runners from migrating the database simultaneously.
+     */
+    static get MIGRATION_LOCK_KEY() {
+        return 7243001;
+    }
+
+    /**
+     * Read all the migrations from the migrations directory.
+     * @return {[{version, name, up, down}]} The migrations sorted by their version.
+     * version {int} The version number of the migration.
+     * name {string} The descriptive name of the migration.
+     * up {string} The SQL that applies the migration.
+     * down {string | null} The SQL that reverts the migration, null if the migration can not be reverted.
+     * @throws {Error} If a migration file is not named correctly or a version is used twice.
+     */
+    async loadMigrations() {
+        const fileNames = await fs.readdir(this.migrationsDir);
+        const migrations = new Map();
+
+        for (const fileName of fileNames) {
+            const match = fileName.match(/^([0-9]+)_([a-z0-9_]+)\.(up|down)\.sql$/);
+            if (match === null) {
+                throw new Error(`The migration file ${fileName} is not named <version>_<name>.(up|down).sql.`);
+            }
+
+            const version = parseInt(match[1], 10);
+            const name = match[2];
+            const direction = match[3];
+            const migration = migrations.get(version) || {version: version, name: name, up: null, down: null};
+
+            if (migration.name !== name || migration[direction] !== null) {
+                throw new Error(`The migration version ${version} is used by more than one migration.`);
+            }
+
+            migration[direction] = await fs.readFile(path.join(this.migrationsDir, fileName), 'utf8');
+            migrations.set(version, migration);
+        }
+
+        const sortedMigrations = [...migrations.values()].sort((first, second) => first.version - second.version);
+        sortedMigrations.forEach((migration) => {
+            if (migration.up === null) {
+                throw new Error(`The migration version ${migration.version} is missing its up file.`);
+            }
+        });
+
+        return sortedMigrations;
+    }
+
+    /**
+     * Get the state of every known migration.
+     * @return {[{version, name, applied}]} The migrations sorted by their version,
+     *                                      applied tells whether the migration has been applied.
+     */
+    async status() {
+        const migrations = await this.loadMigrations();
+        const appliedVersions = await this.connectionPool.transaction(async (connection) => {
+            await this._createTrackingTable(connection);
+            return await this._getAppliedVersions(connection);
+        });
+
+        return migrations.map((migration) => ({
+            version: migration.version,
+            name: migration.name,
+            applied: appliedVersions.includes(migration.version),
+        }));
+    }
+
+    /**
+     * Apply all the pending migrations up to and including the target version.
+     * Every migration is applied in its own transaction.
+     * @param {int} targetVersion The last version to be applied, all the pending migrations are applied if omitted.
+     * @return {[{version, name}]} The migrations that were applied.
+     */
+    async migrateUp(targetVersion = Infinity) {
+        const migrations = await this.loadMigrations();
+        const appliedMigrations = [];
+
+        for (const migration of migrations) {
+            if (migration.version > targetVersion) {
+                break;
+            }
+
+            const applied = await this.connectionPool.transaction(async (connection) => {
+                await this._lockMigrations(connection);
+                const appliedVersions = await this._getAppliedVersions(connection);
+                if (appliedVersions.includes(migration.version)) {
+                    return false;
+                }
+
+                await connection.query(migration.up);
+                await connection.query({
+                    text: `INSERT INTO schema_migrations(version, name)
+                    VALUES ($1, $2)`,
+                    values: [migration.version, migration.name],
+                });
+
+                return true;
+            });
+
+            if (applied) {
+                appliedMigrations.push({version: migration.version, name: migration.name});
+            }
+        }
+
+        return appliedMigrations;
+    }
+
+    /**
+     * Revert the most recently applied migrations.
+     * Every migration is reverted in its own transaction.
+     * @param {int} steps The number of migrations to revert.
+     * @return {[{version, name}]} The migrations that were reverted.
+     * @throws {Error} If one of the migrations has no down file.
+     */
+    async migrateDown(steps = 1) {
+        const migrations = await this.loadMigrations();
+        const revertedMigrations = [];
+
+        for (let step = 0; step < steps; step++) {
+            const reverted = await this.connectionPool.transaction(async (connection) => {
+                await this._lockMigrations(connection);
+                const appliedVersions = await this._getAppliedVersions(connection);
+                if (appliedVersions.length === 0) {
+                    return null;
+                }
+
+                const latestVersion = appliedVersions[appliedVersions.length - 1];
+                const migration = migrations.find((candidate) => candidate.version === latestVersion);
+                if (migration === undefined || migration.down === null) {
+                    throw new Error(`The migration version ${latestVersion} can not be reverted.`);
+                }
+
+                await connection.query(migration.down);
+                await connection.query({
+                    text: `DELETE FROM schema_migrations
+                    WHERE schema_migrations.version = $1`,
+                    values: [migration.version],
+                });
+
+                return {version: migration.version, name: migration.name};
+            });
+
+            if (reverted === null) {
+                break;
+            }
+
+            revertedMigrations.push(reverted);
+        }
+
+        return revertedMigrations;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _lockMigrations(connection) {
+        await this._createTrackingTable(connection);
+        await connection.query({
+            text: 'SELECT pg_advisory_xact_lock($1)',
+            values: [MigrationRunner.MIGRATION_LOCK_KEY],
+        });
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _createTrackingTable(connection) {
+        await connection.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version     INTEGER PRIMARY KEY,
+            name        VARCHAR(255) NOT NULL,
+            applied_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )`);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getAppliedVersions(connection) {
+        const results = await connection.query(`SELECT    schema_migrations.version
+            FROM        schema_migrations
+            ORDER BY    schema_migrations.version ASC`);
+
+        return results.rows.map((row) => row.version);
+    }
+}
+
+module.exports = MigrationRunner;
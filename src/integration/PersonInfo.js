@@ -11,12 +11,16 @@ class PersonInfo {
      * @param {string} email The email of the person.
      * @param {int} privilegeID The id related to privilege that the person have,
      *                          the privilege can be found in privilegeEnum.js.
+     * @param {boolean} suspended Whether the account of the person is suspended today.
+     * @param {boolean} twoFactorEnabled Whether the person has enabled two-factor authentication.
      */
-    constructor(accountID, personID, email, privilegeID) {
+    constructor(accountID, personID, email, privilegeID, suspended, twoFactorEnabled) {
         this.accountID = accountID;
         this.personID = personID;
         this.email = email;
         this.privilegeID = privilegeID;
+        this.suspended = suspended;
+        this.twoFactorEnabled = twoFactorEnabled;
     }
 }
 
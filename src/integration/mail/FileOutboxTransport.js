@@ -0,0 +1,41 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Writes every message as a JSON file to a local outbox directory instead of delivering it,
+ * so that the mail can be read when running the application locally or in tests.
+ */
+class FileOutboxTransport {
+    /**
+     * Create a transport writing to the given directory.
+     * @param {string} outboxDir The directory the messages are written to.
+     */
+    constructor(outboxDir = FileOutboxTransport.OUTBOX_DIR) {
+        this.outboxDir = outboxDir;
+    }
+
+    /**
+     * The outbox directory, set by the MAIL_OUTBOX_DIR environment variable.
+     */
+    static get OUTBOX_DIR() {
+        return process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', '..', 'outbox');
+    }
+
+    /**
+     * Writes the message to the outbox directory.
+     * The file names start with the time the message was sent, so that they are listed in order.
+     * @param {{from, to, subject, text}} message The message to be written.
+     */
+    async send(message) {
+        await fs.mkdir(this.outboxDir, {recursive: true});
+        const sentAt = new Date();
+        const filename = `${sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const content = JSON.stringify({...message, sentAt: sentAt.toISOString()}, null, 4);
+        await fs.writeFile(path.join(this.outboxDir, filename), content);
+    }
+}
+
+module.exports = FileOutboxTransport;
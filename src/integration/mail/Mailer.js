@@ -0,0 +1,94 @@
+'use strict';
+
+const SmtpTransport = require('./SmtpTransport');
+const FileOutboxTransport = require('./FileOutboxTransport');
+const mailTransportEnum = require('../../util/mailTransportEnum');
+
+/**
+ * Composes the mail sent by the application and hands it to a transport.
+ * A transport is any object with an async send({from, to, subject, text}) method.
+ */
+class Mailer {
+    /**
+     * Create a mailer using the given transport.
+     * @param {{send: function}} transport The transport that delivers the messages.
+     */
+    constructor(transport = Mailer.createTransport(Mailer.TRANSPORT)) {
+        this.transport = transport;
+    }
+
+    /**
+     * The name of the transport, set by the MAIL_TRANSPORT environment variable.
+     */
+    static get TRANSPORT() {
+        return process.env.MAIL_TRANSPORT || mailTransportEnum.File;
+    }
+
+    /**
+     * The sender address, set by the MAIL_FROM environment variable.
+     */
+    static get FROM() {
+        return process.env.MAIL_FROM || 'no-reply@laundry.local';
+    }
+
+    /**
+     * Creates one of the transports shipped with the application.
+     * @param {string} name The name of the transport, which can be found in the mailTransportEnum.js.
+     * @return {{send: function}} The transport.
+     * @throws {Error} If there is no transport with the given name.
+     */
+    static createTransport(name) {
+        if (name === mailTransportEnum.Smtp) {
+            return new SmtpTransport();
+        } else if (name === mailTransportEnum.File) {
+            return new FileOutboxTransport();
+        }
+
+        throw new Error(`Unknown mail transport '${name}'.`);
+    }
+
+    /**
+     * Sends the token that lets the user set a new password.
+     * The token is appended to the PASSWORD_RESET_URL when it is set.
+     * @param {PasswordResetDTO} passwordResetDTO The reset token together with the user it was issued to.
+     */
+    async sendPasswordReset(passwordResetDTO) {
+        const resetUrl = process.env.PASSWORD_RESET_URL;
+        const instruction = resetUrl ?
+            `Follow this link to choose a new password:\n${resetUrl}?token=${passwordResetDTO.token}` :
+            `Use this code to choose a new password:\n${passwordResetDTO.token}`;
+
+        await this.transport.send({
+            from: Mailer.FROM,
+            to: passwordResetDTO.email,
+            subject: 'Reset your laundry booking password',
+            text: `Hello ${passwordResetDTO.username},\n\n` +
+                `Someone asked to reset the password of your account.\n${instruction}\n\n` +
+                `It can be used once and expires at ${passwordResetDTO.expiresAt}.\n` +
+                'If you did not ask for a new password, you can ignore this message.\n',
+        });
+    }
+
+    /**
+     * Sends the invitation that lets a resident choose their username and password.
+     * The token is appended to the INVITATION_URL when it is set.
+     * @param {InvitationDTO} invitationDTO The invitation together with its token.
+     */
+    async sendInvitation(invitationDTO) {
+        const invitationUrl = process.env.INVITATION_URL;
+        const instruction = invitationUrl ?
+            `Follow this link to choose your username and password:\n${invitationUrl}?token=${invitationDTO.token}` :
+            `Use this code to choose your username and password:\n${invitationDTO.token}`;
+
+        await this.transport.send({
+            from: Mailer.FROM,
+            to: invitationDTO.email,
+            subject: 'Your laundry booking account',
+            text: `Hello ${invitationDTO.firstName},\n\n` +
+                `You have been invited to book the laundry rooms of your building.\n${instruction}\n\n` +
+                `The invitation expires at ${invitationDTO.expiresAt}.\n`,
+        });
+    }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,30 @@
+'use strict';
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Delivers mail through an SMTP server.
+ */
+class SmtpTransport {
+    /**
+     * Create a transport for the SMTP server set by the SMTP_* environment variables.
+     */
+    constructor() {
+        this.transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {user: process.env.SMTP_USER, pass: process.env.SMTP_PASS} : undefined,
+        });
+    }
+
+    /**
+     * Sends the message to the SMTP server.
+     * @param {{from, to, subject, text}} message The message to be sent.
+     */
+    async send(message) {
+        await this.transporter.sendMail(message);
+    }
+}
+
+module.exports = SmtpTransport;
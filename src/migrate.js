@@ -0,0 +1,57 @@
+'use strict';
+
+const path = require('path');
+const APP_ROOT_DIR = path.join(__dirname, '..');
+
+// eslint-disable-next-line no-unused-vars
+const result = require('dotenv-safe').config({
+    path: path.join(APP_ROOT_DIR, '.env'),
+    example: path.join(APP_ROOT_DIR, '.env.example'),
+    allowEmptyValues: true,
+});
+
+const Logger = require('./util/Logger');
+const ConnectionPool = require('./integration/ConnectionPool');
+const MigrationRunner = require('./integration/MigrationRunner');
+
+/**
+ * Applies or reverts the database migrations according to the command line arguments.
+ * Usage: node src/migrate.js [up [targetVersion] | down [steps] | status]
+ */
+async function migrate() {
+    const logger = new Logger('MigrationRunner');
+    const connectionPool = new ConnectionPool(logger);
+    const migrationRunner = new MigrationRunner(connectionPool);
+    const [command = 'up', argument] = process.argv.slice(2);
+    // The target version and the number of steps are positive integers, anything else is a typo.
+    const isValidArgument = argument === undefined || /^[1-9][0-9]*$/.test(argument);
+
+    try {
+        if (command === 'up' && isValidArgument) {
+            const targetVersion = argument === undefined ? Infinity : parseInt(argument, 10);
+            const appliedMigrations = await migrationRunner.migrateUp(targetVersion);
+            appliedMigrations.forEach((migration) => console.log(`Applied ${String(migration.version).padStart(3, '0')}_${migration.name}`));
+            console.log(`${appliedMigrations.length} migration(s) applied.`);
+        } else if (command === 'down' && isValidArgument) {
+            const steps = argument === undefined ? 1 : parseInt(argument, 10);
+            const revertedMigrations = await migrationRunner.migrateDown(steps);
+            revertedMigrations.forEach((migration) => console.log(`Reverted ${String(migration.version).padStart(3, '0')}_${migration.name}`));
+            console.log(`${revertedMigrations.length} migration(s) reverted.`);
+        } else if (command === 'status') {
+            const migrations = await migrationRunner.status();
+            migrations.forEach((migration) => {
+                console.log(`${migration.applied ? '[applied]' : '[pending]'} ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+            });
+        } else {
+            console.log('Usage: node src/migrate.js [up [targetVersion] | down [steps] | status]');
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        logger.logException(err);
+        process.exitCode = 1;
+    } finally {
+        await connectionPool.end();
+    }
+}
+
+migrate();
@@ -0,0 +1,41 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent whether an account is active or suspended.
+ */
+class AccountStatusDTO {
+    /**
+     * Create an instance of the account status.
+     * @param {string} username The username of the account.
+     * @param {string} status Either active or suspended, which can be found in the accountStatusEnum.js.
+     * @param {string | null} reason The reason of the suspension, null if the account is active or no reason was given.
+     * @param {string | null} suspendedUntil The last date of the suspension, null if the account is active
+     *                                       or suspended until it is reactivated.
+     * @param { [{date, roomNumber, passRange}] } cancelledBookings The upcoming bookings that were cancelled
+     *                                                              due to the suspension.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(username, status, reason, suspendedUntil, cancelledBookings, statusCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isAccountStatus(status, 'Status');
+        if (reason !== null) {
+            Validators.isReason(reason, 'Reason');
+        }
+        if (suspendedUntil !== null) {
+            Validators.isDateFormat(suspendedUntil, 'Suspended Until');
+        }
+        cancelledBookings.forEach((booking) => Validators.isDateFormat(booking.date, 'Booking Date'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.status = status;
+        this.reason = reason;
+        this.suspendedUntil = suspendedUntil;
+        this.cancelledBookings = cancelledBookings;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = AccountStatusDTO;
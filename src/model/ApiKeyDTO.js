@@ -0,0 +1,48 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent an API key that lets an integration or a kiosk device act on behalf of a resident.
+ */
+class ApiKeyDTO {
+    /**
+     * Create an instance of the API key.
+     * @param {int} apiKeyID The id of the API key.
+     * @param {string} name The name that tells what the API key is used for.
+     * @param {string | null} scope What the API key can do, which can be found in the apiKeyScopeEnum.js.
+     *                              null if there is no such API key.
+     * @param {string} username The username of the resident that the API key acts on behalf of.
+     * @param {string | null} createdAt The time when the API key was created formatted as an ISO 8601 string,
+     *                                  null if there is no such API key.
+     * @param {string | null} lastUsedAt The time when the API key was last used, null if it has never been used.
+     * @param {string | null} revokedAt The time when the API key was revoked, null if it has not been revoked.
+     * @param {string | null} key The plain API key, only its hash is stored in the database.
+     *                            null unless the API key was just created.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the apiKeyStatusCodes.js.
+     */
+    constructor(apiKeyID, name, scope, username, createdAt, lastUsedAt, revokedAt, key, statusCode) {
+        Validators.isNonNegativeNumber(apiKeyID, 'API Key ID');
+        Validators.isAlphanumericString(username, 'Username');
+        if (scope !== null) {
+            Validators.isApiKeyName(name, 'Name');
+            Validators.isApiKeyScope(scope, 'Scope');
+        }
+        if (key !== null) {
+            Validators.isToken(key, 'API Key');
+        }
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.apiKeyID = apiKeyID;
+        this.name = name;
+        this.scope = scope;
+        this.username = username;
+        this.createdAt = createdAt;
+        this.lastUsedAt = lastUsedAt;
+        this.revokedAt = revokedAt;
+        this.key = key;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = ApiKeyDTO;
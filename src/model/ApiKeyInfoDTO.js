@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about all the API keys.
+ */
+class ApiKeyInfoDTO {
+    /**
+     * Create an instance to hold the information about the API keys.
+     * @param {[ApiKeyDTO]} apiKeys The information about each API key, without the keys themselves.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the apiKeyStatusCodes.js.
+     */
+    constructor(apiKeys, statusCode) {
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.apiKeys = apiKeys;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = ApiKeyInfoDTO;
@@ -0,0 +1,32 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent how far ahead laundry passes can be booked.
+ */
+class BookingHorizonDTO {
+    /**
+     * Create an instance of the booking horizon.
+     * @param {string} unit Either day, a date opens the given number of days before it,
+     *                      or week, a date opens the given number of calendar weeks before the Monday of its week.
+     * @param {int} length The number of days or weeks.
+     * @param {string | null} releaseTime The time formatted as HH:MM when a date opens, null means midnight.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the ruleStatusCodes.js.
+     */
+    constructor(unit, length, releaseTime, statusCode) {
+        Validators.isHorizonUnit(unit, 'Unit');
+        Validators.isNonNegativeNumber(length, 'Length');
+        if (releaseTime !== null) {
+            Validators.isReleaseTime(releaseTime, 'Release Time');
+        }
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.unit = unit;
+        this.length = length;
+        this.releaseTime = releaseTime;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = BookingHorizonDTO;
@@ -0,0 +1,29 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the rules that restrict the booking of laundry passes.
+ */
+class BookingRulesDTO {
+    /**
+     * Create an instance of the booking rules.
+     * @param {int} activePassesAllowed The number of upcoming passes that a user is allowed to have at the same time.
+     * @param {int} totalMonthPassesAllowed The number of passes that a user is allowed to book in a month.
+     * @param {int} lockDuration The time in minutes that a pass stays locked while the user confirms the booking.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the ruleStatusCodes.js.
+     */
+    constructor(activePassesAllowed, totalMonthPassesAllowed, lockDuration, statusCode) {
+        Validators.isNonNegativeNumber(activePassesAllowed, 'Active Passes Allowed');
+        Validators.isNonNegativeNumber(totalMonthPassesAllowed, 'Total Month Passes Allowed');
+        Validators.isNonNegativeNumber(lockDuration, 'Lock Duration');
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.activePassesAllowed = activePassesAllowed;
+        this.totalMonthPassesAllowed = totalMonthPassesAllowed;
+        this.lockDuration = lockDuration;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = BookingRulesDTO;
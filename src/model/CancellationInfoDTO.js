@@ -0,0 +1,23 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the bookings of a resident that were cancelled due to closures.
+ */
+class CancellationInfoDTO {
+    /**
+     * Create an instance to hold the cancelled bookings.
+     * @param { [{date, roomNumber, passRange, reason}] } cancellations The cancelled bookings with the reason of the cancellation.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the bookingStatusCodes.js.
+     */
+    constructor(cancellations, statusCode) {
+        cancellations.forEach((cancellation) => Validators.isDateFormat(cancellation.date, 'Cancellation Date'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.cancellations = cancellations;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = CancellationInfoDTO;
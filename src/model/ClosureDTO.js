@@ -0,0 +1,43 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent a closure, which makes a laundry room or one of its slots unavailable during a date range.
+ */
+class ClosureDTO {
+    /**
+     * Create an instance with the closure information.
+     * @param {int} closureID The id related to the closure.
+     * @param {int} roomNumber The number related to the closed room.
+     * @param {string | null} passRange The time frame of the closed slot, null means that all the slots of the room are closed.
+     * @param {string} startDate The first date of the closure.
+     * @param {string} endDate The last date of the closure.
+     * @param {string} reason The reason of the closure that is given to the residents.
+     * @param { [{date, roomNumber, passRange, username}] } cancelledBookings The upcoming bookings that were cancelled
+     *                                                                        due to the closure.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the closureStatusCodes.js.
+     */
+    constructor(closureID, roomNumber, passRange, startDate, endDate, reason, cancelledBookings, statusCode) {
+        Validators.isNonNegativeNumber(closureID, 'Closure ID');
+        Validators.isNonNegativeNumber(roomNumber, 'Room Number');
+        if (passRange !== null) {
+            Validators.isPassRange(passRange, 'Pass Range');
+        }
+        Validators.isDateFormat(startDate, 'Start Date');
+        Validators.isDateFormat(endDate, 'End Date');
+        cancelledBookings.forEach((booking) => Validators.isDateFormat(booking.date, 'Booking Date'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.closureID = closureID;
+        this.roomNumber = roomNumber;
+        this.passRange = passRange;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.reason = reason;
+        this.cancelledBookings = cancelledBookings;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = ClosureDTO;
@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about all the closures.
+ */
+class ClosureInfoDTO {
+    /**
+     * Create an instance to hold the information about the closures.
+     * @param {[ClosureDTO]} closures The information about each closure.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the closureStatusCodes.js.
+     */
+    constructor(closures, statusCode) {
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.closures = closures;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = ClosureInfoDTO;
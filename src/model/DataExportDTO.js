@@ -0,0 +1,48 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent all the personal data that is held about a user, as requested under the GDPR.
+ */
+class DataExportDTO {
+    /**
+     * Create an instance of the exported data of the user.
+     * @param {string} username The username of the user.
+     * @param {string | null} exportedAt The time of the export in ISO 8601 format, null if the data could not be exported.
+     * @param { {firstName, lastName, personalNumber, email, privilegeID} | null } person The person data of the user.
+     * @param { {username, status, suspensionReason, suspendedUntil, twoFactorEnabledAt, failedLogins, lastFailedLoginAt,
+     *            lockedUntil} | null } account The account data of the user.
+     * @param { [{date, roomNumber, passRange}] } bookings Every past and upcoming booking of the user.
+     * @param { [{date, roomNumber, passRange, lockedAt}] } locks The passes that the user is currently booking.
+     * @param { [{date, roomNumber, passRange, reason, cancelledAt, seen}] } cancellations The bookings of the user
+     *                                                                                    that were cancelled.
+     * @param { [{createdAt, expiresAt, revokedAt}] } sessions The sessions of the user, the ids are never exported.
+     * @param { [{name, scope, createdAt, lastUsedAt, revokedAt}] } apiKeys The API keys that act on behalf of the user,
+     *                                                               the keys themselves are never exported.
+     * @param { [{expiresAt, usedAt}] } passwordResets The password resets that the user requested,
+     *                                                 the tokens themselves are never exported.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(username, exportedAt, person, account, bookings, locks, cancellations, sessions, apiKeys, passwordResets, statusCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        bookings.forEach((booking) => Validators.isDateFormat(booking.date, 'Booking Date'));
+        locks.forEach((lock) => Validators.isDateFormat(lock.date, 'Lock Date'));
+        cancellations.forEach((cancellation) => Validators.isDateFormat(cancellation.date, 'Cancellation Date'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.exportedAt = exportedAt;
+        this.person = person;
+        this.account = account;
+        this.bookings = bookings;
+        this.locks = locks;
+        this.cancellations = cancellations;
+        this.sessions = sessions;
+        this.apiKeys = apiKeys;
+        this.passwordResets = passwordResets;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = DataExportDTO;
@@ -0,0 +1,51 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent an invitation of a resident that has not chosen a username and password yet.
+ */
+class InvitationDTO {
+    /**
+     * Create an instance of the invitation.
+     * @param {int} invitationID The id of the invitation.
+     * @param {string | null} firstName The name of the invited resident, null if there is no such invitation.
+     * @param {string | null} lastName The surname of the invited resident, null if there is no such invitation.
+     * @param {string | null} personalNumber The personal number of the invited resident.
+     *                                       It should follow the following format YYYYMMDD-XXXX.
+     *                                       null if there is no such invitation.
+     * @param {string | null} email The email address the invitation is sent to, null if there is no such invitation.
+     * @param {string | null} expiresAt The time when the invitation expires formatted as an ISO 8601 string,
+     *                                  null if the invitation has not been sent yet.
+     * @param {string | null} token The plain invitation token, only its hash is stored in the database.
+     *                              null unless the invitation was just sent.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the invitationStatusCodes.js.
+     */
+    constructor(invitationID, firstName, lastName, personalNumber, email, expiresAt, token, statusCode) {
+        Validators.isNonNegativeNumber(invitationID, 'Invitation ID');
+        if (personalNumber !== null) {
+            Validators.isAlphaString(firstName, 'First Name');
+            Validators.isAlphaString(lastName, 'Last Name');
+            Validators.isPersonalNumberFormat(personalNumber, 'Personal Number');
+            Validators.isEmailFormat(email, 'Email');
+        }
+        if (expiresAt !== null) {
+            Validators.isTimestamp(expiresAt, 'Expires At');
+        }
+        if (token !== null) {
+            Validators.isToken(token, 'Token');
+        }
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.invitationID = invitationID;
+        this.firstName = firstName;
+        this.lastName = lastName;
+        this.personalNumber = personalNumber;
+        this.email = email;
+        this.expiresAt = expiresAt;
+        this.token = token;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = InvitationDTO;
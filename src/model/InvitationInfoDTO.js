@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about all the pending invitations.
+ */
+class InvitationInfoDTO {
+    /**
+     * Create an instance to hold the information about the pending invitations.
+     * @param {[InvitationDTO]} invitations The information about each pending invitation.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the invitationStatusCodes.js.
+     */
+    constructor(invitations, statusCode) {
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.invitations = invitations;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = InvitationInfoDTO;
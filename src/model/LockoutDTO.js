@@ -0,0 +1,32 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the failed logins of an account, which delay and eventually lock out further login attempts.
+ */
+class LockoutDTO {
+    /**
+     * Create an instance of the lockout of the account.
+     * @param {string} username The username of the account.
+     * @param {int} failedLogins The number of failed logins since the last successful login.
+     * @param {string | null} lastFailedLoginAt The time of the last failed login formatted as an ISO 8601 string,
+     *                                          null if the login has never failed.
+     * @param {string | null} lockedUntil The time until which login attempts are refused formatted as
+     *                                    an ISO 8601 string, null if they are not delayed.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(username, failedLogins, lastFailedLoginAt, lockedUntil, statusCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isNonNegativeNumber(failedLogins, 'Failed Logins');
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.failedLogins = failedLogins;
+        this.lastFailedLoginAt = lastFailedLoginAt;
+        this.lockedUntil = lockedUntil;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = LockoutDTO;
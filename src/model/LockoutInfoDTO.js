@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about the accounts with failed logins.
+ */
+class LockoutInfoDTO {
+    /**
+     * Create an instance to hold the information about the lockouts.
+     * @param {[LockoutDTO]} lockouts The failed logins of each account that has failed to login since its last login.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(lockouts, statusCode) {
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.lockouts = lockouts;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = LockoutInfoDTO;
@@ -9,15 +9,18 @@ class PassDTO {
     /**
      * Create an instance with the pass slot information.
      * @param {string} date The date that the pass is going to be.
+     * @param {string} opensAt The time when the passes of the date can be booked, formatted according to ISO 8601.
      * @param { [{range, status, username}] } slots Array of the time frames that the pass has for the day.
      * range {string} The time frame specified for the slot.
      * status {string} The status of the slot.
      * username {string} The username related to the person if the slot is booked.
      */
-    constructor(date, slots) {
+    constructor(date, opensAt, slots) {
         Validators.isDateFormat(date, 'Date');
+        Validators.isTimestamp(opensAt, 'Opens At');
         slots.forEach((slot) => Validators.isPassSlot(slot, 'Slot'));
         this.date = date;
+        this.opensAt = opensAt;
         this.slots = slots;
     }
 }
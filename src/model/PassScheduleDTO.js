@@ -8,25 +8,31 @@ const Validators = require('../util/Validators');
 class PassScheduleDTO {
     /**
      * Create an instance of the week schedule.
-     * @param {int} weekNumber The week number for the schedule.
+     * @param {int} weekNumber The ISO week number for the schedule.
+     * @param {int} isoYear The ISO year that the week belongs to, which differs from the calendar year
+     *                      for the days around new year.
      * @param {int} roomCount The count of rooms that have slots for the users to book passes.
      * @param {[string]} weekDates The dates for the days in the week schedule.
      * @param { [{roomNum, passes}] } roomPasses The pass slots that relate to the specific room.
      * roomNum {int} The number related to the room.
      * passes { [PassDTO] } The information about the booking for each day in the specified week.
+     * @param {BookingHorizonDTO | null} bookingHorizon How far ahead the passes can be booked.
      * @param {int} statusCode The code that represent the status of the information,
      *                         which can be found in the scheduleStatusCodes.js.
      */
-    constructor(weekNumber, roomCount, weekDates, roomPasses, statusCode) {
+    constructor(weekNumber, isoYear, roomCount, weekDates, roomPasses, bookingHorizon, statusCode) {
         Validators.isNonNegativeNumber(weekNumber, 'Week Number');
+        Validators.isNonNegativeNumber(isoYear, 'ISO Year');
         Validators.isNonNegativeNumber(roomCount, 'Room Count');
         weekDates.forEach((weekDate) => Validators.isDateFormat(weekDate, 'Week Date'));
         roomPasses.forEach((roomPass) => Validators.isNonNegativeNumber(roomPass.roomNum, 'Room Number'));
         Validators.isNonNegativeNumber(statusCode, 'Status Code');
         this.weekNumber = weekNumber;
+        this.isoYear = isoYear;
         this.roomCount = roomCount;
         this.weekDates = weekDates;
         this.roomPasses = roomPasses;
+        this.bookingHorizon = bookingHorizon;
         this.statusCode = statusCode;
     }
 }
@@ -0,0 +1,36 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent a password reset token issued to a user.
+ */
+class PasswordResetDTO {
+    /**
+     * Create an instance of the issued password reset.
+     * @param {string} username The username of the user the token was issued to.
+     * @param {string | null} email The email address the token is sent to, null if no token was issued.
+     * @param {string | null} token The plain token, only its hash is stored in the database.
+     *                              null if no token was issued.
+     * @param {string | null} expiresAt The time when the token expires formatted as an ISO 8601 string,
+     *                                  null if no token was issued.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(username, email, token, expiresAt, statusCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        if (token !== null) {
+            Validators.isEmailFormat(email, 'Email');
+            Validators.isToken(token, 'Token');
+            Validators.isTimestamp(expiresAt, 'Expires At');
+        }
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.email = email;
+        this.token = token;
+        this.expiresAt = expiresAt;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = PasswordResetDTO;
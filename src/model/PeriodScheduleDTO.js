@@ -0,0 +1,39 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the schedule of the laundry bookings for a period of consecutive days.
+ */
+class PeriodScheduleDTO {
+    /**
+     * Create an instance of the period schedule.
+     * @param {string} fromDate The first date of the period.
+     * @param {string} toDate The last date of the period.
+     * @param {int} roomCount The count of rooms in the schedule.
+     * @param {[string]} dates The dates of the days in the period schedule.
+     * @param { [{roomNum, passes}] } roomPasses The pass slots that relate to the specific room.
+     * roomNum {int} The number related to the room.
+     * passes { [PassDTO] } The information about the booking for each day in the period.
+     * @param {BookingHorizonDTO | null} bookingHorizon How far ahead the passes can be booked.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the scheduleStatusCodes.js.
+     */
+    constructor(fromDate, toDate, roomCount, dates, roomPasses, bookingHorizon, statusCode) {
+        Validators.isDateFormat(fromDate, 'From Date');
+        Validators.isDateFormat(toDate, 'To Date');
+        Validators.isNonNegativeNumber(roomCount, 'Room Count');
+        dates.forEach((date) => Validators.isDateFormat(date, 'Date'));
+        roomPasses.forEach((roomPass) => Validators.isNonNegativeNumber(roomPass.roomNum, 'Room Number'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.fromDate = fromDate;
+        this.toDate = toDate;
+        this.roomCount = roomCount;
+        this.dates = dates;
+        this.roomPasses = roomPasses;
+        this.bookingHorizon = bookingHorizon;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = PeriodScheduleDTO;
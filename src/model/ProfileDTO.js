@@ -0,0 +1,35 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the personal information that a user can view and update on their own.
+ */
+class ProfileDTO {
+    /**
+     * Create an instance of the profile of the user.
+     * @param {string} username The username of the user.
+     * @param {string | null} firstName The name of the user, null if the profile could not be retrieved.
+     * @param {string | null} lastName The surname of the user, null if the profile could not be retrieved.
+     * @param {string | null} email The email address of the user, null if the profile could not be retrieved.
+     * @param {int} privilegeID The privilege that the user have, which can be found in the privilegeEnum.js.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(username, firstName, lastName, email, privilegeID, statusCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        if (email !== null) {
+            Validators.isEmailFormat(email, 'Email');
+        }
+        Validators.isIntegerBetween(privilegeID, 0, 2, 'Privilege ID');
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.firstName = firstName;
+        this.lastName = lastName;
+        this.email = email;
+        this.privilegeID = privilegeID;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = ProfileDTO;
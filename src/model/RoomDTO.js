@@ -0,0 +1,35 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about a laundry room.
+ */
+class RoomDTO {
+    /**
+     * Create an instance with the laundry room information.
+     * @param {int} roomNumber The number related to the room.
+     * @param {string} name The display name of the room.
+     * @param {boolean} retired Indicates whether the room has been taken out of service.
+     * @param {[string]} passRanges The time frames of the pass slots that the room has.
+     * @param { [{date, roomNumber, passRange, username}] } upcomingBookings The upcoming bookings that prevented
+     *                                                                       the requested change of the room.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the roomStatusCodes.js.
+     */
+    constructor(roomNumber, name, retired, passRanges, upcomingBookings, statusCode) {
+        Validators.isNonNegativeNumber(roomNumber, 'Room Number');
+        Validators.isRoomName(name, 'Room Name');
+        passRanges.forEach((passRange) => Validators.isPassRange(passRange, 'Pass Range'));
+        upcomingBookings.forEach((booking) => Validators.isDateFormat(booking.date, 'Booking Date'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.roomNumber = roomNumber;
+        this.name = name;
+        this.retired = retired;
+        this.passRanges = passRanges;
+        this.upcomingBookings = upcomingBookings;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = RoomDTO;
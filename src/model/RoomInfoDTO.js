@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about all the laundry rooms.
+ */
+class RoomInfoDTO {
+    /**
+     * Create an instance to hold the information about the rooms.
+     * @param {[RoomDTO]} rooms The information about each room.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the roomStatusCodes.js.
+     */
+    constructor(rooms, statusCode) {
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.rooms = rooms;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = RoomInfoDTO;
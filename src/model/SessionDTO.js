@@ -0,0 +1,43 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent a session of a logged in user, the authentication cookie only carries the id of the session.
+ */
+class SessionDTO {
+    /**
+     * Create an instance of the session.
+     * @param {string | null} sessionID The id of the session, null if the session does not exist or is no longer valid.
+     * @param {string} username The username of the user the session belongs to.
+     * @param {int} privilegeID The current privilege of the user, which can be found in the privilegeEnum.js.
+     * @param {string | null} expiresAt The time when the session expires in ISO 8601 format,
+     *                                  null if the session does not exist or is no longer valid.
+     * @param {string | null} refreshToken The refresh token that was just issued for the session,
+     *                                     null when no new refresh token was issued.
+     * @param {boolean} twoFactorEnrolmentRequired Whether the user is an administrator that has to enable
+     *                                             two-factor authentication before administrating.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(sessionID, username, privilegeID, expiresAt, refreshToken, twoFactorEnrolmentRequired, statusCode) {
+        if (sessionID !== null) {
+            Validators.isSessionID(sessionID, 'Session ID');
+        }
+        Validators.isAlphanumericString(username, 'Username');
+        if (refreshToken !== null) {
+            Validators.isToken(refreshToken, 'Refresh Token');
+        }
+        Validators.isIntegerBetween(privilegeID, 0, 2, 'Privilege ID');
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.sessionID = sessionID;
+        this.username = username;
+        this.privilegeID = privilegeID;
+        this.expiresAt = expiresAt;
+        this.refreshToken = refreshToken;
+        this.twoFactorEnrolmentRequired = twoFactorEnrolmentRequired;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = SessionDTO;
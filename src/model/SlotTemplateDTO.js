@@ -0,0 +1,45 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent a slot template, which selects the slots that a laundry room offers on the matching dates.
+ */
+class SlotTemplateDTO {
+    /**
+     * Create an instance with the slot template information.
+     * @param {int} templateID The id related to the template.
+     * @param {int} roomNumber The number related to the room that the template applies to.
+     * @param {[int]} weekdays The weekdays that the template applies to, 1 is Monday and 7 is Sunday.
+     *                         An empty list means every day of the week.
+     * @param {string | null} startDate The first date that the template applies to, null means no date limit.
+     * @param {string | null} endDate The last date that the template applies to, null means no date limit.
+     * @param {[string]} passRanges The time frames of the slots that are offered on the matching dates.
+     * @param { [{date, roomNumber, passRange, username}] } upcomingBookings The upcoming bookings that prevented
+     *                                                                       the requested change of the template.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the templateStatusCodes.js.
+     */
+    constructor(templateID, roomNumber, weekdays, startDate, endDate, passRanges, upcomingBookings, statusCode) {
+        Validators.isNonNegativeNumber(templateID, 'Template ID');
+        Validators.isNonNegativeNumber(roomNumber, 'Room Number');
+        Validators.isWeekdayList(weekdays, 'Weekdays');
+        if (startDate !== null || endDate !== null) {
+            Validators.isDateFormat(startDate, 'Start Date');
+            Validators.isDateFormat(endDate, 'End Date');
+        }
+        passRanges.forEach((passRange) => Validators.isPassRange(passRange, 'Pass Range'));
+        upcomingBookings.forEach((booking) => Validators.isDateFormat(booking.date, 'Booking Date'));
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.templateID = templateID;
+        this.roomNumber = roomNumber;
+        this.weekdays = weekdays;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.passRanges = passRanges;
+        this.upcomingBookings = upcomingBookings;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = SlotTemplateDTO;
@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the information about all the slot templates.
+ */
+class SlotTemplateInfoDTO {
+    /**
+     * Create an instance to hold the information about the slot templates.
+     * @param {[SlotTemplateDTO]} templates The information about each slot template.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the templateStatusCodes.js.
+     */
+    constructor(templates, statusCode) {
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.templates = templates;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = SlotTemplateInfoDTO;
@@ -0,0 +1,35 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the two-factor authentication of a user, which uses codes from an authenticator app.
+ */
+class TwoFactorDTO {
+    /**
+     * Create an instance of the two-factor authentication of the user.
+     * @param {string} username The username of the user.
+     * @param {string | null} secret The base32 encoded secret that is entered in the authenticator app,
+     *                               null unless the enrolment was just started.
+     * @param {string | null} otpauthURI The otpauth URI to show as a QR code that the authenticator app scans,
+     *                                   null unless the enrolment was just started.
+     * @param {[string] | null} recoveryCodes The one-time recovery codes, only their hashes are stored in the database.
+     *                                        null unless two-factor authentication was just enabled.
+     * @param {string | null} enabledAt The time when two-factor authentication was enabled formatted as
+     *                                  an ISO 8601 string, null if it is not enabled.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the twoFactorStatusCodes.js.
+     */
+    constructor(username, secret, otpauthURI, recoveryCodes, enabledAt, statusCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.secret = secret;
+        this.otpauthURI = otpauthURI;
+        this.recoveryCodes = recoveryCodes;
+        this.enabledAt = enabledAt;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = TwoFactorDTO;
@@ -0,0 +1,52 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represent the person and account details of a user, as managed by an administrator.
+ */
+class UserDetailsDTO {
+    /**
+     * Create an instance to hold the details of the user.
+     * A detail that is null is unknown, or left unchanged when the details are used to update a user.
+     * @param {string | null} username The username that the user uses to login.
+     * @param {string | null} firstName The name of the user.
+     * @param {string | null} lastName The surname of the user.
+     * @param {string | null} personalNumber The personal number related to the person.
+     *                                       It should follow the following format YYYYMMDD-XXXX.
+     * @param {string | null} email The email address of the user.
+     * @param {int | null} privilegeID The privilege that the user have, which can be found in the privilegeEnum.js.
+     * @param {int} statusCode The code that represent the status of the information,
+     *                         which can be found in the userStatusCodes.js.
+     */
+    constructor(username, firstName, lastName, personalNumber, email, privilegeID, statusCode) {
+        if (username !== null) {
+            Validators.isAlphanumericString(username, 'Username');
+        }
+        if (firstName !== null) {
+            Validators.isAlphaString(firstName, 'First Name');
+        }
+        if (lastName !== null) {
+            Validators.isAlphaString(lastName, 'Last Name');
+        }
+        if (personalNumber !== null) {
+            Validators.isPersonalNumberFormat(personalNumber, 'Personal Number');
+        }
+        if (email !== null) {
+            Validators.isEmailFormat(email, 'Email');
+        }
+        if (privilegeID !== null) {
+            Validators.isIntegerBetween(privilegeID, 0, 2, 'Privilege ID');
+        }
+        Validators.isNonNegativeNumber(statusCode, 'Status Code');
+        this.username = username;
+        this.firstName = firstName;
+        this.lastName = lastName;
+        this.personalNumber = personalNumber;
+        this.email = email;
+        this.privilegeID = privilegeID;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = UserDetailsDTO;
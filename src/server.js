@@ -44,6 +44,18 @@ app.get('/', (req, res, next) => {
     }
 });
 
+/**
+ * Purges the anonymised users whose retention period has passed when the server starts, and then once a day.
+ */
+async function schedulePurge() {
+    const Controller = require('./controller/Controller');
+    const controller = await Controller.createController();
+    const purgeInterval = 24 * 60 * 60 * 1000; // 1 Day
+
+    await controller.purgeAnonymisedUsers();
+    setInterval(() => controller.purgeAnonymisedUsers(), purgeInterval);
+}
+
 /**
  * Initializes the Express server and registers all the routes before listening for connections.
  * @return {Object} server An http.Server object.
@@ -51,6 +63,7 @@ app.get('/', (req, res, next) => {
 async function initServer() {
     const initRequestHandlerLoader = require('./view/api');
     await initRequestHandlerLoader(app);
+    await schedulePurge();
 
     // process.env.PORT is set by Heroku, process.env.SERVER_PORT is a fallback
     const server = await app.listen(
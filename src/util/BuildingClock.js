@@ -0,0 +1,95 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const weekOfYear = require('dayjs/plugin/weekOfYear');
+const isoWeekOfYear = require('dayjs/plugin/isoWeek');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(weekOfYear);
+dayjs.extend(isoWeekOfYear);
+
+/**
+ * Tells the current date and time in the timezone of the building where the laundry rooms are.
+ * Calendar dates are returned as UTC midnight so that adding days or weeks to them is not affected
+ * by daylight saving time transitions.
+ */
+class BuildingClock {
+    /**
+     * Create a clock for the given timezone.
+     * @param {string} timezone The IANA name of the timezone of the building.
+     * @param {function(): number} currentTime Returns the current time in milliseconds since the epoch,
+     *                                         it can be replaced to pin the clock.
+     */
+    constructor(timezone = BuildingClock.TIMEZONE, currentTime = () => Date.now()) {
+        this.timezone = timezone;
+        this.currentTime = currentTime;
+    }
+
+    /**
+     * The timezone of the building, set by the BUILDING_TIMEZONE environment variable.
+     */
+    static get TIMEZONE() {
+        return process.env.BUILDING_TIMEZONE || 'Europe/Stockholm';
+    }
+
+    /**
+     * @return {dayjs.Dayjs} The current time in the timezone of the building.
+     */
+    now() {
+        return dayjs(this.currentTime()).tz(this.timezone);
+    }
+
+    /**
+     * @return {dayjs.Dayjs} The current date in the timezone of the building.
+     */
+    today() {
+        return dayjs.utc(this.now().format('YYYY-MM-DD'));
+    }
+
+    /**
+     * @return {string} The current date in the timezone of the building formatted as YYYY-MM-DD.
+     */
+    todayDate() {
+        return this.today().format('YYYY-MM-DD');
+    }
+
+    /**
+     * @param {string} date A date formatted as YYYY-MM-DD.
+     * @return {dayjs.Dayjs} The calendar date, comparable with the date returned by today.
+     */
+    calendarDate(date) {
+        return dayjs.utc(date);
+    }
+
+    /**
+     * @param {string} date A date formatted as YYYY-MM-DD.
+     * @param {string} time A time of the day formatted as HH:MM.
+     * @return {dayjs.Dayjs} The moment when the time of the day is reached on the date in the timezone of the building.
+     */
+    localTime(date, time) {
+        return dayjs.tz(`${date} ${time}`, this.timezone);
+    }
+
+    /**
+     * @param {string} date A date formatted as YYYY-MM-DD.
+     * @return {dayjs.Dayjs} The Monday that starts the ISO week of the date.
+     */
+    weekStart(date) {
+        return this.calendarDate(date).startOf('isoWeek');
+    }
+
+    /**
+     * The fourth of January always belongs to the first ISO week of its year.
+     * @param {int} isoYear The ISO year of the week.
+     * @param {int} isoWeek The number of the week within the ISO year.
+     * @return {dayjs.Dayjs} The Monday that starts the ISO week.
+     */
+    isoWeekStart(isoYear, isoWeek) {
+        return this.weekStart(`${isoYear}-01-04`).add(isoWeek - 1, 'week');
+    }
+}
+
+module.exports = BuildingClock;
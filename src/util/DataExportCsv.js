@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Writes the exported personal data of a user as CSV.
+ * Every field is written on its own row, together with the section and the index of the record it belongs to,
+ * so that all the sections fit in a single file that any CSV reader can parse.
+ */
+class DataExportCsv {
+    /**
+     * The columns of the CSV file.
+     */
+    static get HEADER() {
+        return ['section', 'index', 'field', 'value'];
+    }
+
+    /**
+     * @param {DataExportDTO} dataExportDTO The exported data of the user.
+     * @return {string} The exported data formatted as CSV, with lines separated by CRLF as described in RFC 4180.
+     */
+    static format(dataExportDTO) {
+        const sections = {
+            export: [{username: dataExportDTO.username, exportedAt: dataExportDTO.exportedAt}],
+            person: [dataExportDTO.person],
+            account: [dataExportDTO.account],
+            bookings: dataExportDTO.bookings,
+            locks: dataExportDTO.locks,
+            cancellations: dataExportDTO.cancellations,
+            sessions: dataExportDTO.sessions,
+            apiKeys: dataExportDTO.apiKeys,
+            passwordResets: dataExportDTO.passwordResets,
+        };
+
+        const rows = [DataExportCsv.HEADER];
+        for (const [section, records] of Object.entries(sections)) {
+            records.forEach((record, index) => {
+                for (const [field, value] of Object.entries(record)) {
+                    rows.push([section, index, field, value]);
+                }
+            });
+        }
+
+        return rows.map((row) => row.map(DataExportCsv._escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _escape(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = value.toString();
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+module.exports = DataExportCsv;
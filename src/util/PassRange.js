@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Converts the time frames of the laundry passes. A pass range is formatted as HH:MM-HH:MM,
+ * the legacy format XX-XX that only has whole hours is still accepted from the clients.
+ */
+class PassRange {
+    /**
+     * Converts a pass range in the legacy format XX-XX to the format HH:MM-HH:MM.
+     * @param {string} passRange The pass range in either of the formats.
+     * @return {string} The pass range formatted as HH:MM-HH:MM.
+     */
+    static normalize(passRange) {
+        const legacyMatch = /^([0-9]{2})-([0-9]{2})$/.exec(passRange.toString());
+
+        if (legacyMatch === null) {
+            return passRange;
+        }
+
+        return `${legacyMatch[1]}:00-${legacyMatch[2]}:00`;
+    }
+
+    /**
+     * @param {string} passRange The pass range in either of the formats.
+     * @return {int} The start time of the pass range in minutes after midnight.
+     */
+    static startMinutes(passRange) {
+        return PassRange._toMinutes(PassRange.normalize(passRange).substring(0, 5));
+    }
+
+    /**
+     * @param {string} passRange The pass range in either of the formats.
+     * @return {int} The end time of the pass range in minutes after midnight.
+     */
+    static endMinutes(passRange) {
+        return PassRange._toMinutes(PassRange.normalize(passRange).substring(6, 11));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _toMinutes(time) {
+        const [hours, minutes] = time.split(':');
+        return (parseInt(hours) * 60) + parseInt(minutes);
+    }
+}
+
+module.exports = PassRange;
@@ -0,0 +1,155 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Generates and verifies time-based one-time passwords as described in RFC 6238,
+ * using the defaults that authenticator apps expect: HMAC-SHA1, six digits and a time step of thirty seconds.
+ */
+class Totp {
+    /**
+     * The name of the service shown by authenticator apps.
+     */
+    static get ISSUER() {
+        return 'Laundry Booking';
+    }
+
+    /**
+     * The number of digits of a code.
+     */
+    static get DIGITS() {
+        return 6;
+    }
+
+    /**
+     * The number of seconds a code is valid.
+     */
+    static get PERIOD() {
+        return 30;
+    }
+
+    /**
+     * The number of time steps before and after the current one that are also accepted,
+     * which makes up for clock drift and for the time it takes to type the code.
+     */
+    static get WINDOW() {
+        return 1;
+    }
+
+    /**
+     * @return {string} A new random secret of 160 bits, encoded in base32 as authenticator apps expect.
+     */
+    static generateSecret() {
+        return Totp._base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * @param {string} secret The base32 encoded secret.
+     * @param {string} accountName The name of the account shown by authenticator apps.
+     * @return {string} The otpauth URI that is encoded in the QR code scanned by authenticator apps.
+     */
+    static keyUri(secret, accountName) {
+        const label = encodeURIComponent(`${Totp.ISSUER}:${accountName}`);
+        const parameters = new URLSearchParams({
+            secret: secret,
+            issuer: Totp.ISSUER,
+            algorithm: 'SHA1',
+            digits: Totp.DIGITS.toString(),
+            period: Totp.PERIOD.toString(),
+        });
+        return `otpauth://totp/${label}?${parameters.toString().replace(/\+/g, '%20')}`;
+    }
+
+    /**
+     * @param {Date} date The time to get the time step of.
+     * @return {int} The number of whole time steps since the Unix epoch.
+     */
+    static timeStep(date) {
+        return Math.floor(date.getTime() / 1000 / Totp.PERIOD);
+    }
+
+    /**
+     * @param {string} secret The base32 encoded secret.
+     * @param {int} timeStep The time step to generate the code for.
+     * @return {string} The code of the time step, padded with leading zeros.
+     */
+    static generateCode(secret, timeStep) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(timeStep));
+        const hmac = crypto.createHmac('sha1', Totp._base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** Totp.DIGITS);
+        return binary.toString().padStart(Totp.DIGITS, '0');
+    }
+
+    /**
+     * @param {string} code The code typed by the user.
+     * @return {boolean} true if the code has the format of the codes from authenticator apps.
+     */
+    static isCodeFormat(code) {
+        return new RegExp(`^[0-9]{${Totp.DIGITS}}$`).test(code);
+    }
+
+    /**
+     * Verifies a code against the time steps around the given time.
+     * @param {string} secret The base32 encoded secret.
+     * @param {string} code The code typed by the user.
+     * @param {Date} date The current time.
+     * @return {int | null} The time step that the code belongs to, which lets the caller refuse codes that were
+     *                      already used, or null if the code is wrong.
+     */
+    static verifyCode(secret, code, date) {
+        const currentStep = Totp.timeStep(date);
+        for (let step = currentStep - Totp.WINDOW; step <= currentStep + Totp.WINDOW; step++) {
+            const expected = Buffer.from(Totp.generateCode(secret, step));
+            const given = Buffer.from(code);
+            if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _base32Encode(buffer) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = 0;
+        let value = 0;
+        let encoded = '';
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                encoded += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            encoded += alphabet[(value << (5 - bits)) & 31];
+        }
+        return encoded;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _base32Decode(encoded) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        for (const character of encoded.replace(/=+$/, '').toUpperCase()) {
+            const index = alphabet.indexOf(character);
+            if (index === -1) {
+                throw new Error('The secret is not base32 encoded.');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = Totp;
@@ -144,6 +144,44 @@ class Validators {
         );
     }
 
+    /**
+     * Checks that the provided value is a number that is bigger or equal to the lower limit.
+     *
+     * @param {any} value The value to be validated.
+     * @param {any} lowerLimit The lower allowed limit, inclusive.
+     * @param {string} limitName The name of the lower limit to be included in the assertion error message.
+     * @param {string} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isNotSmallerThan(value, lowerLimit, limitName, varName) {
+        const result = Number(value) >= Number(lowerLimit);
+
+        assert(
+            result,
+            `${varName} must not be smaller than ${limitName}.`,
+        );
+    }
+
+    /**
+     * Checks that the provided date (YYYY-MM-DD) is the same as or later than the lower limit date.
+     *
+     * @param {any} value The value to be validated.
+     * @param {any} lowerLimit The earliest allowed date, inclusive.
+     * @param {string} limitName The name of the lower limit to be included in the assertion error message.
+     * @param {string} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isDateNotBefore(value, lowerLimit, limitName, varName) {
+        const result = value.toString() >= lowerLimit.toString();
+
+        assert(
+            result,
+            `${varName} must not be before ${limitName}.`,
+        );
+    }
+
     /**
      * Check if the value is a non negative number that could be a zero.
      * @param {any} value The value to be validated.
@@ -189,18 +227,262 @@ class Validators {
     }
 
     /**
-     * Check if pass range follows the right format [XX-XX].
+     * Check if pass range follows the format [HH:MM-HH:MM] and ends after it starts.
+     * The legacy format [XX-XX] with whole hours is also accepted.
      * @param {any} value The value to be validated.
      * @param {String} varName The variable name to be included in the assertion error message
      *                         in case that the validation fails.
      * @throws {AssertionError} If validation fails.
      */
     static isPassRange(value, varName) {
-        const result = validator.matches(value.toString(), '^[0-9]{2}-[0-9]{2}$');
+        const passRange = value.toString();
+        const time = '(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)';
+        const isLegacyRange = validator.matches(passRange, '^[0-9]{2}-[0-9]{2}$');
+        const isTimeRange = validator.matches(passRange, `^${time}-${time}$`) &&
+            passRange.substring(0, 5) < passRange.substring(6);
+
+        assert(
+            isLegacyRange || isTimeRange,
+            `${varName} must follow the format [HH:MM-HH:MM] and end after it starts.`,
+        );
+    }
+
+    /**
+     * Check if the room name consists of 1 to 50 letters, numbers, spaces and hyphens.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isRoomName(value, varName) {
+        const result = validator.isLength(value.toString(), {min: 1, max: 50}) &&
+            validator.isAlphanumeric(value.toString(), 'sv-SE', {ignore: ' -'});
+
+        assert(
+            result,
+            `${varName} must consist of 1 to 50 letters, numbers, spaces and hyphens.`,
+        );
+    }
+
+    /**
+     * Check if the value is a list of distinct weekdays, where 1 is Monday and 7 is Sunday.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isWeekdayList(value, varName) {
+        const result = Array.isArray(value) &&
+            value.every((weekday) => validator.isInt(weekday.toString(), {min: 1, max: 7})) &&
+            new Set(value.map((weekday) => parseInt(weekday))).size === value.length;
+
+        assert(
+            result,
+            `${varName} must be a list of distinct weekdays between 1 (Monday) and 7 (Sunday).`,
+        );
+    }
+
+    /**
+     * Check if the ISO week number exists in the ISO year. A year has 53 ISO weeks when it starts on a Thursday,
+     * or when it is a leap year that starts on a Wednesday, otherwise it has 52.
+     * @param {any} isoYear The ISO year of the week.
+     * @param {any} isoWeek The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isIsoWeek(isoYear, isoWeek, varName) {
+        let result = validator.isInt(`${isoYear}`, {min: 1970, max: 9999}) && validator.isInt(`${isoWeek}`, {min: 1, max: 53});
+
+        if (result && parseInt(isoWeek) === 53) {
+            const year = parseInt(isoYear);
+            const firstWeekday = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+            const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+            result = firstWeekday === 4 || (isLeapYear && firstWeekday === 3);
+        }
+
+        assert(
+            result,
+            `${varName} must be a week between 1 and 52, or 53 in a long ISO year, of a year between 1970 and 9999.`,
+        );
+    }
+
+    /**
+     * Check if the reason, of a closure or a suspension, consists of 1 to 200 characters that are not only whitespace.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isReason(value, varName) {
+        const result = value.toString().trim().length > 0 && validator.isLength(value.toString(), {min: 1, max: 200});
+
+        assert(
+            result,
+            `${varName} must consist of 1 to 200 characters and not only whitespace.`,
+        );
+    }
+
+    /**
+     * Check if the booking horizon unit is either day or week.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isHorizonUnit(value, varName) {
+        const result = value.toString() === 'day' || value.toString() === 'week';
+
+        assert(
+            result,
+            `${varName} must be one of the following day or week.`,
+        );
+    }
+
+    /**
+     * Check if the scope of an API key is either schedule or booking.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isApiKeyScope(value, varName) {
+        const result = value.toString() === 'schedule' || value.toString() === 'booking';
+
+        assert(
+            result,
+            `${varName} must be one of the following schedule or booking.`,
+        );
+    }
+
+    /**
+     * Check if the name of an API key has 1 to 50 characters, that are letters, numbers, spaces or hyphens.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isApiKeyName(value, varName) {
+        const result = validator.isLength(value.toString(), {min: 1, max: 50}) &&
+            validator.isAlphanumeric(value.toString(), 'sv-SE', {ignore: ' -'});
+
+        assert(
+            result,
+            `${varName} must consist of 1 to 50 letters, numbers, spaces and hyphens.`,
+        );
+    }
+
+    /**
+     * Check if the account status is either active or suspended.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isAccountStatus(value, varName) {
+        const result = value.toString() === 'active' || value.toString() === 'suspended';
+
+        assert(
+            result,
+            `${varName} must be one of the following active or suspended.`,
+        );
+    }
+
+    /**
+     * Check if the release time is a time of the day formatted as HH:MM, from 00:00 to 23:59.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isReleaseTime(value, varName) {
+        const result = validator.matches(value.toString(), '^([01][0-9]|2[0-3]):[0-5][0-9]$');
+
+        assert(
+            result,
+            `${varName} must follow the format [HH:MM].`,
+        );
+    }
+
+    /**
+     * Check if the timestamp is formatted according to ISO 8601, example (2022-05-16T08:00:00+02:00).
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isTimestamp(value, varName) {
+        const result = validator.isISO8601(value.toString(), {strict: true});
+
+        assert(
+            result,
+            `${varName} should be formatted correctly, example (2022-05-16T08:00:00+02:00).`,
+        );
+    }
+
+    /**
+     * Check if a token, such as the one sent to a user to reset a password or accept an invitation,
+     * consists of 64 hexadecimal characters. Refresh tokens and API keys have the same format.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isToken(value, varName) {
+        const result = validator.matches(value.toString(), '^[0-9a-f]{64}$');
+
+        assert(
+            result,
+            `${varName} must consist of 64 hexadecimal characters.`,
+        );
+    }
+
+    /**
+     * Check if a code from an authenticator app consists of 6 digits.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isTotpCode(value, varName) {
+        const result = validator.matches(value.toString(), '^[0-9]{6}$');
+
+        assert(
+            result,
+            `${varName} must consist of 6 digits.`,
+        );
+    }
+
+    /**
+     * Check if a two-factor authentication code is either a code from an authenticator app of 6 digits,
+     * or a recovery code of four groups of 4 hexadecimal characters separated by hyphens.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isTwoFactorCode(value, varName) {
+        const result = validator.matches(value.toString(), '^([0-9]{6}|[0-9a-f]{4}(-[0-9a-f]{4}){3})$');
+
+        assert(
+            result,
+            `${varName} must consist of 6 digits or be a recovery code.`,
+        );
+    }
+
+    /**
+     * Check if the id of a session is a version 4 UUID.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isSessionID(value, varName) {
+        const result = validator.isUUID(value.toString(), 4);
 
         assert(
             result,
-            `${varName} must follow the set format [XX-XX].`,
+            `${varName} must be a version 4 UUID.`,
         );
     }
 
@@ -221,14 +503,14 @@ class Validators {
 
     /**
      * Check if slot status in one of the status that the pass can have.
-     * The slot status can be found in the slotStatusEnum.js file. They are as the following (Available, Taken and SelfBooking).
+     * The slot status can be found in the slotStatusEnum.js file. They are as the following (Available, Taken, SelfBooking and Closed).
      * @param {any} value The value to be validated.
      * @param {String} varName The variable name to be included in the assertion error message
      *                         in case that the validation fails.
      * @throws {AssertionError} If validation fails.
      */
     static isSlotStatus(value, varName) {
-        const statusEnum = ['Available', 'Taken', 'SelfBooking'];
+        const statusEnum = ['Available', 'Taken', 'SelfBooking', 'Closed'];
         let result = false;
 
         for (let i = 0; i < statusEnum.length; i++) {
@@ -240,7 +522,7 @@ class Validators {
 
         assert(
             result,
-            `${varName} must be one of the following Available, Taken or SelfBooking.`,
+            `${varName} must be one of the following Available, Taken, SelfBooking or Closed.`,
         );
     }
 
@@ -0,0 +1,5 @@
+'use strict';
+
+const accountStatusEnum = {'Active': 'active', 'Suspended': 'suspended'};
+
+module.exports = accountStatusEnum;
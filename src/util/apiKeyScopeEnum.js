@@ -0,0 +1,5 @@
+'use strict';
+
+const apiKeyScopeEnum = {'Schedule': 'schedule', 'Booking': 'booking'};
+
+module.exports = apiKeyScopeEnum;
@@ -0,0 +1,6 @@
+'use strict';
+
+const apiKeyStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'NonExistentUser': 3, 'NotResident': 4,
+    'NonExistentApiKey': 5, 'InvalidApiKey': 6};
+
+module.exports = apiKeyStatusCodes;
@@ -0,0 +1,6 @@
+'use strict';
+
+const closureStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'NonExistentRoom': 3, 'NonExistentSlot': 4,
+    'NonExistentClosure': 5};
+
+module.exports = closureStatusCodes;
@@ -1,9 +1,14 @@
 'use strict';
 
 const emptyParamEnum = {
-    'PersonInfo': [], 'Week': 0, 'RoomCount': 0, 'WeekDates': [], 'RoomPasses': [],
+    'PersonInfo': [], 'Week': 0, 'Year': 0, 'RoomCount': 0, 'WeekDates': [], 'Dates': [], 'RoomPasses': [],
     'Date': '0000-01-01', 'RoomNumber': 0, 'PassRange': '99-99',
-    'Username': 'NONE',
+    'Username': 'NONE', 'PassLimit': 0, 'LockDuration': 0, 'HorizonLength': 0,
+    'Rooms': [], 'RoomName': 'NONE', 'PassRanges': [], 'Bookings': [],
+    'Templates': [], 'TemplateID': 0, 'Weekdays': [],
+    'Closures': [], 'ClosureID': 0, 'Reason': 'NONE', 'Cancellations': [],
+    'Invitations': [], 'InvitationID': 0, 'Locks': [], 'Sessions': [], 'PasswordResets': [],
+    'ApiKeys': [], 'ApiKeyID': 0, 'ApiKeyName': 'NONE', 'Lockouts': [],
 };
 
 module.exports = emptyParamEnum;
@@ -0,0 +1,5 @@
+'use strict';
+
+const exportFormatEnum = {'Json': 'json', 'Csv': 'csv'};
+
+module.exports = exportFormatEnum;
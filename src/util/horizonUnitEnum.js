@@ -0,0 +1,5 @@
+'use strict';
+
+const horizonUnitEnum = {'Day': 'day', 'Week': 'week'};
+
+module.exports = horizonUnitEnum;
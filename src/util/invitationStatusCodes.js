@@ -0,0 +1,6 @@
+'use strict';
+
+const invitationStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'ExistentEmail': 3, 'ExistentPersonalNumber': 4,
+    'NonExistentInvitation': 5};
+
+module.exports = invitationStatusCodes;
@@ -0,0 +1,5 @@
+'use strict';
+
+const mailTransportEnum = {'Smtp': 'smtp', 'File': 'file'};
+
+module.exports = mailTransportEnum;
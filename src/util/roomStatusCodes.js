@@ -0,0 +1,6 @@
+'use strict';
+
+const roomStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'NonExistentRoom': 3, 'ExistentRoom': 4,
+    'RetiredRoom': 5, 'UpcomingBookings': 6};
+
+module.exports = roomStatusCodes;
@@ -0,0 +1,5 @@
+'use strict';
+
+const ruleStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2};
+
+module.exports = ruleStatusCodes;
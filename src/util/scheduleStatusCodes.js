@@ -1,5 +1,5 @@
 'use strict';
 
-const scheduleStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'InvalidWeek': 3};
+const scheduleStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'InvalidWeek': 3, 'InvalidPeriod': 4};
 
 module.exports = scheduleStatusCodes;
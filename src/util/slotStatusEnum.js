@@ -1,5 +1,5 @@
 'use strict';
 
-const slotStatusEnum = {'Available': 'Available', 'Taken': 'Taken', 'SelfBooking': 'SelfBooking'};
+const slotStatusEnum = {'Available': 'Available', 'Taken': 'Taken', 'SelfBooking': 'SelfBooking', 'Closed': 'Closed'};
 
 module.exports = slotStatusEnum;
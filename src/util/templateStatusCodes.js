@@ -0,0 +1,6 @@
+'use strict';
+
+const templateStatusCodes = {'OK': 0, 'InvalidPrivilege': 1, 'InvalidUser': 2, 'NonExistentRoom': 3, 'RetiredRoom': 4,
+    'NonExistentSlot': 5, 'NonExistentTemplate': 6, 'OverlappingTemplate': 7, 'UpcomingBookings': 8};
+
+module.exports = templateStatusCodes;
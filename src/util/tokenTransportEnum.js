@@ -0,0 +1,5 @@
+'use strict';
+
+const tokenTransportEnum = {'Cookie': 'cookie', 'Bearer': 'bearer'};
+
+module.exports = tokenTransportEnum;
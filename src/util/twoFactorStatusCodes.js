@@ -0,0 +1,6 @@
+'use strict';
+
+const twoFactorStatusCodes = {'OK': 0, 'InvalidUser': 1, 'AlreadyEnabled': 2, 'NotEnrolled': 3, 'NotEnabled': 4,
+    'InvalidCode': 5, 'WrongPassword': 6, 'Required': 7};
+
+module.exports = twoFactorStatusCodes;
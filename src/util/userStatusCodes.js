@@ -1,5 +1,8 @@
 'use strict';
 
-const userStatusCodes = {'OK': 0, 'LoginFailure': 1, 'ExistentEmail': 2, 'ExistentUsername': 3, 'InvalidPrivilege': 4, 'InvalidUser': 5};
+const userStatusCodes = {'OK': 0, 'LoginFailure': 1, 'ExistentEmail': 2, 'ExistentUsername': 3, 'InvalidPrivilege': 4, 'InvalidUser': 5,
+    'WrongPassword': 6, 'InvalidToken': 7, 'NonExistentUser': 8, 'ExistentPersonalNumber': 9, 'LastAdministrator': 10,
+    'SuspendedUser': 11, 'OwnAccount': 12, 'InvalidDate': 13, 'InvalidSession': 14,
+    'ReusedToken': 15, 'TwoFactorRequired': 16, 'InvalidTwoFactorCode': 17};
 
 module.exports = userStatusCodes;
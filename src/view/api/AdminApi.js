@@ -0,0 +1,868 @@
+'use strict';
+
+const {body, validationResult} = require('express-validator');
+const RequestHandler = require('./RequestHandler');
+const Validators = require('../../util/Validators');
+const Authorization = require('./auth/Authorization');
+const ruleStatusCodes = require('../../util/ruleStatusCodes');
+const roomStatusCodes = require('../../util/roomStatusCodes');
+const templateStatusCodes = require('../../util/templateStatusCodes');
+const closureStatusCodes = require('../../util/closureStatusCodes');
+
+/**
+ * Handles the REST API requests for the administration endpoints.
+ */
+class AdminApi extends RequestHandler {
+    /**
+     * Constructs an instance of {AdminApi}.
+     */
+    constructor() {
+        super();
+    }
+
+    /**
+     * @return {string} The URL paths handled by the admin api request handler.
+     */
+    get path() {
+        return AdminApi.ADMIN_API_PATH;
+    }
+
+    /**
+     * @return {string} The URL paths handled by the admin api request handler.
+     */
+    static get ADMIN_API_PATH() {
+        return '/admin';
+    }
+
+    /**
+    * Registers the request handling functions.
+    */
+    async registerHandler() {
+        try {
+            await this.fetchController();
+
+            /**
+             * Fetches the booking rules that are applied when locking and booking laundry passes.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the current booking rules {BookingRulesDTO}.
+             *         400: If the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/rules',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const bookingRulesDTO = await this.controller.getBookingRules(loggedInUserDTO.username);
+                            this._sendBookingRulesResponse(res, bookingRulesDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Replaces the booking rules, the new rules take effect immediately.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter activePassesAllowed The number of upcoming passes that a user is allowed to have at the same time.
+             * parameter totalMonthPassesAllowed The number of passes that a user is allowed to book in a month,
+             *                                   must not be smaller than activePassesAllowed.
+             * parameter lockDuration The time in minutes that a pass stays locked while the user confirms the booking.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the updated booking rules {BookingRulesDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/rules',
+                body('activePassesAllowed').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'activePassesAllowed');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('totalMonthPassesAllowed').custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'totalMonthPassesAllowed');
+                    Validators.isNotSmallerThan(value, req.body.activePassesAllowed, 'activePassesAllowed', 'totalMonthPassesAllowed');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('lockDuration').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'lockDuration');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const bookingRulesDTO = await this.controller.updateBookingRules(loggedInUserDTO.username,
+                                req.body.activePassesAllowed, req.body.totalMonthPassesAllowed, req.body.lockDuration);
+                            this._sendBookingRulesResponse(res, bookingRulesDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Fetches the booking horizon that decides how far ahead passes can be locked and booked.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the current booking horizon {BookingHorizonDTO}.
+             *         400: If the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/rules/horizon',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const bookingHorizonDTO = await this.controller.getBookingHorizon(loggedInUserDTO.username);
+                            this._sendBookingHorizonResponse(res, bookingHorizonDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Replaces the booking horizon, the new horizon takes effect immediately.
+             * A date opens for booking the given number of days before it, or the given number of
+             * calendar weeks before the Monday of its week, at the release time.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter unit Either day or week.
+             * parameter length The number of days or weeks, from 0 to 365.
+             * parameter releaseTime The time formatted as HH:MM when a date opens, midnight if it is missing.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the updated booking horizon {BookingHorizonDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/rules/horizon',
+                body('unit').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isHorizonUnit(value, 'unit');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('length').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isIntegerBetween(value, 0, 365, 'length');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('releaseTime').optional({nullable: true}).custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isReleaseTime(value, 'releaseTime');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const bookingHorizonDTO = await this.controller.updateBookingHorizon(loggedInUserDTO.username,
+                                req.body.unit, req.body.length, req.body.releaseTime);
+                            this._sendBookingHorizonResponse(res, bookingHorizonDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists all the laundry rooms with their pass slots, including the retired rooms.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains all the rooms {RoomInfoDTO}.
+             *         400: If the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/rooms',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const roomInfoDTO = await this.controller.listRooms(loggedInUserDTO.username);
+                            this._sendRoomResponse(res, roomInfoDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Adds a new laundry room without any pass slots.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter roomNumber The number of the new room.
+             * parameter name The display name of the new room.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the new room {RoomDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the room could not be added.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/rooms/add',
+                body('roomNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'roomNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('name').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isRoomName(value, 'name');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const roomDTO = await this.controller.addRoom(loggedInUserDTO.username, req.body.roomNumber, req.body.name);
+                            this._sendRoomResponse(res, roomDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Changes the display name of a laundry room.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter roomNumber The number of the room.
+             * parameter name The new display name of the room.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the renamed room {RoomDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the room does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/rooms/rename',
+                body('roomNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'roomNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('name').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isRoomName(value, 'name');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const roomDTO = await this.controller.renameRoom(loggedInUserDTO.username, req.body.roomNumber, req.body.name);
+                            this._sendRoomResponse(res, roomDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Takes a laundry room out of service, the room and its slots are removed from the schedule.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter roomNumber The number of the room.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the retired room {RoomDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the room does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             *         409: If the room has upcoming bookings, the response body lists the bookings.
+             */
+            this.router.post(
+                '/rooms/retire',
+                body('roomNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'roomNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const roomDTO = await this.controller.retireRoom(loggedInUserDTO.username, req.body.roomNumber);
+                            this._sendRoomResponse(res, roomDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Defines the pass slots of a laundry room, slots that are not part of the given ranges are removed.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter roomNumber The number of the room.
+             * parameter passRanges The time frames of all the slots that the room should have.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the updated room {RoomDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the room does not exist or has been retired.
+             *         401: If the authentication cookie was missing or invalid.
+             *         409: If a removed slot has upcoming bookings, the response body lists the bookings.
+             */
+            this.router.post(
+                '/rooms/slots',
+                body('roomNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'roomNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('passRanges').isArray(),
+                body('passRanges.*').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPassRange(value, 'passRanges');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const roomDTO = await this.controller.setRoomSlots(loggedInUserDTO.username, req.body.roomNumber, req.body.passRanges);
+                            this._sendRoomResponse(res, roomDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists the slot templates of all the laundry rooms.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains all the slot templates {SlotTemplateInfoDTO}.
+             *         400: If the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/templates',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const slotTemplateInfoDTO = await this.controller.listSlotTemplates(loggedInUserDTO.username);
+                            this._sendSlotTemplateResponse(res, slotTemplateInfoDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Adds a slot template that selects which of the room slots are offered on the matching dates.
+             * When several templates match a date the most specific one is used,
+             * a template with a date range is more specific than one without, and weekdays break the tie.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter roomNumber The number of the room that the template applies to.
+             * parameter weekdays The weekdays that the template applies to, 1 is Monday and 7 is Sunday.
+             *                    An empty list means every day of the week.
+             * parameter startDate Optional, the first date that the template applies to.
+             * parameter endDate Optional, the last date that the template applies to.
+             * parameter passRanges The time frames of the room slots that are offered on the matching dates.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the new slot template {SlotTemplateDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the template could not be added.
+             *         401: If the authentication cookie was missing or invalid.
+             *         409: If the template leaves upcoming bookings without a slot, the response body lists the bookings.
+             */
+            this.router.post(
+                '/templates/add',
+                body('roomNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'roomNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('weekdays').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isWeekdayList(value, 'weekdays');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('startDate').optional({nullable: true}).custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'startDate');
+                    Validators.isDateFormat(`${req.body.endDate}`, 'endDate');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('endDate').optional({nullable: true}).custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'endDate');
+                    Validators.isDateFormat(`${req.body.startDate}`, 'startDate');
+                    Validators.isDateNotBefore(value, req.body.startDate, 'startDate', 'endDate');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('passRanges').isArray(),
+                body('passRanges.*').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPassRange(value, 'passRanges');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const slotTemplateDTO = await this.controller.addSlotTemplate(loggedInUserDTO.username, req.body.roomNumber,
+                                req.body.weekdays, req.body.startDate, req.body.endDate, req.body.passRanges);
+                            this._sendSlotTemplateResponse(res, slotTemplateDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Removes a slot template, the matching dates are offered the slots of the next most specific template instead.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter templateID The id of the slot template.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the removed slot template {SlotTemplateDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the template does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             *         409: If removing the template leaves upcoming bookings without a slot, the response body lists the bookings.
+             */
+            this.router.post(
+                '/templates/remove',
+                body('templateID').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'templateID');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const slotTemplateDTO = await this.controller.removeSlotTemplate(loggedInUserDTO.username, req.body.templateID);
+                            this._sendSlotTemplateResponse(res, slotTemplateDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists the closures of all the laundry rooms.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains all the closures {ClosureInfoDTO}.
+             *         400: If the authenticated user is not authorized to perform this operation.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/closures',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const closureInfoDTO = await this.controller.listClosures(loggedInUserDTO.username);
+                            this._sendClosureResponse(res, closureInfoDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Closes a laundry room or one of its slots during a date range, for example for maintenance or holidays.
+             * Upcoming bookings in the closed slots are cancelled and the residents are told about the reason.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter roomNumber The number of the room to close.
+             * parameter passRange Optional, the time frame of the slot to close. All the slots of the room are closed without it.
+             * parameter startDate The first date of the closure.
+             * parameter endDate The last date of the closure.
+             * parameter reason The reason of the closure that is given to the residents.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the new closure and the cancelled bookings {ClosureDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the room or the slot does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/closures/add',
+                body('roomNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'roomNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('passRange').optional({nullable: true}).custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPassRange(value, 'passRange');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('startDate').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'startDate');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('endDate').custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'endDate');
+                    Validators.isDateNotBefore(value, `${req.body.startDate}`, 'startDate', 'endDate');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('reason').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isReason(value, 'reason');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const closureDTO = await this.controller.addClosure(loggedInUserDTO.username, req.body.roomNumber,
+                                req.body.passRange, req.body.startDate, req.body.endDate, req.body.reason);
+                            this._sendClosureResponse(res, closureDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Removes a closure, the closed slots become available again but cancelled bookings are not restored.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {AdminErrorHandler}.
+             *
+             * parameter closureID The id of the closure.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the removed closure {ClosureDTO}.
+             *         400: If the request body did not contain properly formatted fields or
+             *              if the closure does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/closures/remove',
+                body('closureID').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPositiveWholeNumber(value, 'closureID');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const closureDTO = await this.controller.removeClosure(loggedInUserDTO.username, req.body.closureID);
+                            this._sendClosureResponse(res, closureDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+        } catch (err) {
+            this.logger.logException(err);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendBookingRulesResponse(res, bookingRulesDTO) {
+        if (bookingRulesDTO === null) {
+            throw new Error('Expected BookingRulesDTO object, received null.');
+        } else if (bookingRulesDTO.statusCode === ruleStatusCodes.OK) {
+            this.sendHttpResponse(res, 200, bookingRulesDTO);
+        } else if (bookingRulesDTO.statusCode === ruleStatusCodes.InvalidUser) {
+            this.sendHttpResponse(res, 400, 'Invalid user.');
+        } else if (bookingRulesDTO.statusCode === ruleStatusCodes.InvalidPrivilege) {
+            this.sendHttpResponse(res, 400, 'The authenticated user is not authorized to perform this operation.');
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendBookingHorizonResponse(res, bookingHorizonDTO) {
+        if (bookingHorizonDTO === null) {
+            throw new Error('Expected BookingHorizonDTO object, received null.');
+        } else if (bookingHorizonDTO.statusCode === ruleStatusCodes.OK) {
+            this.sendHttpResponse(res, 200, bookingHorizonDTO);
+        } else if (bookingHorizonDTO.statusCode === ruleStatusCodes.InvalidUser) {
+            this.sendHttpResponse(res, 400, 'Invalid user.');
+        } else if (bookingHorizonDTO.statusCode === ruleStatusCodes.InvalidPrivilege) {
+            this.sendHttpResponse(res, 400, 'The authenticated user is not authorized to perform this operation.');
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendRoomResponse(res, roomDTO) {
+        if (roomDTO === null) {
+            throw new Error('Expected RoomDTO object, received null.');
+        } else if (roomDTO.statusCode === roomStatusCodes.OK) {
+            this.sendHttpResponse(res, 200, roomDTO);
+        } else if (roomDTO.statusCode === roomStatusCodes.InvalidUser) {
+            this.sendHttpResponse(res, 400, 'Invalid user.');
+        } else if (roomDTO.statusCode === roomStatusCodes.InvalidPrivilege) {
+            this.sendHttpResponse(res, 400, 'The authenticated user is not authorized to perform this operation.');
+        } else if (roomDTO.statusCode === roomStatusCodes.NonExistentRoom) {
+            this.sendHttpResponse(res, 400, 'The specified room does not exist.');
+        } else if (roomDTO.statusCode === roomStatusCodes.ExistentRoom) {
+            this.sendHttpResponse(res, 400, 'A room with the specified number already exists.');
+        } else if (roomDTO.statusCode === roomStatusCodes.RetiredRoom) {
+            this.sendHttpResponse(res, 400, 'The specified room has been retired.');
+        } else if (roomDTO.statusCode === roomStatusCodes.UpcomingBookings) {
+            this.sendHttpResponse(res, 409, {
+                message: 'The change affects upcoming bookings, they must be cancelled first.',
+                upcomingBookings: roomDTO.upcomingBookings,
+            });
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendSlotTemplateResponse(res, slotTemplateDTO) {
+        if (slotTemplateDTO === null) {
+            throw new Error('Expected SlotTemplateDTO object, received null.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.OK) {
+            this.sendHttpResponse(res, 200, slotTemplateDTO);
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.InvalidUser) {
+            this.sendHttpResponse(res, 400, 'Invalid user.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.InvalidPrivilege) {
+            this.sendHttpResponse(res, 400, 'The authenticated user is not authorized to perform this operation.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.NonExistentRoom) {
+            this.sendHttpResponse(res, 400, 'The specified room does not exist.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.RetiredRoom) {
+            this.sendHttpResponse(res, 400, 'The specified room has been retired.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.NonExistentSlot) {
+            this.sendHttpResponse(res, 400, 'The template can only contain slots that the room has.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.NonExistentTemplate) {
+            this.sendHttpResponse(res, 400, 'The specified template does not exist.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.OverlappingTemplate) {
+            this.sendHttpResponse(res, 400, 'The template overlaps another template of the room with the same weekdays and dates.');
+        } else if (slotTemplateDTO.statusCode === templateStatusCodes.UpcomingBookings) {
+            this.sendHttpResponse(res, 409, {
+                message: 'The change affects upcoming bookings, they must be cancelled first.',
+                upcomingBookings: slotTemplateDTO.upcomingBookings,
+            });
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendClosureResponse(res, closureDTO) {
+        if (closureDTO === null) {
+            throw new Error('Expected ClosureDTO object, received null.');
+        } else if (closureDTO.statusCode === closureStatusCodes.OK) {
+            this.sendHttpResponse(res, 200, closureDTO);
+        } else if (closureDTO.statusCode === closureStatusCodes.InvalidUser) {
+            this.sendHttpResponse(res, 400, 'Invalid user.');
+        } else if (closureDTO.statusCode === closureStatusCodes.InvalidPrivilege) {
+            this.sendHttpResponse(res, 400, 'The authenticated user is not authorized to perform this operation.');
+        } else if (closureDTO.statusCode === closureStatusCodes.NonExistentRoom) {
+            this.sendHttpResponse(res, 400, 'The specified room does not exist.');
+        } else if (closureDTO.statusCode === closureStatusCodes.NonExistentSlot) {
+            this.sendHttpResponse(res, 400, 'The specified room does not have the requested slot.');
+        } else if (closureDTO.statusCode === closureStatusCodes.NonExistentClosure) {
+            this.sendHttpResponse(res, 400, 'The specified closure does not exist.');
+        }
+    }
+}
+
+module.exports = AdminApi;
@@ -6,6 +6,7 @@ const Validators = require('../../util/Validators');
 const Authorization = require('./auth/Authorization');
 const bookingStatusCodes = require('../../util/bookingStatusCodes');
 const scheduleStatusCodes = require('../../util/scheduleStatusCodes');
+const apiKeyScopeEnum = require('../../util/apiKeyScopeEnum');
 
 /**
  * Handles the REST API requests for the booking endpoints.
@@ -43,6 +44,7 @@ class BookingApi extends RequestHandler {
              * Temporarily locks a specific laundry pass slot for an amount of time
              * to allow the user to confirm their choice.
              * This endpoint is only accessible by authenticated 'Standard' users.
+             * API keys with the booking scope are also accepted.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
@@ -81,7 +83,7 @@ class BookingApi extends RequestHandler {
                             this.sendHttpResponse(res, 400, errors);
                             return;
                         }
-                        const loggedInUserDTO = await Authorization.verifyStandardAuthorization(req);
+                        const loggedInUserDTO = await Authorization.verifyStandardAuthorization(req, apiKeyScopeEnum.Booking);
 
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
@@ -105,6 +107,7 @@ class BookingApi extends RequestHandler {
             /**
              * Unlocks the temporarily locked laundry pass slot that the user had.
              * This endpoint is only accessible by authenticated 'Standard' users.
+             * API keys with the booking scope are also accepted.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
@@ -116,7 +119,7 @@ class BookingApi extends RequestHandler {
                 '/unlockPass',
                 async (req, res, next) => {
                     try {
-                        const loggedInUserDTO = await Authorization.verifyStandardAuthorization(req);
+                        const loggedInUserDTO = await Authorization.verifyStandardAuthorization(req, apiKeyScopeEnum.Booking);
 
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
@@ -140,6 +143,7 @@ class BookingApi extends RequestHandler {
             /**
              * Books the chosen laundry pass for the user.
              * This endpoint is only accessible by authenticated 'Standard' users.
+             * API keys with the booking scope are also accepted.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
@@ -179,7 +183,7 @@ class BookingApi extends RequestHandler {
                             this.sendHttpResponse(res, 400, errors);
                             return;
                         }
-                        const loggedInUserDTO = await Authorization.verifyStandardAuthorization(req);
+                        const loggedInUserDTO = await Authorization.verifyStandardAuthorization(req, apiKeyScopeEnum.Booking);
 
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
@@ -213,6 +217,15 @@ class BookingApi extends RequestHandler {
                                 } else if (bookingDTO.statusCode === bookingStatusCodes.InvalidDate) {
                                     this.sendHttpResponse(res, 400, 'The requested laundry pass date is invalid.');
                                     return;
+                                } else if (bookingDTO.statusCode === bookingStatusCodes.ClosedPass) {
+                                    this.sendHttpResponse(res, 400, 'The requested laundry pass is closed.');
+                                    return;
+                                } else if (bookingDTO.statusCode === bookingStatusCodes.NotOpened) {
+                                    this.sendHttpResponse(res, 400, 'The requested laundry pass is not open for booking yet.');
+                                    return;
+                                } else if (bookingDTO.statusCode === bookingStatusCodes.SuspendedUser) {
+                                    this.sendHttpResponse(res, 400, 'The account is suspended.');
+                                    return;
                                 }
                             }
                         }
@@ -226,6 +239,7 @@ class BookingApi extends RequestHandler {
             /**
              * Gets the active booking pass of the authenticated user.
              * This endpoint is only accessible by authenticated users.
+             * API keys with the booking scope are also accepted.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
@@ -238,7 +252,7 @@ class BookingApi extends RequestHandler {
                 '/getBookedPass',
                 async (req, res, next) => {
                     try {
-                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req);
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res, apiKeyScopeEnum.Booking);
 
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
@@ -263,9 +277,52 @@ class BookingApi extends RequestHandler {
                 },
             );
 
+            /**
+             * Gets the bookings of the authenticated user that were cancelled due to room or slot closures,
+             * together with the reason of each cancellation. Each cancellation is only sent once.
+             * This endpoint is only accessible by authenticated users.
+             * API keys with the booking scope are also accepted.
+             * Errors caused by database related issues, are handled by the
+             * {BookingErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the cancelled bookings {CancellationInfoDTO}.
+             *         400: If the username is invalid.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/getCancellations',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res, apiKeyScopeEnum.Booking);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const cancellationInfoDTO = await this.controller.getCancellations(loggedInUserDTO.username);
+                            if (cancellationInfoDTO === null) {
+                                throw new Error('Expected CancellationInfoDTO object, received null.');
+                            } else {
+                                if (cancellationInfoDTO.statusCode === bookingStatusCodes.OK) {
+                                    this.sendHttpResponse(res, 200, cancellationInfoDTO);
+                                    return;
+                                } else if (cancellationInfoDTO.statusCode === bookingStatusCodes.InvalidUser) {
+                                    this.sendHttpResponse(res, 400, 'The username is invalid.');
+                                    return;
+                                }
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
             /**
              * Cancels an active laundry pass.
              * This endpoint is only accessible by authenticated users.
+             * API keys with the booking scope are also accepted.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
@@ -304,7 +361,7 @@ class BookingApi extends RequestHandler {
                             this.sendHttpResponse(res, 400, errors);
                             return;
                         }
-                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req);
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res, apiKeyScopeEnum.Booking);
 
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
@@ -326,14 +383,21 @@ class BookingApi extends RequestHandler {
             );
 
             /**
-             * Fetches the laundry passes' schedule for the specified week.
-             * Residents are only allowed to see the passes schedule of one week before and after the current week.
+             * Fetches the laundry passes' schedule for the specified ISO week.
+             * Residents are only allowed to see the passes schedule of one week before the current week,
+             * and of the following weeks up to the last week that is open for booking, at least the next week.
+             * Each day of the schedule tells when its passes open for booking.
+             * The week is selected by startDate, otherwise by isoYear and isoWeek, otherwise by week.
              * This endpoint is only accessible by authenticated users.
+             * API keys with the schedule or booking scope are also accepted.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
-             * parameter week The requested week to get the laundry passes' schedule for.
-             *                Accepted values are -1, 0 and 1 for previous, current and next week respectively.
+             * parameter week The requested week relative to the current week, defaults to the current week.
+             *                -1 is the previous week, which is the earliest week that residents may see.
+             * parameter isoYear The ISO year of the requested week, given together with isoWeek.
+             * parameter isoWeek The number of the requested week within the ISO year.
+             * parameter startDate A date within the requested week.
              * Sends   200: If the request contained a valid authentication cookie, the response body
              *              contains an {PassScheduleDTO} object that contains information about the
              *              bookings for the specified week.
@@ -342,7 +406,25 @@ class BookingApi extends RequestHandler {
              */
             this.router.get(
                 '/getResidentPasses',
-                query('week').isInt({min: -1, max: 1}),
+                query('week').optional().isInt({min: -1}),
+                query('isoYear').optional().custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isIsoWeek(value, `${req.query.isoWeek}`, 'isoWeek');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                query('isoWeek').optional().custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isIsoWeek(`${req.query.isoYear}`, value, 'isoWeek');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                query('startDate').optional().custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'startDate');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
@@ -350,13 +432,14 @@ class BookingApi extends RequestHandler {
                             this.sendHttpResponse(res, 400, errors);
                             return;
                         }
-                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req);
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res, apiKeyScopeEnum.Schedule);
 
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
                             return;
                         } else {
-                            const passScheduleDTO = await this.controller.getResidentPasses(loggedInUserDTO.username, req.query.week);
+                            const passScheduleDTO = await this.controller.getResidentPasses(loggedInUserDTO.username,
+                                req.query.week, req.query.isoYear, req.query.isoWeek, req.query.startDate);
                             if (passScheduleDTO === null) {
                                 throw new Error('Expected PassScheduleDTO object, received null.');
                             } else {
@@ -382,13 +465,17 @@ class BookingApi extends RequestHandler {
             );
 
             /**
-             * Fetches the passes' schedule for the specified week including the usernames related to the bookings.
+             * Fetches the passes' schedule for the specified ISO week including the usernames related to the bookings.
+             * The week is selected by startDate, otherwise by isoYear and isoWeek, otherwise by week.
              * This endpoint is only accessible by administrators.
              * Errors caused by database related issues, are handled by the
              * {BookingErrorHandler}.
              *
-             * parameter week The requested week to get the laundry passes' schedule for.
-             *                This parameter is relative to the current week, e.g. -2 is two weeks before the current week.
+             * parameter week The requested week relative to the current week, defaults to the current week,
+             *                e.g. -2 is two weeks before the current week.
+             * parameter isoYear The ISO year of the requested week, given together with isoWeek.
+             * parameter isoWeek The number of the requested week within the ISO year.
+             * parameter startDate A date within the requested week.
              * Sends   200: If the request contained a valid authentication cookie, the response body
              *              contains an {PassScheduleDTO} object that contains information about the
              *              bookings for the specified week.
@@ -397,7 +484,25 @@ class BookingApi extends RequestHandler {
              */
             this.router.get(
                 '/getPasses',
-                query('week').isInt(),
+                query('week').optional().isInt(),
+                query('isoYear').optional().custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isIsoWeek(value, `${req.query.isoWeek}`, 'isoWeek');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                query('isoWeek').optional().custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isIsoWeek(`${req.query.isoYear}`, value, 'isoWeek');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                query('startDate').optional().custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'startDate');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
@@ -411,7 +516,8 @@ class BookingApi extends RequestHandler {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
                             return;
                         } else {
-                            const passScheduleDTO = await this.controller.getPasses(loggedInUserDTO.username, req.query.week);
+                            const passScheduleDTO = await this.controller.getPasses(loggedInUserDTO.username,
+                                req.query.week, req.query.isoYear, req.query.isoWeek, req.query.startDate);
                             if (passScheduleDTO === null) {
                                 throw new Error('Expected PassScheduleDTO object, received null.');
                             } else {
@@ -435,6 +541,86 @@ class BookingApi extends RequestHandler {
                     }
                 },
             );
+
+            /**
+             * Fetches the laundry passes' schedule for the days from and to the given dates.
+             * Administrators may fetch any period of at most 31 days and see the usernames related to the bookings,
+             * residents only days within the weeks that they may see in the week schedule.
+             * This endpoint is only accessible by authenticated users.
+             * API keys with the schedule or booking scope are also accepted.
+             * Errors caused by database related issues, are handled by the
+             * {BookingErrorHandler}.
+             *
+             * parameter from The first date of the period.
+             * parameter to The last date of the period.
+             * parameter rooms A comma separated list of the rooms to include, every room is included if it is missing.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains an {PeriodScheduleDTO} object that contains information about the
+             *              bookings for the period.
+             *         400: If the request query did not contain properly formatted fields,
+             *              or if the period is too long or outside of the weeks that the user may see.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/getSchedule',
+                query('from').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'from');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                query('to').custom((value, {req}) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'to');
+                    Validators.isDateNotBefore(value, `${req.query.from}`, 'from', 'to');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                query('rooms').optional().custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    `${value}`.split(',').forEach((roomNumber) => Validators.isPositiveWholeNumber(roomNumber, 'rooms'));
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res, apiKeyScopeEnum.Schedule);
+
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const roomNumbers = req.query.rooms === undefined ? null : req.query.rooms.split(',');
+                            const periodScheduleDTO = await this.controller.getSchedule(loggedInUserDTO.username,
+                                req.query.from, req.query.to, roomNumbers);
+                            if (periodScheduleDTO === null) {
+                                throw new Error('Expected PeriodScheduleDTO object, received null.');
+                            } else {
+                                if (periodScheduleDTO.statusCode === scheduleStatusCodes.OK) {
+                                    this.sendHttpResponse(res, 200, periodScheduleDTO);
+                                    return;
+                                } else if (periodScheduleDTO.statusCode === scheduleStatusCodes.InvalidUser) {
+                                    this.sendHttpResponse(res, 400, 'Invalid user.');
+                                    return;
+                                } else if (periodScheduleDTO.statusCode === scheduleStatusCodes.InvalidPrivilege) {
+                                    this.sendHttpResponse(res, 400, 'The authenticated user is not authorized to perform this operation.');
+                                    return;
+                                } else if (periodScheduleDTO.statusCode === scheduleStatusCodes.InvalidPeriod) {
+                                    this.sendHttpResponse(res, 400, 'The specified period is too long or outside of the allowed weeks.');
+                                    return;
+                                }
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
         } catch (err) {
             this.logger.logException(err);
         }
@@ -1,10 +1,18 @@
 'use strict';
 
-const {body, validationResult} = require('express-validator');
+const {body, cookie, query, validationResult} = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const RequestHandler = require('./RequestHandler');
 const Validators = require('../../util/Validators');
 const userStatusCodes = require('../../util/userStatusCodes');
+const invitationStatusCodes = require('../../util/invitationStatusCodes');
+const apiKeyStatusCodes = require('../../util/apiKeyStatusCodes');
+const twoFactorStatusCodes = require('../../util/twoFactorStatusCodes');
+const apiKeyScopeEnum = require('../../util/apiKeyScopeEnum');
+const exportFormatEnum = require('../../util/exportFormatEnum');
+const tokenTransportEnum = require('../../util/tokenTransportEnum');
+const DataExportCsv = require('../../util/DataExportCsv');
+const UserDTO = require('../../model/UserDTO');
 const Authorization = require('./auth/Authorization');
 
 /**
@@ -49,6 +57,15 @@ class UserApi extends RequestHandler {
                 legacyHeaders: false, // Disable the `X-RateLimit-*` headers
             });
 
+            const passwordLimiter = rateLimit({
+                windowMs: 15 * 60 * 1000, // 15 minutes
+                max: 20, // Limit each IP to 20 password change, reset and invitation requests per `window` (here, per 15 minutes)
+                message:
+                    'Too many password attempts from this IP, please try again after 15 minutes.',
+                standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+                legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+            });
+
             /**
              * Attempts to login a user.
              * The username and password received in the request are validated.
@@ -58,11 +75,20 @@ class UserApi extends RequestHandler {
              * parameter username: The username is also used as display name and must be alphanumeric.
              * parameter password: The password parameter is used for the authentication process,
              *                     and must have a minimum length of eight and maximum length of thirty two characters.
-             * Sends   200: If the user was successfully authenticated, and returns {UserDTO}
+             * parameter tokenTransport: 'cookie' to set the auth and refresh cookies or 'bearer' to return the tokens
+             *                           in the body, for clients that send the Authorization header. Cookie if it is left out.
+             * parameter twoFactorCode: The code from the authenticator app or a recovery code, only required once
+             *                          the user has enabled two-factor authentication. When it is missing the login
+             *                          fails asking for it, and the login is repeated as a second step with the code.
+             * Sends   200: If the user was successfully authenticated, and returns {UserDTO},
+             *              together with the tokens when they were asked for in the body.
+             *              twoFactorEnrolmentRequired is added when an administrator has to enable
+             *              two-factor authentication before the administrator endpoints accept the session.
              *         400: If the body did not contain a JSON-formatted property
              *             called 'username' and 'password'
              *             or contained malformed data in these properties.
-             *         401: If authentication failed.
+             *         401: If authentication failed, or the two-factor authentication code is missing or wrong.
+             *         403: If the account of the user is suspended.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.post(
@@ -70,26 +96,102 @@ class UserApi extends RequestHandler {
                 loginLimiter,
                 body('username').isAlphanumeric(),
                 body('password').isLength({min: 8, max: 32}),
+                body('tokenTransport').optional().isIn(Object.values(tokenTransportEnum)),
+                body('twoFactorCode').optional().custom((value) => {
+                    Validators.isTwoFactorCode(value, 'Two-Factor Code');
+                    return true;
+                }),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
                         if (!errors.isEmpty()) {
-                            Authorization.clearAuthCookie(res);
+                            Authorization.clearSessionCookies(res);
                             this.sendHttpResponse(res, 400, errors);
                             return;
                         }
-                        const loggedInUserDTO = await this.controller.loginUser(req.body.username, req.body.password);
+                        const twoFactorCode = req.body.twoFactorCode === undefined ? null : req.body.twoFactorCode;
+                        const loggedInUserDTO = await this.controller.loginUser(req.body.username, req.body.password, twoFactorCode);
 
                         if (loggedInUserDTO === null) {
-                            Authorization.clearAuthCookie(res);
+                            Authorization.clearSessionCookies(res);
                             throw new Error('Expected UserDTO object, received null.');
+                        } else if (loggedInUserDTO.statusCode === userStatusCodes.SuspendedUser) {
+                            Authorization.clearSessionCookies(res);
+                            this.sendHttpResponse(res, 403, 'The account is suspended.');
+                            return;
+                        } else if (loggedInUserDTO.statusCode === userStatusCodes.TwoFactorRequired) {
+                            Authorization.clearSessionCookies(res);
+                            this.sendHttpResponse(res, 401, 'A two-factor authentication code is required.');
+                            return;
+                        } else if (loggedInUserDTO.statusCode === userStatusCodes.InvalidTwoFactorCode) {
+                            Authorization.clearSessionCookies(res);
+                            this.sendHttpResponse(res, 401, 'The two-factor authentication code is wrong.');
+                            return;
                         } else if (loggedInUserDTO.statusCode !== userStatusCodes.OK) {
-                            Authorization.clearAuthCookie(res);
+                            Authorization.clearSessionCookies(res);
                             this.sendHttpResponse(res, 401, 'User login failed.');
                             return;
                         } else {
-                            Authorization.setAuthCookie(loggedInUserDTO, res);
-                            this.sendHttpResponse(res, 200, loggedInUserDTO);
+                            const sessionDTO = await this.controller.createSession(loggedInUserDTO.username);
+                            if (sessionDTO === null || sessionDTO.statusCode !== userStatusCodes.OK) {
+                                Authorization.clearSessionCookies(res);
+                                throw new Error('Expected SessionDTO object, received null or failed session.');
+                            }
+                            this._sendSessionResponse(res, loggedInUserDTO, sessionDTO, req.body.tokenTransport);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Issues a new access token using the refresh token, when the access token has expired.
+             * The refresh token is rotated, so it is replaced together with the access token, in the cookies
+             * or in the body depending on where the refresh token was sent.
+             * Presenting a refresh token that was used longer ago than a short grace period revokes the whole session it belongs to.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter refreshToken: The refresh token of clients that do not use cookies,
+             *                         the refresh cookie is used if it is left out.
+             * Sends   200: If the session was refreshed, and returns {UserDTO},
+             *              together with the tokens when the refresh token was sent in the body.
+             *         401: If the refresh token was missing or invalid, or the session is no longer valid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/refresh',
+                body('refreshToken').optional().custom((value) => {
+                    Validators.isToken(value, 'Refresh Token');
+                    return true;
+                }),
+                cookie(Authorization.REFRESH_COOKIE_NAME).optional().custom((value) => {
+                    Validators.isToken(value, 'Refresh Token');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        const tokenTransport = req.body.refreshToken === undefined ? tokenTransportEnum.Cookie : tokenTransportEnum.Bearer;
+                        const refreshToken = tokenTransport === tokenTransportEnum.Bearer ?
+                            req.body.refreshToken : req.cookies[Authorization.REFRESH_COOKIE_NAME];
+                        if (!errors.isEmpty() || refreshToken === undefined) {
+                            Authorization.clearSessionCookies(res);
+                            this.sendHttpResponse(res, 401, 'Missing or invalid refresh token.');
+                            return;
+                        }
+                        const sessionDTO = await this.controller.refreshSession(refreshToken);
+                        if (sessionDTO === null) {
+                            throw new Error('Expected SessionDTO object, received null.');
+                        } else if (sessionDTO.statusCode !== userStatusCodes.OK) {
+                            Authorization.clearSessionCookies(res);
+                            this.sendHttpResponse(res, 401, 'The session is no longer valid.');
+                            return;
+                        } else {
+                            const userDTO = new UserDTO(sessionDTO.username, sessionDTO.privilegeID, userStatusCodes.OK);
+                            this._sendSessionResponse(res, userDTO, sessionDTO, tokenTransport);
                             return;
                         }
                     } catch (err) {
@@ -167,29 +269,75 @@ class UserApi extends RequestHandler {
             );
 
             /**
-             * Lists all registered resident account information.
+             * Updates the person and account details of a user, including promoting the user to administrator
+             * or demoting the user. The fields that are left out are not changed.
+             * All the fields received in the request are validated.
              * This endpoint is only accessible by administrators.
              * Errors caused by database related issues, are handled by the
              * {UserErrorHandler}.
              *
-             * Sends   200: If the request contained a valid authentication cookie, the response body
-             *              contains all registered resident account information.
+             * parameter username The username of the account to be updated.
+             * parameter firstname The new first name of the account owner.
+             * parameter lastname The new last name of the account owner.
+             * parameter personalNumber The new personal number of the account owner.
+             *                          It should follow the following format YYYYMMDD-XXXX.
+             * parameter email The new email address of the account.
+             * parameter newUsername The new username of the account.
+             * parameter privilegeID The new privilege of the account, 1 for administrator and 2 for resident.
+             * Sends   200: If the user was successfully updated, and returns {UserDetailsDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              the user does not exist, the new details are used by another user
+             *              or the last administrator would be demoted.
              *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
              */
-            this.router.get(
-                '/listUsers',
+            this.router.post(
+                '/updateUser',
+                body('username').isAlphanumeric(),
+                body('firstname').optional().isAlpha(),
+                body('lastname').optional().isAlpha(),
+                body('personalNumber').optional().custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPersonalNumberFormat(value, 'personalNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('email').optional().normalizeEmail().isEmail(),
+                body('newUsername').optional().isAlphanumeric(),
+                body('privilegeID').optional().isInt({min: 1, max: 2}),
                 async (req, res, next) => {
                     try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
                         const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
                         if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
                             return;
                         } else {
-                            const userInfoDTO = await this.controller.listUsers(loggedInUserDTO.username);
-                            if (userInfoDTO === null) {
-                                throw new Error('Expected UserInfoDTO object, received null.');
+                            const userDetailsDTO = await this.controller.updateUser(loggedInUserDTO.username, req.body.username,
+                                req.body.firstname, req.body.lastname, req.body.personalNumber, req.body.email,
+                                req.body.newUsername, req.body.privilegeID);
+                            if (userDetailsDTO === null) {
+                                throw new Error('Expected UserDetailsDTO object, received null.');
+                            } else if (userDetailsDTO.statusCode !== userStatusCodes.OK) {
+                                if (userDetailsDTO.statusCode === userStatusCodes.NonExistentUser) {
+                                    this.sendHttpResponse(res, 400, 'The user does not exist.');
+                                } else if (userDetailsDTO.statusCode === userStatusCodes.ExistentEmail) {
+                                    this.sendHttpResponse(res, 400, 'E-Mail already exists.');
+                                } else if (userDetailsDTO.statusCode === userStatusCodes.ExistentPersonalNumber) {
+                                    this.sendHttpResponse(res, 400, 'Personal number already exists.');
+                                } else if (userDetailsDTO.statusCode === userStatusCodes.ExistentUsername) {
+                                    this.sendHttpResponse(res, 400, 'Username already exists.');
+                                } else if (userDetailsDTO.statusCode === userStatusCodes.LastAdministrator) {
+                                    this.sendHttpResponse(res, 400, 'The last administrator cannot be demoted.');
+                                } else {
+                                    this.sendHttpResponse(res, 400, 'User update failed.');
+                                }
                             } else {
-                                this.sendHttpResponse(res, 200, userInfoDTO);
+                                this.sendHttpResponse(res, 200, userDetailsDTO);
                                 return;
                             }
                         }
@@ -200,20 +348,41 @@ class UserApi extends RequestHandler {
             );
 
             /**
-             * Deletes all information about the specified user and removes the user from the system.
+             * Suspends the account of a user, the user keeps the account but can neither login nor book passes
+             * until the suspension ends or the account is reactivated.
+             * All the fields received in the request are validated.
              * This endpoint is only accessible by administrators.
              * Errors caused by database related issues, are handled by the
              * {UserErrorHandler}.
              *
-             * parameter username The username of the account to be removed.
-             * Sends   200: If the request contained a valid authentication cookie, the response body
-             *              contains the deletion operation result.
-             *         400: If the request body did not contain properly formatted fields.
+             * parameter username The username of the account to be suspended.
+             * parameter reason The reason of the suspension, it is optional.
+             * parameter suspendedUntil The last date of the suspension, the account stays suspended
+             *                          until it is reactivated if it is left out.
+             * parameter cancelBookings Whether the upcoming bookings of the user are cancelled, false if it is left out.
+             * Sends   200: If the account was successfully suspended, and returns {AccountStatusDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              the user does not exist, the end date has passed
+             *              or the administrator tried to suspend their own account.
              *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.post(
-                '/deleteUser',
+                '/suspendUser',
                 body('username').isAlphanumeric(),
+                body('reason').optional().custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isReason(value, 'reason');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('suspendedUntil').optional().custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDateFormat(value, 'suspendedUntil');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('cancelBookings').optional().isBoolean({strict: true}),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
@@ -226,12 +395,130 @@ class UserApi extends RequestHandler {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
                             return;
                         } else {
-                            const result = await this.controller.deleteUser(loggedInUserDTO.username, req.body.username);
-                            if (result === null) {
-                                throw new Error('Expected operation result boolean, received null.');
+                            const accountStatusDTO = await this.controller.suspendUser(loggedInUserDTO.username, req.body.username,
+                                req.body.reason, req.body.suspendedUntil, req.body.cancelBookings);
+                            this._sendAccountStatusResponse(res, accountStatusDTO, 'User suspension failed.');
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Reactivates the suspended account of a user.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the account to be reactivated.
+             * Sends   200: If the account was successfully reactivated, and returns {AccountStatusDTO}
+             *         400: If the request body did not contain a properly formatted username
+             *              or the user does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/reactivateUser',
+                body('username').isAlphanumeric(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const accountStatusDTO = await this.controller.reactivateUser(loggedInUserDTO.username, req.body.username);
+                            this._sendAccountStatusResponse(res, accountStatusDTO, 'User reactivation failed.');
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Invites a resident, who chooses their own username and password when accepting the invitation.
+             * All the fields received in the request are validated.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database or mail related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter firstname The first name of the invited resident.
+             * parameter lastname The last name of the invited resident.
+             * parameter personalNumber The personal number of the invited resident.
+             *                          It should follow the following format YYYYMMDD-XXXX.
+             * parameter email The email address the invitation is sent to.
+             * Sends   200: If the invitation was successfully sent, and returns {InvitationDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the email address or personal number is already registered.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/inviteResident',
+                body('firstname').isAlpha(),
+                body('lastname').isAlpha(),
+                body('personalNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPersonalNumberFormat(value, 'personalNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('email').normalizeEmail().isEmail(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const invitationDTO = await this.controller.inviteResident(loggedInUserDTO.username, req.body.firstname,
+                                req.body.lastname, req.body.personalNumber, req.body.email);
+                            this._sendInvitationResponse(res, invitationDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists all the invitations that have not been accepted, including the expired ones.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the {InvitationInfoDTO}.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/listInvitations',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const invitationInfoDTO = await this.controller.listInvitations(loggedInUserDTO.username);
+                            if (invitationInfoDTO === null) {
+                                throw new Error('Expected InvitationInfoDTO object, received null.');
                             } else {
-                                const resultObject = {'result': result};
-                                this.sendHttpResponse(res, 200, resultObject);
+                                this.sendHttpResponse(res, 200, invitationInfoDTO);
                                 return;
                             }
                         }
@@ -242,23 +529,35 @@ class UserApi extends RequestHandler {
             );
 
             /**
-             * Checks whether a user is logged in or not, by verifying the authentication cookie.
+             * Sends a pending invitation again with a new token and expiry time, the earlier token stops working.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database or mail related issues, are handled by the
+             * {UserErrorHandler}.
              *
-             * Sends   200: If the request contained a valid authentication cookie, the response body
-             *              contains the logged in user info.
+             * parameter invitationID The id of the invitation.
+             * Sends   200: If the invitation was successfully sent, and returns {InvitationDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the invitation does not exist.
              *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
              */
-            this.router.get(
-                '/checkLogin',
+            this.router.post(
+                '/resendInvitation',
+                body('invitationID').isInt({min: 1}),
                 async (req, res, next) => {
                     try {
-                        const userDTO = await Authorization.verifyAuthCookie(req, res);
-                        if (userDTO === null) {
-                            Authorization.clearAuthCookie(res);
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
                             return;
                         } else {
-                            this.sendHttpResponse(res, 200, userDTO);
+                            const invitationDTO = await this.controller.resendInvitation(loggedInUserDTO.username, req.body.invitationID);
+                            this._sendInvitationResponse(res, invitationDTO);
                             return;
                         }
                     } catch (err) {
@@ -268,24 +567,1032 @@ class UserApi extends RequestHandler {
             );
 
             /**
-             * Logs out a user by clearing the authentication cookie.
+             * Revokes a pending invitation and removes the invited resident.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
              *
-             * Sends   200: If the authentication cookie was successfully cleared.
+             * parameter invitationID The id of the invitation.
+             * Sends   200: If the invitation was successfully revoked, and returns {InvitationDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the invitation does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
              */
-            this.router.get(
-                '/logout',
+            this.router.post(
+                '/revokeInvitation',
+                body('invitationID').isInt({min: 1}),
                 async (req, res, next) => {
                     try {
-                        Authorization.clearAuthCookie(res);
-                        this.sendHttpResponse(res, 200, 'Logged out successfully.');
-                        return;
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const invitationDTO = await this.controller.revokeInvitation(loggedInUserDTO.username, req.body.invitationID);
+                            this._sendInvitationResponse(res, invitationDTO);
+                            return;
+                        }
                     } catch (err) {
                         next(err);
                     }
                 },
             );
-        } catch (err) {
-            this.logger.logException(err);
+
+            /**
+             * Creates a named API key that acts on behalf of a resident, for integrations and kiosk devices.
+             * The key itself is only returned in this response, only its hash is stored.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the resident that the API key acts on behalf of.
+             * parameter name The name that tells what the API key is used for.
+             * parameter scope 'schedule' to only read the schedule or 'booking' to also book on behalf of the resident.
+             * Sends   200: If the API key was successfully created, and returns {ApiKeyDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the user does not exist or is not a resident.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/createApiKey',
+                body('username').isAlphanumeric(),
+                body('name').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isApiKeyName(value, 'name');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('scope').isIn(Object.values(apiKeyScopeEnum)),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const apiKeyDTO = await this.controller.createApiKey(loggedInUserDTO.username, req.body.username,
+                                req.body.name, req.body.scope);
+                            this._sendApiKeyResponse(res, apiKeyDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists all the API keys, including the revoked ones, without the keys themselves.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the {ApiKeyInfoDTO}.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/listApiKeys',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const apiKeyInfoDTO = await this.controller.listApiKeys(loggedInUserDTO.username);
+                            if (apiKeyInfoDTO === null) {
+                                throw new Error('Expected ApiKeyInfoDTO object, received null.');
+                            } else {
+                                this.sendHttpResponse(res, 200, apiKeyInfoDTO);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Revokes an API key, which can no longer be used afterwards.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter apiKeyID The id of the API key.
+             * Sends   200: If the API key was successfully revoked, and returns {ApiKeyDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the API key does not exist or is already revoked.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/revokeApiKey',
+                body('apiKeyID').isInt({min: 1}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const apiKeyDTO = await this.controller.revokeApiKey(loggedInUserDTO.username, req.body.apiKeyID);
+                            this._sendApiKeyResponse(res, apiKeyDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Accepts an invitation by choosing the username and password of the new resident account.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter token The invitation token that was sent to the resident.
+             * parameter username The username of the new resident account.
+             * parameter password The password of the new resident account
+             *                     and must have a minimum length of eight and
+             *                     a maximum length of thirty two characters.
+             * Sends   200: If the account was successfully created, and returns {UserDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              the token is invalid or expired, or the username already exists.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/acceptInvitation',
+                passwordLimiter,
+                body('token').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isToken(value, 'token');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('username').isAlphanumeric(),
+                body('password').isLength({min: 8, max: 32}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const userDTO = await this.controller.acceptInvitation(req.body.token, req.body.username, req.body.password);
+                        if (userDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (userDTO.statusCode !== userStatusCodes.OK) {
+                            if (userDTO.statusCode === userStatusCodes.ExistentUsername) {
+                                this.sendHttpResponse(res, 400, 'Username already exists.');
+                            } else {
+                                this.sendHttpResponse(res, 400, 'The invitation is invalid or has expired.');
+                            }
+                        } else {
+                            this.sendHttpResponse(res, 200, userDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists all registered resident account information.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains all registered resident account information.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/listUsers',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const userInfoDTO = await this.controller.listUsers(loggedInUserDTO.username);
+                            if (userInfoDTO === null) {
+                                throw new Error('Expected UserInfoDTO object, received null.');
+                            } else {
+                                this.sendHttpResponse(res, 200, userInfoDTO);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Deletes all information about the specified user and removes the user from the system.
+             * When anonymise is set, only the personal data is removed and the past bookings are kept
+             * under an anonymous placeholder until the retention period has passed.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the account to be removed.
+             * parameter anonymise Whether the user is anonymised instead of deleted, false if it is left out.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the deletion operation result.
+             *         400: If the request body did not contain properly formatted fields.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/deleteUser',
+                body('username').isAlphanumeric(),
+                body('anonymise').optional().isBoolean({strict: true}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const result = await this.controller.deleteUser(loggedInUserDTO.username, req.body.username, req.body.anonymise);
+                            if (result === null) {
+                                throw new Error('Expected operation result boolean, received null.');
+                            } else {
+                                const resultObject = {'result': result};
+                                this.sendHttpResponse(res, 200, resultObject);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Changes the password of the logged in user.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter currentPassword The password that the user currently uses to login.
+             * parameter newPassword The new password of the user
+             *                       and must have a minimum length of eight and
+             *                       a maximum length of thirty two characters.
+             * Sends   200: If the password was successfully changed, and returns {UserDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the current password was wrong.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/changePassword',
+                passwordLimiter,
+                body('currentPassword').isLength({min: 8, max: 32}),
+                body('newPassword').isLength({min: 8, max: 32}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const sessionDTO = await Authorization.verifySession(req);
+                        if (sessionDTO === null) {
+                            Authorization.clearAuthCookie(res);
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const userDTO = await this.controller.changePassword(sessionDTO.username,
+                                req.body.currentPassword, req.body.newPassword, sessionDTO.sessionID);
+                            if (userDTO === null) {
+                                throw new Error('Expected UserDTO object, received null.');
+                            } else if (userDTO.statusCode !== userStatusCodes.OK) {
+                                if (userDTO.statusCode === userStatusCodes.WrongPassword) {
+                                    this.sendHttpResponse(res, 400, 'The current password is wrong.');
+                                } else {
+                                    this.sendHttpResponse(res, 400, 'Password change failed.');
+                                }
+                            } else {
+                                this.sendHttpResponse(res, 200, userDTO);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Starts the enrolment of the logged in user in two-factor authentication.
+             * Starting over replaces the secret of an enrolment that was never confirmed.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the enrolment was started, and returns {TwoFactorDTO} with the secret
+             *              and the otpauth URI that the client shows as a QR code for the authenticator app.
+             *         400: If two-factor authentication is already enabled.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/enrolTwoFactor',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const twoFactorDTO = await this.controller.enrolTwoFactor(loggedInUserDTO.username);
+                            this._sendTwoFactorResponse(res, twoFactorDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Enables two-factor authentication for the logged in user, once a code from the authenticator app
+             * shows that it was set up with the secret from the enrolment.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter code The code of 6 digits shown by the authenticator app.
+             * Sends   200: If two-factor authentication was enabled, and returns {TwoFactorDTO}
+             *              with the recovery codes, which are only shown this once.
+             *         400: If the request body did not contain properly formatted fields,
+             *              the code was wrong or there is no enrolment to confirm.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/confirmTwoFactor',
+                passwordLimiter,
+                body('code').custom((value) => {
+                    Validators.isTotpCode(value, 'Code');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const twoFactorDTO = await this.controller.confirmTwoFactor(loggedInUserDTO.username, req.body.code);
+                            this._sendTwoFactorResponse(res, twoFactorDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Disables the two-factor authentication of the logged in user, or cancels an enrolment
+             * that was never confirmed, which removes the secret and the recovery codes.
+             * Administrators cannot disable it while two-factor authentication is required for them.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter password The password of the user.
+             * Sends   200: If two-factor authentication was disabled, and returns {TwoFactorDTO}
+             *         400: If the request body did not contain properly formatted fields, the password was wrong,
+             *              two-factor authentication is not enabled or it is required for the user.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/disableTwoFactor',
+                passwordLimiter,
+                body('password').isLength({min: 8, max: 32}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const twoFactorDTO = await this.controller.disableTwoFactor(loggedInUserDTO.username, req.body.password);
+                            this._sendTwoFactorResponse(res, twoFactorDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Sends a password reset token to the email address of a user.
+             * The response does not tell whether the user exists.
+             * Errors caused by database or mail related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the user, can be left out if the email is given.
+             * parameter email The email address of the user, can be left out if the username is given.
+             * Sends   200: If the request was accepted.
+             *         400: If the request body did not contain properly formatted fields.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/requestPasswordReset',
+                passwordLimiter,
+                body('username').optional().isAlphanumeric(),
+                body('email').optional().normalizeEmail().isEmail(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const identifier = req.body.username === undefined ? req.body.email : req.body.username;
+                        if (identifier === undefined) {
+                            this.sendHttpResponse(res, 400, 'Either the username or the email address is required.');
+                            return;
+                        }
+                        const result = await this.controller.requestPasswordReset(identifier);
+                        if (result === null) {
+                            throw new Error('Expected operation result boolean, received null.');
+                        } else {
+                            this.sendHttpResponse(res, 200, 'If the account exists, a password reset message has been sent.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Sets a new password using a password reset token.
+             * The authentication cookies issued to the user before the reset are no longer accepted.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter token The password reset token that was sent to the user.
+             * parameter newPassword The new password of the user
+             *                       and must have a minimum length of eight and
+             *                       a maximum length of thirty two characters.
+             * Sends   200: If the password was successfully reset, and returns {UserDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the token is invalid, used or expired.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/resetPassword',
+                passwordLimiter,
+                body('token').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isToken(value, 'token');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                body('newPassword').isLength({min: 8, max: 32}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const userDTO = await this.controller.resetPassword(req.body.token, req.body.newPassword);
+                        if (userDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (userDTO.statusCode !== userStatusCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'The password reset token is invalid or has expired.');
+                        } else {
+                            Authorization.clearSessionCookies(res);
+                            this.sendHttpResponse(res, 200, userDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the profile of the logged in user.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the {ProfileDTO} of the user.
+             *         400: If the profile could not be retrieved.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/profile',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const profileDTO = await this.controller.getProfile(loggedInUserDTO.username);
+                            this._sendProfileResponse(res, profileDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Updates the email address of the logged in user.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter email The new email address of the user, it must not be used by any other user.
+             * Sends   200: If the profile was successfully updated, and returns {ProfileDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the email address is already used.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/profile',
+                body('email').normalizeEmail().isEmail(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const profileDTO = await this.controller.updateProfile(loggedInUserDTO.username, req.body.email);
+                            this._sendProfileResponse(res, profileDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Exports all the personal data that is held about the logged in user,
+             * meaning the person and account data, every past and upcoming booking, the passes that are being booked,
+             * the cancelled bookings and the requested password resets.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter format Either json or csv, json if it is left out.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the {DataExportDTO} of the user, or the same data as a CSV file.
+             *         400: If the query did not contain a properly formatted format.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/exportData',
+                query('format').optional().isIn(Object.values(exportFormatEnum)),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const dataExportDTO = await this.controller.exportUserData(loggedInUserDTO.username);
+                            this._sendDataExportResponse(res, dataExportDTO, req.query.format);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Exports all the personal data that is held about a user on behalf of the user.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the user whose data is exported.
+             * parameter format Either json or csv, json if it is left out.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the {DataExportDTO} of the user, or the same data as a CSV file.
+             *         400: If the query did not contain properly formatted fields or the user does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/exportUserData',
+                query('username').isAlphanumeric(),
+                query('format').optional().isIn(Object.values(exportFormatEnum)),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const dataExportDTO = await this.controller.exportUserData(loggedInUserDTO.username, req.query.username);
+                            this._sendDataExportResponse(res, dataExportDTO, req.query.format);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Checks whether a user is logged in or not, by verifying the authentication cookie.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the logged in user info.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.get(
+                '/checkLogin',
+                async (req, res, next) => {
+                    try {
+                        const userDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (userDTO === null) {
+                            Authorization.clearAuthCookie(res);
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, userDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Logs out a user by revoking the current session and clearing the authentication cookie.
+             *
+             * Sends   200: If the authentication cookie was successfully cleared.
+             */
+            this.router.get(
+                '/logout',
+                async (req, res, next) => {
+                    try {
+                        const sessionDTO = await Authorization.verifySession(req);
+                        if (sessionDTO !== null) {
+                            await this.controller.revokeSession(sessionDTO.sessionID);
+                        }
+                        Authorization.clearSessionCookies(res);
+                        this.sendHttpResponse(res, 200, 'Logged out successfully.');
+                        return;
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Logs out a user from every device by revoking all the sessions of the user
+             * and clearing the authentication cookie.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the sessions were revoked and the authentication cookie was cleared.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/logoutEverywhere',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAuthCookie(req, res);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const result = await this.controller.revokeSessions(loggedInUserDTO.username, loggedInUserDTO.username);
+                            if (result === null) {
+                                throw new Error('Expected operation result boolean, received null.');
+                            } else {
+                                Authorization.clearSessionCookies(res);
+                                this.sendHttpResponse(res, 200, 'Logged out everywhere successfully.');
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Revokes all the sessions of a user, which logs the user out from every device.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the user whose sessions are revoked.
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the revocation operation result.
+             *         400: If the request body did not contain properly formatted fields.
+             *         401: If the authentication cookie was missing or invalid.
+             */
+            this.router.post(
+                '/revokeSessions',
+                body('username').isAlphanumeric(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const result = await this.controller.revokeSessions(loggedInUserDTO.username, req.body.username);
+                            if (result === null) {
+                                throw new Error('Expected operation result boolean, received null.');
+                            } else {
+                                const resultObject = {'result': result};
+                                this.sendHttpResponse(res, 200, resultObject);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Lists the failed logins of every account that has failed to login since its last successful login,
+             * including the accounts that are currently locked out.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the request contained a valid authentication cookie, the response body
+             *              contains the {LockoutInfoDTO}.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/listLockouts',
+                async (req, res, next) => {
+                    try {
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const lockoutInfoDTO = await this.controller.listLockouts(loggedInUserDTO.username);
+                            if (lockoutInfoDTO === null) {
+                                throw new Error('Expected LockoutInfoDTO object, received null.');
+                            } else {
+                                this.sendHttpResponse(res, 200, lockoutInfoDTO);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Clears the failed logins of an account, which lifts its lockout so that the user can login right away.
+             * This endpoint is only accessible by administrators.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter username The username of the account whose lockout is cleared.
+             * Sends   200: If the lockout was cleared, and returns {LockoutDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or the user does not exist.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/clearLockout',
+                body('username').isAlphanumeric(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const loggedInUserDTO = await Authorization.verifyAdminAuthorization(req);
+                        if (loggedInUserDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            const lockoutDTO = await this.controller.clearLockout(loggedInUserDTO.username, req.body.username);
+                            if (lockoutDTO === null) {
+                                throw new Error('Expected LockoutDTO object, received null.');
+                            } else if (lockoutDTO.statusCode !== userStatusCodes.OK) {
+                                if (lockoutDTO.statusCode === userStatusCodes.NonExistentUser) {
+                                    this.sendHttpResponse(res, 400, 'The user does not exist.');
+                                } else {
+                                    this.sendHttpResponse(res, 400, 'Lockout request failed.');
+                                }
+                            } else {
+                                this.sendHttpResponse(res, 200, lockoutDTO);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+        } catch (err) {
+            this.logger.logException(err);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendSessionResponse(res, userDTO, sessionDTO, tokenTransport) {
+        const sessionUser = sessionDTO.twoFactorEnrolmentRequired ? {...userDTO, twoFactorEnrolmentRequired: true} : userDTO;
+        if (tokenTransport === tokenTransportEnum.Bearer) {
+            this.sendHttpResponse(res, 200, {...sessionUser, ...Authorization.issueTokens(sessionDTO)});
+        } else {
+            Authorization.setAuthCookie(sessionDTO, res);
+            this.sendHttpResponse(res, 200, sessionUser);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendInvitationResponse(res, invitationDTO) {
+        if (invitationDTO === null) {
+            throw new Error('Expected InvitationDTO object, received null.');
+        } else if (invitationDTO.statusCode !== invitationStatusCodes.OK) {
+            if (invitationDTO.statusCode === invitationStatusCodes.ExistentEmail) {
+                this.sendHttpResponse(res, 400, 'E-Mail already exists.');
+            } else if (invitationDTO.statusCode === invitationStatusCodes.ExistentPersonalNumber) {
+                this.sendHttpResponse(res, 400, 'Personal number already exists.');
+            } else if (invitationDTO.statusCode === invitationStatusCodes.NonExistentInvitation) {
+                this.sendHttpResponse(res, 400, 'The invitation does not exist.');
+            } else {
+                this.sendHttpResponse(res, 400, 'Invitation request failed.');
+            }
+        } else {
+            this.sendHttpResponse(res, 200, invitationDTO);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendApiKeyResponse(res, apiKeyDTO) {
+        if (apiKeyDTO === null) {
+            throw new Error('Expected ApiKeyDTO object, received null.');
+        } else if (apiKeyDTO.statusCode !== apiKeyStatusCodes.OK) {
+            if (apiKeyDTO.statusCode === apiKeyStatusCodes.NonExistentUser) {
+                this.sendHttpResponse(res, 400, 'The user does not exist.');
+            } else if (apiKeyDTO.statusCode === apiKeyStatusCodes.NotResident) {
+                this.sendHttpResponse(res, 400, 'API keys can only act on behalf of residents.');
+            } else if (apiKeyDTO.statusCode === apiKeyStatusCodes.NonExistentApiKey) {
+                this.sendHttpResponse(res, 400, 'The API key does not exist or is already revoked.');
+            } else {
+                this.sendHttpResponse(res, 400, 'API key request failed.');
+            }
+        } else {
+            this.sendHttpResponse(res, 200, apiKeyDTO);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendTwoFactorResponse(res, twoFactorDTO) {
+        if (twoFactorDTO === null) {
+            throw new Error('Expected TwoFactorDTO object, received null.');
+        } else if (twoFactorDTO.statusCode !== twoFactorStatusCodes.OK) {
+            if (twoFactorDTO.statusCode === twoFactorStatusCodes.AlreadyEnabled) {
+                this.sendHttpResponse(res, 400, 'Two-factor authentication is already enabled.');
+            } else if (twoFactorDTO.statusCode === twoFactorStatusCodes.NotEnrolled) {
+                this.sendHttpResponse(res, 400, 'The two-factor authentication enrolment has not been started.');
+            } else if (twoFactorDTO.statusCode === twoFactorStatusCodes.NotEnabled) {
+                this.sendHttpResponse(res, 400, 'Two-factor authentication is not enabled.');
+            } else if (twoFactorDTO.statusCode === twoFactorStatusCodes.InvalidCode) {
+                this.sendHttpResponse(res, 400, 'The two-factor authentication code is wrong.');
+            } else if (twoFactorDTO.statusCode === twoFactorStatusCodes.WrongPassword) {
+                this.sendHttpResponse(res, 400, 'The password is wrong.');
+            } else if (twoFactorDTO.statusCode === twoFactorStatusCodes.Required) {
+                this.sendHttpResponse(res, 400, 'Two-factor authentication is required for administrators.');
+            } else {
+                this.sendHttpResponse(res, 400, 'Two-factor authentication request failed.');
+            }
+        } else {
+            this.sendHttpResponse(res, 200, twoFactorDTO);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendProfileResponse(res, profileDTO) {
+        if (profileDTO === null) {
+            throw new Error('Expected ProfileDTO object, received null.');
+        } else if (profileDTO.statusCode !== userStatusCodes.OK) {
+            if (profileDTO.statusCode === userStatusCodes.ExistentEmail) {
+                this.sendHttpResponse(res, 400, 'E-Mail already exists.');
+            } else {
+                this.sendHttpResponse(res, 400, 'Profile request failed.');
+            }
+        } else {
+            this.sendHttpResponse(res, 200, profileDTO);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendDataExportResponse(res, dataExportDTO, format) {
+        if (dataExportDTO === null) {
+            throw new Error('Expected DataExportDTO object, received null.');
+        } else if (dataExportDTO.statusCode !== userStatusCodes.OK) {
+            if (dataExportDTO.statusCode === userStatusCodes.NonExistentUser) {
+                this.sendHttpResponse(res, 400, 'The user does not exist.');
+            } else {
+                this.sendHttpResponse(res, 400, 'Data export failed.');
+            }
+        } else if (format === exportFormatEnum.Csv) {
+            res.attachment(`${dataExportDTO.username}-data.csv`);
+            res.type('text/csv').status(200).send(DataExportCsv.format(dataExportDTO));
+        } else {
+            this.sendHttpResponse(res, 200, dataExportDTO);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendAccountStatusResponse(res, accountStatusDTO, failureMessage) {
+        if (accountStatusDTO === null) {
+            throw new Error('Expected AccountStatusDTO object, received null.');
+        } else if (accountStatusDTO.statusCode !== userStatusCodes.OK) {
+            if (accountStatusDTO.statusCode === userStatusCodes.NonExistentUser) {
+                this.sendHttpResponse(res, 400, 'The user does not exist.');
+            } else if (accountStatusDTO.statusCode === userStatusCodes.OwnAccount) {
+                this.sendHttpResponse(res, 400, 'Administrators cannot suspend their own account.');
+            } else if (accountStatusDTO.statusCode === userStatusCodes.InvalidDate) {
+                this.sendHttpResponse(res, 400, 'The end date of the suspension has passed.');
+            } else {
+                this.sendHttpResponse(res, 400, failureMessage);
+            }
+        } else {
+            this.sendHttpResponse(res, 200, accountStatusDTO);
         }
     }
 }
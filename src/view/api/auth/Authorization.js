@@ -2,6 +2,11 @@
 
 const jwt = require('jsonwebtoken');
 const privilege = require('../../../util/privilegeEnum');
+const userStatusCodes = require('../../../util/userStatusCodes');
+const apiKeyStatusCodes = require('../../../util/apiKeyStatusCodes');
+const apiKeyScopeEnum = require('../../../util/apiKeyScopeEnum');
+const UserDTO = require('../../../model/UserDTO');
+const Controller = require('../../../controller/Controller');
 
 /**
  * Handles user authorization,
@@ -15,48 +20,82 @@ class Authorization {
     }
 
     /**
-     * Verifies the authentication of a user using the JWT token contained in the auth cookie.
-     * The authentication cookie is also cleared in case of verification failure.
+     * The refresh cookie name.
+     */
+    static get REFRESH_COOKIE_NAME() {
+        return 'laundryRefresh';
+    }
+
+    /**
+     * The path of the endpoint that refreshes the session, the only one that the refresh cookie is sent to.
+     */
+    static get REFRESH_COOKIE_PATH() {
+        return '/user/refresh';
+    }
+
+    /**
+     * The time in milliseconds an access token can be used before it has to be refreshed.
+     */
+    static get ACCESS_TOKEN_AGE() {
+        return (parseInt(process.env.ACCESS_TOKEN_EXPIRY, 10) || 15) * 60 * 1000;
+    }
+
+    /**
+     * Verifies the authentication of a user using the JWT token contained in the Authorization header
+     * or in the auth cookie. The authentication cookie is also cleared in case of verification failure,
+     * which includes an expired access token that the client has to refresh using the refresh token.
+     * An API key in the Authorization header is only accepted when the endpoint allows API keys of its scope.
      *
      * @param {Request} req The express Request object.
      * @param {Response} res The express Response object.
+     * @param {string} apiKeyScope The scope of the API keys that are accepted, API keys are refused if it is left out.
      * @return {UserDTO | null} An object containing the username and the privilege of the user
      *                           or null in case of verification failure.
      */
-    static async verifyAuthCookie(req, res) {
-        const authCookie = req.cookies.laundryAuth;
-        if (!authCookie) {
+    static async verifyAuthCookie(req, res, apiKeyScope) {
+        const apiKey = this._getApiKey(req);
+        if (apiKey !== undefined) {
+            return await this._verifyApiKey(apiKey, apiKeyScope);
+        }
+        const accessToken = this._getAccessToken(req);
+        if (!accessToken) {
             return null;
         }
         try {
-            const userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
-            const userDTO = userDTOPayload.userDTO;
-            return userDTO;
+            const sessionDTO = await this._verifySessionToken(accessToken);
+            return this._toUserDTO(sessionDTO);
         } catch (err) {
-            res.clearCookie(this.AUTH_COOKIE_NAME);
+            if (accessToken === req.cookies.laundryAuth) {
+                this.clearAuthCookie(res);
+            }
             return null;
         }
     }
 
     /**
      * Verifies the authentication and authorization level of a user using
-     * the JWT token contained in the auth cookie.
+     * the JWT token contained in the Authorization header or in the auth cookie.
      * For the verification to succeed, the user privilege MUST be 'Standard'.
+     * An API key in the Authorization header is only accepted when the endpoint allows API keys of its scope.
      *
      * @param {Request} req The express Request object.
+     * @param {string} apiKeyScope The scope of the API keys that are accepted, API keys are refused if it is left out.
      * @return {UserDTO | null} An object containing the username and the privilege of the user
      *                           or null in case of verification failure.
      */
-    static async verifyStandardAuthorization(req) {
-        const authCookie = req.cookies.laundryAuth;
-        if (!authCookie) {
+    static async verifyStandardAuthorization(req, apiKeyScope) {
+        const apiKey = this._getApiKey(req);
+        if (apiKey !== undefined) {
+            return await this._verifyApiKey(apiKey, apiKeyScope);
+        }
+        const accessToken = this._getAccessToken(req);
+        if (!accessToken) {
             return null;
         }
         try {
-            const userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
-            const userDTO = userDTOPayload.userDTO;
-            if (userDTO.privilegeID === privilege.Standard) {
-                return userDTO;
+            const sessionDTO = await this._verifySessionToken(accessToken);
+            if (sessionDTO.privilegeID === privilege.Standard) {
+                return this._toUserDTO(sessionDTO);
             } else {
                 return null;
             }
@@ -67,23 +106,24 @@ class Authorization {
 
     /**
      * Verifies the authentication and authorization level of a user using
-     * the JWT token contained in the auth cookie.
-     * For the verification to succeed, the user privilege MUST be 'Administrator'.
+     * the JWT token contained in the Authorization header or in the auth cookie.
+     * For the verification to succeed, the user privilege MUST be 'Administrator',
+     * and the administrator must have enabled two-factor authentication when it is required.
+     * API keys are never accepted, since they only act on behalf of residents.
      *
      * @param {Request} req The express Request object.
      * @return {UserDTO | null} An object containing the username and the privilege of the user
      *                           or null in case of verification failure.
      */
     static async verifyAdminAuthorization(req) {
-        const authCookie = req.cookies.laundryAuth;
-        if (!authCookie) {
+        const accessToken = this._getAccessToken(req);
+        if (!accessToken) {
             return null;
         }
         try {
-            const userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
-            const userDTO = userDTOPayload.userDTO;
-            if (userDTO.privilegeID === privilege.Administrator) {
-                return userDTO;
+            const sessionDTO = await this._verifySessionToken(accessToken);
+            if (sessionDTO.privilegeID === privilege.Administrator && !sessionDTO.twoFactorEnrolmentRequired) {
+                return this._toUserDTO(sessionDTO);
             } else {
                 return null;
             }
@@ -92,57 +132,204 @@ class Authorization {
         }
     }
 
+    /**
+     * Verifies the session that the access token belongs to, used when the request acts on the session itself.
+     *
+     * @param {Request} req The express Request object.
+     * @return {SessionDTO | null} An object containing the id of the session and the username of the user
+     *                              or null in case of verification failure.
+     */
+    static async verifySession(req) {
+        const accessToken = this._getAccessToken(req);
+        if (!accessToken) {
+            return null;
+        }
+        try {
+            return await this._verifySessionToken(accessToken);
+        } catch (err) {
+            return null;
+        }
+    }
 
     /**
-     * Sets the auth cookie containing the signed JSON Web Token
-     * in the express response object.
+     * Sets the auth cookie containing the signed JSON Web Token and the refresh cookie
+     * in the express response object. The token only carries the id of the session and expires after a short time,
+     * together with its cookie, while the refresh token is used to get a new one until the session expires.
+     * The refresh cookie is only sent to the refresh endpoint, so the long-lived token does not travel with every request.
      * Note: sameSite and secure cookie is required since the Express app
      *       is hosted on different host than the React WebApp
      *
-     * @param {UserDTO} userDTO An object containing the username and the privilege of the user.
+     * @param {SessionDTO} sessionDTO An object containing the id of the session, the time when it expires
+     *                                and the refresh token that was just issued for it.
      * @param {Response} res The express Response object.
      */
-    static setAuthCookie(userDTO, res) {
+    static setAuthCookie(sessionDTO, res) {
+        const sessionAge = Date.parse(sessionDTO.expiresAt) - Date.now();
         const httpOnlyCookie = {httpOnly: true};
-        const cookieAge = {maxAge: 7 * 24 * 60 * 60 * 1000}; // 1 Week (maxAge is in seconds, but in cookie it's in ms.)
         const sameSite = {sameSite: 'None'};
         // const secureCookie = {secure: true};
-        const jwtToken = jwt.sign(
-            {userDTO},
-            process.env.JWT_SECRET,
-            {
-                expiresIn: '7 days',
-            },
-        );
+        const jwtToken = this._signAccessToken(sessionDTO);
 
         const cookieOptions = {
             ...httpOnlyCookie,
-            ...cookieAge,
             ...sameSite,
             // ...secureCookie,
         };
-        res.cookie(this.AUTH_COOKIE_NAME, jwtToken, cookieOptions);
+        // maxAge is in ms.
+        res.cookie(this.AUTH_COOKIE_NAME, jwtToken, {...cookieOptions, maxAge: this._accessTokenExpiry(sessionDTO) * 1000});
+        res.cookie(this.REFRESH_COOKIE_NAME, sessionDTO.refreshToken,
+            {...cookieOptions, maxAge: sessionAge, path: this.REFRESH_COOKIE_PATH});
     }
 
     /**
-     * Clears auth cookie.
+     * Creates the tokens of a session for clients that send the access token in the Authorization header
+     * instead of using cookies, such as the mobile app and the kiosk tablet in the laundry room.
+     *
+     * @param {SessionDTO} sessionDTO An object containing the id of the session, the time when it expires
+     *                                and the refresh token that was just issued for it.
+     * @return {{tokenType: string, accessToken: string, expiresIn: number, refreshToken: string}} The signed
+     *         JSON Web Token, the number of seconds until it expires and the refresh token used to get a new one.
+     */
+    static issueTokens(sessionDTO) {
+        return {
+            tokenType: 'Bearer',
+            accessToken: this._signAccessToken(sessionDTO),
+            expiresIn: this._accessTokenExpiry(sessionDTO),
+            refreshToken: sessionDTO.refreshToken,
+        };
+    }
+
+    /**
+     * Clears auth cookie, the refresh cookie is kept so that a new access token can be issued.
      * Note: sameSite and secure cookie is required since the Express app
      *       is hosted on different host than the React WebApp
      *
      * @param {Response} res The express Response object.
      */
     static clearAuthCookie(res) {
+        res.clearCookie(this.AUTH_COOKIE_NAME, this._clearCookieOptions());
+    }
+
+    /**
+     * Clears the auth and refresh cookies, used when the session ends or could not be started.
+     *
+     * @param {Response} res The express Response object.
+     */
+    static clearSessionCookies(res) {
+        res.clearCookie(this.AUTH_COOKIE_NAME, this._clearCookieOptions());
+        res.clearCookie(this.REFRESH_COOKIE_NAME, {...this._clearCookieOptions(), path: this.REFRESH_COOKIE_PATH});
+    }
+
+    /**
+     * Verifies the signature of the JSON Web Token and that the session it belongs to is still accepted.
+     * Sessions are no longer accepted once they expire or are revoked, for example when the user logs out,
+     * changes the password or the privilege, or is deleted or suspended.
+     *
+     * @param {string} accessToken The signed JSON Web Token contained in the Authorization header or the auth cookie.
+     * @return {SessionDTO} The session with the current username and privilege of the user.
+     * @throws {Error} If the token is invalid or the session is no longer valid.
+     */
+    static async _verifySessionToken(accessToken) {
+        const sessionPayload = jwt.verify(accessToken, process.env.JWT_SECRET);
+        // Tokens signed before the sessions were stored only carry the user and are not accepted anymore.
+        if (sessionPayload.sessionID === undefined) {
+            throw new Error('The token does not belong to a session.');
+        }
+        const controller = await this._getController();
+        const sessionDTO = await controller.getSession(sessionPayload.sessionID);
+        if (sessionDTO === null || sessionDTO.statusCode !== userStatusCodes.OK) {
+            throw new Error('The session is no longer valid.');
+        }
+        return sessionDTO;
+    }
+
+    /**
+     * Verifies that the API key is accepted and that its scope covers the scope the endpoint requires,
+     * booking keys can also do what schedule keys can do. The time the API key was used is recorded.
+     *
+     * @param {string} apiKey The API key contained in the Authorization header.
+     * @param {string} apiKeyScope The scope of the API keys that the endpoint accepts, undefined if it accepts none.
+     * @return {UserDTO | null} An object containing the username of the resident that the API key acts on behalf of,
+     *                           or null in case of verification failure.
+     */
+    static async _verifyApiKey(apiKey, apiKeyScope) {
+        if (apiKeyScope === undefined) {
+            return null;
+        }
+        try {
+            const controller = await this._getController();
+            const apiKeyDTO = await controller.useApiKey(apiKey);
+            if (apiKeyDTO === null || apiKeyDTO.statusCode !== apiKeyStatusCodes.OK) {
+                return null;
+            }
+            if (apiKeyDTO.scope !== apiKeyScope && apiKeyDTO.scope !== apiKeyScopeEnum.Booking) {
+                return null;
+            }
+            return new UserDTO(apiKeyDTO.username, privilege.Standard, userStatusCodes.OK);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static async _getController() {
+        if (this.controllerCreation === undefined) {
+            this.controllerCreation = Controller.createController();
+        }
+        return await this.controllerCreation;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _clearCookieOptions() {
         const httpOnlyCookie = {httpOnly: true};
         const sameSite = {sameSite: 'None'};
         // const secureCookie = {secure: true};
 
-        const cookieOptions = {
+        return {
             ...httpOnlyCookie,
             ...sameSite,
             // ...secureCookie,
         };
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _getAccessToken(req) {
+        const authHeader = req.headers.authorization;
+        if (authHeader !== undefined && authHeader.startsWith('Bearer ')) {
+            return authHeader.substring('Bearer '.length);
+        }
+        return req.cookies.laundryAuth;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _getApiKey(req) {
+        const authHeader = req.headers.authorization;
+        if (authHeader !== undefined && authHeader.startsWith('ApiKey ')) {
+            return authHeader.substring('ApiKey '.length);
+        }
+        return undefined;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _signAccessToken(sessionDTO) {
+        return jwt.sign(
+            {sessionID: sessionDTO.sessionID},
+            process.env.JWT_SECRET,
+            {
+                expiresIn: this._accessTokenExpiry(sessionDTO),
+            },
+        );
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _accessTokenExpiry(sessionDTO) {
+        const sessionAge = Date.parse(sessionDTO.expiresAt) - Date.now();
+        return Math.floor(Math.min(this.ACCESS_TOKEN_AGE, sessionAge) / 1000); // In seconds
+    }
 
-        res.clearCookie(this.AUTH_COOKIE_NAME, cookieOptions);
+    // eslint-disable-next-line require-jsdoc
+    static _toUserDTO(sessionDTO) {
+        return new UserDTO(sessionDTO.username, sessionDTO.privilegeID, userStatusCodes.OK);
     }
 }
 
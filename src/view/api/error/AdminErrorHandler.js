@@ -0,0 +1,39 @@
+'use strict';
+
+const ErrorLogger = require('./ErrorLogger');
+
+/**
+ * Handles errors caused by the {AdminApi} endpoints.
+ */
+class AdminErrorHandler extends ErrorLogger {
+    /**
+   * Constructs a new instance of the {AdminErrorHandler}, and passes the log filename
+   * to the superclass.
+   */
+    constructor() {
+        super('AdminApi');
+    }
+
+    /**
+   * @return {string} The URL paths handled by the error handler.
+   */
+    get path() {
+        return '/admin/';
+    }
+
+    /**
+   * Registers the error handler
+   * @param {Application} app The express application that will host the error handlers.
+   */
+    registerHandler(app) {
+        app.use(this.path, (err, req, res, next) => {
+            this.logger.logException(err);
+            if (res.headersSent) {
+                return next(err);
+            }
+            res.status(503).send({error: 'The administration service is unavailable.'});
+        });
+    }
+}
+
+module.exports = AdminErrorHandler;
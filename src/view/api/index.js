@@ -1,8 +1,10 @@
 'use strict';
 const UserApi = require('./UserApi');
 const BookingApi = require('./BookingApi');
+const AdminApi = require('./AdminApi');
 const UserErrorHandler = require('./error/UserErrorHandler');
 const BookingErrorHandler = require('./error/BookingErrorHandler');
+const AdminErrorHandler = require('./error/AdminErrorHandler');
 const GeneralErrorHandler = require('./error/GeneralErrorHandler');
 
 /**
@@ -68,8 +70,10 @@ async function initRequestHandlerLoader(app) {
     const requestHandlerLoader = new RequestHandlerLoader();
     await requestHandlerLoader.addRequestHandler(new UserApi());
     await requestHandlerLoader.addRequestHandler(new BookingApi());
+    await requestHandlerLoader.addRequestHandler(new AdminApi());
     await requestHandlerLoader.addErrorHandler(new UserErrorHandler());
     await requestHandlerLoader.addErrorHandler(new BookingErrorHandler());
+    await requestHandlerLoader.addErrorHandler(new AdminErrorHandler());
     await requestHandlerLoader.addErrorHandler(new GeneralErrorHandler());
     await requestHandlerLoader.loadRequestHandlers(app);
     await requestHandlerLoader.loadErrorHandlers(app);
@@ -193,10 +193,11 @@ class DataGenerator {
      * @return {string} Message telling the generation is done.
      */
     async makeBookings() {
-        const currentWeek = await this.laundryDAO.getWeekNumber();
+        const currentWeek = await this.laundryDAO.getWeekStartDate(0);
+        const nextWeek = await this.laundryDAO.getWeekStartDate(1);
         const residentUsers = await this.getResidentUsers();
         let emptyBookings = await this.getBookingsSlots(currentWeek);
-        emptyBookings = emptyBookings.concat(await this.getBookingsSlots(currentWeek + 1));
+        emptyBookings = emptyBookings.concat(await this.getBookingsSlots(nextWeek));
 
         for (let i = 0; i < residentUsers.length; i++) {
             const result = await this.laundryDAO.bookPass(residentUsers[i], emptyBookings[0].room, emptyBookings[0].date, emptyBookings[0].range);
@@ -228,7 +229,7 @@ class DataGenerator {
 
     /**
      * Get the free booking slots for a specific week.
-     * @param {string} week The number corresponding the current week or next one.
+     * @param {string} week The date of the Monday that starts the current week or next one.
      * @return {[{room, date, range}]} List of objects with the free space information.
      */
     async getBookingsSlots(week) {
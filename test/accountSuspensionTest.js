@@ -0,0 +1,114 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+const accountStatusEnum = require('../src/util/accountStatusEnum');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Account Suspension Test', () => {
+    let controller;
+    const testUsername = 'unitTestSuspendUser';
+    const otherUsername = 'unitTestSuspendOther';
+    const adminUsername = 'testAdmin';
+    const clock = new BuildingClock();
+    const todayDate = clock.todayDate();
+    const yesterdayDate = clock.calendarDate(todayDate).subtract(1, 'day').format('YYYY-MM-DD');
+    const tomorrowDate = clock.calendarDate(todayDate).add(1, 'day').format('YYYY-MM-DD');
+
+    before(async function() {
+        controller = await Controller.createController();
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.generateTestUser(controller, adminUsername, otherUsername);
+    });
+
+    /**
+     * Deletes the unit test users after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, otherUsername);
+    });
+
+
+    it('should fail to suspend a user due to lack of privilege', async () => {
+        const accountStatusDTO = await controller.suspendUser(otherUsername, testUsername);
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to suspend a non existent user', async () => {
+        const accountStatusDTO = await controller.suspendUser(adminUsername, 'unitTestMissingUser');
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.NonExistentUser, 'Expected to fail due to the missing user');
+    });
+
+    it('should fail to suspend the own account', async () => {
+        const accountStatusDTO = await controller.suspendUser(adminUsername, adminUsername);
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.OwnAccount, 'Expected to fail due to the own account');
+    });
+
+    it('should fail to suspend a user until a date that has passed', async () => {
+        const accountStatusDTO = await controller.suspendUser(adminUsername, testUsername, undefined, '2020-01-01');
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.InvalidDate, 'Expected to fail due to the passed date');
+    });
+
+    it('should succeed suspending a user and cancelling the upcoming bookings', async () => {
+        const bookedDTO = await controller.bookPass(testUsername, 1, tomorrowDate, '07:00-12:00');
+        assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking a pass');
+        const accountStatusDTO = await controller.suspendUser(adminUsername, testUsername, 'Unpaid fees', undefined, true);
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.OK, 'Expected to succeed suspending the user');
+        assert.strictEqual(accountStatusDTO.status, accountStatusEnum.Suspended, 'Expected the account to be suspended');
+        assert.strictEqual(accountStatusDTO.cancelledBookings.length, 1, 'Expected the booking to be cancelled');
+        assert.strictEqual(accountStatusDTO.cancelledBookings[0].date, tomorrowDate, 'Expected the cancelled booking date');
+        const cancellationInfoDTO = await controller.getCancellations(testUsername);
+        assert.strictEqual(cancellationInfoDTO.cancellations[0].reason, 'Unpaid fees', 'Expected the reason of the suspension');
+    });
+
+    it('should fail to login as a suspended user', async () => {
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.SuspendedUser, 'Expected to fail due to the suspension');
+    });
+
+    it('should not accept the sessions of a suspended user', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        const suspendedSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(suspendedSessionDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the session to be rejected');
+    });
+
+    it('should fail to lock or book a pass as a suspended user', async () => {
+        const lockResult = await controller.lockPass(testUsername, 1, tomorrowDate, '12:00-17:00');
+        assert.isFalse(lockResult, 'Expected to fail locking a pass');
+        const bookingDTO = await controller.bookPass(testUsername, 1, tomorrowDate, '12:00-17:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.SuspendedUser, 'Expected to fail due to the suspension');
+    });
+
+    it('should succeed reactivating the user', async () => {
+        const accountStatusDTO = await controller.reactivateUser(adminUsername, testUsername);
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.OK, 'Expected to succeed reactivating the user');
+        assert.strictEqual(accountStatusDTO.status, accountStatusEnum.Active, 'Expected the account to be active');
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected to succeed logging in');
+    });
+
+    it('should keep the bookings when they are not cancelled', async () => {
+        const bookedDTO = await controller.bookPass(otherUsername, 1, tomorrowDate, '12:00-17:00');
+        assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking a pass');
+        const accountStatusDTO = await controller.suspendUser(adminUsername, otherUsername, undefined, tomorrowDate);
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.OK, 'Expected to succeed suspending the user');
+        assert.isEmpty(accountStatusDTO.cancelledBookings, 'Expected no booking to be cancelled');
+        const bookingDTO = await controller.getBookedPass(otherUsername);
+        assert.strictEqual(bookingDTO.date, tomorrowDate, 'Expected the booking to be kept');
+    });
+
+    it('should end the suspension after its last date', async () => {
+        await controller.laundryDAO._executeQuery({
+            text: 'UPDATE account SET suspended_until = $1 WHERE username = $2',
+            values: [yesterdayDate, otherUsername],
+        });
+        const userDTO = await controller.loginUser(otherUsername, otherUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the suspension to have ended');
+    });
+});
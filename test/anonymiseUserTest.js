@@ -0,0 +1,134 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BuildingClock = require('../src/util/BuildingClock');
+const Validators = require('../src/util/Validators');
+const privilegeEnum = require('../src/util/privilegeEnum');
+const slotStatusEnum = require('../src/util/slotStatusEnum');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Anonymise User Test', () => {
+    let controller;
+    let laterDAO;
+    let accountID;
+    const testUsername = 'unitTestAnonymiseUser';
+    const adminUsername = 'testAdmin';
+    const dayInMilliseconds = 24 * 60 * 60 * 1000;
+    const clock = new BuildingClock();
+    const todayDate = clock.todayDate();
+    const yesterdayDate = clock.calendarDate(todayDate).subtract(1, 'day').format('YYYY-MM-DD');
+    const tomorrowDate = clock.calendarDate(todayDate).add(1, 'day').format('YYYY-MM-DD');
+
+    /**
+     * Fetches the bookings of the test account, whatever its username is.
+     * @return {[{date}]} The dates of the bookings of the test account.
+     */
+    async function getAccountBookings() {
+        const results = await controller.laundryDAO._executeQuery({
+            text: 'SELECT date FROM pass_booking WHERE account_id = $1 ORDER BY date',
+            values: [accountID],
+        });
+        return results.rows;
+    }
+
+    before(async function() {
+        controller = await Controller.createController();
+        // The retention period has passed for the accounts anonymised during the tests.
+        laterDAO = new LaundryDAO(new BuildingClock('Europe/Stockholm', () => Date.now() + 400 * dayInMilliseconds));
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+        accountID = (await controller.laundryDAO._getPersonInfo(testUsername)).accountID;
+        await controller.laundryDAO._executeQuery({
+            text: `INSERT INTO pass_booking(date, account_id, pass_schedule_id)
+            VALUES ($1, $2, (SELECT id FROM pass_schedule WHERE room = 1 ORDER BY id LIMIT 1))`,
+            values: [yesterdayDate, accountID],
+        });
+    });
+
+    /**
+     * Deletes the unit test user and purges the anonymised account after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await laterDAO.purgeAnonymisedUsers();
+    });
+
+
+    it('should fail to anonymise a user due to lack of privilege', async () => {
+        const anonymisationResult = await controller.deleteUser('firstTest', testUsername, true);
+        assert.isFalse(anonymisationResult, 'Expected failure to anonymise the user due to lack of privilege');
+    });
+
+    it('should succeed anonymising a user while keeping the past bookings', async () => {
+        await controller.updateUser(adminUsername, testUsername, undefined, undefined, undefined, undefined,
+            undefined, privilegeEnum.Administrator);
+        const bookedDTO = await controller.bookPass(testUsername, 1, tomorrowDate, '07:00-12:00');
+        assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking a pass');
+        const anonymisationResult = await controller.deleteUser(adminUsername, testUsername, true);
+        assert.isTrue(anonymisationResult, 'Expected success in anonymising the user');
+        const bookings = await getAccountBookings();
+        assert.strictEqual(bookings.length, 1, 'Expected only the past booking to be kept');
+        assert.strictEqual(bookings[0].date, yesterdayDate, 'Expected the past booking to be kept');
+    });
+
+    it('should remove the personal data of the anonymised user', async () => {
+        const results = await controller.laundryDAO._executeQuery({
+            text: `SELECT account.username, person.firstname, person.lastname, person.personal_number, person.email,
+            person.privilege_id
+            FROM account INNER JOIN person ON (person.id = account.person_id)
+            WHERE account.id = $1`,
+            values: [accountID],
+        });
+        assert.deepEqual(results.rows[0], {
+            username: `anonymised-${accountID}`, firstname: null, lastname: null, personal_number: null, email: null,
+            privilege_id: privilegeEnum.Standard,
+        }, 'Expected the personal data and the privileges to be replaced by the anonymous placeholder');
+    });
+
+    it('should fail to login or appear as the anonymised user', async () => {
+        assert.throws(() => Validators.isAlphanumericString(`anonymised-${accountID}`, 'Username'),
+            'Username must consist of letters and numbers only.');
+        const userInfoDTO = await controller.listUsers(adminUsername);
+        assert.isUndefined(userInfoDTO.personInfo.find((person) => person.username === `anonymised-${accountID}`),
+            'Expected the anonymised user not to be listed');
+    });
+
+    it('should fail to reactivate the anonymised user', async () => {
+        const accountStatusDTO = await controller.laundryDAO.reactivateUser(adminUsername, `anonymised-${accountID}`);
+        assert.strictEqual(accountStatusDTO.statusCode, userStatusCodes.NonExistentUser, 'Expected the anonymised user not to exist');
+    });
+
+    it('should show the past booking in the schedule without the anonymous placeholder', async () => {
+        const passScheduleDTO = await controller.getPasses(adminUsername, undefined, undefined, undefined, yesterdayDate);
+        const roomPasses = passScheduleDTO.roomPasses.find((room) => room.roomNum === 1);
+        const yesterdayPass = roomPasses.passes.find((pass) => pass.date === yesterdayDate);
+        const takenSlots = yesterdayPass.slots.filter((slot) => slot.status === slotStatusEnum.Taken);
+        assert.isNotEmpty(takenSlots, 'Expected the past booking to be shown');
+        assert.isUndefined(takenSlots.find((slot) => slot.username === `anonymised-${accountID}`),
+            'Expected the anonymous placeholder not to be shown');
+    });
+
+    it('should let the personal data be registered again', async () => {
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the username to be free');
+    });
+
+    it('should keep the anonymised user during the retention period', async () => {
+        await controller.purgeAnonymisedUsers();
+        const bookings = await getAccountBookings();
+        assert.strictEqual(bookings.length, 1, 'Expected the past booking to be kept');
+    });
+
+    it('should purge the anonymised user after the retention period', async () => {
+        const purgedCount = await laterDAO.purgeAnonymisedUsers();
+        assert.isAtLeast(purgedCount, 1, 'Expected the anonymised user to be purged');
+        const bookings = await getAccountBookings();
+        assert.isEmpty(bookings, 'Expected the booking history to be purged');
+    });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const {assert} = require('chai');
+const request = require('supertest');
+const initServer = require('./base');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const apiKeyStatusCodes = require('../src/util/apiKeyStatusCodes');
+const apiKeyScopeEnum = require('../src/util/apiKeyScopeEnum');
+const DataGenerator = require('./DataGenerator');
+
+describe('API Key Test', () => {
+    let app;
+    let controller;
+    let scheduleKeyDTO;
+    let bookingKeyDTO;
+    const testUsername = 'unitTestApiKeyUser';
+    const adminUsername = 'testAdmin';
+    const todayDate = new BuildingClock().todayDate();
+
+    before(async function() {
+        app = await initServer();
+        controller = await Controller.createController();
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+    });
+
+    /**
+     * Deletes the unit test user, together with its API keys, after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should fail to create an API key due to lack of privilege', async () => {
+        const apiKeyDTO = await controller.createApiKey(testUsername, testUsername, 'Lobby display', apiKeyScopeEnum.Schedule);
+        assert.strictEqual(apiKeyDTO.statusCode, apiKeyStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to create an API key on behalf of an administrator', async () => {
+        const apiKeyDTO = await controller.createApiKey(adminUsername, adminUsername, 'Lobby display', apiKeyScopeEnum.Schedule);
+        assert.strictEqual(apiKeyDTO.statusCode, apiKeyStatusCodes.NotResident, 'Expected to fail due to the administrator');
+    });
+
+    it('should fail to create an API key with an unknown scope', async () => {
+        let error = null;
+        try {
+            await controller.createApiKey(adminUsername, testUsername, 'Lobby display', 'admin');
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the unknown scope');
+    });
+
+    it('should succeed creating API keys and list them without the keys', async () => {
+        scheduleKeyDTO = await controller.createApiKey(adminUsername, testUsername, 'Lobby display', apiKeyScopeEnum.Schedule);
+        bookingKeyDTO = await controller.createApiKey(adminUsername, testUsername, 'Home automation', apiKeyScopeEnum.Booking);
+        assert.strictEqual(scheduleKeyDTO.statusCode, apiKeyStatusCodes.OK, 'Expected to succeed creating the API key');
+        assert.strictEqual(scheduleKeyDTO.key.length, 64, 'Expected the key to be returned once');
+        assert.isNull(scheduleKeyDTO.lastUsedAt, 'Expected the API key not to be used yet');
+        const apiKeyInfoDTO = await controller.listApiKeys(adminUsername);
+        const listedKeyDTO = apiKeyInfoDTO.apiKeys.find((apiKey) => apiKey.apiKeyID === scheduleKeyDTO.apiKeyID);
+        assert.strictEqual(listedKeyDTO.name, 'Lobby display', 'Expected the API key to be listed');
+        assert.isNull(listedKeyDTO.key, 'Expected the key not to be listed');
+    });
+
+    it('should let a schedule key read the schedule and record when it was used', async () => {
+        const res = await request(app)
+            .get('/booking/getSchedule')
+            .query({from: todayDate, to: todayDate})
+            .set('Authorization', `ApiKey ${scheduleKeyDTO.key}`);
+        assert.strictEqual(res.status, 200, 'Expected the schedule key to be accepted');
+        const apiKeyInfoDTO = await controller.listApiKeys(adminUsername);
+        const listedKeyDTO = apiKeyInfoDTO.apiKeys.find((apiKey) => apiKey.apiKeyID === scheduleKeyDTO.apiKeyID);
+        assert.isNotNull(listedKeyDTO.lastUsedAt, 'Expected the use of the API key to be recorded');
+    });
+
+    it('should refuse a schedule key outside of its scope', async () => {
+        const res = await request(app)
+            .get('/booking/getBookedPass')
+            .set('Authorization', `ApiKey ${scheduleKeyDTO.key}`);
+        assert.strictEqual(res.status, 401, 'Expected the schedule key to be refused');
+    });
+
+    it('should let a booking key act on behalf of the resident', async () => {
+        const scheduleRes = await request(app)
+            .get('/booking/getResidentPasses')
+            .set('Authorization', `ApiKey ${bookingKeyDTO.key}`);
+        assert.strictEqual(scheduleRes.status, 200, 'Expected the booking key to read the schedule');
+        const cancellationsRes = await request(app)
+            .get('/booking/getCancellations')
+            .set('Authorization', `ApiKey ${bookingKeyDTO.key}`);
+        assert.strictEqual(cancellationsRes.status, 200, 'Expected the booking key to be accepted');
+    });
+
+    it('should refuse API keys on the endpoints that do not accept them', async () => {
+        const profileRes = await request(app)
+            .get('/user/profile')
+            .set('Authorization', `ApiKey ${bookingKeyDTO.key}`);
+        assert.strictEqual(profileRes.status, 401, 'Expected the API key to be refused for the profile');
+        const adminRes = await request(app)
+            .get('/user/listUsers')
+            .set('Authorization', `ApiKey ${bookingKeyDTO.key}`);
+        assert.strictEqual(adminRes.status, 401, 'Expected the API key to be refused for administration');
+    });
+
+    it('should refuse a revoked API key', async () => {
+        const revokedDTO = await controller.revokeApiKey(adminUsername, scheduleKeyDTO.apiKeyID);
+        assert.strictEqual(revokedDTO.statusCode, apiKeyStatusCodes.OK, 'Expected to succeed revoking the API key');
+        assert.isNotNull(revokedDTO.revokedAt, 'Expected the time of the revocation');
+        const apiKeyDTO = await controller.useApiKey(scheduleKeyDTO.key);
+        assert.strictEqual(apiKeyDTO.statusCode, apiKeyStatusCodes.InvalidApiKey, 'Expected the revoked API key to be refused');
+        const againDTO = await controller.revokeApiKey(adminUsername, scheduleKeyDTO.apiKeyID);
+        assert.strictEqual(againDTO.statusCode, apiKeyStatusCodes.NonExistentApiKey, 'Expected the API key to be revoked already');
+    });
+
+    it('should refuse the API keys of a suspended resident', async () => {
+        await controller.suspendUser(adminUsername, testUsername);
+        const apiKeyDTO = await controller.useApiKey(bookingKeyDTO.key);
+        assert.strictEqual(apiKeyDTO.statusCode, apiKeyStatusCodes.InvalidApiKey, 'Expected the API key to be refused');
+        await controller.reactivateUser(adminUsername, testUsername);
+    });
+});
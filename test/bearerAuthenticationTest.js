@@ -0,0 +1,86 @@
+'use strict';
+
+const {assert} = require('chai');
+const request = require('supertest');
+const initServer = require('./base');
+const Controller = require('../src/controller/Controller');
+const DataGenerator = require('./DataGenerator');
+
+describe('Bearer Authentication Test', () => {
+    let app;
+    let controller;
+    const testUsername = 'unitTestBearerUser';
+    const adminUsername = 'testAdmin';
+
+    /**
+     * Logs in and asks for the tokens in the body instead of the cookies.
+     * @param {string} username The username, which is also the password of the test users.
+     * @return {Response} The response of the login request.
+     */
+    async function loginWithBearer(username) {
+        return await request(app)
+            .post('/user/login')
+            .send({username, password: username, tokenTransport: 'bearer'});
+    }
+
+    before(async function() {
+        app = await initServer();
+        controller = await Controller.createController();
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+    });
+
+    /**
+     * Deletes the unit test user after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should return the tokens in the body instead of setting the cookies', async () => {
+        const res = await loginWithBearer(testUsername);
+        assert.strictEqual(res.status, 200, 'Expected to succeed logging in');
+        assert.isUndefined(res.headers['set-cookie'], 'Expected no cookies to be set');
+        assert.strictEqual(res.body.success.username, testUsername, 'Expected the logged in user');
+        assert.strictEqual(res.body.success.tokenType, 'Bearer', 'Expected a bearer token');
+        assert.isString(res.body.success.accessToken, 'Expected the access token');
+        assert.strictEqual(res.body.success.refreshToken.length, 64, 'Expected the refresh token');
+    });
+
+    it('should accept the access token in the Authorization header', async () => {
+        const accessToken = (await loginWithBearer(testUsername)).body.success.accessToken;
+        const res = await request(app).get('/user/checkLogin').set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(res.status, 200, 'Expected the access token to be accepted');
+        assert.strictEqual(res.body.success.username, testUsername, 'Expected the logged in user');
+    });
+
+    it('should apply the same privilege checks to the Authorization header', async () => {
+        const standardToken = (await loginWithBearer(testUsername)).body.success.accessToken;
+        const adminToken = (await loginWithBearer(adminUsername)).body.success.accessToken;
+        const standardRes = await request(app).get('/user/listUsers').set('Authorization', `Bearer ${standardToken}`);
+        assert.strictEqual(standardRes.status, 401, 'Expected the resident to be refused');
+        const adminRes = await request(app).get('/user/listUsers').set('Authorization', `Bearer ${adminToken}`);
+        assert.strictEqual(adminRes.status, 200, 'Expected the administrator to be accepted');
+    });
+
+    it('should fail to authenticate with an invalid access token', async () => {
+        const res = await request(app).get('/user/checkLogin').set('Authorization', 'Bearer invalidToken');
+        assert.strictEqual(res.status, 401, 'Expected the invalid access token to be refused');
+    });
+
+    it('should refresh the tokens in the body', async () => {
+        const refreshToken = (await loginWithBearer(testUsername)).body.success.refreshToken;
+        const res = await request(app).post('/user/refresh').send({refreshToken});
+        assert.strictEqual(res.status, 200, 'Expected to succeed refreshing the tokens');
+        assert.notStrictEqual(res.body.success.refreshToken, refreshToken, 'Expected a new refresh token');
+        const nextRes = await request(app).post('/user/refresh').send({refreshToken: res.body.success.refreshToken});
+        assert.strictEqual(nextRes.status, 200, 'Expected the new refresh token to be accepted');
+    });
+
+    it('should revoke the session when logging out with the Authorization header', async () => {
+        const accessToken = (await loginWithBearer(testUsername)).body.success.accessToken;
+        await request(app).get('/user/logout').set('Authorization', `Bearer ${accessToken}`);
+        const res = await request(app).get('/user/checkLogin').set('Authorization', `Bearer ${accessToken}`);
+        assert.strictEqual(res.status, 401, 'Expected the access token to be refused after logging out');
+    });
+});
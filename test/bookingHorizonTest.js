@@ -0,0 +1,116 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BookingHorizonDTO = require('../src/model/BookingHorizonDTO');
+const BuildingClock = require('../src/util/BuildingClock');
+const ruleStatusCodes = require('../src/util/ruleStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+const scheduleStatusCodes = require('../src/util/scheduleStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Booking Horizon Test', () => {
+    let controller;
+    let originalHorizon;
+    const testUsername = 'unitTestHorizonUser';
+    const adminUsername = 'testAdmin';
+    const today = new BuildingClock().today();
+
+    /**
+     * Creates a database handler whose clock is pinned to the given instant.
+     * @param {string} instant The pinned time as an ISO 8601 string in UTC.
+     * @return {LaundryDAO} The database handler using the pinned clock.
+     */
+    function pinnedDAO(instant) {
+        return new LaundryDAO(new BuildingClock('Europe/Stockholm', () => Date.parse(instant)));
+    }
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing and registers a test user.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            originalHorizon = await retController.getBookingHorizon(adminUsername);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Restores the booking horizon and deletes the unit test user after last test in this block
+     */
+    after(async function() {
+        await controller.updateBookingHorizon(adminUsername, originalHorizon.unit, originalHorizon.length, originalHorizon.releaseTime);
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should fail to update the booking horizon due to lack of privilege', async () => {
+        const bookingHorizonDTO = await controller.updateBookingHorizon(testUsername, 'day', 14, '08:00');
+        assert.strictEqual(bookingHorizonDTO.statusCode, ruleStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should reject an invalid release time', async () => {
+        let error = null;
+        try {
+            await controller.updateBookingHorizon(adminUsername, 'day', 14, '24:00');
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the invalid release time');
+    });
+
+    it('should succeed updating the booking horizon as an administrator', async () => {
+        const updatedHorizonDTO = await controller.updateBookingHorizon(adminUsername, 'day', 14, '08:00');
+        assert.strictEqual(updatedHorizonDTO.statusCode, ruleStatusCodes.OK, 'Expected to succeed updating the booking horizon');
+        const bookingHorizonDTO = await controller.getBookingHorizon(adminUsername);
+        assert.deepEqual(bookingHorizonDTO, updatedHorizonDTO, 'Expected the updated booking horizon to be applied immediately');
+    });
+
+    it('should open a date the given number of days ahead at the release time', async () => {
+        const bookingHorizon = new BookingHorizonDTO('day', 14, '08:00', ruleStatusCodes.OK);
+        const beforeDAO = pinnedDAO('2026-10-19T05:59:00Z');
+        const afterDAO = pinnedDAO('2026-10-19T06:00:00Z');
+        assert.isFalse(beforeDAO._isBookingOpen('2026-11-02', bookingHorizon), 'Expected the date not to be open before 08:00');
+        assert.isTrue(afterDAO._isBookingOpen('2026-11-02', bookingHorizon), 'Expected the date to be open at 08:00');
+        assert.isFalse(afterDAO._isBookingOpen('2026-11-03', bookingHorizon), 'Expected the following date not to be open');
+        assert.strictEqual(afterDAO._getOpeningTime('2026-11-02', bookingHorizon).format(), '2026-10-19T08:00:00+02:00',
+            'Expected the opening time in the timezone of the building');
+    });
+
+    it('should open a whole calendar week at once', async () => {
+        const bookingHorizon = new BookingHorizonDTO('week', 2, null, ruleStatusCodes.OK);
+        const laundryDAO = pinnedDAO('2026-10-18T22:30:00Z');
+        assert.isTrue(laundryDAO._isBookingOpen('2026-11-08', bookingHorizon), 'Expected the last day of the week after next to be open');
+        assert.isFalse(laundryDAO._isBookingOpen('2026-11-09', bookingHorizon), 'Expected the following week not to be open');
+    });
+
+    it('should fail to book a pass that is not open for booking yet', async () => {
+        const futureDate = today.add(20, 'day').format('YYYY-MM-DD');
+        const bookingDTO = await controller.bookPass(testUsername, 1, futureDate, '07:00-12:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.NotOpened, 'Expected to fail due to the unopened date');
+        const lockResult = await controller.lockPass(testUsername, 1, futureDate, '07:00-12:00');
+        assert.isFalse(lockResult, 'Expected to fail locking a pass that is not open for booking yet');
+    });
+
+    it('should show the booking horizon and the opening times in the schedule', async () => {
+        const passScheduleDTO = await controller.getResidentPasses(testUsername, 2);
+        assert.strictEqual(passScheduleDTO.statusCode, scheduleStatusCodes.OK, 'Expected residents to see the weeks up to the horizon');
+        assert.strictEqual(passScheduleDTO.bookingHorizon.length, 14, 'Expected the booking horizon in the schedule');
+        const clock = new BuildingClock();
+        const openingDate = clock.calendarDate(passScheduleDTO.weekDates[0]).subtract(14, 'day').format('YYYY-MM-DD');
+        const expectedOpening = clock.localTime(openingDate, '08:00').format();
+        passScheduleDTO.roomPasses.forEach((room) => assert.strictEqual(room.passes[0].opensAt, expectedOpening,
+            'Expected the opening time of the day'));
+        const laterScheduleDTO = await controller.getResidentPasses(testUsername, 3);
+        assert.strictEqual(laterScheduleDTO.statusCode, scheduleStatusCodes.InvalidWeek, 'Expected to fail beyond the horizon');
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BuildingClock = require('../src/util/BuildingClock');
+const ruleStatusCodes = require('../src/util/ruleStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+const slotStatusEnum = require('../src/util/slotStatusEnum');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Booking Rules Test', () => {
+    let controller;
+    let originalRules;
+    const testUsername = 'unitTestRulesUser';
+    const adminUsername = 'testAdmin';
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing and registers a test user.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            originalRules = await retController.getBookingRules(adminUsername);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Restores the booking rules and deletes the unit test user after last test in this block
+     */
+    after(async function() {
+        await controller.updateBookingRules(adminUsername, originalRules.activePassesAllowed,
+            originalRules.totalMonthPassesAllowed, originalRules.lockDuration);
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should fail to retrieve the booking rules due to lack of privilege', async () => {
+        const bookingRulesDTO = await controller.getBookingRules(testUsername);
+        assert.strictEqual(bookingRulesDTO.statusCode, ruleStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to update the booking rules due to lack of privilege', async () => {
+        const bookingRulesDTO = await controller.updateBookingRules(testUsername, 2, 8, 10);
+        assert.strictEqual(bookingRulesDTO.statusCode, ruleStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should reject a monthly cap that is smaller than the active cap', async () => {
+        let error = null;
+        try {
+            await controller.updateBookingRules(adminUsername, 3, 2, 5);
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the invalid monthly cap');
+    });
+
+    it('should succeed updating the booking rules as an administrator', async () => {
+        const updatedRulesDTO = await controller.updateBookingRules(adminUsername, 2, 8, 10);
+        assert.strictEqual(updatedRulesDTO.statusCode, ruleStatusCodes.OK, 'Expected to succeed updating the booking rules');
+        const bookingRulesDTO = await controller.getBookingRules(adminUsername);
+        assert.deepEqual(bookingRulesDTO, updatedRulesDTO, 'Expected the updated booking rules to be applied immediately');
+    });
+
+    it('should refuse a booking once the lowered monthly cap is reached', async () => {
+        // Only the bookings of past days count towards the monthly cap without also counting as active bookings,
+        // so the bookings are made in the middle of a past month.
+        const pinnedDAO = new LaundryDAO(new BuildingClock('Europe/Stockholm', () => Date.parse('2025-03-12T10:00:00Z')));
+        await controller.laundryDAO._executeQuery({
+            text: `INSERT INTO pass_booking(date, account_id, pass_schedule_id)
+            SELECT $1, account.id, pass_schedule.id
+            FROM account, pass_schedule INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE account.username = $2 AND pass_schedule.room = 1 AND pass.range IN ($3, $4)`,
+            values: ['2025-03-03', testUsername, '12:00-17:00', '17:00-22:00'],
+        });
+        await controller.updateBookingRules(adminUsername, 2, 2, 10);
+        const refusedDTO = await pinnedDAO.bookPass(testUsername, 1, '2025-03-13', '17:00-22:00');
+        assert.strictEqual(refusedDTO.statusCode, bookingStatusCodes.PassCountExceeded, 'Expected the monthly cap to be reached');
+        await controller.updateBookingRules(adminUsername, 2, 3, 10);
+        const bookedDTO = await pinnedDAO.bookPass(testUsername, 1, '2025-03-13', '17:00-22:00');
+        assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected the raised monthly cap to allow the booking');
+    });
+
+    it('should show every active booking of a resident as the own booking', async () => {
+        await controller.updateBookingRules(adminUsername, 2, 8, 10);
+        for (const passRange of ['07:00-12:00', '12:00-17:00']) {
+            const bookedDTO = await controller.bookPass(testUsername, 1, tomorrowDate, passRange);
+            assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking the passes');
+        }
+        const passScheduleDTO = await controller.getResidentPasses(testUsername, undefined, undefined, undefined, tomorrowDate);
+        const tomorrowPasses = passScheduleDTO.roomPasses[0].passes.find((pass) => pass.date === tomorrowDate);
+        const ownSlots = tomorrowPasses.slots.filter((slot) => slot.status === slotStatusEnum.SelfBooking);
+        assert.deepEqual(ownSlots.map((slot) => slot.range), ['07:00-12:00', '12:00-17:00'], 'Expected both bookings to be shown');
+    });
+});
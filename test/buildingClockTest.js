@@ -0,0 +1,73 @@
+'use strict';
+
+const {assert} = require('chai');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BuildingClock = require('../src/util/BuildingClock');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+
+describe('Building Clock Test', () => {
+    const timezone = 'Europe/Stockholm';
+
+    /**
+     * Creates a database handler whose clock is pinned to the given instant.
+     * @param {string} instant The pinned time as an ISO 8601 string in UTC.
+     * @return {LaundryDAO} The database handler using the pinned clock.
+     */
+    function pinnedDAO(instant) {
+        return new LaundryDAO(new BuildingClock(timezone, () => Date.parse(instant)));
+    }
+
+
+    it('should treat the first hours after midnight as the new day', async () => {
+        const laundryDAO = pinnedDAO('2026-10-19T22:30:00Z');
+        assert.strictEqual(laundryDAO.clock.todayDate(), '2026-10-20', 'Expected the date of the building');
+        assert.isTrue(await laundryDAO._isCurrentDate('2026-10-20'), 'Expected the local date to be today');
+        assert.isFalse(await laundryDAO._isCurrentDate('2026-10-19'), 'Expected the UTC date not to be today');
+    });
+
+    it('should fail to lock a pass of the previous local day just after midnight', async () => {
+        const laundryDAO = pinnedDAO('2026-10-19T22:30:00Z');
+        const lockResult = await laundryDAO.lockPass('unitTestClockUser', 1, '2026-10-19', '17:00-22:00');
+        assert.isFalse(lockResult, 'Expected to fail locking a pass of yesterday');
+    });
+
+    it('should build the week dates from the local date', async () => {
+        const laundryDAO = pinnedDAO('2026-10-25T23:30:00Z');
+        const weekDates = await laundryDAO._getWeekDates(laundryDAO.clock.todayDate());
+        assert.strictEqual(weekDates[0], '2026-10-26', 'Expected the week to start on the local Monday');
+        assert.strictEqual(weekDates[6], '2026-11-01', 'Expected the week to end on the following Sunday');
+    });
+
+    it('should follow the clock across the spring daylight saving transition', async () => {
+        const beforeDAO = pinnedDAO('2026-03-29T00:59:00Z');
+        const afterDAO = pinnedDAO('2026-03-29T01:00:00Z');
+        assert.strictEqual(beforeDAO.clock.now().format('HH:mm'), '01:59', 'Expected standard time');
+        assert.strictEqual(afterDAO.clock.now().format('HH:mm'), '03:00', 'Expected summer time');
+        assert.strictEqual(await beforeDAO._checkRangeTime('03:00-04:00'), -1, 'Expected the pass not to have started');
+        assert.strictEqual(await afterDAO._checkRangeTime('03:00-04:00'), 0, 'Expected the pass to be ongoing');
+    });
+
+    it('should follow the clock across the autumn daylight saving transition', async () => {
+        const summerDAO = pinnedDAO('2026-10-25T00:30:00Z');
+        const winterDAO = pinnedDAO('2026-10-25T01:30:00Z');
+        const laterDAO = pinnedDAO('2026-10-25T02:00:00Z');
+        assert.strictEqual(await summerDAO._checkRangeTime('02:00-03:00'), 0, 'Expected the pass to be ongoing in summer time');
+        assert.strictEqual(await winterDAO._checkRangeTime('02:00-03:00'), 0, 'Expected the pass to be ongoing in standard time');
+        assert.strictEqual(await laterDAO._checkRangeTime('02:00-03:00'), 1, 'Expected the pass to have ended');
+        assert.strictEqual(laterDAO.clock.todayDate(), '2026-10-25', 'Expected the date to be unchanged');
+    });
+
+    it('should compute the month of a booking in any year', async () => {
+        const laundryDAO = pinnedDAO('2026-12-31T23:30:00Z');
+        const {startMonthDate, endMonthDate} = await laundryDAO._monthStartAndEndDate('2027-01-15');
+        assert.strictEqual(startMonthDate, '2027-01-01', 'Expected the first day of the month');
+        assert.strictEqual(endMonthDate, '2027-01-31', 'Expected the last day of the month');
+    });
+
+    it('should use the timezone of the building for the database connections', async () => {
+        const laundryDAO = pinnedDAO('2026-10-19T22:30:00Z');
+        const results = await laundryDAO.connectionPool.query('SHOW TIMEZONE');
+        assert.strictEqual(results.rows[0].TimeZone, BuildingClock.TIMEZONE, 'Expected the session timezone of the building');
+    });
+});
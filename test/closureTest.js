@@ -0,0 +1,145 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const Logger = require('../src/util/Logger');
+const ConnectionPool = require('../src/integration/ConnectionPool');
+const closureStatusCodes = require('../src/util/closureStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+const slotStatusEnum = require('../src/util/slotStatusEnum');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Closure Test', () => {
+    let controller;
+    let slotClosureID;
+    const testUsername = 'unitTestClosureUser';
+    const adminUsername = 'testAdmin';
+    const testRoomNumber = 92;
+    const closureReason = 'Replacing the dryer';
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    /**
+     * Removes the test room together with its closures, slots, locks and bookings.
+     */
+    async function deleteTestRoom() {
+        const connectionPool = new ConnectionPool(new Logger('ClosureTest'));
+        await connectionPool.transaction(async (connection) => {
+            const scheduleIDs = 'SELECT id FROM pass_schedule WHERE room = $1';
+            await connection.query({text: 'DELETE FROM closure WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM booking_cancellation WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: `DELETE FROM pass_booking WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: `DELETE FROM pass_lock WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM pass_schedule WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM room WHERE number = $1', values: [testRoomNumber]});
+        });
+        await connectionPool.end();
+    }
+
+    /**
+     * Finds the slots of the test room for tomorrow in the schedule of the current or the next week.
+     * @return {[{range, status, username}]} The slots of the test room for tomorrow.
+     */
+    async function getTomorrowSlots() {
+        for (const week of [0, 1]) {
+            const passScheduleDTO = await controller.getPasses(adminUsername, week);
+            const roomPasses = passScheduleDTO.roomPasses.find((room) => room.roomNum === testRoomNumber);
+            const tomorrowPass = roomPasses.passes.find((pass) => pass.date === tomorrowDate);
+            if (tomorrowPass !== undefined) {
+                return tomorrowPass.slots;
+            }
+        }
+        return [];
+    }
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing, registers a test user and adds a test room.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            await deleteTestRoom();
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            await retController.addRoom(adminUsername, testRoomNumber, 'Closure Room');
+            await retController.setRoomSlots(adminUsername, testRoomNumber, ['07:00-12:00', '12:00-17:00', '17:00-22:00']);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the test room and the unit test user after last test in this block
+     */
+    after(async function() {
+        await deleteTestRoom();
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should fail to add a closure due to lack of privilege', async () => {
+        const closureDTO = await controller.addClosure(testUsername, testRoomNumber, null, tomorrowDate, tomorrowDate, closureReason);
+        assert.strictEqual(closureDTO.statusCode, closureStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to close a slot that the room does not have', async () => {
+        const closureDTO = await controller.addClosure(adminUsername, testRoomNumber, '09:00-15:00', tomorrowDate, tomorrowDate, closureReason);
+        assert.strictEqual(closureDTO.statusCode, closureStatusCodes.NonExistentSlot, 'Expected to fail due to the unknown slot');
+    });
+
+    it('should cancel the bookings in a newly closed slot', async () => {
+        const bookingDTO = await controller.bookPass(testUsername, testRoomNumber, tomorrowDate, '12:00-17:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking the pass');
+        const closureDTO = await controller.addClosure(adminUsername, testRoomNumber, '12:00-17:00', tomorrowDate, tomorrowDate, closureReason);
+        assert.strictEqual(closureDTO.statusCode, closureStatusCodes.OK, 'Expected to succeed closing the slot');
+        assert.strictEqual(closureDTO.cancelledBookings.length, 1, 'Expected the booking to be cancelled');
+        assert.strictEqual(closureDTO.cancelledBookings[0].username, testUsername, 'Expected the booking of the test user to be cancelled');
+        slotClosureID = closureDTO.closureID;
+        const activeBookingDTO = await controller.getBookedPass(testUsername);
+        assert.strictEqual(activeBookingDTO.statusCode, bookingStatusCodes.NoBooking, 'Expected the user to have no active booking');
+    });
+
+    it('should tell the resident about the cancellation only once', async () => {
+        const cancellationInfoDTO = await controller.getCancellations(testUsername);
+        assert.strictEqual(cancellationInfoDTO.cancellations.length, 1, 'Expected one cancellation');
+        assert.strictEqual(cancellationInfoDTO.cancellations[0].reason, closureReason, 'Expected the reason of the closure');
+        const repeatedCancellationInfoDTO = await controller.getCancellations(testUsername);
+        assert.isEmpty(repeatedCancellationInfoDTO.cancellations, 'Expected the cancellation to be told only once');
+    });
+
+    it('should show the closed slot in the schedule and reject booking it', async () => {
+        const slots = await getTomorrowSlots();
+        slots.forEach((slot) => {
+            const expectedStatus = slot.range === '12:00-17:00' ? slotStatusEnum.Closed : slotStatusEnum.Available;
+            assert.strictEqual(slot.status, expectedStatus, `Expected the slot ${slot.range} to be ${expectedStatus}`);
+        });
+        const lockResult = await controller.lockPass(testUsername, testRoomNumber, tomorrowDate, '12:00-17:00');
+        assert.isFalse(lockResult, 'Expected to fail locking the closed slot');
+        const bookingDTO = await controller.bookPass(testUsername, testRoomNumber, tomorrowDate, '12:00-17:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.ClosedPass, 'Expected to fail booking the closed slot');
+    });
+
+    it('should close every slot of the room', async () => {
+        const closureDTO = await controller.addClosure(adminUsername, testRoomNumber, null, tomorrowDate, tomorrowDate, closureReason);
+        assert.strictEqual(closureDTO.statusCode, closureStatusCodes.OK, 'Expected to succeed closing the room');
+        const slots = await getTomorrowSlots();
+        slots.forEach((slot) => assert.strictEqual(slot.status, slotStatusEnum.Closed, `Expected the slot ${slot.range} to be closed`));
+        const closureInfoDTO = await controller.listClosures(adminUsername);
+        const roomClosures = closureInfoDTO.closures.filter((closure) => closure.roomNumber === testRoomNumber);
+        assert.strictEqual(roomClosures.length, 2, 'Expected both closures to be listed');
+        await controller.removeClosure(adminUsername, closureDTO.closureID);
+    });
+
+    it('should reopen the slot once the closure is removed', async () => {
+        const closureDTO = await controller.removeClosure(adminUsername, slotClosureID);
+        assert.strictEqual(closureDTO.statusCode, closureStatusCodes.OK, 'Expected to succeed removing the closure');
+        assert.strictEqual(closureDTO.passRange, '12:00-17:00', 'Expected the removed closure to be returned');
+        const slots = await getTomorrowSlots();
+        slots.forEach((slot) => assert.strictEqual(slot.status, slotStatusEnum.Available, `Expected the slot ${slot.range} to be available`));
+    });
+});
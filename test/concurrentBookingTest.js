@@ -0,0 +1,76 @@
+'use strict';
+
+const {assert} = require('chai');
+const request = require('supertest');
+const initServer = require('./base');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const DataGenerator = require('./DataGenerator');
+
+describe('Concurrent Booking Test', () => {
+    let app;
+    let controller;
+    const authCookies = [];
+    const testUsernames = ['unitTestRaceUserA', 'unitTestRaceUserB', 'unitTestRaceUserC', 'unitTestRaceUserD', 'unitTestRaceUserE'];
+    const adminUsername = 'testAdmin';
+    const roomNumber = 2;
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    before(async function() {
+        /**
+         * Registers the test users and logs them in.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            app = await initServer();
+            const retController = await Controller.createController();
+            for (const testUsername of testUsernames) {
+                await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+                const res = await request(app)
+                    .post('/user/login')
+                    .send({'username': testUsername, 'password': testUsername});
+                authCookies.push(res.headers['set-cookie']);
+            }
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the unit test users after last test in this block
+     */
+    after(async function() {
+        for (const testUsername of testUsernames) {
+            await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        }
+    });
+
+
+    it('should let exactly one of the parallel booking requests book the pass', async () => {
+        const responses = await Promise.all(authCookies.map((authCookie) => request(app)
+            .post('/booking/bookPass')
+            .set('Cookie', authCookie)
+            .send({'roomNumber': roomNumber, 'date': tomorrowDate, 'passRange': '12-17'})));
+
+        const succeeded = responses.filter((res) => res.status === 200);
+        const rejected = responses.filter((res) => res.status === 400);
+        assert.strictEqual(succeeded.length, 1, 'Expected exactly one successful booking');
+        assert.strictEqual(rejected.length, testUsernames.length - 1, 'Expected the other bookings to be rejected');
+        rejected.forEach((res) => assert.oneOf(res.body.error, ['The requested laundry pass is already booked.',
+            'The requested laundry pass is being booked by someone else.'], 'Expected rejection due to the booked pass'));
+    });
+
+    it('should let exactly one of the parallel lock requests lock the pass', async () => {
+        const responses = await Promise.all(authCookies.map((authCookie) => request(app)
+            .post('/booking/lockPass')
+            .set('Cookie', authCookie)
+            .send({'roomNumber': roomNumber, 'date': tomorrowDate, 'passRange': '17-22'})));
+
+        responses.forEach((res) => assert.strictEqual(res.status, 200, 'Expected the lock requests to be processed'));
+        const lockedResults = responses.filter((res) => res.body.success.result === true);
+        assert.strictEqual(lockedResults.length, 1, 'Expected exactly one successful lock');
+    });
+});
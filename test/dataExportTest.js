@@ -0,0 +1,96 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const DataExportCsv = require('../src/util/DataExportCsv');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Data Export Test', () => {
+    let controller;
+    const testUsername = 'unitTestExportUser';
+    const otherUsername = 'unitTestExportOther';
+    const adminUsername = 'testAdmin';
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    before(async function() {
+        controller = await Controller.createController();
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.generateTestUser(controller, adminUsername, otherUsername);
+        const bookedDTO = await controller.bookPass(testUsername, 1, tomorrowDate, '07:00-12:00');
+        assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking a pass');
+        // Booking a pass releases the locks of the user, so the lock of another pass is added directly.
+        await controller.laundryDAO._executeQuery({
+            text: `INSERT INTO pass_lock(pass_date, account_id, pass_schedule_id)
+            SELECT $1, account.id, pass_schedule.id
+            FROM account, pass_schedule INNER JOIN pass ON (pass.id = pass_schedule.pass_id)
+            WHERE account.username = $2 AND pass_schedule.room = 1 AND pass.range = $3`,
+            values: [tomorrowDate, testUsername, '12:00-17:00'],
+        });
+        await controller.laundryDAO.createPasswordReset(testUsername);
+    });
+
+    /**
+     * Deletes the unit test users after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, otherUsername);
+    });
+
+
+    it('should succeed exporting the own data', async () => {
+        const dataExportDTO = await controller.exportUserData(testUsername);
+        assert.strictEqual(dataExportDTO.statusCode, userStatusCodes.OK, 'Expected to succeed exporting the data');
+        assert.strictEqual(dataExportDTO.person.personalNumber.length, 13, 'Expected the personal number');
+        assert.strictEqual(dataExportDTO.person.email, `${testUsername}.${testUsername}@test.se`, 'Expected the email');
+        assert.strictEqual(dataExportDTO.account.username, testUsername, 'Expected the username');
+        assert.deepEqual(dataExportDTO.bookings, [{date: tomorrowDate, roomNumber: 1, passRange: '07:00-12:00'}],
+            'Expected the booking of the user');
+        assert.strictEqual(dataExportDTO.locks[0].passRange, '12:00-17:00', 'Expected the locked pass');
+        assert.strictEqual(dataExportDTO.passwordResets.length, 1, 'Expected the requested password reset');
+        assert.notProperty(dataExportDTO.account, 'password', 'Expected the password not to be exported');
+    });
+
+    it('should export the time of a cancellation as the instant it happened', async () => {
+        await controller.laundryDAO._executeQuery({
+            text: `INSERT INTO booking_cancellation(account_id, date, room, pass_range, reason)
+            SELECT id, $1, 1, '07:00-12:00', 'Unit test closure' FROM account WHERE username = $2`,
+            values: [tomorrowDate, testUsername],
+        });
+        const dataExportDTO = await controller.exportUserData(testUsername);
+        const cancelledAt = Date.parse(dataExportDTO.cancellations[0].cancelledAt);
+        assert.isBelow(Math.abs(cancelledAt - Date.now()), 60 * 1000, 'Expected the time of the cancellation to be now');
+    });
+
+    it('should fail to export the data of another user due to lack of privilege', async () => {
+        const dataExportDTO = await controller.exportUserData(otherUsername, testUsername);
+        assert.strictEqual(dataExportDTO.statusCode, userStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to export the data of a non existent user', async () => {
+        const dataExportDTO = await controller.exportUserData(adminUsername, 'unitTestMissingUser');
+        assert.strictEqual(dataExportDTO.statusCode, userStatusCodes.NonExistentUser, 'Expected to fail due to the missing user');
+    });
+
+    it('should succeed exporting the data of a user on behalf of the user', async () => {
+        const dataExportDTO = await controller.exportUserData(adminUsername, testUsername);
+        assert.strictEqual(dataExportDTO.statusCode, userStatusCodes.OK, 'Expected to succeed exporting the data');
+        assert.strictEqual(dataExportDTO.username, testUsername, 'Expected the data of the user');
+    });
+
+    it('should write every field of the export as a CSV row', async () => {
+        const dataExportDTO = await controller.exportUserData(testUsername);
+        dataExportDTO.person.lastName = 'Smith, "Jr"';
+        const lines = DataExportCsv.format(dataExportDTO).split('\r\n');
+        assert.strictEqual(lines[0], 'section,index,field,value', 'Expected the header row');
+        assert.include(lines, 'person,0,lastName,"Smith, ""Jr"""', 'Expected the value to be quoted');
+        assert.include(lines, `bookings,0,date,${tomorrowDate}`, 'Expected the booking date');
+        assert.include(lines, 'account,0,suspendedUntil,', 'Expected the missing value to be empty');
+    });
+});
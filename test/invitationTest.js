@@ -0,0 +1,134 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const Mailer = require('../src/integration/mail/Mailer');
+const invitationStatusCodes = require('../src/util/invitationStatusCodes');
+const userStatusCodes = require('../src/util/userStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Invitation Test', () => {
+    let controller;
+    let invitationID;
+    const sentMessages = [];
+    const adminUsername = 'testAdmin';
+    const invitedUsername = 'unitTestInvitedUser';
+    const residentUsername = 'unitTestInvitingUser';
+    const invitedEmail = 'invited.resident@test.se';
+
+    /**
+     * @return {string} The invitation token contained in the last sent message.
+     */
+    function lastSentToken() {
+        return sentMessages[sentMessages.length - 1].text.match(/[0-9a-f]{64}/)[0];
+    }
+
+    /**
+     * Revokes the invitations sent to the test email address.
+     */
+    async function revokeTestInvitations() {
+        const invitationInfoDTO = await controller.listInvitations(adminUsername);
+        for (const invitation of invitationInfoDTO.invitations) {
+            if (invitation.email === invitedEmail) {
+                await controller.revokeInvitation(adminUsername, invitation.invitationID);
+            }
+        }
+    }
+
+    before(async function() {
+        controller = await Controller.createController();
+        controller.mailer = new Mailer({send: async (message) => sentMessages.push(message)});
+        await DataGenerator.deleteTestUser(controller, adminUsername, invitedUsername);
+        await DataGenerator.generateTestUser(controller, adminUsername, residentUsername);
+        await revokeTestInvitations();
+    });
+
+    /**
+     * Deletes the unit test users and invitations after last test in this block
+     */
+    after(async function() {
+        await revokeTestInvitations();
+        await DataGenerator.deleteTestUser(controller, adminUsername, invitedUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, residentUsername);
+    });
+
+
+    it('should fail to invite a resident due to lack of privilege', async () => {
+        const personalNumber = await DataGenerator.randomPersonalNumber();
+        const invitationDTO = await controller.inviteResident(residentUsername, 'Invited', 'Resident', personalNumber, invitedEmail);
+        assert.strictEqual(invitationDTO.statusCode, invitationStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+        assert.isEmpty(sentMessages, 'Expected no invitation to be sent');
+    });
+
+    it('should succeed inviting a resident without revealing the token', async () => {
+        const personalNumber = await DataGenerator.randomPersonalNumber();
+        const invitationDTO = await controller.inviteResident(adminUsername, 'Invited', 'Resident', personalNumber, invitedEmail);
+        assert.strictEqual(invitationDTO.statusCode, invitationStatusCodes.OK, 'Expected to succeed inviting the resident');
+        assert.isNull(invitationDTO.token, 'Expected the token not to be returned to the administrator');
+        assert.strictEqual(sentMessages[0].to, invitedEmail, 'Expected the invitation to be sent to the resident');
+        invitationID = invitationDTO.invitationID;
+    });
+
+    it('should fail to invite a resident with an existing email', async () => {
+        const personalNumber = await DataGenerator.randomPersonalNumber();
+        const invitationDTO = await controller.inviteResident(adminUsername, 'Other', 'Resident', personalNumber, invitedEmail);
+        assert.strictEqual(invitationDTO.statusCode, invitationStatusCodes.ExistentEmail, 'Expected to fail due to the existing email');
+    });
+
+    it('should list the pending invitation', async () => {
+        const invitationInfoDTO = await controller.listInvitations(adminUsername);
+        assert.strictEqual(invitationInfoDTO.statusCode, invitationStatusCodes.OK, 'Expected to succeed listing the invitations');
+        const listedInvitation = invitationInfoDTO.invitations.find((invitation) => invitation.invitationID === invitationID);
+        assert.strictEqual(listedInvitation.email, invitedEmail, 'Expected the invitation to be listed');
+        assert.isNull(listedInvitation.token, 'Expected the token not to be listed');
+    });
+
+    it('should replace the token when resending the invitation', async () => {
+        const replacedToken = lastSentToken();
+        const invitationDTO = await controller.resendInvitation(adminUsername, invitationID);
+        assert.strictEqual(invitationDTO.statusCode, invitationStatusCodes.OK, 'Expected to succeed resending the invitation');
+        assert.strictEqual(sentMessages.length, 2, 'Expected the invitation to be sent again');
+        const userDTO = await controller.acceptInvitation(replacedToken, invitedUsername, 'invitedPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.InvalidToken, 'Expected the earlier token to stop working');
+    });
+
+    it('should fail to accept the invitation with an existing username', async () => {
+        const userDTO = await controller.acceptInvitation(lastSentToken(), residentUsername, 'invitedPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.ExistentUsername, 'Expected to fail due to the existing username');
+    });
+
+    it('should succeed accepting the invitation with the chosen username and password', async () => {
+        const userDTO = await controller.acceptInvitation(lastSentToken(), invitedUsername, 'invitedPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected to succeed accepting the invitation');
+        assert.strictEqual(userDTO.privilegeID, 2, 'Expected a resident account');
+        const loginDTO = await controller.loginUser(invitedUsername, 'invitedPassword');
+        assert.strictEqual(loginDTO.statusCode, userStatusCodes.OK, 'Expected to login with the chosen password');
+        const invitationInfoDTO = await controller.listInvitations(adminUsername);
+        const listedInvitation = invitationInfoDTO.invitations.find((invitation) => invitation.invitationID === invitationID);
+        assert.isUndefined(listedInvitation, 'Expected the accepted invitation not to be pending');
+    });
+
+    it('should fail to accept the invitation twice', async () => {
+        const userDTO = await controller.acceptInvitation(lastSentToken(), 'unitTestSecondUser', 'invitedPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.InvalidToken, 'Expected the used token to be rejected');
+    });
+
+    it('should remove the invited resident when revoking an invitation', async () => {
+        const personalNumber = await DataGenerator.randomPersonalNumber();
+        await controller.deleteUser(adminUsername, invitedUsername);
+        const invitationDTO = await controller.inviteResident(adminUsername, 'Invited', 'Resident', personalNumber, invitedEmail);
+        const revokedDTO = await controller.revokeInvitation(adminUsername, invitationDTO.invitationID);
+        assert.strictEqual(revokedDTO.statusCode, invitationStatusCodes.OK, 'Expected to succeed revoking the invitation');
+        const userDTO = await controller.acceptInvitation(lastSentToken(), invitedUsername, 'invitedPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.InvalidToken, 'Expected the revoked token to be rejected');
+        const reinvitedDTO = await controller.inviteResident(adminUsername, 'Invited', 'Resident', personalNumber, invitedEmail);
+        assert.strictEqual(reinvitedDTO.statusCode, invitationStatusCodes.OK, 'Expected the resident to be removed');
+    });
+
+    it('should fail to revoke a non existent invitation', async () => {
+        const invitationDTO = await controller.revokeInvitation(adminUsername, invitationID);
+        assert.strictEqual(invitationDTO.statusCode, invitationStatusCodes.NonExistentInvitation, 'Expected to fail due to the accepted invitation');
+    });
+});
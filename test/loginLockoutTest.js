@@ -0,0 +1,116 @@
+'use strict';
+
+const {assert} = require('chai');
+const request = require('supertest');
+const initServer = require('./base');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BuildingClock = require('../src/util/BuildingClock');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const DataGenerator = require('./DataGenerator');
+
+describe('Login Lockout Test', () => {
+    let app;
+    let controller;
+    let strictController;
+    let laterDAO;
+    const testUsername = 'unitTestLockoutUser';
+    const adminUsername = 'testAdmin';
+    const previousThreshold = process.env.LOGIN_LOCKOUT_THRESHOLD;
+
+    /**
+     * Fails to login a number of times using a wrong password.
+     * @param {Controller} loginController The controller used to login.
+     * @param {int} count The number of failed logins.
+     */
+    async function failLogins(loginController, count) {
+        for (let i = 0; i < count; i++) {
+            await loginController.loginUser(testUsername, 'wrongPassword');
+        }
+    }
+
+    before(async function() {
+        app = await initServer();
+        controller = await Controller.createController();
+        process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+        strictController = await Controller.createController();
+        // The lockout has expired.
+        laterDAO = new LaundryDAO(new BuildingClock('Europe/Stockholm', () => Date.now() + 16 * 60 * 1000));
+        process.env.LOGIN_LOCKOUT_THRESHOLD = previousThreshold;
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+    });
+
+    /**
+     * Deletes the unit test user after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should allow a few failed logins without a delay and reset them on login', async () => {
+        await failLogins(controller, 2);
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the login to succeed without a delay');
+        const lockoutInfoDTO = await controller.listLockouts(adminUsername);
+        assert.isUndefined(lockoutInfoDTO.lockouts.find((lockout) => lockout.username === testUsername),
+            'Expected the failed logins to be reset');
+    });
+
+    it('should refuse the next attempt during the delay like a wrong password, even with the right password', async () => {
+        await failLogins(controller, 3);
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.LoginFailure, 'Expected the attempt to be refused');
+        const lockoutInfoDTO = await controller.listLockouts(adminUsername);
+        const lockoutDTO = lockoutInfoDTO.lockouts.find((lockout) => lockout.username === testUsername);
+        assert.strictEqual(lockoutDTO.failedLogins, 3, 'Expected the delayed attempt not to be counted');
+        assert.isNotNull(lockoutDTO.lockedUntil, 'Expected the end of the delay');
+        await controller.clearLockout(adminUsername, testUsername);
+    });
+
+    it('should lock out the account once the threshold is reached', async () => {
+        await failLogins(strictController, 3);
+        const lockoutInfoDTO = await controller.listLockouts(adminUsername);
+        const lockoutDTO = lockoutInfoDTO.lockouts.find((lockout) => lockout.username === testUsername);
+        const lockedMinutes = (new Date(lockoutDTO.lockedUntil) - new Date(lockoutDTO.lastFailedLoginAt)) / 60000;
+        assert.strictEqual(lockedMinutes, 15, 'Expected the account to be locked out for the lockout duration');
+        const res = await request(app)
+            .post('/user/login')
+            .send({username: testUsername, password: testUsername});
+        const unknownRes = await request(app)
+            .post('/user/login')
+            .send({username: 'unitTestNonExistentUser', password: testUsername});
+        assert.strictEqual(res.status, 401, 'Expected the login to be refused');
+        assert.deepEqual(res.body, unknownRes.body, 'Expected the same answer as for a username that does not exist');
+    });
+
+    it('should start counting again with a wrong attempt after the lockout has expired', async () => {
+        const userDTO = await laterDAO.loginUser(testUsername, 'wrongPassword', null);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.LoginFailure, 'Expected the wrong password to be refused');
+        const lockoutInfoDTO = await controller.listLockouts(adminUsername);
+        const lockoutDTO = lockoutInfoDTO.lockouts.find((lockout) => lockout.username === testUsername);
+        assert.strictEqual(lockoutDTO.failedLogins, 1, 'Expected the count to start over');
+        assert.isNull(lockoutDTO.lockedUntil, 'Expected the account not to be locked out again');
+    });
+
+    it('should fail to list or clear the lockouts due to lack of privilege', async () => {
+        const lockoutInfoDTO = await controller.listLockouts(testUsername);
+        assert.strictEqual(lockoutInfoDTO.statusCode, userStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+        const lockoutDTO = await controller.clearLockout(testUsername, testUsername);
+        assert.strictEqual(lockoutDTO.statusCode, userStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should let the user login once an administrator clears the lockout', async () => {
+        const lockoutDTO = await controller.clearLockout(adminUsername, testUsername);
+        assert.strictEqual(lockoutDTO.statusCode, userStatusCodes.OK, 'Expected to succeed clearing the lockout');
+        assert.strictEqual(lockoutDTO.failedLogins, 0, 'Expected the failed logins to be cleared');
+        assert.isNull(lockoutDTO.lockedUntil, 'Expected the lockout to be lifted');
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the login to succeed');
+    });
+
+    it('should fail to clear the lockout of a user that does not exist', async () => {
+        const lockoutDTO = await controller.clearLockout(adminUsername, 'unitTestNonExistentUser');
+        assert.strictEqual(lockoutDTO.statusCode, userStatusCodes.NonExistentUser, 'Expected the user not to exist');
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const {assert} = require('chai');
+const {execFile} = require('child_process');
+const {promisify} = require('util');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const Logger = require('../src/util/Logger');
+const ConnectionPool = require('../src/integration/ConnectionPool');
+const MigrationRunner = require('../src/integration/MigrationRunner');
+
+describe('Database Migration Test', () => {
+    let connectionPool;
+
+    before(function() {
+        connectionPool = new ConnectionPool(new Logger('MigrationTest'));
+    });
+
+    /**
+     * Closes the connection pool after last test in this block
+     */
+    after(async function() {
+        await connectionPool.end();
+    });
+
+
+    it('should load the migrations in version order with their up and down files', async () => {
+        const migrationRunner = new MigrationRunner(connectionPool);
+        const migrations = await migrationRunner.loadMigrations();
+        const versions = migrations.map((migration) => migration.version);
+        assert.deepEqual(versions, [...versions].sort((first, second) => first - second), 'Expected migrations sorted by version');
+        assert.strictEqual(migrations[0].name, 'initial_schema', 'Expected the initial schema to be the first migration');
+        migrations.forEach((migration) => assert.isString(migration.down, `Expected a down file for migration ${migration.version}`));
+    });
+
+    it('should fail to load a migration that has no up file', async () => {
+        const migrationsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+        await fs.writeFile(path.join(migrationsDir, '001_orphan.down.sql'), 'SELECT 1;');
+        const migrationRunner = new MigrationRunner(connectionPool, migrationsDir);
+        let error = null;
+        try {
+            await migrationRunner.loadMigrations();
+        } catch (err) {
+            error = err;
+        }
+        await fs.rm(migrationsDir, {recursive: true});
+        assert.isNotNull(error, 'Expected failure due to the missing up file');
+    });
+
+    it('should report every migration as applied', async () => {
+        const migrationRunner = new MigrationRunner(connectionPool);
+        const migrations = await migrationRunner.status();
+        migrations.forEach((migration) => assert.isTrue(migration.applied, `Expected migration ${migration.version} to be applied`));
+    });
+
+    it('should refuse a target version or a number of steps that is not a positive integer', async () => {
+        for (const args of [['up', 'foo'], ['down', '0'], ['down', '1.5']]) {
+            let error = null;
+            try {
+                await promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'src', 'migrate.js'), ...args]);
+            } catch (err) {
+                error = err;
+            }
+            assert.isNotNull(error, `Expected "${args.join(' ')}" to be refused`);
+            assert.strictEqual(error.code, 1, 'Expected a non-zero exit code');
+            assert.include(error.stdout, 'Usage:', 'Expected the usage message');
+        }
+    });
+});
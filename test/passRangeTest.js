@@ -0,0 +1,92 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const Logger = require('../src/util/Logger');
+const ConnectionPool = require('../src/integration/ConnectionPool');
+const Validators = require('../src/util/Validators');
+const PassRange = require('../src/util/PassRange');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+const roomStatusCodes = require('../src/util/roomStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Pass Range Test', () => {
+    let controller;
+    const testUsername = 'unitTestRangeUser';
+    const adminUsername = 'testAdmin';
+    const testRoomNumber = 93;
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    /**
+     * Removes the test room together with its slots, locks and bookings.
+     */
+    async function deleteTestRoom() {
+        const connectionPool = new ConnectionPool(new Logger('PassRangeTest'));
+        await connectionPool.transaction(async (connection) => {
+            const scheduleIDs = 'SELECT id FROM pass_schedule WHERE room = $1';
+            await connection.query({text: `DELETE FROM pass_booking WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: `DELETE FROM pass_lock WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM pass_schedule WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM room WHERE number = $1', values: [testRoomNumber]});
+        });
+        await connectionPool.end();
+    }
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing, registers a test user and adds a test room.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            await deleteTestRoom();
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            await retController.addRoom(adminUsername, testRoomNumber, 'Range Room');
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the test room and the unit test user after last test in this block
+     */
+    after(async function() {
+        await deleteTestRoom();
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should accept pass ranges with minutes and in the legacy format', () => {
+        assert.doesNotThrow(() => Validators.isPassRange('07:30-10:00', 'Pass Range'));
+        assert.doesNotThrow(() => Validators.isPassRange('22:00-24:00', 'Pass Range'));
+        assert.doesNotThrow(() => Validators.isPassRange('07-12', 'Pass Range'));
+    });
+
+    it('should reject malformed pass ranges and pass ranges that end before they start', () => {
+        assert.throws(() => Validators.isPassRange('7:30-10:00', 'Pass Range'));
+        assert.throws(() => Validators.isPassRange('07:60-10:00', 'Pass Range'));
+        assert.throws(() => Validators.isPassRange('10:00-07:30', 'Pass Range'));
+    });
+
+    it('should convert legacy pass ranges to the format with minutes', () => {
+        assert.strictEqual(PassRange.normalize('07-12'), '07:00-12:00', 'Expected the legacy range to be converted');
+        assert.strictEqual(PassRange.normalize('07:30-10:00'), '07:30-10:00', 'Expected the range to be kept');
+        assert.strictEqual(PassRange.startMinutes('07:30-10:00'), 450, 'Expected the start time in minutes');
+        assert.strictEqual(PassRange.endMinutes('07-12'), 720, 'Expected the end time in minutes');
+    });
+
+    it('should succeed booking a slot that starts and ends between whole hours', async () => {
+        const roomDTO = await controller.setRoomSlots(adminUsername, testRoomNumber, ['07:30-10:00', '10:00-12:45']);
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.OK, 'Expected to succeed setting the slots');
+        const bookingDTO = await controller.bookPass(testUsername, testRoomNumber, tomorrowDate, '07:30-10:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking the pass');
+        const bookedPassInfo = await controller.getBookedPass(testUsername);
+        assert.strictEqual(bookedPassInfo.passRange, '07:30-10:00', 'Expected the booked pass range to keep its minutes');
+    });
+});
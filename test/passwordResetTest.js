@@ -0,0 +1,114 @@
+'use strict';
+
+const {assert} = require('chai');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const Mailer = require('../src/integration/mail/Mailer');
+const FileOutboxTransport = require('../src/integration/mail/FileOutboxTransport');
+const BuildingClock = require('../src/util/BuildingClock');
+const userStatusCodes = require('../src/util/userStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Password Reset Test', () => {
+    let controller;
+    let outboxDir;
+    const sentMessages = [];
+    const testUsername = 'unitTestResetUser';
+    const adminUsername = 'testAdmin';
+    const newPassword = 'newResetPassword';
+
+    /**
+     * @return {string} The reset token contained in the last sent message.
+     */
+    function lastSentToken() {
+        return sentMessages[sentMessages.length - 1].text.match(/[0-9a-f]{64}/)[0];
+    }
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller that keeps the sent messages and registers a test user.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            const retController = await Controller.createController();
+            retController.mailer = new Mailer({send: async (message) => sentMessages.push(message)});
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            return retController;
+        }
+        outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the unit test user and the outbox directory after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await fs.rm(outboxDir, {recursive: true, force: true});
+    });
+
+
+    it('should not send a message to an unknown user', async () => {
+        const result = await controller.requestPasswordReset('unknownResetUser');
+        assert.isFalse(result, 'Expected no message for an unknown user');
+        assert.isEmpty(sentMessages, 'Expected no message to be sent');
+    });
+
+    it('should send a reset token to the email address of the user', async () => {
+        const result = await controller.requestPasswordReset(`${testUsername}.${testUsername}@test.se`);
+        assert.isTrue(result, 'Expected the message to be sent');
+        assert.strictEqual(sentMessages[0].to, `${testUsername}.${testUsername}@test.se`, 'Expected the email of the user');
+        assert.match(sentMessages[0].text, /[0-9a-f]{64}/, 'Expected the message to contain the token');
+    });
+
+    it('should fail to reset the password with a replaced token', async () => {
+        const replacedToken = lastSentToken();
+        await controller.requestPasswordReset(testUsername);
+        const userDTO = await controller.resetPassword(replacedToken, newPassword);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.InvalidToken, 'Expected the earlier token to stop working');
+    });
+
+    it('should succeed resetting the password and invalidate the earlier sessions', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        const earlierSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(earlierSessionDTO.statusCode, userStatusCodes.OK, 'Expected the session to be valid before the reset');
+        const userDTO = await controller.resetPassword(lastSentToken(), newPassword);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected to succeed resetting the password');
+        assert.strictEqual(userDTO.username, testUsername, 'Expected the password of the test user to be reset');
+        const loginDTO = await controller.loginUser(testUsername, newPassword);
+        assert.strictEqual(loginDTO.statusCode, userStatusCodes.OK, 'Expected to login with the new password');
+        const revokedSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(revokedSessionDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the earlier session to be invalid');
+        const newSessionDTO = await controller.createSession(testUsername);
+        assert.strictEqual((await controller.getSession(newSessionDTO.sessionID)).statusCode, userStatusCodes.OK,
+            'Expected a new session to be valid');
+    });
+
+    it('should fail to use a token twice', async () => {
+        const userDTO = await controller.resetPassword(lastSentToken(), 'anotherPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.InvalidToken, 'Expected the used token to be rejected');
+    });
+
+    it('should fail to use an expired token', async () => {
+        const laundryDAO = new LaundryDAO(new BuildingClock(BuildingClock.TIMEZONE, () => Date.now() - 2 * 24 * 60 * 60 * 1000));
+        const passwordResetDTO = await laundryDAO.createPasswordReset(testUsername);
+        const userDTO = await controller.resetPassword(passwordResetDTO.token, 'anotherPassword');
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.InvalidToken, 'Expected the expired token to be rejected');
+    });
+
+    it('should write the messages to the outbox directory', async () => {
+        const mailer = new Mailer(new FileOutboxTransport(outboxDir));
+        await mailer.sendPasswordReset(await controller.laundryDAO.createPasswordReset(testUsername));
+        const files = await fs.readdir(outboxDir);
+        assert.strictEqual(files.length, 1, 'Expected one message in the outbox');
+        const message = JSON.parse(await fs.readFile(path.join(outboxDir, files[0])));
+        assert.strictEqual(message.to, `${testUsername}.${testUsername}@test.se`, 'Expected the email of the user');
+    });
+});
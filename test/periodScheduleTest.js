@@ -0,0 +1,87 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const scheduleStatusCodes = require('../src/util/scheduleStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Period Schedule Test', () => {
+    let controller;
+    const testUsername = 'unitTestPeriodUser';
+    const adminUsername = 'testAdmin';
+    const today = new BuildingClock().today();
+    const todayDate = today.format('YYYY-MM-DD');
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing and registers a test user.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the unit test user after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should succeed retrieving a month of the schedule as an administrator', async () => {
+        const toDate = today.add(30, 'day').format('YYYY-MM-DD');
+        const periodScheduleDTO = await controller.getSchedule(adminUsername, todayDate, toDate);
+        assert.strictEqual(periodScheduleDTO.statusCode, scheduleStatusCodes.OK, 'Expected to succeed retrieving the month');
+        assert.strictEqual(periodScheduleDTO.dates.length, 31, 'Expected a date for each day of the period');
+        assert.strictEqual(periodScheduleDTO.dates[30], toDate, 'Expected the period to end on the last date');
+        periodScheduleDTO.roomPasses.forEach((room) => assert.strictEqual(room.passes.length, 31, 'Expected the passes of each day'));
+    });
+
+    it('should fail to retrieve a period that is longer than 31 days', async () => {
+        const toDate = today.add(31, 'day').format('YYYY-MM-DD');
+        const periodScheduleDTO = await controller.getSchedule(adminUsername, todayDate, toDate);
+        assert.strictEqual(periodScheduleDTO.statusCode, scheduleStatusCodes.InvalidPeriod, 'Expected to fail due to the long period');
+    });
+
+    it('should only include the requested rooms', async () => {
+        const periodScheduleDTO = await controller.getSchedule(adminUsername, todayDate, todayDate, ['1']);
+        assert.strictEqual(periodScheduleDTO.statusCode, scheduleStatusCodes.OK, 'Expected to succeed retrieving the room');
+        assert.strictEqual(periodScheduleDTO.roomCount, 1, 'Expected only the requested room');
+        assert.strictEqual(periodScheduleDTO.roomPasses[0].roomNum, 1, 'Expected the requested room');
+    });
+
+    it('should succeed retrieving a day view as a resident without the usernames', async () => {
+        const periodScheduleDTO = await controller.getSchedule(testUsername, todayDate, todayDate);
+        assert.strictEqual(periodScheduleDTO.statusCode, scheduleStatusCodes.OK, 'Expected to succeed retrieving the day');
+        assert.deepEqual(periodScheduleDTO.dates, [todayDate], 'Expected only the requested day');
+        periodScheduleDTO.roomPasses.forEach((room) => room.passes[0].slots.forEach((slot) => {
+            assert.notProperty(slot, 'username', 'Expected the usernames to be hidden from residents');
+        }));
+    });
+
+    it('should fail to let a resident retrieve days beyond the next week', async () => {
+        const fromDate = today.add(21, 'day').format('YYYY-MM-DD');
+        const periodScheduleDTO = await controller.getSchedule(testUsername, fromDate, fromDate);
+        assert.strictEqual(periodScheduleDTO.statusCode, scheduleStatusCodes.InvalidPeriod, 'Expected to fail due to the period outside of the allowed weeks');
+    });
+
+    it('should reject a period that ends before it starts', async () => {
+        let error = null;
+        try {
+            await controller.getSchedule(adminUsername, todayDate, today.subtract(1, 'day').format('YYYY-MM-DD'));
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the reversed period');
+    });
+});
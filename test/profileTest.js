@@ -0,0 +1,90 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const userStatusCodes = require('../src/util/userStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Profile Test', () => {
+    let controller;
+    const testUsername = 'unitTestProfileUser';
+    const otherUsername = 'unitTestProfileOther';
+    const adminUsername = 'testAdmin';
+    const newPassword = 'newProfilePassword';
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing and registers the test users.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            await DataGenerator.generateTestUser(retController, adminUsername, otherUsername);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the unit test users after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, otherUsername);
+    });
+
+
+    it('should succeed retrieving the own profile', async () => {
+        const profileDTO = await controller.getProfile(testUsername);
+        assert.strictEqual(profileDTO.statusCode, userStatusCodes.OK, 'Expected to succeed retrieving the profile');
+        assert.strictEqual(profileDTO.firstName, testUsername, 'Expected the first name of the user');
+        assert.strictEqual(profileDTO.email, `${testUsername}.${testUsername}@test.se`, 'Expected the email of the user');
+    });
+
+    it('should fail to change the password with a wrong current password', async () => {
+        const userDTO = await controller.changePassword(testUsername, 'wrongPassword', newPassword);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.WrongPassword, 'Expected to fail due to the wrong password');
+        const loginDTO = await controller.loginUser(testUsername, newPassword);
+        assert.strictEqual(loginDTO.statusCode, userStatusCodes.LoginFailure, 'Expected the password to be unchanged');
+    });
+
+    it('should succeed changing the password', async () => {
+        const userDTO = await controller.changePassword(testUsername, testUsername, newPassword);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected to succeed changing the password');
+        const oldLoginDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(oldLoginDTO.statusCode, userStatusCodes.LoginFailure, 'Expected the old password to be rejected');
+        const newLoginDTO = await controller.loginUser(testUsername, newPassword);
+        assert.strictEqual(newLoginDTO.statusCode, userStatusCodes.OK, 'Expected to login with the new password');
+    });
+
+    it('should fail to update the email to one used by another user', async () => {
+        const profileDTO = await controller.updateProfile(testUsername, `${otherUsername}.${otherUsername}@test.se`);
+        assert.strictEqual(profileDTO.statusCode, userStatusCodes.ExistentEmail, 'Expected to fail due to the existing email');
+    });
+
+    it('should succeed updating the email', async () => {
+        const profileDTO = await controller.updateProfile(testUsername, 'profile.updated@test.se');
+        assert.strictEqual(profileDTO.statusCode, userStatusCodes.OK, 'Expected to succeed updating the profile');
+        assert.strictEqual(profileDTO.email, 'profile.updated@test.se', 'Expected the new email');
+    });
+
+    it('should succeed keeping the own email', async () => {
+        const profileDTO = await controller.updateProfile(testUsername, 'profile.updated@test.se');
+        assert.strictEqual(profileDTO.statusCode, userStatusCodes.OK, 'Expected the own email not to count as taken');
+    });
+
+    it('should reject a malformed email', async () => {
+        let error = null;
+        try {
+            await controller.updateProfile(testUsername, 'not-an-email');
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the malformed email');
+    });
+});
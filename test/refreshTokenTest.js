@@ -0,0 +1,105 @@
+'use strict';
+
+const {assert} = require('chai');
+const request = require('supertest');
+const initServer = require('./base');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BuildingClock = require('../src/util/BuildingClock');
+const Authorization = require('../src/view/api/auth/Authorization');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const DataGenerator = require('./DataGenerator');
+
+describe('Refresh Token Test', () => {
+    let app;
+    let controller;
+    let laterDAO;
+    const testUsername = 'unitTestRefreshUser';
+    const adminUsername = 'testAdmin';
+
+    /**
+     * Finds a cookie among the cookies set by a response.
+     * @param {Response} res The response that sets the cookies.
+     * @param {string} name The name of the cookie.
+     * @return {string | undefined} The Set-Cookie header of the cookie.
+     */
+    function findCookie(res, name) {
+        return res.headers['set-cookie'].find((cookie) => cookie.startsWith(`${name}=`));
+    }
+
+    before(async function() {
+        app = await initServer();
+        controller = await Controller.createController();
+        // The grace period for presenting a used refresh token again has passed.
+        laterDAO = new LaundryDAO(new BuildingClock('Europe/Stockholm', () => Date.now() + 60 * 1000));
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+    });
+
+    /**
+     * Deletes the unit test user after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should issue a refresh token when a session is created', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        assert.strictEqual(sessionDTO.refreshToken.length, 64, 'Expected a refresh token');
+    });
+
+    it('should rotate the refresh token and keep the session', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        const refreshedDTO = await controller.refreshSession(sessionDTO.refreshToken);
+        assert.strictEqual(refreshedDTO.statusCode, userStatusCodes.OK, 'Expected to succeed refreshing the session');
+        assert.strictEqual(refreshedDTO.sessionID, sessionDTO.sessionID, 'Expected the same session');
+        assert.strictEqual(refreshedDTO.username, testUsername, 'Expected the session of the test user');
+        assert.notStrictEqual(refreshedDTO.refreshToken, sessionDTO.refreshToken, 'Expected a new refresh token');
+        const againDTO = await controller.refreshSession(refreshedDTO.refreshToken);
+        assert.strictEqual(againDTO.statusCode, userStatusCodes.OK, 'Expected the new refresh token to be accepted');
+    });
+
+    it('should accept a refresh token used within the grace period, as concurrent refreshes do', async () => {
+        const loginRes = await request(app)
+            .post('/user/login')
+            .send({username: testUsername, password: testUsername});
+        const refreshCookie = findCookie(loginRes, 'laundryRefresh').split(';')[0];
+        const responses = await Promise.all([0, 1].map(() => request(app).post('/user/refresh').set('Cookie', refreshCookie)));
+        responses.forEach((res) => assert.strictEqual(res.status, 200, 'Expected both refreshes to succeed'));
+        const nextRes = await request(app)
+            .post('/user/refresh')
+            .set('Cookie', findCookie(responses[1], 'laundryRefresh').split(';')[0]);
+        assert.strictEqual(nextRes.status, 200, 'Expected the session to be kept');
+    });
+
+    it('should only send the refresh cookie to the refresh endpoint and expire the auth cookie with the token', async () => {
+        const res = await request(app)
+            .post('/user/login')
+            .send({username: testUsername, password: testUsername});
+        assert.include(findCookie(res, 'laundryRefresh'), 'Path=/user/refresh', 'Expected the refresh cookie to be scoped');
+        assert.include(findCookie(res, 'laundryAuth'), `Max-Age=${Authorization.ACCESS_TOKEN_AGE / 1000}`, 'Expected the auth cookie to expire with the access token');
+    });
+
+    it('should revoke the whole session when a used refresh token is reused', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        const refreshedDTO = await controller.refreshSession(sessionDTO.refreshToken);
+        const reusedDTO = await laterDAO.refreshSession(sessionDTO.refreshToken);
+        assert.strictEqual(reusedDTO.statusCode, userStatusCodes.ReusedToken, 'Expected the reuse to be detected');
+        const revokedDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(revokedDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the session to be revoked');
+        const latestDTO = await controller.refreshSession(refreshedDTO.refreshToken);
+        assert.strictEqual(latestDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the latest refresh token to be rejected');
+    });
+
+    it('should fail to refresh a revoked session', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        await controller.revokeSession(sessionDTO.sessionID);
+        const refreshedDTO = await controller.refreshSession(sessionDTO.refreshToken);
+        assert.strictEqual(refreshedDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the revoked session to be rejected');
+    });
+
+    it('should fail to refresh with an unknown refresh token', async () => {
+        const refreshedDTO = await controller.refreshSession('0'.repeat(64));
+        assert.strictEqual(refreshedDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the unknown token to be rejected');
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const Logger = require('../src/util/Logger');
+const ConnectionPool = require('../src/integration/ConnectionPool');
+const roomStatusCodes = require('../src/util/roomStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Room Management Test', () => {
+    let controller;
+    const testUsername = 'unitTestRoomUser';
+    const adminUsername = 'testAdmin';
+    const testRoomNumber = 90;
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    /**
+     * Removes the test room together with its slots, locks and bookings.
+     */
+    async function deleteTestRoom() {
+        const connectionPool = new ConnectionPool(new Logger('RoomManagementTest'));
+        await connectionPool.transaction(async (connection) => {
+            const scheduleIDs = 'SELECT id FROM pass_schedule WHERE room = $1';
+            await connection.query({text: `DELETE FROM pass_booking WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: `DELETE FROM pass_lock WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM pass_schedule WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM room WHERE number = $1', values: [testRoomNumber]});
+        });
+        await connectionPool.end();
+    }
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing and registers a test user.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            await deleteTestRoom();
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the test room and the unit test user after last test in this block
+     */
+    after(async function() {
+        await deleteTestRoom();
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should fail to add a room due to lack of privilege', async () => {
+        const roomDTO = await controller.addRoom(testUsername, testRoomNumber, 'Test Room');
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should succeed adding a room as an administrator', async () => {
+        const roomDTO = await controller.addRoom(adminUsername, testRoomNumber, 'Test Room');
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.OK, 'Expected to succeed adding the room');
+        assert.isEmpty(roomDTO.passRanges, 'Expected the new room to have no slots');
+    });
+
+    it('should fail to add a room with an existing room number', async () => {
+        const roomDTO = await controller.addRoom(adminUsername, testRoomNumber, 'Another Room');
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.ExistentRoom, 'Expected to fail due to the existing room');
+    });
+
+    it('should succeed renaming the room', async () => {
+        const roomDTO = await controller.renameRoom(adminUsername, testRoomNumber, 'Renamed Room');
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.OK, 'Expected to succeed renaming the room');
+        assert.strictEqual(roomDTO.name, 'Renamed Room', 'Expected the room to have the new name');
+    });
+
+    it('should succeed setting the slots of the room', async () => {
+        const roomDTO = await controller.setRoomSlots(adminUsername, testRoomNumber, ['12:00-17:00', '07-12', '12-17']);
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.OK, 'Expected to succeed setting the slots');
+        assert.deepEqual(roomDTO.passRanges, ['07:00-12:00', '12:00-17:00'], 'Expected the room to have the given slots');
+        const roomInfoDTO = await controller.listRooms(adminUsername);
+        const listedRoom = roomInfoDTO.rooms.find((room) => room.roomNumber === testRoomNumber);
+        assert.deepEqual(listedRoom.passRanges, ['07:00-12:00', '12:00-17:00'], 'Expected the listed room to have the given slots');
+    });
+
+    it('should fail to remove a slot that has an upcoming booking', async () => {
+        await controller.bookPass(testUsername, testRoomNumber, tomorrowDate, '12:00-17:00');
+        const roomDTO = await controller.setRoomSlots(adminUsername, testRoomNumber, ['07:00-12:00']);
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.UpcomingBookings, 'Expected to fail due to the upcoming booking');
+        assert.strictEqual(roomDTO.upcomingBookings.length, 1, 'Expected the upcoming booking to be listed');
+        assert.strictEqual(roomDTO.upcomingBookings[0].username, testUsername, 'Expected the booking of the test user');
+    });
+
+    it('should fail to retire a room that has an upcoming booking', async () => {
+        const roomDTO = await controller.retireRoom(adminUsername, testRoomNumber);
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.UpcomingBookings, 'Expected to fail due to the upcoming booking');
+    });
+
+    it('should succeed retiring the room once the booking is cancelled', async () => {
+        await controller.cancelBookedPass(testUsername, testRoomNumber, tomorrowDate, '12:00-17:00');
+        const roomDTO = await controller.retireRoom(adminUsername, testRoomNumber);
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.OK, 'Expected to succeed retiring the room');
+        assert.isTrue(roomDTO.retired, 'Expected the room to be retired');
+    });
+
+    it('should fail to set the slots of a retired room', async () => {
+        const roomDTO = await controller.setRoomSlots(adminUsername, testRoomNumber, ['07:00-12:00']);
+        assert.strictEqual(roomDTO.statusCode, roomStatusCodes.RetiredRoom, 'Expected to fail due to the retired room');
+    });
+
+    it('should not offer the slots of a retired room', async () => {
+        const lockResult = await controller.lockPass(testUsername, testRoomNumber, tomorrowDate, '07:00-12:00');
+        assert.isFalse(lockResult, 'Expected to fail locking a slot of the retired room');
+    });
+});
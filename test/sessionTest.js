@@ -0,0 +1,113 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const privilegeEnum = require('../src/util/privilegeEnum');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Session Test', () => {
+    let controller;
+    const testUsername = 'unitTestSessionUser';
+    const otherUsername = 'unitTestSessionOther';
+    const adminUsername = 'testAdmin';
+    const newPassword = 'unitTestNewPassword';
+
+    /**
+     * Tells whether a session is still accepted.
+     * @param {SessionDTO} sessionDTO The session to look up.
+     * @return {boolean} true if the session is accepted.
+     */
+    async function isAccepted(sessionDTO) {
+        const currentSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        return currentSessionDTO.statusCode === userStatusCodes.OK;
+    }
+
+    before(async function() {
+        controller = await Controller.createController();
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.generateTestUser(controller, adminUsername, otherUsername);
+    });
+
+    /**
+     * Deletes the unit test users after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, otherUsername);
+    });
+
+
+    it('should succeed creating and looking up a session', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        assert.strictEqual(sessionDTO.statusCode, userStatusCodes.OK, 'Expected to succeed creating a session');
+        const currentSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(currentSessionDTO.statusCode, userStatusCodes.OK, 'Expected the session to be accepted');
+        assert.strictEqual(currentSessionDTO.username, testUsername, 'Expected the session of the test user');
+        assert.strictEqual(currentSessionDTO.privilegeID, privilegeEnum.Standard, 'Expected the privilege of the test user');
+    });
+
+    it('should fail to look up a session that does not exist', async () => {
+        const sessionDTO = await controller.getSession('4f1c1e0a-3b5d-4c8e-9a7f-2d6b8e0c1a3f');
+        assert.strictEqual(sessionDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the unknown session to be rejected');
+    });
+
+    it('should fail to look up a malformed session id', async () => {
+        let error = null;
+        try {
+            await controller.getSession('notASessionID');
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the malformed session id');
+    });
+
+    it('should revoke a single session and keep the others', async () => {
+        const loggedOutDTO = await controller.createSession(testUsername);
+        const keptDTO = await controller.createSession(testUsername);
+        assert.isTrue(await controller.revokeSession(loggedOutDTO.sessionID), 'Expected to succeed revoking the session');
+        assert.isFalse(await isAccepted(loggedOutDTO), 'Expected the revoked session to be rejected');
+        assert.isTrue(await isAccepted(keptDTO), 'Expected the other session to be kept');
+        assert.isFalse(await controller.revokeSession(loggedOutDTO.sessionID), 'Expected the session to be revoked already');
+    });
+
+    it('should revoke every session of the own account', async () => {
+        const firstDTO = await controller.createSession(testUsername);
+        const secondDTO = await controller.createSession(testUsername);
+        assert.isTrue(await controller.revokeSessions(testUsername, testUsername), 'Expected to succeed logging out everywhere');
+        assert.isFalse(await isAccepted(firstDTO), 'Expected the first session to be rejected');
+        assert.isFalse(await isAccepted(secondDTO), 'Expected the second session to be rejected');
+    });
+
+    it('should fail to revoke the sessions of another user due to lack of privilege', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        assert.isFalse(await controller.revokeSessions(otherUsername, testUsername), 'Expected to fail due to lack of privilege');
+        assert.isTrue(await isAccepted(sessionDTO), 'Expected the session to be kept');
+    });
+
+    it('should succeed revoking the sessions of a user on behalf of the user', async () => {
+        const sessionDTO = await controller.createSession(testUsername);
+        const otherSessionDTO = await controller.createSession(otherUsername);
+        assert.isTrue(await controller.revokeSessions(adminUsername, testUsername), 'Expected to succeed revoking the sessions');
+        assert.isFalse(await isAccepted(sessionDTO), 'Expected the session of the user to be rejected');
+        assert.isTrue(await isAccepted(otherSessionDTO), 'Expected the sessions of other users to be kept');
+    });
+
+    it('should keep the current session and revoke the others when changing the password', async () => {
+        const currentDTO = await controller.createSession(testUsername);
+        const otherDTO = await controller.createSession(testUsername);
+        const userDTO = await controller.changePassword(testUsername, testUsername, newPassword, currentDTO.sessionID);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected to succeed changing the password');
+        assert.isTrue(await isAccepted(currentDTO), 'Expected the current session to be kept');
+        assert.isFalse(await isAccepted(otherDTO), 'Expected the other session to be rejected');
+    });
+
+    it('should reject the sessions of a deleted user', async () => {
+        const sessionDTO = await controller.createSession(otherUsername);
+        assert.isTrue(await controller.deleteUser(adminUsername, otherUsername), 'Expected success in deleting the user');
+        const deletedSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(deletedSessionDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the session to be rejected');
+    });
+});
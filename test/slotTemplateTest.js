@@ -0,0 +1,141 @@
+'use strict';
+
+const {assert} = require('chai');
+const dayjs = require('dayjs');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const Logger = require('../src/util/Logger');
+const ConnectionPool = require('../src/integration/ConnectionPool');
+const templateStatusCodes = require('../src/util/templateStatusCodes');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Slot Template Test', () => {
+    let controller;
+    let seasonalTemplateID;
+    const testUsername = 'unitTestTemplateUser';
+    const adminUsername = 'testAdmin';
+    const testRoomNumber = 91;
+    const roomSlots = ['07:00-12:00', '12:00-17:00', '17:00-22:00'];
+    const clock = new BuildingClock();
+    const tomorrow = clock.calendarDate(clock.todayDate()).add(1, 'day');
+    const tomorrowDate = tomorrow.format('YYYY-MM-DD');
+    const tomorrowWeekday = tomorrow.day() === 0 ? 7 : tomorrow.day();
+
+    /**
+     * Removes the test room together with its templates, slots, locks and bookings.
+     */
+    async function deleteTestRoom() {
+        const connectionPool = new ConnectionPool(new Logger('SlotTemplateTest'));
+        await connectionPool.transaction(async (connection) => {
+            const scheduleIDs = 'SELECT id FROM pass_schedule WHERE room = $1';
+            await connection.query({text: 'DELETE FROM slot_template WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: `DELETE FROM pass_booking WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: `DELETE FROM pass_lock WHERE pass_schedule_id IN (${scheduleIDs})`, values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM pass_schedule WHERE room = $1', values: [testRoomNumber]});
+            await connection.query({text: 'DELETE FROM room WHERE number = $1', values: [testRoomNumber]});
+        });
+        await connectionPool.end();
+    }
+
+    /**
+     * Collects the offered slots of the test room for every date of the current and the next week.
+     * @return {Map<string, [string]>} The pass ranges of the test room by date.
+     */
+    async function getRoomSlotsByDate() {
+        const slotsByDate = new Map();
+        for (const week of [0, 1]) {
+            const passScheduleDTO = await controller.getPasses(adminUsername, week);
+            const roomPasses = passScheduleDTO.roomPasses.find((room) => room.roomNum === testRoomNumber);
+            roomPasses.passes.forEach((pass) => slotsByDate.set(pass.date, pass.slots.map((slot) => slot.range)));
+        }
+        return slotsByDate;
+    }
+
+    before(async function() {
+        /**
+         * Creates an instance of the controller needed for testing, registers a test user and adds a test room.
+         * @return {Controller} retController The newly instantiated controller.
+         */
+        async function prepareTest() {
+            await deleteTestRoom();
+            const retController = await Controller.createController();
+            await DataGenerator.generateTestUser(retController, adminUsername, testUsername);
+            await retController.addRoom(adminUsername, testRoomNumber, 'Template Room');
+            await retController.setRoomSlots(adminUsername, testRoomNumber, roomSlots);
+            return retController;
+        }
+        return prepareTest().then((retController) => {
+            controller = retController;
+        });
+    });
+
+    /**
+     * Deletes the test room and the unit test user after last test in this block
+     */
+    after(async function() {
+        await deleteTestRoom();
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should fail to add a slot template due to lack of privilege', async () => {
+        const slotTemplateDTO = await controller.addSlotTemplate(testUsername, testRoomNumber, [tomorrowWeekday], null, null, ['07:00-12:00']);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to add a slot template with a slot that the room does not have', async () => {
+        const slotTemplateDTO = await controller.addSlotTemplate(adminUsername, testRoomNumber, [tomorrowWeekday], null, null, ['09:00-15:00']);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.NonExistentSlot, 'Expected to fail due to the unknown slot');
+    });
+
+    it('should succeed adding a weekday slot template', async () => {
+        const slotTemplateDTO = await controller.addSlotTemplate(adminUsername, testRoomNumber, [tomorrowWeekday], null, null, ['07:00-12:00']);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.OK, 'Expected to succeed adding the template');
+        const slotsByDate = await getRoomSlotsByDate();
+        slotsByDate.forEach((passRanges, date) => {
+            const weekday = dayjs(date).day() === 0 ? 7 : dayjs(date).day();
+            const expectedRanges = weekday === tomorrowWeekday ? ['07:00-12:00'] : roomSlots;
+            assert.deepEqual(passRanges, expectedRanges, `Expected the slots of ${date} to follow the weekday template`);
+        });
+    });
+
+    it('should fail to add a slot template that overlaps an equally specific template', async () => {
+        const slotTemplateDTO = await controller.addSlotTemplate(adminUsername, testRoomNumber, [tomorrowWeekday], null, null, ['12:00-17:00']);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.OverlappingTemplate, 'Expected to fail due to the overlapping template');
+    });
+
+    it('should fail to book a slot that is not offered on the date', async () => {
+        const lockResult = await controller.lockPass(testUsername, testRoomNumber, tomorrowDate, '17:00-22:00');
+        assert.isFalse(lockResult, 'Expected to fail locking the slot that is not offered');
+        const bookingDTO = await controller.bookPass(testUsername, testRoomNumber, tomorrowDate, '17:00-22:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.InvalidPassInfo, 'Expected to fail booking the slot that is not offered');
+    });
+
+    it('should let a seasonal slot template take precedence over the weekday template', async () => {
+        const slotTemplateDTO = await controller.addSlotTemplate(adminUsername, testRoomNumber, [], tomorrowDate, tomorrowDate, ['12:00-17:00', '17:00-22:00']);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.OK, 'Expected to succeed adding the seasonal template');
+        seasonalTemplateID = slotTemplateDTO.templateID;
+        const slotsByDate = await getRoomSlotsByDate();
+        assert.deepEqual(slotsByDate.get(tomorrowDate), ['12:00-17:00', '17:00-22:00'], 'Expected the seasonal template to be used');
+        const bookingDTO = await controller.bookPass(testUsername, testRoomNumber, tomorrowDate, '17:00-22:00');
+        assert.strictEqual(bookingDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking the seasonal slot');
+    });
+
+    it('should fail to remove a slot template that leaves a booking without a slot', async () => {
+        const slotTemplateDTO = await controller.removeSlotTemplate(adminUsername, seasonalTemplateID);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.UpcomingBookings, 'Expected to fail due to the upcoming booking');
+        assert.strictEqual(slotTemplateDTO.upcomingBookings[0].passRange, '17:00-22:00', 'Expected the displaced booking to be listed');
+    });
+
+    it('should succeed removing the slot template once the booking is cancelled', async () => {
+        await controller.cancelBookedPass(testUsername, testRoomNumber, tomorrowDate, '17:00-22:00');
+        const slotTemplateDTO = await controller.removeSlotTemplate(adminUsername, seasonalTemplateID);
+        assert.strictEqual(slotTemplateDTO.statusCode, templateStatusCodes.OK, 'Expected to succeed removing the template');
+        const slotTemplateInfoDTO = await controller.listSlotTemplates(adminUsername);
+        const roomTemplates = slotTemplateInfoDTO.templates.filter((template) => template.roomNumber === testRoomNumber);
+        assert.strictEqual(roomTemplates.length, 1, 'Expected only the weekday template to remain');
+    });
+});
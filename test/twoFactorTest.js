@@ -0,0 +1,157 @@
+'use strict';
+
+const {assert} = require('chai');
+const request = require('supertest');
+const initServer = require('./base');
+const Controller = require('../src/controller/Controller');
+const Totp = require('../src/util/Totp');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const twoFactorStatusCodes = require('../src/util/twoFactorStatusCodes');
+const privilegeEnum = require('../src/util/privilegeEnum');
+const DataGenerator = require('./DataGenerator');
+
+describe('Two-Factor Authentication Test', () => {
+    let app;
+    let controller;
+    let secret;
+    let recoveryCodes;
+    const testUsername = 'unitTestTwoFactorUser';
+    const adminUsername = 'testAdmin';
+
+    /**
+     * Generates the code that the authenticator app shows a number of time steps from now.
+     * @param {int} offset The number of time steps from the current one.
+     * @return {string} The code of the time step.
+     */
+    function codeAt(offset) {
+        return Totp.generateCode(secret, Totp.timeStep(new Date()) + offset);
+    }
+
+    before(async function() {
+        app = await initServer();
+        controller = await Controller.createController();
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+    });
+
+    /**
+     * Deletes the unit test user, together with its recovery codes, after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+    });
+
+
+    it('should generate the codes of the RFC 6238 test vectors', () => {
+        const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+        assert.strictEqual(Totp.generateCode(rfcSecret, Totp.timeStep(new Date(59 * 1000))), '287082');
+        assert.strictEqual(Totp.generateCode(rfcSecret, Totp.timeStep(new Date(1111111109 * 1000))), '081804');
+        assert.strictEqual(Totp.generateCode(rfcSecret, Totp.timeStep(new Date(2000000000 * 1000))), '279037');
+    });
+
+    it('should start the enrolment without asking for a code before it is confirmed', async () => {
+        const twoFactorDTO = await controller.enrolTwoFactor(testUsername);
+        assert.strictEqual(twoFactorDTO.statusCode, twoFactorStatusCodes.OK, 'Expected to succeed starting the enrolment');
+        assert.strictEqual(twoFactorDTO.secret.length, 32, 'Expected a secret of 160 bits');
+        assert.include(twoFactorDTO.otpauthURI, `otpauth://totp/Laundry%20Booking%3A${testUsername}?secret=${twoFactorDTO.secret}`,
+            'Expected the otpauth URI of the secret');
+        secret = twoFactorDTO.secret;
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the login not to ask for a code yet');
+    });
+
+    it('should fail to confirm the enrolment with a wrong code', async () => {
+        const wrongCode = codeAt(0) === '000000' ? '111111' : '000000';
+        const twoFactorDTO = await controller.confirmTwoFactor(testUsername, wrongCode);
+        assert.strictEqual(twoFactorDTO.statusCode, twoFactorStatusCodes.InvalidCode, 'Expected the wrong code to be refused');
+    });
+
+    it('should succeed confirming the enrolment and return the recovery codes once', async () => {
+        const twoFactorDTO = await controller.confirmTwoFactor(testUsername, codeAt(0));
+        assert.strictEqual(twoFactorDTO.statusCode, twoFactorStatusCodes.OK, 'Expected to succeed confirming the enrolment');
+        assert.lengthOf(twoFactorDTO.recoveryCodes, 10, 'Expected the recovery codes');
+        assert.isNull(twoFactorDTO.secret, 'Expected the secret not to be returned again');
+        recoveryCodes = twoFactorDTO.recoveryCodes;
+        const againDTO = await controller.enrolTwoFactor(testUsername);
+        assert.strictEqual(againDTO.statusCode, twoFactorStatusCodes.AlreadyEnabled, 'Expected the enrolment to be refused');
+    });
+
+    it('should ask for a code and refuse a wrong one when logging in', async () => {
+        const missingDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(missingDTO.statusCode, userStatusCodes.TwoFactorRequired, 'Expected the login to ask for a code');
+        const wrongDTO = await controller.loginUser(testUsername, testUsername, 'ffff-ffff-ffff-ffff');
+        assert.strictEqual(wrongDTO.statusCode, userStatusCodes.InvalidTwoFactorCode, 'Expected the wrong code to be refused');
+        const wrongPasswordDTO = await controller.loginUser(testUsername, 'wrongPassword', codeAt(1));
+        assert.strictEqual(wrongPasswordDTO.statusCode, userStatusCodes.LoginFailure, 'Expected the wrong password to be refused');
+    });
+
+    it('should complete the login with the code in a second step and refuse the code once used', async () => {
+        const code = codeAt(1);
+        const firstStep = await request(app)
+            .post('/user/login')
+            .send({username: testUsername, password: testUsername});
+        assert.strictEqual(firstStep.status, 401, 'Expected the login to ask for a code');
+        assert.deepEqual(firstStep.body, {error: 'A two-factor authentication code is required.'});
+        const secondStep = await request(app)
+            .post('/user/login')
+            .send({username: testUsername, password: testUsername, twoFactorCode: code});
+        assert.strictEqual(secondStep.status, 200, 'Expected the login to succeed with the code');
+        const replayed = await request(app)
+            .post('/user/login')
+            .send({username: testUsername, password: testUsername, twoFactorCode: code});
+        assert.strictEqual(replayed.status, 401, 'Expected the used code to be refused');
+    });
+
+    it('should accept a recovery code only once', async () => {
+        const userDTO = await controller.loginUser(testUsername, testUsername, recoveryCodes[0]);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the recovery code to be accepted');
+        const againDTO = await controller.loginUser(testUsername, testUsername, recoveryCodes[0]);
+        assert.strictEqual(againDTO.statusCode, userStatusCodes.InvalidTwoFactorCode, 'Expected the used recovery code to be refused');
+    });
+
+    it('should disable two-factor authentication given the password', async () => {
+        const wrongDTO = await controller.disableTwoFactor(testUsername, 'wrongPassword');
+        assert.strictEqual(wrongDTO.statusCode, twoFactorStatusCodes.WrongPassword, 'Expected the wrong password to be refused');
+        const twoFactorDTO = await controller.disableTwoFactor(testUsername, testUsername);
+        assert.strictEqual(twoFactorDTO.statusCode, twoFactorStatusCodes.OK, 'Expected to succeed disabling two-factor authentication');
+        const userDTO = await controller.loginUser(testUsername, testUsername);
+        assert.strictEqual(userDTO.statusCode, userStatusCodes.OK, 'Expected the login not to ask for a code anymore');
+        const againDTO = await controller.disableTwoFactor(testUsername, testUsername);
+        assert.strictEqual(againDTO.statusCode, twoFactorStatusCodes.NotEnabled, 'Expected it to be disabled already');
+    });
+
+    describe('when two-factor authentication is required for administrators', () => {
+        let requiredController;
+        const previousSetting = process.env.ADMIN_TWO_FACTOR_REQUIRED;
+
+        before(async function() {
+            process.env.ADMIN_TWO_FACTOR_REQUIRED = 'true';
+            requiredController = await Controller.createController();
+            await controller.updateUser(adminUsername, testUsername, undefined, undefined, undefined, undefined,
+                undefined, privilegeEnum.Administrator);
+        });
+
+        after(function() {
+            process.env.ADMIN_TWO_FACTOR_REQUIRED = previousSetting;
+        });
+
+        it('should require enrolment from an administrator and not from a resident', async () => {
+            const adminSessionDTO = await requiredController.createSession(testUsername);
+            assert.isTrue(adminSessionDTO.twoFactorEnrolmentRequired, 'Expected the administrator to have to enrol');
+            await requiredController.revokeSession(adminSessionDTO.sessionID);
+            const sessionDTO = await controller.createSession(testUsername);
+            assert.isFalse(sessionDTO.twoFactorEnrolmentRequired, 'Expected no enrolment when it is not required');
+            await controller.revokeSession(sessionDTO.sessionID);
+        });
+
+        it('should accept the administrator once enrolled and refuse to disable it', async () => {
+            secret = (await requiredController.enrolTwoFactor(testUsername)).secret;
+            await requiredController.confirmTwoFactor(testUsername, codeAt(0));
+            const sessionDTO = await requiredController.createSession(testUsername);
+            assert.isFalse(sessionDTO.twoFactorEnrolmentRequired, 'Expected the enrolled administrator to be accepted');
+            const currentSessionDTO = await requiredController.getSession(sessionDTO.sessionID);
+            assert.isFalse(currentSessionDTO.twoFactorEnrolmentRequired, 'Expected the session to be accepted');
+            const twoFactorDTO = await requiredController.disableTwoFactor(testUsername, testUsername);
+            assert.strictEqual(twoFactorDTO.statusCode, twoFactorStatusCodes.Required, 'Expected the disabling to be refused');
+        });
+    });
+});
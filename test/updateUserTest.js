@@ -0,0 +1,142 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const BuildingClock = require('../src/util/BuildingClock');
+const userStatusCodes = require('../src/util/userStatusCodes');
+const privilegeEnum = require('../src/util/privilegeEnum');
+const bookingStatusCodes = require('../src/util/bookingStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+const DataGenerator = require('./DataGenerator');
+
+describe('Update User Test', () => {
+    let controller;
+    const testUsername = 'unitTestUpdateUser';
+    const renamedUsername = 'unitTestRenamedUser';
+    const otherUsername = 'unitTestUpdateOther';
+    const adminUsername = 'testAdmin';
+    const clock = new BuildingClock();
+    const tomorrowDate = clock.calendarDate(clock.todayDate()).add(1, 'day').format('YYYY-MM-DD');
+
+    /**
+     * Sets the privilege and the anonymisation time of an account directly in the database.
+     * @param {string} username The username of the account.
+     * @param {int} privilegeID The privilege of the account.
+     * @param {Date | null} anonymisedAt The time when the account was anonymised, null if it is not anonymised.
+     */
+    async function setAccount(username, privilegeID, anonymisedAt) {
+        await controller.laundryDAO._executeQuery({
+            text: `UPDATE person SET privilege_id = $1
+            WHERE id = (SELECT person_id FROM account WHERE username = $2)`,
+            values: [privilegeID, username],
+        });
+        await controller.laundryDAO._executeQuery({
+            text: 'UPDATE account SET anonymised_at = $1 WHERE username = $2',
+            values: [anonymisedAt, username],
+        });
+    }
+
+    before(async function() {
+        controller = await Controller.createController();
+        await DataGenerator.deleteTestUser(controller, adminUsername, renamedUsername);
+        await DataGenerator.generateTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.generateTestUser(controller, adminUsername, otherUsername);
+    });
+
+    /**
+     * Deletes the unit test users after last test in this block
+     */
+    after(async function() {
+        await DataGenerator.deleteTestUser(controller, adminUsername, testUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, renamedUsername);
+        await DataGenerator.deleteTestUser(controller, adminUsername, otherUsername);
+    });
+
+
+    it('should fail to update a user due to lack of privilege', async () => {
+        const userDetailsDTO = await controller.updateUser(otherUsername, testUsername, 'Changed');
+        assert.strictEqual(userDetailsDTO.statusCode, userStatusCodes.InvalidPrivilege, 'Expected to fail due to lack of privilege');
+    });
+
+    it('should fail to update a non existent user', async () => {
+        const userDetailsDTO = await controller.updateUser(adminUsername, 'unitTestMissingUser', 'Changed');
+        assert.strictEqual(userDetailsDTO.statusCode, userStatusCodes.NonExistentUser, 'Expected to fail due to the missing user');
+    });
+
+    it('should fail to update a user with an invalid personal number', async () => {
+        let error = null;
+        try {
+            await controller.updateUser(adminUsername, testUsername, undefined, undefined, '19900101-0000');
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the invalid personal number');
+    });
+
+    it('should fail to use the email of another user', async () => {
+        const userDetailsDTO = await controller.updateUser(adminUsername, testUsername, undefined, undefined, undefined,
+            `${otherUsername}.${otherUsername}@test.se`);
+        assert.strictEqual(userDetailsDTO.statusCode, userStatusCodes.ExistentEmail, 'Expected to fail due to the existing email');
+    });
+
+    it('should fail to use the username of another user', async () => {
+        const userDetailsDTO = await controller.updateUser(adminUsername, testUsername, undefined, undefined, undefined,
+            undefined, otherUsername);
+        assert.strictEqual(userDetailsDTO.statusCode, userStatusCodes.ExistentUsername, 'Expected to fail due to the existing username');
+    });
+
+    it('should succeed updating the details while keeping the bookings', async () => {
+        const bookedDTO = await controller.bookPass(testUsername, 1, tomorrowDate, '07:00-12:00');
+        assert.strictEqual(bookedDTO.statusCode, bookingStatusCodes.OK, 'Expected to succeed booking a pass');
+        const personalNumber = await DataGenerator.randomPersonalNumber();
+        const userDetailsDTO = await controller.updateUser(adminUsername, testUsername, 'Corrected', undefined, personalNumber,
+            'corrected.resident@test.se', renamedUsername);
+        assert.strictEqual(userDetailsDTO.statusCode, userStatusCodes.OK, 'Expected to succeed updating the user');
+        assert.strictEqual(userDetailsDTO.username, renamedUsername, 'Expected the new username');
+        assert.strictEqual(userDetailsDTO.firstName, 'Corrected', 'Expected the new first name');
+        assert.strictEqual(userDetailsDTO.lastName, testUsername, 'Expected the last name to be unchanged');
+        assert.strictEqual(userDetailsDTO.personalNumber, personalNumber, 'Expected the new personal number');
+        assert.strictEqual(userDetailsDTO.email, 'corrected.resident@test.se', 'Expected the new email');
+        const loginDTO = await controller.loginUser(renamedUsername, testUsername);
+        assert.strictEqual(loginDTO.statusCode, userStatusCodes.OK, 'Expected to login with the new username');
+        const bookingDTO = await controller.getBookedPass(renamedUsername);
+        assert.strictEqual(bookingDTO.date, tomorrowDate, 'Expected the booking to be kept');
+    });
+
+    it('should promote and demote a user and invalidate the earlier sessions', async () => {
+        const sessionDTO = await controller.createSession(renamedUsername);
+        const promotedDTO = await controller.updateUser(adminUsername, renamedUsername, undefined, undefined, undefined,
+            undefined, undefined, privilegeEnum.Administrator);
+        assert.strictEqual(promotedDTO.privilegeID, privilegeEnum.Administrator, 'Expected the user to be promoted');
+        const revokedSessionDTO = await controller.getSession(sessionDTO.sessionID);
+        assert.strictEqual(revokedSessionDTO.statusCode, userStatusCodes.InvalidSession, 'Expected the earlier session to be invalid');
+        const demotedDTO = await controller.updateUser(adminUsername, renamedUsername, undefined, undefined, undefined,
+            undefined, undefined, privilegeEnum.Standard);
+        assert.strictEqual(demotedDTO.statusCode, userStatusCodes.OK, 'Expected to succeed demoting the user');
+        assert.strictEqual(demotedDTO.privilegeID, privilegeEnum.Standard, 'Expected the user to be demoted');
+    });
+
+    it('should refuse to demote the last administrator, not counting an anonymised administrator', async () => {
+        await setAccount(otherUsername, privilegeEnum.Administrator, new Date());
+        try {
+            const userDetailsDTO = await controller.updateUser(adminUsername, adminUsername, undefined, undefined, undefined,
+                undefined, undefined, privilegeEnum.Standard);
+            assert.strictEqual(userDetailsDTO.statusCode, userStatusCodes.LastAdministrator,
+                'Expected to fail demoting the only administrator that is not anonymised');
+        } finally {
+            await setAccount(adminUsername, privilegeEnum.Administrator, null);
+            await setAccount(otherUsername, privilegeEnum.Standard, null);
+        }
+    });
+
+    it('should fail to set an unknown privilege', async () => {
+        let error = null;
+        try {
+            await controller.updateUser(adminUsername, renamedUsername, undefined, undefined, undefined, undefined, undefined, 0);
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the invalid privilege');
+    });
+});
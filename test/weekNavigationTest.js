@@ -0,0 +1,73 @@
+'use strict';
+
+const {assert} = require('chai');
+const Controller = require('../src/controller/Controller');
+const LaundryDAO = require('../src/integration/LaundryDAO');
+const BuildingClock = require('../src/util/BuildingClock');
+const Validators = require('../src/util/Validators');
+const scheduleStatusCodes = require('../src/util/scheduleStatusCodes');
+// eslint-disable-next-line no-unused-vars
+const envLoader = require('./envLoader');
+
+describe('Week Navigation Test', () => {
+    let controller;
+    let laundryDAO;
+    const adminUsername = 'testAdmin';
+
+    before(async function() {
+        controller = await Controller.createController();
+        // Wednesday in ISO week 53 of 2026, the following week is week 1 of 2027.
+        laundryDAO = new LaundryDAO(new BuildingClock('Europe/Stockholm', () => Date.parse('2026-12-30T12:00:00Z')));
+    });
+
+
+    it('should accept week 53 only in long ISO years', async () => {
+        assert.doesNotThrow(() => Validators.isIsoWeek(2026, 53, 'ISO Week'), 'Expected 2026 to have 53 weeks');
+        assert.throws(() => Validators.isIsoWeek(2027, 53, 'ISO Week'), 'ISO Week', 'Expected 2027 to have 52 weeks');
+        assert.throws(() => Validators.isIsoWeek(2027, 0, 'ISO Week'), 'ISO Week', 'Expected week 0 to be invalid');
+    });
+
+    it('should select the next week across the year boundary', async () => {
+        assert.strictEqual(await laundryDAO.getWeekStartDate(0), '2026-12-28', 'Expected the Monday of the current week');
+        assert.strictEqual(await laundryDAO.getWeekStartDate(1), '2027-01-04', 'Expected the Monday of the next week');
+        assert.strictEqual(await laundryDAO.getWeekStartDate(-52), '2025-12-29', 'Expected the Monday of week 1 of 2026');
+    });
+
+    it('should select a week by its ISO year and number or by a date within it', async () => {
+        assert.strictEqual(await laundryDAO.getWeekStartDate(0, 2027, 1), '2027-01-04', 'Expected the Monday of week 1 of 2027');
+        assert.strictEqual(await laundryDAO.getWeekStartDate(0, 2026, 53), '2026-12-28', 'Expected the Monday of week 53 of 2026');
+        assert.strictEqual(await laundryDAO.getWeekStartDate(0, 2027, 1, '2027-01-01'), '2026-12-28', 'Expected the date to take precedence');
+    });
+
+    it('should let residents browse into the next year', async () => {
+        const passScheduleDTO = await laundryDAO.getResidentPasses(adminUsername, await laundryDAO.getWeekStartDate(1));
+        assert.strictEqual(passScheduleDTO.statusCode, scheduleStatusCodes.OK, 'Expected to succeed retrieving the next week');
+        assert.strictEqual(passScheduleDTO.isoYear, 2027, 'Expected the ISO year of the next week');
+        assert.strictEqual(passScheduleDTO.weekNumber, 1, 'Expected the ISO week number of the next week');
+        assert.strictEqual(passScheduleDTO.weekDates[0], '2027-01-04', 'Expected the week to start on the first Monday of January');
+        assert.strictEqual(passScheduleDTO.weekDates[6], '2027-01-10', 'Expected the week to end on the following Sunday');
+    });
+
+    it('should fail to let residents browse beyond the next week', async () => {
+        const passScheduleDTO = await laundryDAO.getResidentPasses(adminUsername, await laundryDAO.getWeekStartDate(2));
+        assert.strictEqual(passScheduleDTO.statusCode, scheduleStatusCodes.InvalidWeek, 'Expected to fail due to the invalid week');
+    });
+
+    it('should report the ISO year of a week that starts in the previous calendar year', async () => {
+        const passScheduleDTO = await controller.getPasses(adminUsername, undefined, 2026, 53);
+        assert.strictEqual(passScheduleDTO.statusCode, scheduleStatusCodes.OK, 'Expected to succeed retrieving the week');
+        assert.strictEqual(passScheduleDTO.isoYear, 2026, 'Expected the ISO year of the week');
+        assert.strictEqual(passScheduleDTO.weekNumber, 53, 'Expected the ISO week number');
+        assert.strictEqual(passScheduleDTO.weekDates[6], '2027-01-03', 'Expected the week to end in January');
+    });
+
+    it('should reject a week number that does not exist in the ISO year', async () => {
+        let error = null;
+        try {
+            await controller.getPasses(adminUsername, undefined, 2027, 53);
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error, 'Expected failure due to the invalid week number');
+    });
+});